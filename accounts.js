@@ -0,0 +1,107 @@
+// Named logins of a user, apiId/apiHash/sessionId of the session mirror the active one
+const DEFAULT_ACCOUNT = "default";
+const ACCOUNT_NAME_PATTERN = /^[\w-]{1,32}$/;
+
+// The user's named accounts, a login made before accounts existed becomes the default one
+function getAccounts(session) {
+    if (!session.accounts) {
+        session.accounts = {};
+        if (session.apiId && session.apiHash) {
+            session.accounts[DEFAULT_ACCOUNT] = {
+                apiId: session.apiId,
+                apiHash: session.apiHash,
+                sessionId: session.sessionId,
+            };
+            session.activeAccount = DEFAULT_ACCOUNT;
+        }
+    }
+    return session.accounts;
+}
+
+// Store the login being entered or saved under the active account's name
+function saveActiveAccount(session) {
+    if (!session.apiId || !session.apiHash) return;
+
+    const accounts = getAccounts(session);
+    session.activeAccount = session.activeAccount || DEFAULT_ACCOUNT;
+    accounts[session.activeAccount] = {
+        apiId: session.apiId,
+        apiHash: session.apiHash,
+        sessionId: session.sessionId || null,
+    };
+}
+
+// Make a saved account the one jobs log in with
+function switchAccount(session, name) {
+    const account = getAccounts(session)[name];
+    session.activeAccount = name;
+    session.apiId = account.apiId;
+    session.apiHash = account.apiHash;
+    session.sessionId = account.sessionId;
+}
+
+// Forget an account. Returns true when it was the active one, its login is then cleared from the session.
+function removeAccount(session, name) {
+    delete getAccounts(session)[name];
+    if (session.uploadAccount === name) {
+        session.uploadAccount = null;
+    }
+    if (session.activeAccount !== name) return false;
+
+    session.activeAccount = null;
+    session.apiId = null;
+    session.apiHash = null;
+    session.sessionId = null;
+    return true;
+}
+
+// LOGOUT: forget the active account, the user's other accounts stay. Returns the reply for the user.
+function logoutActiveAccount(session) {
+    removeAccount(session, session.activeAccount);
+    session.phone = null;
+
+    const remaining = Object.keys(getAccounts(session)).length;
+    return "👋 **Logged out successfully!**\n\n" +
+        "Your session has been cleared. Use /start to begin a new session." +
+        (remaining > 0 ? "\nYour other accounts are kept, see /accounts." : "");
+}
+
+// Logins of a job: the source account reads the channel and the upload account, when it is
+// another one, posts to the target. A profile's account and uploadAccount settings take precedence.
+// Throws a message for the user when a named account is missing or not logged in.
+function resolveJobAccounts(session, profileOptions = null) {
+    const accounts = getAccounts(session);
+    let sourceName = session.activeAccount;
+    let uploadName = session.uploadAccount;
+    if (profileOptions) {
+        sourceName = profileOptions.account || sourceName;
+        uploadName = profileOptions.uploadAccount || uploadName;
+    }
+
+    const source = !sourceName || sourceName === session.activeAccount
+        ? { apiId: session.apiId, apiHash: session.apiHash, sessionId: session.sessionId }
+        : accounts[sourceName];
+    if (!source || (sourceName !== session.activeAccount && !source.sessionId)) {
+        throw new Error(`Account "${sourceName}" is not logged in, see /accounts`);
+    }
+
+    if (!uploadName || uploadName === sourceName) {
+        return { source, upload: null };
+    }
+    const upload = accounts[uploadName];
+    if (!upload || !upload.sessionId) {
+        throw new Error(`Upload account "${uploadName}" is not logged in, see /accounts`);
+    }
+    return { source, upload };
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT,
+    ACCOUNT_NAME_PATTERN,
+    getAccounts,
+    saveActiveAccount,
+    switchAccount,
+    removeAccount,
+    logoutActiveAccount,
+    resolveJobAccounts,
+};
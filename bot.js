@@ -1,5 +1,5 @@
 const { Telegraf } = require("telegraf");
-const { spawn, exec } = require("child_process");
+const { spawn, exec, execFile } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const express = require("express");
@@ -13,8 +13,20 @@ const REPO_DIR = "./java";
 // Initialize bot (will be set after token is confirmed)
 let bot;
 
-// User session storage
+// User session storage, persisted so a restart does not lose running jobs
 const userSessions = new Map();
+const { createSessionStore } = require('./session-store');
+const sessionStore = createSessionStore();
+let shuttingDown = false; // Set while stopping, so killed jobs are still resumed on the next start
+
+// Session fields that survive a restart, the child process and open prompt belong to one run
+const PERSISTED_SESSION_FIELDS = [
+    "state", "chatId", "phone", "channel", "option", "destination",
+    "apiId", "apiHash", "sessionId", "filesDownloaded", "filesUploaded",
+    "filesRemaining", "totalFiles", "currentBatch", "totalBatches",
+    "sessionStartTime", "currentChannel", "job", "launch",
+    "accounts", "activeAccount", "uploadAccount",
+];
 
 // Simple progress tracking
 const progressTimers = new Map(); // userId -> intervalId
@@ -41,6 +53,45 @@ const processingQueue = new Set(); // Track which users are being processed
 const sentMessages = new Map(); // userId -> Set of message hashes
 const messageHashes = new Map(); // userId -> last 100 message hashes for cleanup
 
+// Central scheduler for downloader processes, admins skip ahead of other users
+const JobQueue = require('./job-queue');
+const jobQueue = new JobQueue({
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2,
+    maxPerUser: parseInt(process.env.MAX_JOBS_PER_USER) || 1,
+});
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+// Cron schedules that re-run saved channel jobs as unattended syncs
+const { Scheduler, nextCronRun } = require('./scheduler');
+const scheduler = new Scheduler(process.env.SCHEDULES_PATH || './data/schedules.json', runScheduledJob);
+
+// Named Telegram accounts of a user, one reads the source and another may post to the target
+const {
+    DEFAULT_ACCOUNT,
+    ACCOUNT_NAME_PATTERN,
+    getAccounts,
+    saveActiveAccount,
+    switchAccount,
+    removeAccount,
+    logoutActiveAccount,
+    resolveJobAccounts,
+} = require('./accounts');
+
+// Buttons for downloader prompts: choices, paging, search and checkboxes
+const {
+    createPromptKeyboard,
+    buildPromptKeyboard,
+    filterPromptKeyboard,
+    checkboxKeystrokes,
+    truncateLabel,
+} = require('./prompt-keyboard');
+
+// Per-user working directories and the credentials the downloader runs with
+const { getUserWorkspace, updateConfigFile, clearUserCredentials } = require('./workspaces');
+
 // Speed monitoring for downloads/uploads
 const SpeedMonitor = require('./speed-monitor');
 const speedMonitor = new SpeedMonitor();
@@ -54,13 +105,67 @@ const STATES = {
     AWAITING_API_HASH: "awaiting_api_hash",
     AWAITING_PHONE: "awaiting_phone",
     AWAITING_OTP: "awaiting_otp",
+    AWAITING_PASSWORD: "awaiting_password",
     AWAITING_CHANNEL: "awaiting_channel",
     AWAITING_OPTION: "awaiting_option",
     AWAITING_DESTINATION: "awaiting_destination",
     PROCESSING: "processing",
     AWAITING_CONTINUATION: "awaiting_continuation",
+    WATCHING: "watching",
+    QUEUED: "queued",
+};
+
+// Helpers shared with the downloader, loaded by loadDownloaderModules() once the java folder is cloned
+let CLI_EVENTS, EVENT_FD_ENV; // Downloader event stream (newline-delimited JSON on an extra fd)
+let WORKSPACE_ENV, readCredentialsFile, writeCredentialsFile;
+let encryptCredentials, decryptCredentials;
+let listProfiles, loadProfile, profileToOptions;
+let Journal, MessageDatabase, getDatabasePath;
+const SEARCH_RESULT_LIMIT = 10;
+const MAX_BOT_UPLOAD_SIZE = 50 * 1024 * 1024; // Largest file a bot may send
+const CLI_EVENT_FD = 3;
+const REVOKE_TIMEOUT_MS = 60000;
+
+// Set with CREDENTIALS_KEY or CREDENTIALS_PASSPHRASE, logins are then stored encrypted
+let credentialSecret = null;
+const SECRET_SESSION_FIELDS = ["apiHash", "sessionId", "accounts"];
+
+// Downloader prompts whose answer is a secret, removed from the chat and never echoed
+const SECRET_PROMPTS = {
+    sessionId: "session ID",
+    apiHash: "API hash",
+};
+
+// Bot state to enter when the downloader asks a given prompt
+const PROMPT_STATES = {
+    phone: STATES.AWAITING_PHONE,
+    otp: STATES.AWAITING_OTP,
+    password: STATES.AWAITING_PASSWORD,
+    sourceSearch: STATES.AWAITING_CHANNEL,
+    sourceChannel: STATES.AWAITING_CHANNEL,
+    dialogSearch: STATES.AWAITING_CHANNEL,
+    dialogIndex: STATES.AWAITING_CHANNEL,
+    targetChannel: STATES.AWAITING_DESTINATION,
+    continue: STATES.AWAITING_CONTINUATION,
 };
 
+// States in which a downloader process is running for the user
+const PROCESS_STATES = Object.values(STATES).filter((state) => ![
+    STATES.IDLE,
+    STATES.AWAITING_CONSENT,
+    STATES.AWAITING_API_ID,
+    STATES.AWAITING_API_HASH,
+].includes(state));
+
+// Errors that are always reported to the user
+const CRITICAL_ERRORS = [
+    "CHAT_FORWARDS_RESTRICTED",
+    "AUTH_KEY_INVALID",
+    "USER_DEACTIVATED_BAN",
+    "PHONE_NUMBER_INVALID",
+    "SESSION_EXPIRED",
+];
+
 // Progress tracking for web dashboard
 let globalProgress = {
     status: "idle",
@@ -147,12 +252,183 @@ function getUserSession(userId) {
             downloadErrors: [],
             uploadErrors: [],
             isProcessing: false,
-            currentChannel: null
+            currentChannel: null,
+            pendingPrompt: null,
+            chatId: null,
+            sessionId: null,
+            job: null, // Channel being processed, used to resume it after a restart
+            autoAnswers: null, // Prompt answers given on the user's behalf when resuming
+            jobId: null, // Current job in the job queue
+            keyboard: null, // Inline keyboard of the open prompt
+            promptToken: 0, // Tells stale keyboards apart from the open one
+            lastDialogList: null, // Last chat list shown, offered as buttons for the chat number prompt
+            qrMessage: null, // QR code of a running QR login: { messageId, photo }
+            launch: null, // Unattended /run or scheduled sync: { profile, channelId, sync, scheduleId }
+            accounts: null, // Account name -> { apiId, apiHash, sessionId }
+            activeAccount: null, // Account the source channel is read with
+            uploadAccount: null // Account posting to the target, null when the active one does
         });
     }
     return userSessions.get(userId);
 }
 
+// Require the java/utils helpers, called after startBot() made sure the java folder and its packages exist
+function loadDownloaderModules() {
+    ({ EVENT_TYPES: CLI_EVENTS, EVENT_FD_ENV } = require('./java/utils/event-helper'));
+    ({ WORKSPACE_ENV, readCredentialsFile, writeCredentialsFile } = require('./java/utils/file-helper'));
+    const cryptoHelper = require('./java/utils/crypto-helper');
+    ({ encryptCredentials, decryptCredentials } = cryptoHelper);
+    credentialSecret = cryptoHelper.getCredentialSecret();
+    ({ listProfiles, loadProfile, profileToOptions } = require('./java/utils/profile-helper'));
+    ({ Journal } = require('./java/utils/journal'));
+    ({ MessageDatabase, getDatabasePath } = require('./java/utils/message-db'));
+}
+
+// Save the restorable part of a user's session and progress
+function persistSession(userId) {
+    const session = userSessions.get(userId);
+    if (!session || shuttingDown) return;
+
+    const record = {};
+    PERSISTED_SESSION_FIELDS.forEach((field) => {
+        record[field] = session[field];
+    });
+    if (credentialSecret) {
+        const secrets = {};
+        SECRET_SESSION_FIELDS.forEach((field) => {
+            secrets[field] = record[field];
+            delete record[field];
+        });
+        record.secrets = encryptCredentials(secrets, credentialSecret);
+    }
+    record.progress = {
+        stats: sessionStats.get(userId) || null,
+        completedBatches: completedBatches.get(userId) || null,
+        fileSizes: fileSizes.get(userId) || null,
+        errorCounts: errorCounts.get(userId) || null,
+    };
+    sessionStore.set(userId, record);
+}
+
+// Load the sessions saved before the last restart
+function restoreSessions() {
+    const plaintextLogins = [];
+    for (const [storedId, record] of sessionStore.all()) {
+        const userId = Number(storedId);
+        const session = getUserSession(userId);
+        PERSISTED_SESSION_FIELDS.forEach((field) => {
+            if (record[field] !== undefined) session[field] = record[field];
+        });
+
+        if (record.secrets) {
+            try {
+                Object.assign(session, decryptCredentials(record.secrets, credentialSecret));
+            } catch (error) {
+                console.error(`❌ Login of user ${userId} not restored: ${error.message}`);
+            }
+        } else if (credentialSecret && (record.sessionId || record.accounts)) {
+            plaintextLogins.push(userId);
+        }
+
+        const progress = record.progress || {};
+        if (progress.stats) sessionStats.set(userId, progress.stats);
+        if (progress.completedBatches) completedBatches.set(userId, progress.completedBatches);
+        if (progress.fileSizes) fileSizes.set(userId, progress.fileSizes);
+        if (progress.errorCounts) errorCounts.set(userId, progress.errorCounts);
+    }
+    console.log(`💾 Restored ${userSessions.size} user sessions`);
+
+    // Saving again encrypts logins stored before a key was configured
+    plaintextLogins.forEach((userId) => persistSession(userId));
+    if (plaintextLogins.length) {
+        console.log(`🔒 Encrypted the saved logins of ${plaintextLogins.length} users`);
+    }
+}
+
+// Minimal stand-in for a Telegraf context, to talk to a user outside of an update
+function createChatContext(userId, chatId) {
+    return {
+        from: { id: userId },
+        chat: { id: chatId },
+        reply: (text, extra) => bot.telegram.sendMessage(chatId, text, extra),
+    };
+}
+
+// Name of an unattended launch for messages
+function describeLaunch(launch) {
+    return launch.scheduleId ? `scheduled sync #${launch.scheduleId}` : `profile "${launch.profile}"`;
+}
+
+// Restart the downloader for users whose job was running when the bot stopped
+function resumeInterruptedJobs() {
+    for (const [userId, session] of userSessions) {
+        if (!PROCESS_STATES.includes(session.state) || !session.chatId) continue;
+
+        const ctx = createChatContext(userId, session.chatId);
+        const wasWatching = session.state === STATES.WATCHING;
+        session.pendingPrompt = null;
+
+        // Without a saved login the job cannot be restarted unattended
+        if (!session.apiId || !session.apiHash || !session.sessionId) {
+            session.state = STATES.IDLE;
+            session.isProcessing = false;
+            session.job = null;
+            session.launch = null;
+            persistSession(userId);
+            sendRateLimitedMessage(
+                ctx,
+                "⚠️ The bot was restarted and your session was interrupted.\n" +
+                    "Files that were already downloaded are kept. Use /start to begin again.",
+            );
+            continue;
+        }
+
+        // Profile runs and syncs need no answers, they pick up their unfinished journal by themselves
+        const launch = session.launch;
+        const channelId = !wasWatching && !launch && session.job ? session.job.channelId : null;
+        session.autoAnswers = launch ? null : { loginMethod: "session", sessionId: session.sessionId };
+        if (channelId) {
+            session.autoAnswers.resume = true;
+        }
+        session.state = STATES.PROCESSING;
+        session.isProcessing = true;
+
+        let notice = "🔄 The bot was restarted. Logging you back in...";
+        if (launch) {
+            notice = `🔄 The bot was restarted while ${describeLaunch(launch)} was running.\n` +
+                "Resuming it from the last checkpoint...";
+        } else if (channelId) {
+            notice = `🔄 The bot was restarted while ${session.job.channelName} was being processed.\n` +
+                "Logging you back in and resuming from the last checkpoint...";
+        } else if (wasWatching) {
+            notice = "🔄 The bot was restarted and watch mode stopped.\n" +
+                "Logging you back in, pick the channels to watch again.";
+        }
+        sendRateLimitedMessage(ctx, notice);
+        console.log(`🔄 Resuming job for user ${userId}${channelId ? ` on channel ${channelId}` : ""}${launch ? ` (${describeLaunch(launch)})` : ""}`);
+
+        scheduleCliProcess(userId, ctx, launch || { channelId });
+        persistSession(userId);
+    }
+}
+
+// Answer a prompt on the user's behalf while a job is being resumed
+function takeAutoAnswer(session, event) {
+    if (!session.autoAnswers || !(event.id in session.autoAnswers)) return null;
+
+    const answer = session.autoAnswers[event.id];
+    delete session.autoAnswers[event.id];
+
+    if (event.kind === "confirm") {
+        return answer ? "y" : "n";
+    }
+    if (event.choices) {
+        const index = event.choices.findIndex((choice) => choice.value === answer);
+        return index >= 0 ? String(index + 1) : null;
+    }
+    return String(answer);
+}
+
 // Update global progress (called when bot processes tasks)
 function updateProgress(status, task, completed = 0, total = 100) {
     globalProgress = {
@@ -314,8 +590,8 @@ function stopProgressTimer(userId) {
     }
 }
 
-// Enhanced CLI output parsing for accurate progress tracking
-function trackFileProgress(userId, output) {
+// Event-driven progress tracking fed by the downloader's event stream
+function trackFileEvent(userId, event) {
     const session = getUserSession(userId);
     let stats = sessionStats.get(userId) || {
         downloaded: 0,
@@ -330,162 +606,89 @@ function trackFileProgress(userId, output) {
         incompleteFiles: []
     };
 
-    // Parse total files from CLI output
-    if (output.includes('Ultra-processing') && output.includes('messages')) {
-        const totalMatch = output.match(/Ultra-processing\s+(\d+)\/\d+\s+messages/) || 
-                          output.match(/Ultra-processing\s+(\d+)\s+messages/);
-        if (totalMatch) {
-            const total = parseInt(totalMatch[1]);
-            stats.total = total;
-            stats.remaining = Math.max(0, total - stats.downloaded - stats.uploaded);
-            session.totalFiles = total;
-            console.log(`📊 Total files updated: ${total}`);
-        }
-    }
+    switch (event.type) {
+        case CLI_EVENTS.MESSAGES_QUEUED:
+            stats.total += event.count;
+            session.totalFiles = stats.total;
+            console.log(`📊 Total files updated: ${stats.total}`);
+            break;
 
-    // Track downloads with enhanced parsing for complete file names
-    if (output.includes('Downloaded:') || (output.includes('✅') && output.includes('Download complete'))) {
-        // Enhanced regex to capture complete file names including paths and extensions
-        const fileMatch = output.match(/(?:Downloaded:|Download complete)\s*(?:\d+\/\d+:\s*)?(.+?)(?:\s*\((\d+(?:\.\d+)?)\s*Mbps\))?$/);
-        if (fileMatch) {
+        case CLI_EVENTS.FILE_COMPLETED: {
             stats.downloaded++;
             session.filesDownloaded = stats.downloaded;
-            stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-            
-            let fileName = fileMatch[1].trim();
-            
-            // Extract actual filename from path if present
-            if (fileName.includes('/')) {
-                fileName = fileName.split('/').pop();
-            }
-            
-            // Clean up any remaining unwanted characters
-            fileName = fileName.replace(/^\[/, '').replace(/\]$/, '').trim();
-            
-            const speedMbps = fileMatch[2] ? parseFloat(fileMatch[2]) : 0;
-            
+
             stats.downloadedFiles.push({
-                name: fileName,
+                name: event.fileName,
                 timestamp: new Date().toLocaleTimeString(),
-                speed: speedMbps
+                speed: event.speedMbps || 0
             });
 
             // Track file size info
             let fileSizeInfo = fileSizes.get(userId) || {};
-            fileSizeInfo[fileName] = { 
-                actualSize: 0, 
-                expectedSize: 0,
+            fileSizeInfo[event.fileName] = {
+                actualSize: event.size || 0,
+                expectedSize: event.expectedSize || 0,
                 downloaded: true,
-                fullSize: true,
+                fullSize: event.fullSize !== false,
                 timestamp: new Date().toLocaleTimeString()
             };
             fileSizes.set(userId, fileSizeInfo);
-            
-            console.log(`📥 Download tracked: ${fileName} (Total: ${stats.downloaded})`);
+
+            console.log(`📥 Download tracked: ${event.fileName} (Total: ${stats.downloaded})`);
+            break;
         }
-    }
 
-    // Alternative parsing for file completion messages
-    if (output.includes('✅') && output.includes('File written successfully:')) {
-        const filePathMatch = output.match(/File written successfully:\s*(.+)$/);
-        if (filePathMatch) {
-            let fullPath = filePathMatch[1].trim();
-            let fileName = fullPath.includes('/') ? fullPath.split('/').pop() : fullPath;
-            
-            // Only track if not already tracked
+        case CLI_EVENTS.FILE_FAILED: {
+            const fileName = event.fileName || `Message_${event.messageId}`;
             let fileSizeInfo = fileSizes.get(userId) || {};
-            if (!fileSizeInfo[fileName]) {
-                stats.downloaded++;
-                session.filesDownloaded = stats.downloaded;
-                stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-                
-                fileSizeInfo[fileName] = { 
-                    actualSize: 0, 
-                    expectedSize: 0,
-                    downloaded: true,
-                    fullSize: true,
-                    timestamp: new Date().toLocaleTimeString()
-                };
-                fileSizes.set(userId, fileSizeInfo);
-                
-                console.log(`📥 File completion tracked: ${fileName} (Total: ${stats.downloaded})`);
-            }
-        }
-    }
+            fileSizeInfo[fileName] = {
+                ...(fileSizeInfo[fileName] || { actualSize: 0, expectedSize: 0, downloaded: false }),
+                fullSize: false,
+                timestamp: new Date().toLocaleTimeString()
+            };
+            fileSizes.set(userId, fileSizeInfo);
 
-    // Track uploads with enhanced parsing
-    if (output.includes('📤') && (output.includes('Uploaded:') || output.includes('Upload complete'))) {
-        const fileMatch = output.match(/📤\s*Uploaded:\s*(.+?)(?:\s*\((\d+(?:\.\d+)?)\s*Mbps\))?/);
-        if (fileMatch) {
-            stats.uploaded++;
-            session.filesUploaded = stats.uploaded;
-            stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
-            
-            const fileName = fileMatch[1].trim();
-            const speedMbps = fileMatch[2] ? parseFloat(fileMatch[2]) : 0;
-            
-            stats.uploadedFiles.push({
+            stats.incompleteFiles.push({
                 name: fileName,
                 timestamp: new Date().toLocaleTimeString(),
-                speed: speedMbps
+                reason: event.code === "SIZE_MISMATCH" ? 'Size verification failed' : event.reason
             });
-            
-            console.log(`📤 Upload tracked: ${fileName} (Total: ${stats.uploaded})`);
+            stats.errors.push(`${new Date().toLocaleTimeString()}: ${fileName} failed (${event.reason})`);
+            break;
         }
-    }
 
-    // Track batch completion
-    if (output.includes('Ultra-speed batch') && output.includes('complete')) {
-        const batchMatch = output.match(/Ultra-speed batch\s+(\d+)\/(\d+)\s+complete/);
-        if (batchMatch) {
-            stats.completedBatches = parseInt(batchMatch[1]);
-            stats.currentBatch = Math.min(stats.completedBatches + 1, parseInt(batchMatch[2]));
-            console.log(`🔢 Batch progress: ${stats.completedBatches}/${batchMatch[2]} complete, current: ${stats.currentBatch}`);
-        }
-    }
+        case CLI_EVENTS.UPLOAD_COMPLETED:
+            stats.uploaded++;
+            session.filesUploaded = stats.uploaded;
 
-    // Track size verification issues
-    if (output.includes('Size mismatch') || output.includes('Incomplete download') || output.includes('does not download in full size')) {
-        const fileMatch = output.match(/(?:Size mismatch|Incomplete download|does not download in full size).*?([^\s]+\.[a-zA-Z0-9]+)/);
-        if (fileMatch) {
-            const fileName = fileMatch[1];
-            let fileSizeInfo = fileSizes.get(userId) || {};
-            if (fileSizeInfo[fileName]) {
-                fileSizeInfo[fileName].fullSize = false;
-            } else {
-                fileSizeInfo[fileName] = { 
-                    actualSize: 0, 
-                    expectedSize: 0,
-                    downloaded: true,
-                    fullSize: false,
-                    timestamp: new Date().toLocaleTimeString()
-                };
-            }
-            fileSizes.set(userId, fileSizeInfo);
-            
-            stats.incompleteFiles.push({
-                name: fileName,
+            stats.uploadedFiles.push({
+                name: event.fileName || `Message_${event.messageId}`,
                 timestamp: new Date().toLocaleTimeString(),
-                reason: 'Size verification failed'
+                speed: event.speedMbps || 0
             });
-        }
-    }
 
-    // Track errors with enhanced parsing
-    if (output.includes('❌') && (output.includes('Error') || output.includes('Failed'))) {
-        const errorMatch = output.match(/❌\s*(.+)/);
-        if (errorMatch) {
-            const errorMsg = errorMatch[1].trim();
-            stats.errors = stats.errors || [];
-            stats.errors.push(`${new Date().toLocaleTimeString()}: ${errorMsg}`);
+            console.log(`📤 Upload tracked: ${event.fileName || event.messageId} (Total: ${stats.uploaded})`);
+            break;
+
+        case CLI_EVENTS.BATCH_COMPLETED:
+            stats.completedBatches = event.index;
+            stats.currentBatch = Math.min(event.index + 1, event.total);
+            console.log(`🔢 Batch progress: ${event.index}/${event.total} complete, current: ${stats.currentBatch}`);
+            break;
 
-            // Keep only last 10 errors
-            if (stats.errors.length > 10) {
-                stats.errors = stats.errors.slice(-10);
+        case CLI_EVENTS.ERROR:
+            if (!event.retrying) {
+                stats.errors.push(`${new Date().toLocaleTimeString()}: ${event.message}`);
             }
-        }
+            break;
+    }
+
+    // Keep only last 10 errors
+    if (stats.errors.length > 10) {
+        stats.errors = stats.errors.slice(-10);
     }
 
+    stats.remaining = Math.max(0, stats.total - stats.downloaded - stats.uploaded);
     sessionStats.set(userId, stats);
 }
 
@@ -564,12 +767,12 @@ function sendBatchCompletionReport(userId, ctx, batchNumber) {
 }
 
 // Send final completion report with all errors
-function sendFinalCompletionReport(userId, ctx) {
+function sendFinalCompletionReport(userId, ctx, title = "🎉 **All Batches Completed!**") {
     const stats = sessionStats.get(userId) || {};
     const fileSizeInfo = fileSizes.get(userId) || {};
     const fileNames = Object.keys(fileSizeInfo);
 
-    let reportMessage = `🎉 **All Batches Completed!**\n\n`;
+    let reportMessage = `${title}\n\n`;
     reportMessage += `📊 **Final Statistics:**\n`;
     reportMessage += `✅ Total Downloaded: ${stats.downloaded || 0} files\n`;
     reportMessage += `⬆️ Total Uploaded: ${stats.uploaded || 0} files\n`;
@@ -647,17 +850,26 @@ function handleProcessCompletion(userId, ctx) {
         `⬆️ Uploaded: ${session.filesUploaded} files\n\n` +
         `🔄 **What would you like to do next?**\n` +
         `• Type "ANOTHER" to process another channel\n` +
+        `• Type "WATCH" to keep mirroring new posts of the channels you chose to watch\n` +
         `• Type "LOGOUT" to logout and end session`;
 
-    sendRateLimitedMessage(ctx, completionMessage);
+    sendRateLimitedMessage(ctx, completionMessage, 3, {
+        reply_markup: {
+            inline_keyboard: [[
+                { text: "🔄 Another", callback_data: "say:ANOTHER" },
+                { text: "👀 Watch", callback_data: "say:WATCH" },
+                { text: "👋 Logout", callback_data: "say:LOGOUT" },
+            ]],
+        },
+    });
 }
 
 // Rate-limited message sending with retry logic
-async function sendRateLimitedMessage(ctx, message, retries = 3) {
+async function sendRateLimitedMessage(ctx, message, retries = 3, extra = {}) {
     const userId = ctx.from.id;
 
-    // Check for duplicate messages to prevent spam
-    if (isDuplicateMessage(userId, message)) {
+    // Check for duplicate messages to prevent spam, a keyboard may repeat its question on purpose
+    if (!extra.reply_markup && isDuplicateMessage(userId, message)) {
         console.log(`⚠️ Blocked duplicate message for user ${userId}: ${message.substring(0, 50)}...`);
         return Promise.resolve(false); // Skip duplicate
     }
@@ -670,7 +882,7 @@ async function sendRateLimitedMessage(ctx, message, retries = 3) {
     return new Promise((resolve, reject) => {
         messageQueue
             .get(userId)
-            .push({ message, retries, resolve, reject, ctx });
+            .push({ message, retries, resolve, reject, ctx, extra });
         processMessageQueue(userId);
     });
 }
@@ -683,10 +895,10 @@ async function processMessageQueue(userId) {
     const queue = messageQueue.get(userId) || [];
 
     while (queue.length > 0) {
-        const { message, retries, resolve, reject, ctx } = queue.shift();
+        const { message, retries, resolve, reject, ctx, extra } = queue.shift();
 
         try {
-            await ctx.reply(message);
+            await ctx.reply(message, extra);
             resolve(true);
 
             // Rate limit: wait 1 second between messages
@@ -709,6 +921,7 @@ async function processMessageQueue(userId) {
                     resolve,
                     reject,
                     ctx,
+                    extra,
                 });
                 continue;
             } else if (error.message.includes("429") && retries > 0) {
@@ -731,6 +944,7 @@ async function processMessageQueue(userId) {
                     resolve,
                     reject,
                     ctx,
+                    extra,
                 });
                 continue;
             } else if (retries > 0 && !error.message.includes("403")) {
@@ -745,6 +959,7 @@ async function processMessageQueue(userId) {
                     resolve,
                     reject,
                     ctx,
+                    extra,
                 });
                 continue;
             } else {
@@ -769,6 +984,10 @@ async function processMessageQueue(userId) {
 // Kill user process if exists
 function killUserProcess(userId) {
     const session = getUserSession(userId);
+    if (session.jobId) {
+        jobQueue.cancel(session.jobId);
+        session.jobId = null;
+    }
     if (session.process && !session.process.killed) {
         session.process.kill("SIGTERM");
         session.process = null;
@@ -777,9 +996,6 @@ function killUserProcess(userId) {
     stopProgressTimer(userId);
 }
 
-// Import auth functions for session handling
-const { setBotContext } = require('./java/modules/auth');
-
 // Setup bot event handlers
 function setupBotHandlers() {
 // Start command
@@ -791,6 +1007,8 @@ bot.command("start", (ctx) => {
     clearUserDuplicates(ctx.from.id);
 
     session.state = STATES.AWAITING_CONSENT;
+    session.chatId = ctx.chat.id;
+    persistSession(ctx.from.id);
     updateProgress(
         "active", "User starting authentication process", 0, 100);
 
@@ -805,8 +1023,11 @@ bot.command("start", (ctx) => {
             "• Your Telegram API ID\n" +
             "• Your Telegram API Hash\n" +
             "(Get these from https://my.telegram.org/auth)\n\n" +
-            'Type "I CONSENT" to continue or /cancel to abort.',
-        { parse_mode: "Markdown" },
+            'Type "I CONSENT" or press the button to continue, /cancel to abort.',
+        {
+            parse_mode: "Markdown",
+            reply_markup: { inline_keyboard: [[{ text: "✅ I CONSENT", callback_data: "say:I CONSENT" }]] },
+        },
     );
 });
 
@@ -815,6 +1036,9 @@ bot.command("cancel", (ctx) => {
     const session = getUserSession(ctx.from.id);
     killUserProcess(ctx.from.id);
     session.state = STATES.IDLE;
+    session.job = null;
+    session.launch = null;
+    persistSession(ctx.from.id);
     ctx.reply("❌ Operation cancelled. Use /start to begin again.");
 });
 
@@ -822,6 +1046,10 @@ bot.command("cancel", (ctx) => {
 bot.command("reset", (ctx) => {
     const userId = ctx.from.id;
     const session = getUserSession(userId);
+    if (session.state === STATES.QUEUED) {
+        jobQueue.cancel(session.jobId);
+        session.jobId = null;
+    }
     // Clear duplicate history on reset
     clearUserDuplicates(userId);
 
@@ -833,10 +1061,154 @@ bot.command("reset", (ctx) => {
     session.destination = null;
     session.apiId = null;
     session.apiHash = null;
+    session.sessionId = null;
+    session.accounts = null;
+    session.activeAccount = null;
+    session.uploadAccount = null;
+    session.job = null;
+    session.launch = null;
     session.progressMessageId = null;
+    clearUserCredentials(userId);
+    persistSession(userId);
     ctx.reply('🔄 Session reset. Duplicate history cleared. Send /start to begin again.');
 });
 
+// Revoke command, ends the saved login on Telegram's servers and deletes it here
+bot.command("revoke", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+
+    if (session.process || PROCESS_STATES.includes(session.state)) {
+        ctx.reply("⚠️ A job is running, stop it with /cancel first.");
+        return;
+    }
+
+    let sessionId = session.sessionId;
+    if (!sessionId) {
+        try {
+            sessionId = readCredentialsFile(path.join(getUserWorkspace(userId), "config.json")).sessionId;
+        } catch (_) {
+            // No config yet
+        }
+    }
+    if (!sessionId || !session.apiId || !session.apiHash) {
+        ctx.reply("ℹ️ There is no saved login to revoke.");
+        return;
+    }
+
+    ctx.reply("🔒 Ending your Telegram session...");
+    revokeUserSession(userId, sessionId, (revoked) => {
+        session.sessionId = null;
+        saveActiveAccount(session);
+        persistSession(userId);
+        ctx.reply(
+            revoked
+                ? "✅ Session ended on Telegram's servers and deleted here. Send /start to log in again."
+                : "⚠️ Session deleted here, but Telegram could not be reached to end it. " +
+                  "End it under Settings → Devices in a Telegram app.",
+        );
+    });
+});
+
+// List the user's accounts
+bot.command("accounts", (ctx) => {
+    const session = getUserSession(ctx.from.id);
+    const names = Object.keys(getAccounts(session));
+    if (names.length === 0) {
+        ctx.reply("👤 No accounts yet, log in with /start or add one with /account add <name>.");
+        return;
+    }
+
+    const lines = names.map((name) => {
+        const marks = [];
+        if (name === session.activeAccount) marks.push("source");
+        if (name === session.uploadAccount) marks.push("upload");
+        const login = session.accounts[name].sessionId ? "logged in" : "not logged in";
+        return `• ${name} (${login})${marks.length ? ` ← ${marks.join(", ")}` : ""}`;
+    });
+    ctx.reply(
+        `👤 Accounts:\n${lines.join("\n")}\n\n` +
+            "/account add <name> · /account switch <name> · /account remove <name>\n" +
+            "/account upload <name|off> posts to target channels with another account",
+    );
+});
+
+// Add, switch, remove or pick the upload account
+bot.command("account", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const [, action, name] = ctx.message.text.split(/\s+/);
+    const accounts = getAccounts(session);
+
+    if (!["add", "switch", "remove", "upload"].includes(action) || !name) {
+        ctx.reply("Usage: /account add|switch|remove <name>, or /account upload <name|off>. /accounts lists them.");
+        return;
+    }
+    if (session.process || PROCESS_STATES.includes(session.state)) {
+        ctx.reply("⚠️ A job is running, stop it with /cancel first.");
+        return;
+    }
+    if (!(action === "add" || (action === "upload" && name === "off") || accounts[name])) {
+        ctx.reply(`❌ There is no account "${name}", see /accounts.`);
+        return;
+    }
+
+    switch (action) {
+        case "add":
+            if (!ACCOUNT_NAME_PATTERN.test(name)) {
+                ctx.reply("❌ Account names are up to 32 letters, digits, _ or -.");
+                return;
+            }
+            if (accounts[name]) {
+                ctx.reply(`❌ Account "${name}" already exists, use /account switch ${name}.`);
+                return;
+            }
+            // The new login is entered through the usual consent and API questions
+            session.activeAccount = name;
+            session.apiId = null;
+            session.apiHash = null;
+            session.sessionId = null;
+            clearUserCredentials(userId);
+            session.state = STATES.AWAITING_CONSENT;
+            session.chatId = ctx.chat.id;
+            ctx.reply(
+                `➕ Adding account "${name}". It logs into Telegram with its own API credentials.\n\n` +
+                    'Type "I CONSENT" or press the button to continue, /cancel to abort.',
+                { reply_markup: { inline_keyboard: [[{ text: "✅ I CONSENT", callback_data: "say:I CONSENT" }]] } },
+            );
+            break;
+
+        case "switch":
+            switchAccount(session, name);
+            clearUserCredentials(userId);
+            ctx.reply(
+                `🔀 Jobs now read source channels with "${name}".` +
+                    (session.sessionId ? " Send /start to use it." : " It is not logged in, send /start to log in."),
+            );
+            break;
+
+        case "remove":
+            if (removeAccount(session, name)) {
+                clearUserCredentials(userId);
+            }
+            ctx.reply(
+                `🗑️ Account "${name}" removed here. Its Telegram session stays valid until it is ended ` +
+                    "under Settings → Devices, /revoke before removing an account ends it from here.",
+            );
+            break;
+
+        case "upload":
+            session.uploadAccount = name === "off" || name === session.activeAccount ? null : name;
+            ctx.reply(
+                session.uploadAccount
+                    ? `📤 Target channels are posted to with "${name}", messages are re-uploaded since it cannot forward from chats only the source account is in.`
+                    : "📤 Target channels are posted to with the source account.",
+            );
+            break;
+    }
+    persistSession(userId);
+});
+
 // Status command
 bot.command("status", (ctx) => {
     const session = getUserSession(ctx.from.id);
@@ -918,372 +1290,979 @@ bot.command("speed", async (ctx) => {
         message += `📊 Total: ${speedInfo.total} MB/s\n`;
         message += `📡 Network Status: ${speedInfo.status || 'Active'}`;
 
-        sendRateLimitedMessage(ctx, message);
+        sendRateLimitedMessage(ctx, message);
+    } catch (error) {
+        sendRateLimitedMessage(ctx, "❌ Unable to get current speed. Speed monitoring may not be active.");
+    }
+});
+
+// Job queue overview, admins also see every running and waiting job
+bot.command("queue", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const { maxConcurrent, running, queued } = jobQueue.snapshot();
+    const position = session.jobId ? jobQueue.getPosition(session.jobId) : -1;
+
+    let message = "📋 Job queue\n\n" +
+        `🏃 Running: ${running.length}/${maxConcurrent}\n` +
+        `⏳ Waiting: ${queued.length}\n\n`;
+    if (position === 0) {
+        message += "✅ Your job is running.";
+    } else if (position > 0) {
+        message += `⏳ You are #${position} in the queue.`;
+    } else {
+        message += "ℹ️ You have no job in the queue.";
+    }
+
+    if (isAdmin(userId)) {
+        const minutesSince = (time) => Math.max(1, Math.round((Date.now() - time) / 60000));
+        const lines = [
+            ...running.map((job) => `• ${job.userId}${job.priority > 0 ? " (admin)" : ""} - running for ${minutesSince(job.startedAt)}m`),
+            ...queued.map((job, index) => `• ${job.userId}${job.priority > 0 ? " (admin)" : ""} - #${index + 1}, waiting ${minutesSince(job.queuedAt)}m`),
+        ];
+        if (lines.length > 0) {
+            message += `\n\n👑 All jobs:\n${lines.join("\n")}`;
+        }
+    }
+
+    sendRateLimitedMessage(ctx, message);
+});
+
+// Run a job profile from the profiles directory without the conversation
+bot.command("run", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const name = ctx.message.text.split(/\s+/)[1];
+
+    if (!name) {
+        const profiles = listProfiles();
+        ctx.reply(
+            "Usage: /run <profile>\n\n" +
+                (profiles.length > 0 ? `📁 Profiles:\n${profiles.map((profile) => `• ${profile}`).join("\n")}` : "📁 No profiles found."),
+        );
+        return;
+    }
+
+    if (session.process || session.state === STATES.QUEUED) {
+        ctx.reply("⏳ You already have a job. Wait for it to finish or use /cancel first.");
+        return;
+    }
+
+    // Profiles run unattended, so they log in with the session saved by an earlier /start
+    if (!session.apiId || !session.apiHash || !session.sessionId) {
+        ctx.reply("🔑 Log in once with /start first, profiles reuse that login.");
+        return;
+    }
+
+    try {
+        resolveJobAccounts(session, profileToOptions(loadProfile(name)));
+    } catch (error) {
+        ctx.reply(`❌ ${error.message}`);
+        return;
+    }
+
+    session.chatId = ctx.chat.id;
+    session.launch = { profile: name };
+    session.state = STATES.PROCESSING;
+    session.isProcessing = true;
+    session.currentChannel = `Profile ${name}`;
+    session.filesDownloaded = 0;
+    session.filesUploaded = 0;
+    ctx.reply(`🚀 Running profile "${name}"...`);
+    scheduleCliProcess(userId, ctx, session.launch);
+    persistSession(userId);
+});
+
+// Sync a saved channel job or run a profile on a cron schedule
+bot.command("schedule", (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const args = ctx.message.text.split(/\s+/).slice(1);
+
+    if (args.length !== 6) {
+        const jobs = listSavedJobs(userId);
+        const profiles = listProfiles();
+        ctx.reply(
+            "Usage: /schedule <minute> <hour> <day> <month> <weekday> <channel ID | profile>\n" +
+                "Example: /schedule 0 3 * * * -1001234567890 fetches the new posts of that channel every night at 03:00 (server time).\n\n" +
+                (jobs.length > 0
+                    ? `💾 Saved jobs:\n${jobs.map((job) => `• ${job.channelId} ${job.name}`).join("\n")}`
+                    : "💾 No saved jobs yet, download a channel once first.") +
+                (profiles.length > 0 ? `\n\n📁 Profiles:\n${profiles.map((profile) => `• ${profile}`).join("\n")}` : ""),
+        );
+        return;
+    }
+
+    // Scheduled syncs run unattended, so they log in with the session saved by an earlier /start
+    if (!session.apiId || !session.apiHash || !session.sessionId) {
+        ctx.reply("🔑 Log in once with /start first, scheduled syncs reuse that login.");
+        return;
+    }
+
+    const target = args[5];
+    let job;
+    if (/^-?\d+$/.test(target)) {
+        const saved = listSavedJobs(userId).find((savedJob) => savedJob.channelId === target);
+        if (!saved) {
+            ctx.reply(`❌ No saved job for channel ${target}, download it once first. Send /schedule to list your saved jobs.`);
+            return;
+        }
+        job = { channelId: target, name: saved.name };
+    } else {
+        try {
+            profileToOptions(loadProfile(target));
+        } catch (error) {
+            ctx.reply(`❌ ${error.message}`);
+            return;
+        }
+        job = { profile: target, name: `Profile ${target}` };
+    }
+
+    let schedule;
+    try {
+        schedule = scheduler.add(userId, ctx.chat.id, args.slice(0, 5).join(" "), job);
+    } catch (error) {
+        ctx.reply(`❌ ${error.message}`);
+        return;
+    }
+    ctx.reply(
+        `⏰ Schedule #${schedule.id} added: ${job.name} at "${schedule.expression}".\n` +
+            `Next run: ${formatNextRun(schedule.expression)}. Each run continues from the last checkpoint.`,
+    );
+});
+
+bot.command("schedules", (ctx) => {
+    const schedules = scheduler.list(ctx.from.id);
+    if (schedules.length === 0) {
+        ctx.reply("ℹ️ You have no schedules. Add one with /schedule.");
+        return;
+    }
+
+    const lines = schedules.map((schedule) =>
+        `#${schedule.id} ${schedule.job.name}\n` +
+            `   ${schedule.expression}, next run: ${formatNextRun(schedule.expression)}` +
+            (schedule.lastRunAt ? `, last run: ${new Date(schedule.lastRunAt).toLocaleString()}` : ""),
+    );
+    ctx.reply(`⏰ Your schedules:\n\n${lines.join("\n\n")}\n\nRemove one with /unschedule <number>.`);
+});
+
+bot.command("unschedule", (ctx) => {
+    const scheduleId = parseInt(ctx.message.text.split(/\s+/)[1], 10);
+    if (!scheduleId) {
+        ctx.reply("Usage: /unschedule <number>, see /schedules for the numbers.");
+        return;
+    }
+
+    if (scheduler.remove(ctx.from.id, scheduleId)) {
+        ctx.reply(`🗑️ Schedule #${scheduleId} removed.`);
+    } else {
+        ctx.reply(`❌ You have no schedule #${scheduleId}, see /schedules.`);
+    }
+});
+
+// Full-text search over the channels downloaded in the user's workspace
+bot.command("search", (ctx) => {
+    const text = ctx.message.text.split(/\s+/).slice(1).join(" ");
+    if (!text) {
+        ctx.reply("Usage: /search <words>\nFinds messages whose text, caption or file name contains all the words.");
+        return;
+    }
+
+    let results;
+    try {
+        results = searchUserMessages(ctx.from.id, (database) => database.search(text, { limit: SEARCH_RESULT_LIMIT }));
+    } catch (error) {
+        ctx.reply(`❌ ${error.message}`);
+        return;
+    }
+    if (results.length === 0) {
+        ctx.reply(`🔍 No messages found for "${text}".`);
+        return;
+    }
+
+    const lines = results.map((result, index) => {
+        const date = result.date ? new Date(result.date * 1000).toISOString().slice(0, 10) : "";
+        return `${index + 1}. ${result.channelName} · ${date}\n${result.snippet}` + (result.link ? `\n${result.link}` : "");
+    });
+    // Files are offered as buttons, they are sent on request
+    const files = results.filter((result) => result.filePath && fs.existsSync(result.filePath));
+    const extra = files.length > 0
+        ? {
+            reply_markup: {
+                inline_keyboard: files.map((result) => [{
+                    text: `📎 ${truncateLabel(result.fileName)}`,
+                    callback_data: `sf:${result.channelId}:${result.messageId}`,
+                }]),
+            },
+        }
+        : {};
+    ctx.reply(`🔍 Results for "${text}":\n\n${lines.join("\n\n")}`, extra);
+});
+
+// Watch mode commands, forwarded to the downloader as control lines
+bot.command("watching", (ctx) => {
+    const session = getUserSession(ctx.from.id);
+    if (session.state !== STATES.WATCHING || !sendToProcess(ctx.from.id, "status")) {
+        ctx.reply("ℹ️ No channels are being watched.");
+    }
+});
+
+["pause", "resume"].forEach((command) => {
+    bot.command(command, (ctx) => {
+        const session = getUserSession(ctx.from.id);
+        const channelRef = ctx.message.text.split(/\s+/).slice(1).join(" ");
+
+        if (session.state !== STATES.WATCHING) {
+            ctx.reply("ℹ️ No channels are being watched.");
+        } else if (!channelRef) {
+            ctx.reply(`Usage: /${command} <number from /watching>`);
+        } else if (!sendToProcess(ctx.from.id, `${command} ${channelRef}`)) {
+            ctx.reply("❌ Error: Process not available. Please /start again.");
+        }
+    });
+});
+
+// Handle text messages
+bot.on("text", (ctx) => handleUserInput(ctx, ctx.message.text.trim()));
+
+// Buttons of prompt keyboards: p:<token>:<action>[:<index>]
+bot.action(/^p:(\d+):(\w+)(?::(\d+))?$/, async (ctx) => {
+    const userId = ctx.from.id;
+    const session = getUserSession(userId);
+    const keyboard = session.keyboard;
+    const [, token, action, arg] = ctx.match;
+    const index = arg === undefined ? null : parseInt(arg);
+
+    if (!keyboard || String(keyboard.token) !== token) {
+        await ctx.answerCbQuery("This question is no longer open.").catch(() => {});
+        ctx.editMessageReplyMarkup(undefined).catch(() => {});
+        return;
+    }
+    await ctx.answerCbQuery().catch(() => {});
+
+    switch (action) {
+        case "y":
+        case "n":
+            closePromptKeyboard(ctx, session, action === "y" ? "Yes" : "No");
+            handleUserInput(ctx, action);
+            break;
+
+        case "c": {
+            const choice = keyboard.choices[index];
+            if (!choice) break;
+            closePromptKeyboard(ctx, session, choice.name);
+            handleUserInput(ctx, choice.answer);
+            break;
+        }
+
+        case "t":
+            if (!keyboard.choices[index]) break;
+            keyboard.selected = keyboard.selected.includes(index)
+                ? keyboard.selected.filter((selected) => selected !== index)
+                : [...keyboard.selected, index];
+            ctx.editMessageReplyMarkup(buildPromptKeyboard(keyboard)).catch(() => {});
+            break;
+
+        case "d": {
+            const names = keyboard.selected.sort((a, b) => a - b).map((selected) => keyboard.choices[selected].name);
+            const keystrokes = checkboxKeystrokes(keyboard);
+            closePromptKeyboard(ctx, session, names.length > 0 ? names.join(", ") : "None");
+            if (!sendToProcess(userId, keystrokes)) {
+                ctx.reply("❌ Error: Process not available. Please /start again.");
+            }
+            break;
+        }
+
+        case "pg":
+            keyboard.page = index;
+            ctx.editMessageReplyMarkup(buildPromptKeyboard(keyboard)).catch(() => {});
+            break;
+
+        case "s":
+            keyboard.searching = true;
+            ctx.reply("🔍 Type part of the name to search for:");
+            break;
+
+        case "x":
+            keyboard.filtered = null;
+            keyboard.page = 0;
+            ctx.editMessageReplyMarkup(buildPromptKeyboard(keyboard)).catch(() => {});
+            break;
+
+        default:
+            break;
+    }
+});
+
+// Buttons standing in for a typed keyword (I CONSENT, ANOTHER, WATCH, LOGOUT)
+bot.action(/^say:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery().catch(() => {});
+    ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    handleUserInput(ctx, ctx.match[1]);
+});
+
+// File buttons of /search results
+bot.action(/^sf:(-?\d+):(\d+)$/, async (ctx) => {
+    let media;
+    try {
+        media = searchUserMessages(ctx.from.id, (database) => database.getMedia(ctx.match[1], Number(ctx.match[2])));
+    } catch (error) {
+        await ctx.answerCbQuery(error.message).catch(() => {});
+        return;
+    }
+
+    if (!media || !fs.existsSync(media.filePath)) {
+        await ctx.answerCbQuery("❌ The file is no longer on the server.").catch(() => {});
+        return;
+    }
+    if (fs.statSync(media.filePath).size > MAX_BOT_UPLOAD_SIZE) {
+        await ctx.answerCbQuery("❌ The file is larger than the 50 MB a bot can send.").catch(() => {});
+        return;
+    }
+
+    await ctx.answerCbQuery("📤 Sending...").catch(() => {});
+    try {
+        await ctx.replyWithDocument({ source: media.filePath, filename: media.fileName });
+    } catch (error) {
+        ctx.reply(`❌ Could not send ${media.fileName}: ${error.message}`);
+    }
+});
+
+} // End of setupBotHandlers function
+
+// Log the user's saved session out on Telegram's servers and delete it from the workspace,
+// calls back with whether Telegram confirmed it
+function revokeUserSession(userId, sessionId, callback) {
+    const session = getUserSession(userId);
+    const workspace = getUserWorkspace(userId);
+    writeCredentialsFile(
+        { apiId: parseInt(session.apiId), apiHash: session.apiHash, sessionId },
+        path.join(workspace, "config.json"),
+    );
+
+    execFile("node", [path.resolve(REPO_DIR, "cli.js"), "revoke-session"], {
+        cwd: workspace,
+        env: { ...process.env, [WORKSPACE_ENV]: workspace },
+        timeout: REVOKE_TIMEOUT_MS,
+    }, (error, stdout) => {
+        if (stdout.trim()) {
+            console.log(`[revoke ${userId}] ${stdout.trim()}`);
+        }
+        if (error) {
+            // The script may have failed before deleting the session, it must not stay on disk anyway
+            writeCredentialsFile(
+                { apiId: parseInt(session.apiId), apiHash: session.apiHash, sessionId: "" },
+                path.join(workspace, "config.json"),
+            );
+        }
+        callback(!error);
+    });
+}
+
+// Channels downloaded in the user's workspace, each has a journal a sync continues from
+function listSavedJobs(userId) {
+    const exportDir = path.join(getUserWorkspace(userId), "export");
+    let dialogs = [];
+    try {
+        dialogs = JSON.parse(fs.readFileSync(path.join(exportDir, "dialog_list.json"), "utf8"));
+    } catch (error) {
+        // Without the chat list the jobs are shown by channel ID only
+    }
+
+    return fs.readdirSync(exportDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && Journal.exists(path.join(exportDir, entry.name)))
+        .map((entry) => {
+            const dialog = dialogs.find((d) => String(d.id) === entry.name);
+            return { channelId: entry.name, name: dialog ? dialog.name : entry.name };
+        });
+}
+
+// Run a query on the message database of the user's workspace, throws a message for the user
+function searchUserMessages(userId, query) {
+    const databasePath = getDatabasePath(path.join(getUserWorkspace(userId), "export"));
+    if (!fs.existsSync(databasePath)) {
+        throw new Error("Nothing to search yet, download a channel first.");
+    }
+
+    let database;
+    try {
+        database = new MessageDatabase(databasePath);
+        return query(database);
+    } catch (error) {
+        const reason = error.code === "MODULE_NOT_FOUND" ? "better-sqlite3 is not installed on the server" : error.message;
+        throw new Error(`Search failed: ${reason}`);
+    } finally {
+        if (database) database.close();
+    }
+}
+
+// Next run of a cron expression in server time
+function formatNextRun(expression) {
+    const next = nextCronRun(expression);
+    return next ? next.toLocaleString() : "never";
+}
+
+// Start a scheduled sync, unless the user is busy or no longer logged in
+function runScheduledJob(schedule) {
+    const { userId, chatId, job } = schedule;
+    const session = getUserSession(userId);
+    const ctx = createChatContext(userId, chatId);
+
+    if (session.process || session.state !== STATES.IDLE) {
+        sendRateLimitedMessage(ctx, `⏰ Skipped scheduled sync #${schedule.id} of ${job.name}, another job is running.`);
+        return;
+    }
+    if (!session.apiId || !session.apiHash || !session.sessionId) {
+        sendRateLimitedMessage(ctx, `⏰ Skipped scheduled sync #${schedule.id} of ${job.name}, log in with /start first.`);
+        return;
+    }
+
+    session.chatId = chatId;
+    session.launch = {
+        channelId: job.channelId || null,
+        profile: job.profile || null,
+        sync: true,
+        scheduleId: schedule.id,
+    };
+    session.state = STATES.PROCESSING;
+    session.isProcessing = true;
+    session.currentChannel = job.name;
+    session.filesDownloaded = 0;
+    session.filesUploaded = 0;
+    console.log(`⏰ Running schedule ${schedule.id} for user ${userId}`);
+    sendRateLimitedMessage(ctx, `⏰ Scheduled sync #${schedule.id} of ${job.name} started...`);
+    scheduleCliProcess(userId, ctx, session.launch);
+    persistSession(userId);
+}
+
+// Split long text into chunks that fit into a single Telegram message
+function splitMessage(text, limit = 3500) {
+    const chunks = [];
+    let current = "";
+    for (const line of text.split("\n")) {
+        if (current.length + line.length + 1 > limit && current) {
+            chunks.push(current);
+            current = "";
+        }
+        current += (current ? "\n" : "") + line;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+// Collapse sorted message IDs into ranges, e.g. [1, 2, 3, 7] -> "1-3, 7"
+function formatIdRanges(ids) {
+    const ranges = [];
+    ids.forEach((id) => {
+        const last = ranges[ranges.length - 1];
+        if (last && id === last[1] + 1) {
+            last[1] = id;
+        } else {
+            ranges.push([id, id]);
+        }
+    });
+    return ranges
+        .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+        .join(", ");
+}
+
+// Render the watched channels with their numbers for /pause and /resume
+function formatWatchList(channels) {
+    return channels
+        .map((channel) => `${channel.index}. ${channel.paused ? "⏸️" : "👀"} ${channel.name}`)
+        .join("\n");
+}
+
+// Render a downloader prompt that needs a typed answer as a chat message,
+// choices and yes/no questions get a keyboard instead
+function formatPrompt(event) {
+    let text = `❓ ${event.message}`;
+
+    if (event.id === "otp") {
+        text += "\n\nSend the code in a format like 3&5&6&7&8 so Telegram does not invalidate it, " +
+            'or "RESEND" for a new code.';
+    }
+    if (event.id === "password") {
+        text = "🔒 This account has two-step verification. Send its cloud password" +
+            (event.hint ? ` (hint: ${event.hint})` : "") + ".";
+        if (event.attemptsLeft) {
+            text += `\n${event.attemptsLeft} ${event.attemptsLeft === 1 ? "attempt" : "attempts"} left.`;
+        }
+        text += "\n\nYour message is deleted from the chat as soon as it is read.";
+    }
+
+    return text;
+}
+
+// User-facing text of a structured login error from the downloader
+function formatAuthError(event) {
+    let text = `${event.kind === "banned" ? "⛔" : "🚨"} ${event.message}\n💡 ${event.guidance}`;
+    if (event.kind === "banned") {
+        text += "\n\nThe login was stopped, retrying will not help.";
+    } else if (event.fatal) {
+        text += `\n\nThe login was stopped. Use /start to try again${event.retryAfter ? " once the wait is over" : ""}.`;
+    }
+    return text;
+}
+
+// Show the QR code of a QR login, edited in place each time the downloader hands out a fresh token.
+// If the image cannot be rendered the tg://login link is sent instead, opening it also logs in.
+async function showLoginQrCode(session, url) {
+    const caption = "📷 Scan this QR code in Telegram on a device where you are logged in: " +
+        "Settings → Devices → Link Desktop Device.\nIt is refreshed until scanned.";
+    let image = null;
+    try {
+        // Required here, so the other login methods work without the package
+        const QRCode = require('qrcode');
+        image = await QRCode.toBuffer(url, { width: 512, margin: 2 });
+    } catch (error) {
+        console.log(`⚠️ QR code sent as a link: ${error.message}`);
+    }
+
+    const text = `🔗 Open this link on a device where you are logged in to approve the login:\n${url}\n\nIt is refreshed until used.`;
+    try {
+        if (session.qrMessage && session.qrMessage.photo === Boolean(image)) {
+            if (image) {
+                await bot.telegram.editMessageMedia(session.chatId, session.qrMessage.messageId, undefined, {
+                    type: "photo",
+                    media: { source: image },
+                    caption,
+                });
+            } else {
+                await bot.telegram.editMessageText(session.chatId, session.qrMessage.messageId, undefined, text);
+            }
+            return;
+        }
+
+        const message = image
+            ? await bot.telegram.sendPhoto(session.chatId, { source: image }, { caption })
+            : await bot.telegram.sendMessage(session.chatId, text);
+        session.qrMessage = { messageId: message.message_id, photo: Boolean(image) };
     } catch (error) {
-        sendRateLimitedMessage(ctx, "❌ Unable to get current speed. Speed monitoring may not be active.");
+        console.error(`❌ Failed to send the login QR code: ${error.message}`);
     }
-});
+}
 
+// Delete the QR code once the login is done, an old code must not be scanned by anyone else
+function removeLoginQrCode(session) {
+    if (!session.qrMessage) return;
+    bot.telegram.deleteMessage(session.chatId, session.qrMessage.messageId).catch(() => {});
+    session.qrMessage = null;
+}
 
+// Send the open prompt with its keyboard, or as text when it needs a typed answer
+function sendPrompt(ctx, session, event) {
+    session.keyboard = createPromptKeyboard(session, event);
 
-// Update config file with user credentials
-function updateConfigFile(apiId, apiHash) {
-    const configPath = path.join(REPO_DIR, "config.json");
-    const config = {
-        apiId: parseInt(apiId),
-        apiHash: apiHash,
-        sessionId: "",
-    };
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    if (session.keyboard) {
+        sendRateLimitedMessage(ctx, session.keyboard.text, 3, { reply_markup: buildPromptKeyboard(session.keyboard) });
+    } else {
+        splitMessage(formatPrompt(event)).forEach((chunk) => sendRateLimitedMessage(ctx, chunk));
+    }
 }
 
-// Spawn CLI process
-function spawnCliProcess(userId, ctx) {
+// React to a single event from the downloader's event stream
+function handleCliEvent(userId, ctx, event) {
     const session = getUserSession(userId);
 
-    // Update config file with user's API credentials
-    updateConfigFile(session.apiId, session.apiHash);
+    switch (event.type) {
+        case CLI_EVENTS.PROMPT: {
+            const autoAnswer = takeAutoAnswer(session, event);
+            if (autoAnswer !== null && sendToProcess(userId, autoAnswer)) {
+                console.log(`🤖 Answered prompt "${event.id}" for user ${userId} to resume the job`);
+                break;
+            }
 
-    // Start speed monitoring for network operations
-    startSpeedMonitoring(userId, ctx);
+            session.isProcessing = false;
+            session.pendingPrompt = event;
+            session.keyboard = null;
+            session.state = PROMPT_STATES[event.id] || STATES.AWAITING_OPTION;
 
-    // Change to repository directory and run the script
-    const process = spawn("node", ["index.js"], {
-        cwd: REPO_DIR,
-        stdio: ["pipe", "pipe", "pipe"],
-    });
+            if (event.id === "continue") {
+                handleProcessCompletion(userId, ctx);
+                break;
+            }
 
-    session.process = process;
+            updateProgress("configuring", event.message, 70, 100);
+            sendPrompt(ctx, session, event);
+            break;
+        }
 
-    // Handle stdout
-    process.stdout.on("data", (data) => {
-        let output = data.toString();
+        case CLI_EVENTS.PROMPT_INVALID:
+            sendRateLimitedMessage(ctx, `❌ ${event.message}`);
+            break;
 
-        // Clean ANSI escape codes and control characters
-        output = output
-            .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, "") // Remove ANSI escape sequences
-            .replace(/\x1b\[[0-9]*[ABCD]/g, "") // Remove cursor movement
-            .replace(/\x1b\[[0-9]*[JK]/g, "") // Remove clear sequences
-            .replace(/\x1b\[[0-9]*[G]/g, "") // Remove cursor positioning
-            .replace(/\r/g, "") // Remove carriage returns
-            .replace(/\n+/g, "\n") // Normalize newlines
-            .trim();
+        case CLI_EVENTS.DIALOG_LIST: {
+            session.lastDialogList = event.dialogs;
+            if (event.dialogs.length === 0) {
+                sendRateLimitedMessage(ctx, `🔍 No chats found matching "${event.search}"`);
+                break;
+            }
+            // The full list is offered as buttons with the next prompt
+            if (!event.search) break;
+            const list = event.dialogs.map((d) => `${d.index} - ${d.name}`).join("\n");
+            const header = event.search ? `🔍 Chats matching "${event.search}":` : "📋 Your chats:";
+            splitMessage(`${header}\n\n${list}`).forEach((chunk) => sendRateLimitedMessage(ctx, chunk));
+            break;
+        }
 
-        if (output) {
-            const userId = ctx.from.id;
-
-            // Filter out progress spam and verbose logs
-            if (output.includes("%") && output.includes("Mbps")) {
-                // Skip individual progress messages - timer handles this
-            } else if (
-                output.includes("[INFO]") ||
-                output.includes("Processing message") ||
-                output.includes("Starting direct file download") ||
-                output.includes("Connection to") ||
-                output.includes("File lives in another DC")
-            ) {
-                // Skip verbose debug messages
-            } else if (output.includes("FILE_REFERENCE_EXPIRED")) {
-                // Handle file reference expired errors silently - script auto-retries
-                console.log(
-                    `📋 File reference expired for a message, script will retry automatically`,
-                );
+        case CLI_EVENTS.QR_LOGIN:
+            showLoginQrCode(session, event.url);
+            break;
 
-                // Track error count for summary
-                const userId = ctx.from.id;
-                if (!errorCounts.has(userId)) {
-                    errorCounts.set(userId, {
-                        total: 0,
-                        fileExpired: 0,
-                        timeout: 0,
-                    });
-                }
-                const errors = errorCounts.get(userId);
-                errors.total++;
-                errors.fileExpired++;
-                // Don't send these to user - they're handled automatically
-            } else if (output.includes("Timeout") && output.includes("503")) {
-                // Handle timeout errors silently - script auto-retries
-                console.log(
-                    `⏱️ Network timeout occurred, script will retry automatically`,
+        case CLI_EVENTS.AUTH_ERROR:
+            removeLoginQrCode(session);
+            // A session Telegram ended must not be offered for the next login
+            if (event.kind === "session") {
+                session.sessionId = null;
+                saveActiveAccount(session);
+                persistSession(userId);
+            }
+            sendRateLimitedMessage(ctx, formatAuthError(event));
+            break;
+
+        case CLI_EVENTS.AUTHORIZED:
+            removeLoginQrCode(session);
+            sendRateLimitedMessage(ctx, "✅ Login successful!");
+            updateProgress("authenticated", "Selecting channel/chat", 60, 100);
+            break;
+
+        case CLI_EVENTS.SESSION_SAVED:
+            session.sessionId = event.sessionId;
+            saveActiveAccount(session);
+            // The session string gives full access to the account, it is never posted to the chat
+            sendRateLimitedMessage(
+                ctx,
+                `🔑 Login saved for account "${session.activeAccount || DEFAULT_ACCOUNT}", next time it is used without an OTP.\n\n` +
+                    "🔒 Use /revoke to end this session on Telegram's servers and delete it here.",
+            );
+            break;
+
+        case CLI_EVENTS.CHANNEL_STARTED:
+            session.state = STATES.PROCESSING;
+            session.isProcessing = true;
+            session.currentChannel = event.name || event.channelId;
+            session.pendingPrompt = null;
+            session.autoAnswers = null;
+            session.job = {
+                channelId: event.channelId,
+                channelName: session.currentChannel,
+                launch: session.launch,
+                startedAt: new Date().toISOString(),
+            };
+
+            // Initialize session tracking for this channel
+            sessionStats.delete(userId);
+            fileSizes.delete(userId);
+
+            sendRateLimitedMessage(
+                ctx,
+                `🚀 Processing ${session.currentChannel}...` +
+                    (event.filters && event.filters !== "none" ? `\n🔎 Filters: ${event.filters}` : ""),
+            );
+            updateProgress("processing", `Processing ${session.currentChannel}`, 80, 100);
+            startProgressTimer(ctx, userId);
+            break;
+
+        case CLI_EVENTS.FILE_STARTED:
+            session.state = STATES.PROCESSING;
+            session.isProcessing = true;
+            updateProgress("downloading", `Downloading: ${event.fileName}`, 85, 100);
+            break;
+
+        case CLI_EVENTS.FILE_PROGRESS:
+            if (event.total > 0) {
+                updateProgress(
+                    event.direction === "upload" ? "uploading" : "downloading",
+                    `${event.direction === "upload" ? "Uploading" : "Downloading"}: ${event.fileName || event.messageId}`,
+                    Math.round((event.transferred / event.total) * 100),
+                    100,
                 );
+            }
+            break;
+
+        case CLI_EVENTS.MESSAGES_UNAVAILABLE: {
+            const lines = [`⚠️ Some of the ${event.requested} requested messages cannot be downloaded:`];
+            if (event.missingIds.length > 0) {
+                lines.push(`\n❌ Not found (${event.missingIds.length}): ${formatIdRanges(event.missingIds)}`);
+            }
+            if (event.noMediaIds.length > 0) {
+                lines.push(`\n📝 No media (${event.noMediaIds.length}): ${formatIdRanges(event.noMediaIds)}`);
+            }
+            splitMessage(lines.join("\n")).forEach((chunk) => sendRateLimitedMessage(ctx, chunk));
+            break;
+        }
+
+        case CLI_EVENTS.MESSAGES_QUEUED:
+        case CLI_EVENTS.FILE_COMPLETED:
+        case CLI_EVENTS.FILE_FAILED:
+        case CLI_EVENTS.UPLOAD_COMPLETED:
+            trackFileEvent(userId, event);
+            break;
+
+        case CLI_EVENTS.BATCH_STARTED:
+            break;
+
+        case CLI_EVENTS.BATCH_COMPLETED:
+            trackFileEvent(userId, event);
+            // Send batch completion report with file verification, watch mode reports each post instead
+            if (session.state !== STATES.WATCHING) {
+                setTimeout(() => sendBatchCompletionReport(userId, ctx, event.index), 1000);
+            }
+            break;
 
-                // Track timeout count
-                const userId = ctx.from.id;
+        case CLI_EVENTS.WATCH_STARTED:
+            session.state = STATES.WATCHING;
+            session.isProcessing = false;
+            stopProgressTimer(userId);
+            sendRateLimitedMessage(
+                ctx,
+                `👀 Watching ${event.channels.length} channel(s) for new and edited posts:\n\n` +
+                    `${formatWatchList(event.channels)}\n\n` +
+                    "Use /watching to list them, /pause <n> or /resume <n> for a single channel, " +
+                    'and type "STOP" to stop watching.',
+            );
+            updateProgress("watching", `Watching ${event.channels.length} channel(s)`, 100, 100);
+            break;
+
+        case CLI_EVENTS.WATCH_STATUS:
+            sendRateLimitedMessage(
+                ctx,
+                (event.notice ? `❌ ${event.notice}\n\n` : "") +
+                    `👀 Watched channels:\n\n${formatWatchList(event.channels)}`,
+            );
+            break;
+
+        case CLI_EVENTS.WATCH_MIRRORED:
+            sendRateLimitedMessage(
+                ctx,
+                event.edited
+                    ? `✏️ ${event.name}: mirrored edit of message ${event.messageIds.join(", ")}`
+                    : `📨 ${event.name}: mirrored new post ${event.messageIds.join(", ")}`,
+            );
+            break;
+
+        case CLI_EVENTS.WATCH_STOPPED:
+            sendRateLimitedMessage(ctx, "🛑 Stopped watching channels.");
+            break;
+
+        case CLI_EVENTS.ERROR: {
+            trackFileEvent(userId, event);
+
+            if (event.retrying) {
+                // Track auto-retried errors for the progress summary, don't spam the user
                 if (!errorCounts.has(userId)) {
-                    errorCounts.set(userId, {
-                        total: 0,
-                        fileExpired: 0,
-                        timeout: 0,
-                    });
+                    errorCounts.set(userId, { total: 0, fileExpired: 0, timeout: 0 });
                 }
                 const errors = errorCounts.get(userId);
                 errors.total++;
-                errors.timeout++;
-                // Don't spam user with timeout messages
-            } else if (
-                output.includes("Download attempt") &&
-                output.includes("failed")
-            ) {
-                // Handle individual download attempt failures silently
-                console.log(
-                    `🔄 Download attempt failed, script will retry automatically`,
-                );
-                // Only log, don't send to user to avoid spam
-            } else if (
-                output.includes("❌") &&
-                (output.includes("Max retries reached") ||
-                    output.includes("permanently failed"))
-            ) {
-                // Only send final failures after all retries exhausted
-                sendRateLimitedMessage(ctx, `🚨 ${output}`);
-            } else if (
-                output.includes("❌") ||
-                output.includes("Error") ||
-                output.includes("Failed") ||
-                output.includes("Exception")
-            ) {
-                // Filter out common auto-retry errors, only send critical ones
-                const criticalErrors = [
-                    "CHAT_FORWARDS_RESTRICTED",
-                    "AUTH_KEY_INVALID",
-                    "USER_DEACTIVATED_BAN",
-                    "PHONE_NUMBER_INVALID",
-                    "SESSION_EXPIRED",
-                ];
-
-                const isCritical = criticalErrors.some((errorType) =>
-                    output.includes(errorType),
-                );
-                if (isCritical) {
-                    sendRateLimitedMessage(ctx, `🚨 ${output}`);
-                } else {
-                    // Log but don't spam user with auto-retry errors
-                    console.log(
-                        `⚠️ Non-critical error (auto-handled): ${output}`,
-                    );
-                }
-            } else if (
-                output.includes("✅") ||
-                output.includes("Downloaded") ||
-                output.includes("complete")
-            ) {
-                // Track progress and file operations
-                trackFileProgress(userId, output);
-
-                // Check for batch completion and send detailed report
-                if (output.includes("Ultra-speed batch") && output.includes("complete")) {
-                    const batchMatch = output.match(/Ultra-speed batch\s+(\d+)\/(\d+)\s+complete/);
-                    if (batchMatch) {
-                        const batchNumber = parseInt(batchMatch[1]);
-                        const totalBatches = parseInt(batchMatch[2]);
-                        
-                        // Send batch completion report with file verification
-                        setTimeout(() => sendBatchCompletionReport(userId, ctx, batchNumber), 1000);
-                    }
+                if (event.code === "FILE_REFERENCE_EXPIRED") {
+                    errors.fileExpired++;
+                } else if (/timeout/i.test(event.message || "")) {
+                    errors.timeout++;
                 }
+                console.log(`⚠️ Auto-retried ${event.scope} error for user ${userId}: ${event.code}`);
+            } else if (CRITICAL_ERRORS.includes(event.code) || event.scope === "session" || event.scope === "auth") {
+                sendRateLimitedMessage(ctx, `🚨 ${event.message}`);
+            } else {
+                console.log(`⚠️ Non-critical error (auto-handled): ${event.message}`);
+            }
+            break;
+        }
 
-                // Check for final process completion
-                if (output.includes("Ultra-speed processing complete") || 
-                    output.includes("All messages processed") || 
-                    output.includes("No more messages")) {
-                    setTimeout(() => {
-                        sendFinalCompletionReport(userId, ctx);
-                        handleProcessCompletion(userId, ctx);
-                    }, 2000);
-                }
+        case CLI_EVENTS.CHANNEL_COMPLETED: {
+            session.job = null;
+            const scheduleId = session.launch && session.launch.scheduleId;
+            const title = scheduleId ? `⏰ **Scheduled Sync #${scheduleId} Completed!**` : undefined;
+            setTimeout(() => sendFinalCompletionReport(userId, ctx, title), 2000);
+            break;
+        }
 
-                // Send success messages with rate limiting
-                sendRateLimitedMessage(ctx, `✅ ${output}`);
-            } else {
-                // Send other important messages with rate limiting
-                sendRateLimitedMessage(ctx, `📝 ${output}`);
+        case CLI_EVENTS.DONE: {
+            session.state = STATES.IDLE;
+            session.isProcessing = false;
+            session.pendingPrompt = null;
+
+            // Send completion summary with error stats
+            const errors = errorCounts.get(userId) || {
+                total: 0,
+                fileExpired: 0,
+                timeout: 0,
+            };
+            let completionMessage =
+                "🎉 Process completed! Use /start to begin a new session.";
+
+            if (errors.total > 0) {
+                completionMessage += `\n📊 Final Summary: ${errors.total} errors were auto-handled (${errors.fileExpired} file references, ${errors.timeout} timeouts)`;
             }
 
-            // Parse output to determine next state
-            if (output.includes("Enter your phone number")) {
-                session.state = STATES.AWAITING_PHONE;
-                session.isProcessing = false; // Stop processing until phone number is provided
-                updateProgress(
-                    "authenticating",
-                    "Waiting for phone number",
-                    20,
-                    100,
-                );
-            } else if (
-                output.includes("Enter OTP") ||
-                output.includes("Enter the code")
-            ) {
-                session.state = STATES.AWAITING_OTP;
-                session.isProcessing = false;
-                updateProgress(
-                    "authenticating",
-                    "Waiting for OTP verification",
-                    40,
-                    100,
-                );
-            } else if (
-                output.includes("Login successful") ||
-                output.includes("logged in")
-            ) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "✅ Login successful! Now enter the channel/chat ID:",
-                );
-                session.state = STATES.AWAITING_CHANNEL;
-                session.isProcessing = false;
-                updateProgress(
-                    "authenticated",
-                    "Selecting channel/chat",
-                    60,
-                    100,
-                );
-            } else if (
-                output.includes("Choose:") ||
-                output.includes("Select option")
-            ) {
-                session.state = STATES.AWAITING_OPTION;
-                session.isProcessing = false;
-                updateProgress(
-                    "configuring",
-                    "Selecting operation mode",
-                    70,
-                    100,
-                );
-            } else if (
-                output.includes("destination") &&
-                output.includes("channel")
-            ) {
-                session.state = STATES.AWAITING_DESTINATION;
-                session.isProcessing = false;
-                updateProgress(
-                    "configuring",
-                    "Setting destination channel",
-                    80,
-                    100,
-                );
-            } else if (output.includes("Search channel by name")) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "💡 The script is asking about channel search. Please respond with your choice.",
-                );
-            } else if (
-                output.includes("Please enter name of channel to search")
-            ) {
-                sendRateLimitedMessage(
-                    ctx,
-                    "🔍 Enter the channel name you want to search for:",
-                );
-                session.state = STATES.AWAITING_CHANNEL;
-                session.isProcessing = false;
-                updateProgress("searching", "Searching for channel", 65, 100);
-            } else if (
-                output.includes("Downloading") ||
-                output.includes("Uploading") ||
-                output.includes("Progress")
-            ) {
-                session.state = STATES.PROCESSING;
-                session.isProcessing = true;
-                session.currentChannel = session.channel; // Store current channel for status
+            sendRateLimitedMessage(ctx, completionMessage);
+            updateProgress(
+                "completed",
+                "All tasks completed successfully",
+                100,
+                100,
+            );
 
-                // Extract progress from output if available
-                const progressMatch = output.match(/(\d+)%/);
-                const progressValue = progressMatch
-                    ? parseInt(progressMatch[1])
-                    : 85;
+            // Clear error counts and stop progress timer
+            errorCounts.delete(userId);
+            stopProgressTimer(userId);
+            stopSpeedMonitoring(userId);
 
-                if (output.includes("Downloading")) {
-                    updateProgress(
-                        "downloading",
-                        `Downloading: ${output.substring(0, 50)}...`,
-                        progressValue,
-                        100,
-                    );
-                } else if (output.includes("Uploading")) {
-                    updateProgress(
-                        "uploading",
-                        `Uploading: ${output.substring(0, 50)}...`,
-                        progressValue,
-                        100,
-                    );
-                } else {
+            // Reset duplicate message history after successful completion
+            clearUserDuplicates(userId);
+
+            // Reset to idle after 30 seconds
+            setTimeout(() => {
+                if (userSessions.size === 0) {
                     updateProgress(
-                        "processing",
-                        "Processing media files",
-                        progressValue,
+                        "idle",
+                        "Waiting for user commands",
+                        0,
                         100,
                     );
                 }
+            }, 30000);
+            break;
+        }
 
-                // Start progress timer when processing begins
-                startProgressTimer(ctx, userId);
-
-                // Initialize session tracking
-                if (!sessionStats.has(userId)) {
-                    sessionStats.set(userId, {
-                        downloaded: 0,
-                        uploaded: 0,
-                        remaining: 0,
-                        total: 0,
-                        completedBatches: 0,
-                        currentBatch: 1,
-                        errors: []
-                    });
-                }
-            } else if (
-                output.includes("Done") ||
-                output.includes("Completed") ||
-                output.includes("Finished")
-            ) {
-                session.state = STATES.IDLE;
-                session.isProcessing = false;
+        default:
+            console.log(`Unknown CLI event for user ${userId}: ${event.type}`);
+            break;
+    }
 
-                // Send completion summary with error stats
-                const errors = errorCounts.get(userId) || {
-                    total: 0,
-                    fileExpired: 0,
-                    timeout: 0,
-                };
-                let completionMessage =
-                    "🎉 Process completed! Use /start to begin a new session.";
-
-                if (errors.total > 0) {
-                    completionMessage += `\n📊 Final Summary: ${errors.total} errors were auto-handled (${errors.fileExpired} file references, ${errors.timeout} timeouts)`;
-                }
+    if (!isTransientCliEvent(event.type)) {
+        persistSession(userId);
+    }
+}
 
-                sendRateLimitedMessage(ctx, completionMessage);
-                updateProgress(
-                    "completed",
-                    "All tasks completed successfully",
-                    100,
-                    100,
-                );
+// Per-file and display-only events, their counters are saved with the next batch or state change
+function isTransientCliEvent(type) {
+    return [
+        CLI_EVENTS.FILE_STARTED,
+        CLI_EVENTS.FILE_PROGRESS,
+        CLI_EVENTS.FILE_COMPLETED,
+        CLI_EVENTS.FILE_FAILED,
+        CLI_EVENTS.UPLOAD_COMPLETED,
+        CLI_EVENTS.MESSAGES_QUEUED,
+        CLI_EVENTS.BATCH_STARTED,
+        CLI_EVENTS.PROMPT_INVALID,
+        CLI_EVENTS.DIALOG_LIST,
+        CLI_EVENTS.QR_LOGIN,
+        CLI_EVENTS.WATCH_STATUS,
+        CLI_EVENTS.WATCH_MIRRORED,
+    ].includes(type);
+}
 
-                // Clear error counts and stop progress timer
-                errorCounts.delete(userId);
-                stopProgressTimer(userId);
-                stopSpeedMonitoring(userId);
-
-                // Reset duplicate message history after successful completion
-                clearUserDuplicates(userId);
-
-                // Reset to idle after 30 seconds
-                setTimeout(() => {
-                    if (userSessions.size === 0) {
-                        updateProgress(
-                            "idle",
-                            "Waiting for user commands",
-                            0,
-                            100,
-                        );
-                    }
-                }, 30000);
-            }
+function isAdmin(userId) {
+    return ADMIN_USER_IDS.includes(String(userId));
+}
+
+// Start the downloader through the job queue, telling the user when they have to wait.
+// launch.channelId goes straight to a channel to resume it, launch.profile runs a job profile
+// and launch.sync continues the channel's saved job from its last checkpoint.
+function scheduleCliProcess(userId, ctx, launch = {}) {
+    const session = getUserSession(userId);
+    let queued = false;
+
+    const job = jobQueue.enqueue(userId, (jobId) => {
+        session.jobId = jobId;
+        if (queued) {
+            session.state = STATES.PROCESSING;
+            session.isProcessing = true;
+            sendRateLimitedMessage(ctx, "🚀 A download slot is free, starting your job...");
+        }
+        spawnCliProcess(userId, ctx, launch, jobId);
+        persistSession(userId);
+    }, { priority: isAdmin(userId) ? 1 : 0 });
+
+    session.jobId = job.id;
+    if (job.position > 0) {
+        queued = true;
+        session.state = STATES.QUEUED;
+        session.isProcessing = false;
+        sendRateLimitedMessage(
+            ctx,
+            `⏳ All download slots are busy. You are #${job.position} in the queue.
+` +
+                "Your job starts automatically, use /queue to check or /cancel to leave the queue.",
+        );
+    }
+}
+
+// Spawn CLI process, optionally going straight to a channel to resume it or running a profile
+function spawnCliProcess(userId, ctx, { channelId = null, profile = null, sync = false } = {}, jobId = null) {
+    const session = getUserSession(userId);
+
+    // Update config file with the API credentials of the job's accounts
+    let accounts;
+    try {
+        accounts = resolveJobAccounts(session, profile ? profileToOptions(loadProfile(profile)) : null);
+    } catch (error) {
+        jobQueue.finish(jobId);
+        session.state = STATES.IDLE;
+        session.isProcessing = false;
+        session.job = null;
+        session.launch = null;
+        persistSession(userId);
+        ctx.reply(`❌ ${error.message}`);
+        return;
+    }
+    updateConfigFile(userId, accounts.source, accounts.upload);
+
+    // Start speed monitoring for network operations
+    startSpeedMonitoring(userId, ctx);
+
+    // Run the script inside the user's workspace so config and exports stay separate.
+    // fd 3 carries the newline-delimited JSON event stream.
+    const script = path.resolve(REPO_DIR, "index.js");
+    const args = [script];
+    if (channelId) args.push(`--channel=${channelId}`);
+    if (profile) args.push(`--profile=${profile}`);
+    if (sync) args.push("--sync");
+    const workspace = getUserWorkspace(userId);
+    const cliProcess = spawn("node", args, {
+        cwd: workspace,
+        stdio: ["pipe", "pipe", "pipe", "pipe"],
+        env: {
+            ...process.env,
+            [EVENT_FD_ENV]: String(CLI_EVENT_FD),
+            [WORKSPACE_ENV]: workspace,
+        },
+    });
+
+    session.process = cliProcess;
+
+    // Handle structured events
+    const events = readline.createInterface({ input: cliProcess.stdio[CLI_EVENT_FD] });
+    events.on("line", (line) => {
+        if (!line.trim()) return;
+
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            console.error(`❌ Malformed CLI event for user ${userId}: ${line}`);
+            return;
+        }
+
+        try {
+            handleCliEvent(userId, ctx, event);
+        } catch (error) {
+            console.error(`❌ Failed to handle CLI event ${event.type}:`, error.message);
+        }
+    });
+
+    // Human-readable output is only logged, the event stream drives the conversation
+    cliProcess.stdout.on("data", (data) => {
+        const output = data.toString().trim();
+        if (output) {
+            console.log(`[cli ${userId}] ${output}`);
         }
     });
 
     // Handle stderr
-    process.stderr.on("data", (data) => {
+    cliProcess.stderr.on("data", (data) => {
         const error = data.toString().trim();
         if (error) {
             ctx.reply(`❌ Error: ${error}`);
@@ -1291,10 +2270,23 @@ function spawnCliProcess(userId, ctx) {
     });
 
     // Handle process exit
-    process.on("close", (code) => {
+    cliProcess.on("close", (code) => {
+        jobQueue.finish(jobId);
+        removeLoginQrCode(session);
+
+        // A newer process may already have replaced this one, and on shutdown the job is resumed later
+        if ((session.process !== cliProcess && session.process !== null) || shuttingDown) {
+            return;
+        }
+
         session.state = STATES.IDLE;
         session.process = null;
         session.isProcessing = false;
+        session.pendingPrompt = null;
+        session.keyboard = null;
+        session.job = null;
+        session.launch = null;
+        persistSession(userId);
 
         // Stop speed monitoring when process ends
         stopSpeedMonitoring(userId);
@@ -1312,10 +2304,16 @@ function spawnCliProcess(userId, ctx) {
     });
 
     // Handle process error
-    process.on("error", (error) => {
+    cliProcess.on("error", (error) => {
+        jobQueue.finish(jobId);
         session.state = STATES.IDLE;
         session.process = null;
         session.isProcessing = false;
+        session.pendingPrompt = null;
+        session.keyboard = null;
+        session.job = null;
+        session.launch = null;
+        persistSession(userId);
 
         // Stop speed monitoring on error
         stopSpeedMonitoring(userId);
@@ -1335,18 +2333,38 @@ function sendToProcess(userId, input) {
     return false;
 }
 
-// Handle text messages
-bot.on("text", (ctx) => {
+// Remove a typed secret from the chat history, asking the user to do it when the bot cannot
+function deleteSecretMessage(ctx, label) {
+    if (!ctx.message) return;
+    ctx.deleteMessage(ctx.message.message_id).catch((error) => {
+        console.error(`❌ Failed to delete the ${label} message of user ${ctx.from.id}: ${error.message}`);
+        ctx.reply(`⚠️ Your ${label} message could not be deleted, please delete it yourself.`);
+    });
+}
+
+// Answer the current step with typed text or the text behind a pressed button
+function handleUserInput(ctx, message) {
     const userId = ctx.from.id;
     const session = getUserSession(userId);
-    const message = ctx.message.text.trim();
+    session.chatId = ctx.chat.id;
 
-    // Set bot context for session sharing
-    setBotContext(ctx);
+    // Text typed after pressing 🔍 Search narrows the open keyboard down
+    if (session.keyboard && session.keyboard.searching) {
+        searchPromptKeyboard(ctx, session.keyboard, message);
+        return;
+    }
 
     switch (session.state) {
         case STATES.AWAITING_CONSENT:
-            if (message.toUpperCase() === "I CONSENT") {
+            if (message.toUpperCase() === "I CONSENT" && session.apiId && session.apiHash && session.sessionId) {
+                // The active account is logged in already, its saved session answers the login prompts
+                ctx.reply(`✅ Consent received.\n\n🚀 Logging in as "${session.activeAccount || DEFAULT_ACCOUNT}"...`);
+                session.autoAnswers = { loginMethod: "session", sessionId: session.sessionId };
+                session.state = STATES.PROCESSING;
+                session.isProcessing = true;
+                session.currentChannel = 'Initialization';
+                scheduleCliProcess(userId, ctx);
+            } else if (message.toUpperCase() === "I CONSENT") {
                 ctx.reply(
                     "✅ Consent received.\n\n" +
                     "🔑 Please enter your Telegram API ID:",
@@ -1375,16 +2393,18 @@ bot.on("text", (ctx) => {
             break;
 
         case STATES.AWAITING_API_HASH:
+            deleteSecretMessage(ctx, SECRET_PROMPTS.apiHash);
             if (message.length > 10) {
                 session.apiHash = message;
+                saveActiveAccount(session);
                 ctx.reply(
-                    "✅ API Hash saved.\n\n" +
+                    "✅ API Hash saved and removed from the chat.\n\n" +
                     "🚀 Starting the script with your credentials...",
                 );
                 session.state = STATES.PROCESSING;
                 session.isProcessing = true; // Set processing state
                 session.currentChannel = 'Initialization'; // Set initial channel
-                spawnCliProcess(userId, ctx);
+                scheduleCliProcess(userId, ctx);
             } else {
                 ctx.reply(
                     "❌ API Hash seems too short. Please enter your complete API Hash:",
@@ -1410,7 +2430,15 @@ bot.on("text", (ctx) => {
             // Convert OTP format from "3&5&6&7&8" to "34567"
             let cleanOtp = message.replace(/&/g, "").replace(/[^0-9]/g, "");
 
-            if (cleanOtp.length >= 4) {
+            if (message.toUpperCase() === "RESEND") {
+                if (sendToProcess(userId, "resend")) {
+                    ctx.reply("🔁 Asking Telegram for a new code...");
+                } else {
+                    ctx.reply(
+                        "❌ Error: Process not available. Please /start again.",
+                    );
+                }
+            } else if (cleanOtp.length >= 4) {
                 if (sendToProcess(userId, cleanOtp)) {
                     ctx.reply(`🔐 OTP processed and sent\n` +
                                `Verifying...`);
@@ -1426,6 +2454,19 @@ bot.on("text", (ctx) => {
             }
             break;
 
+        case STATES.AWAITING_PASSWORD:
+            // The password must not stay in the chat history
+            deleteSecretMessage(ctx, "password");
+            if (sendToProcess(userId, message)) {
+                session.state = STATES.PROCESSING;
+                ctx.reply("🔐 Password received and removed from the chat. Verifying...");
+            } else {
+                ctx.reply(
+                    "❌ Error: Process not available. Please /start again.",
+                );
+            }
+            break;
+
         case STATES.AWAITING_CHANNEL:
             session.channel = message;
             if (sendToProcess(userId, message)) {
@@ -1440,16 +2481,28 @@ bot.on("text", (ctx) => {
             }
             break;
 
-        case STATES.AWAITING_OPTION:
-            session.option = message;
+        case STATES.AWAITING_OPTION: {
+            const promptId = session.pendingPrompt && session.pendingPrompt.id;
+            const secretLabel = SECRET_PROMPTS[promptId];
+            if (secretLabel) {
+                deleteSecretMessage(ctx, secretLabel);
+            } else {
+                session.option = message;
+            }
+            // Kept to log back in unattended after a restart
+            if (promptId === "sessionId") {
+                session.sessionId = message;
+                saveActiveAccount(session);
+            }
             if (sendToProcess(userId, message)) {
-                ctx.reply(`⚙️ Option selected: ${message}`);
+                ctx.reply(secretLabel ? `🔑 Your ${secretLabel} was received and removed from the chat.` : `⚙️ Option selected: ${message}`);
             } else {
                 ctx.reply(
                     "❌ Error: Process not available. Please /start again.",
                 );
             }
             break;
+        }
 
         case STATES.AWAITING_DESTINATION:
             session.destination = message;
@@ -1501,16 +2554,26 @@ bot.on("text", (ctx) => {
                     "Please wait while we prepare the channel selection..."
                 );
 
-                // Restart the process with existing credentials
-                spawnCliProcess(userId, ctx);
+                // Answer the downloader's "another channel?" prompt, or restart it if it already exited
+                if (!sendToProcess(userId, "y")) {
+                    scheduleCliProcess(userId, ctx);
+                }
+            } else if (message.toUpperCase() === "WATCH") {
+                // Declining another channel starts watch mode when channels were added to the watch list
+                if (sendToProcess(userId, "n")) {
+                    session.state = STATES.PROCESSING;
+                    ctx.reply("👀 Starting watch mode...");
+                } else {
+                    ctx.reply("❌ Error: Process not available. Please /start again.");
+                }
             } else if (message.toUpperCase() === "LOGOUT") {
-                // Full logout and session cleanup
+                // Full logout and session cleanup, the user's other accounts stay
+                sendToProcess(userId, "n");
                 killUserProcess(userId);
+                const reply = logoutActiveAccount(session);
                 session.state = STATES.IDLE;
-                session.apiId = null;
-                session.apiHash = null;
-                session.phone = null;
                 session.isProcessing = false;
+                clearUserCredentials(userId);
 
                 // Clear all user data
                 sessionStats.delete(userId);
@@ -1520,17 +2583,32 @@ bot.on("text", (ctx) => {
                 errorCounts.delete(userId);
                 speedMonitorIntervals.delete(userId);
 
+                persistSession(userId);
+                ctx.reply(reply);
+            } else {
                 ctx.reply(
-                    "👋 **Logged out successfully!**\n\n" +
-                    "Your session has been cleared. Use /start to begin a new session."
+                    '❌ Please type "ANOTHER" to process another channel, "WATCH" to follow new posts or "LOGOUT" to end the session.'
                 );
+            }
+            break;
+
+        case STATES.WATCHING:
+            if (message.toUpperCase() === "STOP") {
+                sendToProcess(userId, "stop");
             } else {
                 ctx.reply(
-                    '❌ Please type "ANOTHER" to process another channel or "LOGOUT" to end the session.'
+                    '👀 Watching channels. Use /watching, /pause <n>, /resume <n>, or type "STOP" to stop.',
                 );
             }
             break;
 
+        case STATES.QUEUED:
+            ctx.reply(
+                `⏳ You are #${jobQueue.getPosition(session.jobId)} in the queue. ` +
+                    "Use /queue to check or /cancel to leave the queue.",
+            );
+            break;
+
         case STATES.IDLE:
             ctx.reply(
                 "🤖 Use /start to begin the media download/upload process.",
@@ -1543,13 +2621,37 @@ bot.on("text", (ctx) => {
             );
             break;
     }
-});
 
-} // End of setupBotHandlers function
+    persistSession(userId);
+}
+
+// Show the choices of the open keyboard whose name contains the search text
+function searchPromptKeyboard(ctx, keyboard, query) {
+    const matches = filterPromptKeyboard(keyboard, query);
+    if (matches === 0) {
+        ctx.reply(`🔍 Nothing matches "${query}", press 🔍 Search to try again.`);
+        return;
+    }
+
+    sendRateLimitedMessage(ctx, `🔍 ${matches} match(es) for "${query}":`, 3, {
+        reply_markup: buildPromptKeyboard(keyboard),
+    });
+}
+
+// Close the keyboard that was pressed, leaving the chosen answer in its message
+function closePromptKeyboard(ctx, session, answerLabel) {
+    const text = session.keyboard ? session.keyboard.text : ctx.callbackQuery.message.text;
+    session.keyboard = null;
+    ctx.editMessageText(`${text}\n\n➡️ ${answerLabel}`).catch(() => {});
+}
 
 // Handle bot stop
 process.on("SIGINT", () => {
     console.log("Bot and server are stopping...");
+    // Save sessions as they are, running jobs are resumed on the next start
+    shuttingDown = true;
+    sessionStore.flush();
+    scheduler.stop();
     // Kill all user processes
     for (const [userId, session] of userSessions) {
         killUserProcess(userId);
@@ -1563,6 +2665,10 @@ process.on("SIGINT", () => {
 
 process.on("SIGTERM", () => {
     console.log("Bot and server are stopping...");
+    // Save sessions as they are, running jobs are resumed on the next start
+    shuttingDown = true;
+    sessionStore.flush();
+    scheduler.stop();
     // Kill all user processes
     for (const [userId, session] of userSessions) {
         killUserProcess(userId);
@@ -2096,6 +3202,34 @@ async function initializeBot(token) {
     return false;
 }
 
+// Whether the java folder needs an npm install: a declared dependency is missing, or package.json
+// changed since the last install (npm rewrites node_modules/.package-lock.json on every install)
+function needsDependencyInstall(dir) {
+    const packageJsonPath = path.join(dir, "package.json");
+    const nodeModulesPath = path.join(dir, "node_modules");
+    if (!fs.existsSync(packageJsonPath)) return false;
+    if (!fs.existsSync(nodeModulesPath)) return true;
+
+    let packageJson;
+    try {
+        packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    } catch (error) {
+        console.warn(`Warning: Could not read ${packageJsonPath}: ${error.message}`);
+        return false;
+    }
+    const missing = Object.keys(packageJson.dependencies || {}).filter(
+        (name) => !fs.existsSync(path.join(nodeModulesPath, name, "package.json")),
+    );
+    if (missing.length > 0) {
+        console.log(`Missing dependencies: ${missing.join(", ")}`);
+        return true;
+    }
+
+    const installStamp = path.join(nodeModulesPath, ".package-lock.json");
+    return !fs.existsSync(installStamp) ||
+        fs.statSync(packageJsonPath).mtimeMs > fs.statSync(installStamp).mtimeMs;
+}
+
 // Start the bot
 async function startBot() {
     // Check if we have a valid bot token
@@ -2119,11 +3253,8 @@ async function startBot() {
             console.log("Repository already exists, skipping clone.");
         }
 
-        // Only install dependencies if package.json exists and node_modules doesn't
-        const packageJsonPath = path.join(REPO_DIR, "package.json");
-        const nodeModulesPath = path.join(REPO_DIR, "node_modules");
-
-        if (fs.existsSync(packageJsonPath) && !fs.existsSync(nodeModulesPath)) {
+        // Install dependencies on the first start and again when package.json declares new ones
+        if (needsDependencyInstall(REPO_DIR)) {
             console.log("Installing dependencies in repository...");
             await new Promise((resolve, reject) => {
                 exec("cd java && npm install", (error, stdout, stderr) => {
@@ -2140,7 +3271,7 @@ async function startBot() {
                 });
             });
         } else {
-            console.log("Dependencies already installed or no package.json found, skipping npm install.");
+            console.log("Dependencies up to date or no package.json found, skipping npm install.");
         }
 
         console.log("Starting Telegram bot...");
@@ -2148,7 +3279,11 @@ async function startBot() {
         console.log("Bot token length:", BOT_TOKEN ? BOT_TOKEN.length : 0);
 
         // Setup bot event handlers
+        loadDownloaderModules();
+        restoreSessions();
         setupBotHandlers();
+        resumeInterruptedJobs();
+        scheduler.start();
 
         // Clear any existing webhooks before launching
         await bot.telegram.deleteWebhook({ drop_pending_updates: true });
@@ -1,4 +1,5 @@
 
+const { returnBigInt } = require("telegram/Helpers");
 const ChannelDownloader = require("./scripts/download-channel");
 const channelDownloader = new ChannelDownloader();
 
@@ -23,7 +24,14 @@ process.on('ENOSPC', () => {
 });
 
 // Enhanced configuration to support all message types
-const channelId = ""; // Leave empty to select interactively
+// Leave empty to select interactively, the bot passes --channel=<id> to resume a job
+const channelArg = process.argv.find((arg) => arg.startsWith("--channel="));
+const channelId = channelArg ? returnBigInt(channelArg.split("=")[1]) : "";
+// The bot passes --profile=<name> for /run, the job then runs without prompts
+const profileArg = process.argv.find((arg) => arg.startsWith("--profile="));
+const profile = profileArg ? profileArg.split("=")[1] : undefined;
+// Scheduled runs pass --sync to fetch what was posted since the channel's last run
+const sync = process.argv.includes("--sync");
 const downloadableFiles = {
   webpage: true,
   poll: true,
@@ -66,7 +74,7 @@ const downloadableFiles = {
     console.log("   ✅ CONTINUOUS MODE: Download multiple channels without re-login");
     console.log("");
     
-    await channelDownloader.handle({ channelId, downloadableFiles });
+    await channelDownloader.handle({ channelId, downloadableFiles, profile, sync });
   } catch (err) {
     console.error("❌ Fatal error:", err);
   }
@@ -0,0 +1,289 @@
+const ejs = require("ejs");
+const fs = require("fs");
+const path = require("path");
+const { MESSAGE_STATES } = require("../utils/journal");
+const { serializeEntities } = require("../utils/message-store");
+
+const ARCHIVE_FOLDER = "archive";
+const MESSAGES_PER_PAGE = 100;
+const PAGE_TEMPLATE = path.resolve(__dirname, "../templates/index.ejs");
+
+// File extensions the browser can play or show inline
+const INLINE_EXTENSIONS = {
+  image: [".jpg", ".jpeg", ".png", ".gif", ".webp"],
+  video: [".mp4", ".webm", ".mov", ".m4v"],
+  audio: [".mp3", ".ogg", ".oga", ".opus", ".m4a", ".wav", ".flac"],
+};
+
+/**
+ * Reads a text that newer layers wrap in TextWithEntities.
+ * @param {string|Object} value
+ * @returns {string}
+ */
+const plainText = (value) => (value && typeof value === "object" ? value.text || "" : value || "");
+
+/**
+ * Summarizes media that is not a file, e.g. a link preview or a poll.
+ * @param {Object} media - The message media.
+ * @returns {Object|undefined}
+ */
+const describeMedia = (media) => {
+  if (!media) return undefined;
+
+  if (media.webpage && media.webpage.url) {
+    return { kind: "webpage", url: media.webpage.url, title: media.webpage.title || media.webpage.siteName };
+  }
+  if (media.poll) {
+    return {
+      kind: "poll",
+      question: plainText(media.poll.question),
+      answers: (media.poll.answers || []).map((answer) => plainText(answer.text)),
+    };
+  }
+  if (media.geo && media.geo.lat !== undefined) {
+    return { kind: "geo", title: media.title, lat: media.geo.lat, long: media.geo.long };
+  }
+  if (media.phoneNumber) {
+    return { kind: "contact", name: [media.firstName, media.lastName].filter(Boolean).join(" "), phone: media.phoneNumber };
+  }
+  return undefined;
+};
+
+/**
+ * Picks what the archive needs from a Telegram message, to be kept in the journal.
+ * @param {Object} message - The Telegram message.
+ * @returns {Object} date, editDate, text, entities, replyToId, groupedId, hasMedia and media.
+ */
+const describeMessage = (message) => ({
+  date: message.date,
+  editDate: message.editDate,
+  text: message.message || "",
+  entities: serializeEntities(message.entities),
+  replyToId: message.replyTo ? message.replyTo.replyToMsgId : undefined,
+  groupedId: message.groupedId ? message.groupedId.toString() : undefined,
+  hasMedia: Boolean(message.media),
+  media: describeMedia(message.media),
+});
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Only links a browser can safely open from the archive
+const safeUrl = (url) => (/^(https?:|mailto:|tel:|tg:)/i.test(url) ? url : `https://${url}`);
+
+/**
+ * Wraps the rendered inside of an entity in its HTML.
+ * @param {Object} entity
+ * @param {string} inner - Rendered content of the entity.
+ * @param {string} raw - Plain text the entity covers.
+ * @returns {string}
+ */
+const wrapEntity = (entity, inner, raw) => {
+  switch (entity.type) {
+    case "Bold":
+      return `<strong>${inner}</strong>`;
+    case "Italic":
+      return `<em>${inner}</em>`;
+    case "Underline":
+      return `<u>${inner}</u>`;
+    case "Strike":
+      return `<s>${inner}</s>`;
+    case "Code":
+      return `<code>${inner}</code>`;
+    case "Pre":
+      return `<pre${entity.language ? ` data-language="${escapeHtml(entity.language)}"` : ""}><code>${inner}</code></pre>`;
+    case "Spoiler":
+      return `<span class="spoiler">${inner}</span>`;
+    case "Blockquote":
+      return `<blockquote>${inner}</blockquote>`;
+    case "TextUrl":
+      return `<a href="${escapeHtml(safeUrl(entity.url || ""))}" rel="noopener">${inner}</a>`;
+    case "Url":
+      return `<a href="${escapeHtml(safeUrl(raw))}" rel="noopener">${inner}</a>`;
+    case "Email":
+      return `<a href="mailto:${escapeHtml(raw)}">${inner}</a>`;
+    case "Phone":
+      return `<a href="tel:${escapeHtml(raw)}">${inner}</a>`;
+    case "Mention":
+      return `<a href="https://t.me/${escapeHtml(raw.replace(/^@/, ""))}" rel="noopener">${inner}</a>`;
+    case "Hashtag":
+    case "Cashtag":
+      return `<span class="tag">${inner}</span>`;
+    default:
+      return inner;
+  }
+};
+
+/**
+ * Renders text between start and end with the entities that fall into it.
+ * Entities are sorted by offset, longest first, so enclosing ones come before
+ * the ones nested in them; an entity overlapping the end of another is cut there.
+ */
+const renderRange = (text, start, end, entities) => {
+  let html = "";
+  let position = start;
+  let index = 0;
+
+  while (index < entities.length) {
+    const entity = entities[index];
+    const entityStart = Math.max(entity.offset, position);
+    const entityEnd = Math.min(entity.offset + entity.length, end);
+
+    let next = index + 1;
+    while (next < entities.length && entities[next].offset < entityEnd) next++;
+
+    if (entityStart < entityEnd) {
+      html += escapeHtml(text.slice(position, entityStart));
+      const inner = renderRange(text, entityStart, entityEnd, entities.slice(index + 1, next));
+      html += wrapEntity(entity, inner, text.slice(entityStart, entityEnd));
+      position = entityEnd;
+    }
+    index = next;
+  }
+
+  return html + escapeHtml(text.slice(position, end));
+};
+
+/**
+ * Renders message text with its formatting entities as HTML.
+ * Offsets count UTF-16 code units, like JavaScript string indexes.
+ * @param {string} text
+ * @param {Object[]} [entities=[]] - Entities as kept by describeMessage.
+ * @returns {string}
+ */
+const renderText = (text, entities = []) => {
+  const sorted = [...entities].sort((a, b) => a.offset - b.offset || b.length - a.length);
+  return renderRange(text, 0, text.length, sorted);
+};
+
+/**
+ * Describes how the media file of a journal entry is shown in the archive.
+ * @param {Object} entry - The journal entry.
+ * @param {string} archiveDir - Folder the pages are written to.
+ * @returns {Object|null} kind (image, video, audio, file or missing), url and name.
+ */
+const describeFile = (entry, archiveDir) => {
+  if (!entry.hasMedia || entry.media) return null;
+
+  if (!entry.mediaPath || !fs.existsSync(entry.mediaPath)) {
+    return {
+      kind: "missing",
+      reason: entry.state === MESSAGE_STATES.CLEANED ? "removed after upload" : "not downloaded",
+    };
+  }
+
+  const name = path.basename(entry.mediaPath);
+  const url = path
+    .relative(archiveDir, entry.mediaPath)
+    .split(path.sep)
+    .map(encodeURIComponent)
+    .join("/");
+  const extension = path.extname(name).toLowerCase();
+  const kind = Object.keys(INLINE_EXTENSIONS).find((type) => INLINE_EXTENSIONS[type].includes(extension)) || "file";
+  return { kind, url, name };
+};
+
+/**
+ * Groups album items, which Telegram sends as separate messages, into one post.
+ * @param {Object[]} entries - Journal entries, oldest first.
+ * @returns {Object[][]}
+ */
+const groupPosts = (entries) => {
+  const posts = [];
+  entries.forEach((entry) => {
+    const last = posts[posts.length - 1];
+    if (entry.groupedId && last && last[0].groupedId === entry.groupedId) {
+      last.push(entry);
+    } else {
+      posts.push([entry]);
+    }
+  });
+  return posts;
+};
+
+const formatDate = (seconds) => new Date(seconds * 1000).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+
+const pageFile = (page) => (page === 1 ? "index.html" : `page-${page}.html`);
+
+/**
+ * Writes a browsable offline HTML archive of a channel from its journal:
+ * paginated message pages with formatting, reply links and players for the
+ * downloaded media, plus a search index. Only messages whose content was
+ * recorded with describeMessage are included.
+ * @param {Object} journal - The channel Journal.
+ * @param {Object} [options]
+ * @param {string} [options.channelName] - Title of the archive.
+ * @param {number} [options.perPage] - Posts per page.
+ * @returns {Promise<Object>} The index path and the number of pages and messages.
+ */
+const exportHtmlArchive = async (journal, { channelName, perPage = MESSAGES_PER_PAGE } = {}) => {
+  const archiveDir = path.join(journal.folder, ARCHIVE_FOLDER);
+  const entries = journal.list().filter((entry) => entry.date);
+  const posts = groupPosts(entries);
+  const totalPages = Math.max(1, Math.ceil(posts.length / perPage));
+
+  // Reply links need the page of every message
+  const pageOf = new Map();
+  posts.forEach((post, index) => {
+    post.forEach((entry) => pageOf.set(entry.id, Math.floor(index / perPage) + 1));
+  });
+  const messageLink = (id) => (pageOf.has(id) ? `${pageFile(pageOf.get(id))}#msg-${id}` : null);
+
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  const title = channelName || path.basename(journal.folder);
+  for (let page = 1; page <= totalPages; page++) {
+    const pagePosts = posts.slice((page - 1) * perPage, page * perPage).map((post) =>
+      post.map((entry) => ({
+        id: entry.id,
+        date: formatDate(entry.date),
+        edited: Boolean(entry.editDate),
+        html: renderText(entry.text || "", entry.entities),
+        reply: entry.replyToId ? { id: entry.replyToId, link: messageLink(entry.replyToId) } : null,
+        media: entry.media ? { ...entry.media, url: entry.media.url && safeUrl(entry.media.url) } : null,
+        file: describeFile(entry, archiveDir),
+      }))
+    );
+
+    const html = await ejs.renderFile(PAGE_TEMPLATE, {
+      title,
+      page,
+      totalPages,
+      pageFile,
+      posts: pagePosts,
+      totalMessages: entries.length,
+    });
+    fs.writeFileSync(path.join(archiveDir, pageFile(page)), html);
+  }
+
+  // Loaded with a script tag, browsers block fetch() on file:// pages
+  const searchIndex = entries
+    .filter((entry) => entry.text || (entry.media && entry.media.kind === "poll"))
+    .map((entry) => ({
+      id: entry.id,
+      link: messageLink(entry.id),
+      date: formatDate(entry.date),
+      text: entry.text || entry.media.question,
+    }));
+  fs.writeFileSync(
+    path.join(archiveDir, "search-index.js"),
+    `window.ARCHIVE_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`
+  );
+
+  return {
+    indexPath: path.join(archiveDir, pageFile(1)),
+    pages: totalPages,
+    messages: entries.length,
+  };
+};
+
+module.exports = {
+  describeMessage,
+  renderText,
+  exportHtmlArchive,
+};
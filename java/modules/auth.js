@@ -1,33 +1,23 @@
-const { TelegramClient } = require("telegram");
+const { TelegramClient, Api } = require("telegram");
 const { updateCredentials, getCredentials } = require("../utils/file-helper");
 const { StringSession } = require("telegram/sessions");
 const { logMessage } = require("../utils/helper");
+const { emitEvent, isEventStreamEnabled, EVENT_TYPES } = require("../utils/event-helper");
+const { AUTH_ERROR_KINDS, AuthError, classifyAuthError } = require("../utils/auth-errors");
 
 const {
   textInput,
   mobileNumberInput,
   otpInput,
+  passwordInput,
   selectInput,
+  RESEND_CODE_ANSWER,
 } = require("../utils/input-helper");
 
-// Global variable to store bot context for session sharing
-let globalBotContext = null;
-
-// Function to set bot context from main bot
-const setBotContext = (ctx) => {
-  globalBotContext = ctx;
-};
-
-// Function to send session ID to user via bot
+// Function to hand the session ID to the controlling bot, which stores it with the user's account
 const sendSessionToUser = async (sessionId) => {
-  if (globalBotContext && sessionId) {
-    try {
-      const message = `🔑 Your Session ID (save this for future logins):\n\n\`${sessionId}\`\n\n⚠️ Keep this private! You can use this to login without OTP next time by selecting "Login with Session ID" option.`;
-      await globalBotContext.reply(message, { parse_mode: 'Markdown' });
-      console.log("✅ Session ID sent to user via bot");
-    } catch (error) {
-      console.log("⚠️ Could not send session ID via bot:", error.message);
-    }
+  if (sessionId) {
+    emitEvent(EVENT_TYPES.SESSION_SAVED, { sessionId });
   }
 };
 
@@ -36,30 +26,77 @@ const OTP_METHOD = {
   APP: "app",
 };
 
-let { apiHash, apiId, sessionId } = getCredentials();
+// A QR login waits this long for a scan, each login token lives about 30 seconds
+const QR_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+const QR_MIN_WAIT_MS = 5000;
+
+// Wrong 2FA passwords, login codes and phone numbers accepted before the login is given up
+const MAX_PASSWORD_ATTEMPTS = 3;
+const MAX_CODE_ATTEMPTS = 3;
+const MAX_PHONE_ATTEMPTS = 3;
+// New login codes requested with auth.resendCode, Telegram limits them per number
+const MAX_CODE_RESENDS = 2;
+
+/**
+ * Two-step verification step of a login, shared by the OTP and QR flows. It
+ * asks for the cloud password with the account's hint and counts wrong ones.
+ * @returns {{password: Function, handleWrongPassword: Function}} The gramjs
+ *   password callback, and a check for onError that is true for a wrong
+ *   password that may be retried.
+ */
+const createPasswordStep = () => {
+  let failedAttempts = 0;
+
+  return {
+    password: async (hint) =>
+      await passwordInput(hint, failedAttempts > 0 ? MAX_PASSWORD_ATTEMPTS - failedAttempts : null),
+    handleWrongPassword: (err) => {
+      if (err.errorMessage !== "PASSWORD_HASH_INVALID") return false;
+
+      failedAttempts += 1;
+      const attemptsLeft = MAX_PASSWORD_ATTEMPTS - failedAttempts;
+      const message =
+        attemptsLeft > 0
+          ? `Wrong 2FA password, ${attemptsLeft} ${attemptsLeft === 1 ? "attempt" : "attempts"} left`
+          : `Wrong 2FA password entered ${MAX_PASSWORD_ATTEMPTS} times, login aborted`;
+      const authError = reportAuthError(
+        new AuthError("PASSWORD_HASH_INVALID", { message, fatal: attemptsLeft === 0 }),
+        { attemptsLeft }
+      );
+
+      if (attemptsLeft === 0) {
+        throw authError;
+      }
+      return true;
+    },
+  };
+};
+
+let { apiHash, apiId, sessionId, uploadAccount } = getCredentials();
 const stringSession = new StringSession(sessionId || "");
 
 /**
  * Initializes the authentication process for the Telegram client.
- * @param {string} [otpPreference=OTP_METHOD.APP] - The preferred method for receiving the OTP (either 'app' or 'sms').
- * @param {number} [securityRetryCount=0] - Number of security error retries attempted.
+ * @param {string} [loginMethod] - otp, session or qr, asked when not given.
  * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ * @throws {AuthError} When the login cannot go on, already reported to the bot.
  */
-const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0, loginMethod = null) => {
+const initAuth = async (loginMethod = null) => {
   // Ask user for login method if not specified
-  if (!loginMethod && securityRetryCount === 0) {
+  if (!loginMethod) {
     const loginOptions = [
       { name: "🔐 Login with OTP (Phone verification)", value: "otp" },
-      { name: "🗝️ Login with Session ID (Quick login)", value: "session" }
+      { name: "🗝️ Login with Session ID (Quick login)", value: "session" },
+      { name: "📷 Login with QR code (scan from a logged-in device)", value: "qr" }
     ];
     
-    loginMethod = await selectInput("Choose login method:", loginOptions);
+    loginMethod = await selectInput("Choose login method:", loginOptions, "loginMethod");
   }
 
   // Handle session ID login
-  if (loginMethod === "session" && securityRetryCount === 0) {
+  if (loginMethod === "session") {
     try {
-      const sessionIdInput = await textInput("Enter your Session ID:");
+      const sessionIdInput = await textInput("Enter your Session ID:", "sessionId");
       if (sessionIdInput && sessionIdInput.trim().length > 10) {
         console.log("🔄 Attempting login with provided Session ID...");
         const sessionStringFromInput = new StringSession(sessionIdInput.trim());
@@ -77,6 +114,7 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
         try {
           const me = await sessionClient.getMe();
           console.log(`✅ Session login successful! Welcome back, ${me.firstName || 'User'}`);
+          emitEvent(EVENT_TYPES.AUTHORIZED, { method: "session", firstName: me.firstName || null });
           
           // Update stored session
           sessionId = sessionIdInput.trim();
@@ -84,6 +122,11 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
           
           return sessionClient;
         } catch (testError) {
+          // Tells the bot to forget a session Telegram ended
+          const authError = classifyAuthError(testError);
+          if (authError.kind === AUTH_ERROR_KINDS.SESSION) {
+            reportAuthError(authError);
+          }
           console.log("❌ Invalid or expired Session ID. Falling back to OTP login...");
           await sessionClient.disconnect();
           // Fall through to OTP login
@@ -99,265 +142,392 @@ const initAuth = async (otpPreference = OTP_METHOD.APP, securityRetryCount = 0,
     // Reset to OTP login if session login fails
     loginMethod = "otp";
   }
-  // Generate random device configuration for security error recovery
-  const generateRandomDeviceConfig = () => {
-    const deviceConfigs = [
-      {
-        deviceModel: "Samsung Galaxy S24 Ultra",
-        systemVersion: "Android 14",
-        appVersion: "10.14.5",
-        langCode: "en",
-        systemLangCode: "en-US",
-      },
-      {
-        deviceModel: "iPhone 15 Pro Max",
-        systemVersion: "iOS 17.2",
-        appVersion: "10.2.1",
-        langCode: "en",
-        systemLangCode: "en-US",
-      },
-      {
-        deviceModel: "Google Pixel 8 Pro", 
-        systemVersion: "Android 14",
-        appVersion: "10.14.3",
-        langCode: "en",
-        systemLangCode: "en-US",
-      },
-      {
-        deviceModel: "OnePlus 12",
-        systemVersion: "Android 14",
-        appVersion: "10.14.4",
-        langCode: "en", 
-        systemLangCode: "en-US",
-      }
-    ];
 
-    return deviceConfigs[Math.floor(Math.random() * deviceConfigs.length)];
-  };
+  // Handle QR code login
+  if (loginMethod === "qr") {
+    try {
+      return await initQrAuth();
+    } catch (qrError) {
+      // Only a code nobody scanned leaves an OTP login worth trying
+      if (qrError.code !== "QR_LOGIN_TIMEOUT") {
+        throw qrError instanceof AuthError ? qrError : reportAuthError(qrError);
+      }
+      console.log("🔄 Falling back to OTP login...");
+    }
+    loginMethod = "otp";
+  }
 
-  // Use random device config if this is a security retry
-  const clientConfig = securityRetryCount > 0 ? {
-    connectionRetries: 8,
-    retryDelay: 2000,
-    timeout: 30000,
-    useWSS: false,
-    testServers: false,
-    ...generateRandomDeviceConfig(),
-    useIPv6: Math.random() > 0.5, // Randomly use IPv6
-    tcpNoDelay: Math.random() > 0.5, // Random TCP settings
-  } : {
+  const client = new TelegramClient(stringSession, apiId, apiHash, {
     connectionRetries: 8,
     retryDelay: 2000,
     timeout: 30000,
     useWSS: false,
     testServers: false,
-  };
-
-  console.log(`🔄 Attempt ${securityRetryCount + 1} - Device: ${clientConfig.deviceModel || 'Default'}`);
-
-  const client = new TelegramClient(
-    securityRetryCount > 0 ? new StringSession("") : stringSession, 
-    apiId, 
-    apiHash, 
-    clientConfig
-  );
+  });
 
   try {
-    if (!sessionId) {
-      otpPreference = await selectInput("Where do you want the login OTP:", [
-        OTP_METHOD.APP,
-        OTP_METHOD.SMS,
-      ]);
+    await client.connect();
+    if (sessionId) {
+      if (await client.checkAuthorization()) {
+        logMessage.success("You should now be connected.");
+        emitEvent(EVENT_TYPES.AUTHORIZED, { method: "stored_session" });
+        return client;
+      }
+      logMessage.info("The session in config.json is no longer valid, log in again");
     }
 
-    const forceSMS = otpPreference === OTP_METHOD.SMS;
+    const otpPreference = await selectInput("Where do you want the login OTP:", [
+      OTP_METHOD.APP,
+      OTP_METHOD.SMS,
+    ], "otpMethod");
+    await signInWithCode(client, otpPreference === OTP_METHOD.SMS);
+  } catch (err) {
+    await client.disconnect().catch(() => {});
+    throw err instanceof AuthError ? err : reportAuthError(err);
+  }
 
-    await client.start({
-      phoneNumber: async () => await mobileNumberInput(),
-      password: async () => await textInput("Enter your password"),
-      phoneCode: async (isCodeViaApp) => {
-        logMessage.info(`OTP sent over ${isCodeViaApp ? "APP" : "SMS"}`);
+  logMessage.success("You should now be connected.");
+  emitEvent(EVENT_TYPES.AUTHORIZED, { method: "otp" });
+  await saveNewSession(client);
+  return client;
+};
 
-        return await otpInput();
-      },
-      forceSMS,
-      onError: (err) => {
-        logMessage.error(err);
-
-        // Enhanced error handling for PHONE_NUMBER_BANNED
-        if (err.message && err.message.includes("PHONE_NUMBER_BANNED")) {
-          console.log("\n🚨 PHONE NUMBER BANNED FOR API ACCESS 🚨");
-          console.log("=====================================");
-          console.log("❌ This phone number is banned from Telegram API access.");
-          console.log("✅ Note: You can still use regular Telegram apps normally.");
-          console.log("");
-          console.log("🔧 ATTEMPTING DEVICE SPOOFING SOLUTIONS:");
-          console.log("1. Clearing session to appear as new device...");
-          console.log("2. Changing device model and system info...");
-          console.log("3. Using different connection parameters...");
-          console.log("");
-
-          // Try device spoofing approach
-          console.log("🔄 Attempting device reset...");
-          sessionId = ""; // Clear session
-          updateCredentials({ sessionId: "" }); // Save cleared session
-
-          // Create new client with different device info
-          const newDeviceConfig = {
-            connectionRetries: 5,
-            deviceModel: `iPhone 15 Pro`,
-            systemVersion: "iOS 17.1",
-            appVersion: "10.2.1",
-            langCode: "en",
-            systemLangCode: "en-US",
-            useIPv6: true, // Try different network stack
-            tcpNoDelay: false, // Different TCP settings
-          };
-
-          console.log("🔄 Retrying with spoofed device information...");
-          const newClient = new TelegramClient(new StringSession(""), apiId, apiHash, newDeviceConfig);
-
-          // Return the new client for retry
-          throw new Error("DEVICE_RESET_ATTEMPT: Trying with new device configuration");
-        }
+/**
+ * Logs an auth error with its guidance and hands it to the bot as an auth_error event.
+ * @param {Error} err - Any error of a login.
+ * @param {Object} [details] - Further event data, e.g. attemptsLeft.
+ * @returns {AuthError} The classified error, to be thrown when the login stops.
+ */
+const reportAuthError = (err, details = {}) => {
+  const authError = classifyAuthError(err);
+  logMessage.error(authError.userMessage);
+  logMessage.info(authError.guidance);
+  emitEvent(EVENT_TYPES.AUTH_ERROR, { ...authError.toEvent(), ...details });
+  return authError;
+};
 
-        // Handle SecurityError and authentication issues
-        if (err.message && (err.message.includes("SecurityError") || err.message.includes("invalid new nonce hash"))) {
-          console.log("\n🔐 TELEGRAM SECURITY ERROR DETECTED 🔐");
-          console.log("=======================================");
-          console.log("❌ Telegram detected authentication security issues:");
-          console.log("   • Login code was shared or compromised");
-          console.log("   • Authentication nonce hash validation failed");
-          console.log("   • Telegram blocked the login for security reasons");
-          console.log("");
-          console.log("🔧 AUTOMATIC RECOVERY SOLUTIONS:");
-          console.log("1. Clearing all session data...");
-          console.log("2. Resetting device fingerprint...");
-          console.log("3. Using fresh authentication flow...");
-          console.log("");
-
-          // Clear all session data
-          sessionId = "";
-          updateCredentials({ sessionId: "" });
-
-          // Generate random device info to appear as completely new device
-          const deviceModels = [
-            "Samsung Galaxy S24 Ultra",
-            "iPhone 15 Pro Max", 
-            "Google Pixel 8 Pro",
-            "OnePlus 12",
-            "Xiaomi 14 Pro"
-          ];
-          
-          const systemVersions = [
-            "Android 14",
-            "iOS 17.2", 
-            "Android 13",
-            "iOS 16.7",
-            "Android 12"
-          ];
+/**
+ * Sends a login code to the phone number the user enters and signs in with it.
+ * An invalid number is asked again up to MAX_PHONE_ATTEMPTS times and a wrong
+ * code up to MAX_CODE_ATTEMPTS times. An expired code, or "resend" typed for the code, requests a new one
+ * with auth.resendCode, at most MAX_CODE_RESENDS times. Nothing is retried on a
+ * FLOOD_WAIT or ban, each further request would only extend Telegram's block.
+ * @param {TelegramClient} client - Connected, not yet authorized.
+ * @param {boolean} forceSMS - Ask for the code by SMS instead of in the app.
+ * @throws {AuthError} When the login stops.
+ */
+const signInWithCode = async (client, forceSMS) => {
+  let phoneNumber;
+  let sentCode = null;
+  let wrongNumbers = 0;
+  while (!sentCode) {
+    phoneNumber = await mobileNumberInput();
+    try {
+      sentCode = await client.sendCode({ apiId: Number(apiId), apiHash }, phoneNumber, forceSMS);
+    } catch (err) {
+      // Every number tried is a sendCode call counted towards Telegram's flood limits
+      const authError = classifyAuthError(err);
+      if (authError.kind !== AUTH_ERROR_KINDS.PHONE || authError.fatal) {
+        throw reportAuthError(authError);
+      }
+
+      wrongNumbers += 1;
+      const attemptsLeft = MAX_PHONE_ATTEMPTS - wrongNumbers;
+      const message =
+        attemptsLeft > 0
+          ? `${authError.userMessage}, ${attemptsLeft} ${attemptsLeft === 1 ? "attempt" : "attempts"} left`
+          : `Phone number rejected ${MAX_PHONE_ATTEMPTS} times, login aborted`;
+      const phoneError = new AuthError(authError.code, { message, fatal: attemptsLeft === 0 });
+      reportAuthError(phoneError, { attemptsLeft });
+      if (attemptsLeft === 0) {
+        throw phoneError;
+      }
+    }
+  }
 
-          const randomDevice = deviceModels[Math.floor(Math.random() * deviceModels.length)];
-          const randomSystem = systemVersions[Math.floor(Math.random() * systemVersions.length)];
+  let resends = 0;
+  const resendCode = async () => {
+    if (resends >= MAX_CODE_RESENDS) {
+      throw reportAuthError(
+        new AuthError("SEND_CODE_UNAVAILABLE", { message: `A new login code was requested ${MAX_CODE_RESENDS} times already` })
+      );
+    }
+    resends += 1;
 
-          console.log(`🔄 Generating new device identity: ${randomDevice} (${randomSystem})`);
+    try {
+      const result = await client.invoke(
+        new Api.auth.ResendCode({ phoneNumber, phoneCodeHash: sentCode.phoneCodeHash })
+      );
+      sentCode = {
+        phoneCodeHash: result.phoneCodeHash,
+        isCodeViaApp: result.type instanceof Api.auth.SentCodeTypeApp,
+      };
+    } catch (err) {
+      throw reportAuthError(err);
+    }
+  };
 
-          throw new Error("SECURITY_ERROR_RECOVERY: Authentication blocked by Telegram security. Complete session reset required.");
-        }
+  let wrongCodes = 0;
+  while (true) {
+    logMessage.info(`OTP sent over ${sentCode.isCodeViaApp ? "APP" : "SMS"}`);
+    const phoneCode = await otpInput();
+    if (phoneCode === RESEND_CODE_ANSWER) {
+      await resendCode();
+      continue;
+    }
 
-        // Handle PHONE_CODE_EXPIRED
-        if (err.message && err.message.includes("PHONE_CODE_EXPIRED")) {
-          console.log("\n⏰ LOGIN CODE EXPIRED ⏰");
-          console.log("========================");
-          console.log("❌ The OTP code has expired.");
-          console.log("🔄 Please request a new code and try again.");
-          console.log("");
-          
-          throw new Error("PHONE_CODE_EXPIRED: The login code has expired. Please restart the authentication process.");
+    let result;
+    try {
+      result = await client.invoke(
+        new Api.auth.SignIn({ phoneNumber, phoneCodeHash: sentCode.phoneCodeHash, phoneCode })
+      );
+    } catch (err) {
+      if (err.errorMessage === "SESSION_PASSWORD_NEEDED") {
+        await signInWithPassword(client);
+        return;
+      }
+
+      const authError = classifyAuthError(err);
+      if (authError.code === "PHONE_CODE_EXPIRED") {
+        if (resends < MAX_CODE_RESENDS) {
+          reportAuthError(
+            new AuthError(authError.code, {
+              message: `${authError.userMessage}, requesting new code ${resends + 1} of ${MAX_CODE_RESENDS}`,
+            })
+          );
         }
-      },
-    });
+        // Past the limit this stops the login with SEND_CODE_UNAVAILABLE
+        await resendCode();
+        continue;
+      }
+      if (authError.kind !== AUTH_ERROR_KINDS.CODE || authError.fatal) {
+        throw reportAuthError(authError);
+      }
+
+      wrongCodes += 1;
+      const attemptsLeft = MAX_CODE_ATTEMPTS - wrongCodes;
+      const message =
+        attemptsLeft > 0
+          ? `${authError.userMessage}, ${attemptsLeft} ${attemptsLeft === 1 ? "attempt" : "attempts"} left`
+          : `Wrong login code entered ${MAX_CODE_ATTEMPTS} times, login aborted`;
+      const codeError = new AuthError(authError.code, { message, fatal: attemptsLeft === 0 });
+      reportAuthError(codeError, { attemptsLeft });
+      if (attemptsLeft === 0) {
+        throw codeError;
+      }
+      continue;
+    }
 
-    logMessage.success("You should now be connected.");
+    // Signing up a new account is left to the Telegram apps
+    if (result instanceof Api.auth.AuthorizationSignUpRequired) {
+      throw reportAuthError(new AuthError("PHONE_NUMBER_UNOCCUPIED", { fatal: true }));
+    }
+    return;
+  }
+};
 
-    if (!sessionId) {
-      sessionId = client.session.save();
-      updateCredentials({ sessionId });
-      logMessage.info(
-        "To avoid logging in again and again, the session ID has been saved to config.json. Please don't share it with anyone."
-      );
-      
-      // Send session ID to user via bot for future use
-      await sendSessionToUser(sessionId);
+/**
+ * Finishes a login on an account with two-step verification.
+ * @param {TelegramClient} client - Past the code or QR step.
+ * @throws {AuthError} After too many wrong passwords or on any other error.
+ */
+const signInWithPassword = async (client) => {
+  const passwordStep = createPasswordStep();
+  await client.signInWithPassword(
+    { apiId: Number(apiId), apiHash },
+    {
+      password: passwordStep.password,
+      onError: (err) => {
+        if (passwordStep.handleWrongPassword(err)) return false;
+        throw reportAuthError(err);
+      },
     }
+  );
+};
+
+/**
+ * Saves the session of a fresh login to config.json and hands it to the bot.
+ * @param {TelegramClient} client - The logged-in client.
+ */
+const saveNewSession = async (client) => {
+  sessionId = client.session.save();
+  updateCredentials({ sessionId });
+  logMessage.info(
+    "To avoid logging in again and again, the session ID has been saved to config.json. Please don't share it with anyone."
+  );
 
-    return client;
+  // Hand the session ID to the bot so later logins need no OTP
+  await sendSessionToUser(sessionId);
+};
+
+/**
+ * Shows a login link as a QR code in the terminal. The bot renders its own
+ * image from the QR_LOGIN event, and if the code cannot be rendered the link
+ * is printed as is.
+ * @param {string} url - The tg://login link.
+ */
+const printQrCode = async (url) => {
+  if (isEventStreamEnabled()) return;
+  try {
+    // Required here, so the other login methods work without the package
+    const QRCode = require("qrcode");
+    console.log(await QRCode.toString(url, { type: "terminal", small: true }));
   } catch (err) {
-    logMessage.error(err);
-
-    // Handle security errors with automatic retry
-    if (err.message && (
-      err.message.includes("SecurityError") || 
-      err.message.includes("invalid new nonce hash") ||
-      err.message.includes("SECURITY_ERROR_RECOVERY") ||
-      err.message.includes("PHONE_CODE_EXPIRED")
-    )) {
-      if (securityRetryCount < 3) {
-        console.log(`\n🔄 AUTOMATIC SECURITY ERROR RECOVERY 🔄`);
-        console.log(`============================================`);
-        console.log(`❌ Security error detected (attempt ${securityRetryCount + 1}/3)`);
-        console.log(`🔧 Implementing automatic recovery:`);
-        console.log(`   • Clearing all session data`);
-        console.log(`   • Generating new device fingerprint`);
-        console.log(`   • Using fresh authentication flow`);
-        console.log(`   • Waiting 10 seconds for Telegram cooldown`);
-        console.log(``);
-
-        // Clear session completely
-        sessionId = "";
-        updateCredentials({ sessionId: "" });
-
-        // Wait for Telegram's security cooldown
-        await new Promise(resolve => setTimeout(resolve, 10000));
-
-        console.log(`🚀 Retrying authentication with fresh security context...`);
-
-        // Retry with incremented counter and fresh session
-        return await initAuth(otpPreference, securityRetryCount + 1);
-      } else {
-        console.log(`\n🚨 MAXIMUM SECURITY RETRIES REACHED 🚨`);
-        console.log(`=====================================`);
-        console.log(`❌ Authentication failed after 3 attempts.`);
-        console.log(`🔐 Telegram has blocked this authentication session.`);
-        console.log(``);
-        console.log(`💡 MANUAL SOLUTIONS REQUIRED:`);
-        console.log(`1. ⏰ Wait 1-2 hours before trying again`);
-        console.log(`2. 📱 Use a different phone number`);
-        console.log(`3. 🌐 Try from a different network/IP address`);
-        console.log(`4. 🔄 Restart the entire bot and try again`);
-        console.log(`5. 🛡️ Never share login codes with anyone`);
-        console.log(``);
-        console.log(`⚠️  This is Telegram's anti-abuse protection working.`);
-        
-        throw new Error("AUTHENTICATION_BLOCKED: Maximum security retries reached. Wait 1-2 hours and try again with fresh session.");
+    logMessage.info(`QR code cannot be shown (${err.message}), open this link on a logged-in device: ${url}`);
+  }
+};
+
+/**
+ * Logs in by QR code: Telegram hands out a short-lived login token, a logged-in
+ * app scans it as a tg://login link (Settings > Devices > Link Desktop Device)
+ * and exporting the token again then returns the authorization. A fresh token is
+ * shown each time the last one expires, until QR_LOGIN_TIMEOUT_MS has passed.
+ * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ * @throws {AuthError} When nobody scanned the code in time or the login failed.
+ */
+const initQrAuth = async () => {
+  const client = new TelegramClient(new StringSession(""), apiId, apiHash, {
+    connectionRetries: 8,
+    retryDelay: 2000,
+    timeout: 30000,
+    useWSS: false,
+    testServers: false,
+  });
+  await client.connect();
+
+  // Telegram announces a scan with updateLoginToken, which ends the current wait early
+  let wakeUp = null;
+  client.addEventHandler((update) => {
+    if (update instanceof Api.UpdateLoginToken && wakeUp) wakeUp();
+  });
+
+  const deadline = Date.now() + QR_LOGIN_TIMEOUT_MS;
+  try {
+    while (true) {
+      let result;
+      try {
+        result = await client.invoke(
+          new Api.auth.ExportLoginToken({ apiId: Number(apiId), apiHash, exceptIds: [] })
+        );
+        // The account lives on another data center, the token is imported there
+        if (result instanceof Api.auth.LoginTokenMigrateTo) {
+          await client._switchDC(result.dcId);
+          result = await client.invoke(new Api.auth.ImportLoginToken({ token: result.token }));
+        }
+      } catch (err) {
+        if (err.errorMessage !== "SESSION_PASSWORD_NEEDED") throw reportAuthError(err);
+
+        await signInWithPassword(client);
+        break;
       }
-    }
 
-    // Handle device reset attempts
-    if (err.message && err.message.includes("DEVICE_RESET_ATTEMPT")) {
-      if (securityRetryCount < 2) {
-        console.log(`🔄 Retrying with device reset (attempt ${securityRetryCount + 1})...`);
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        return await initAuth(otpPreference, securityRetryCount + 1);
+      if (result instanceof Api.auth.LoginTokenSuccess) break;
+
+      if (Date.now() >= deadline) {
+        throw reportAuthError(new AuthError("QR_LOGIN_TIMEOUT"));
       }
-    }
 
+      const url = `tg://login?token=${Buffer.from(result.token).toString("base64url")}`;
+      logMessage.info("Scan the QR code in Telegram on a logged-in device: Settings > Devices > Link Desktop Device");
+      emitEvent(EVENT_TYPES.QR_LOGIN, { url, expires: result.expires });
+      await printQrCode(url);
+
+      const wait = Math.min(result.expires * 1000 - Date.now(), deadline - Date.now());
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, Math.max(wait, QR_MIN_WAIT_MS));
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  } catch (err) {
+    await client.disconnect();
     throw err;
   }
+
+  logMessage.success("You should now be connected.");
+  emitEvent(EVENT_TYPES.AUTHORIZED, { method: "qr" });
+  await saveNewSession(client);
+  return client;
+};
+
+/**
+ * Connects with the session saved in config.json without asking anything, for unattended runs.
+ * @returns {Promise<TelegramClient>} - The authenticated Telegram client.
+ * @throws {Error} When there is no saved session or Telegram no longer accepts it.
+ */
+const initHeadlessAuth = async () => {
+  if (!apiId || !apiHash) {
+    throw new Error("Headless run needs apiId and apiHash in config.json");
+  }
+  if (!sessionId) {
+    throw new Error("Headless run needs a saved session ID in config.json, log in interactively once first");
+  }
+
+  const client = await connectSavedSession(stringSession, apiId, apiHash);
+  if (!client) {
+    throw new Error("The saved session is no longer authorized, log in interactively again");
+  }
+
+  logMessage.success("You should now be connected.");
+  emitEvent(EVENT_TYPES.AUTHORIZED, { method: "stored_session" });
+  return client;
+};
+
+/**
+ * Connects a saved session and checks that Telegram still accepts it.
+ * @param {StringSession} session
+ * @param {number} id - The API ID.
+ * @param {string} hash - The API hash.
+ * @returns {Promise<TelegramClient|null>} - The client, null when the session is no longer authorized.
+ */
+const connectSavedSession = async (session, id, hash) => {
+  const client = new TelegramClient(session, Number(id), hash, {
+    connectionRetries: 8,
+    retryDelay: 2000,
+    timeout: 30000,
+    useWSS: false,
+    testServers: false,
+  });
+  await client.connect();
+
+  if (!(await client.checkAuthorization())) {
+    await client.disconnect();
+    return null;
+  }
+  return client;
+};
+
+/**
+ * Connects the account that uploads to the target channel, when the bot gave
+ * the job a different one than the source account in config.json.
+ * @returns {Promise<TelegramClient|null>} - The upload client, null when the source account uploads.
+ * @throws {Error} When the upload account's session is no longer authorized.
+ */
+const initUploadAuth = async () => {
+  if (!uploadAccount || !uploadAccount.sessionId) {
+    return null;
+  }
+
+  const client = await connectSavedSession(
+    new StringSession(uploadAccount.sessionId),
+    uploadAccount.apiId,
+    uploadAccount.apiHash,
+  );
+  if (!client) {
+    throw new Error("The upload account's session is no longer authorized, log in to it again");
+  }
+  logMessage.success("Upload account connected.");
+  return client;
 };
 
 module.exports = {
   initAuth,
-  setBotContext,
+  initHeadlessAuth,
+  initUploadAuth,
   sendSessionToUser,
+  signInWithCode,
+  signInWithPassword,
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ const path = require('path');
 const { updateLastSelection } = require("../utils/file-helper");
 const { logMessage, getDialogType, circularStringify } = require("../utils/helper");
 const { numberInput, textInput, booleanInput } = require('../utils/input-helper');
+const { emitEvent, EVENT_TYPES } = require("../utils/event-helper");
 
 /**
  * Fetches all dialogs from the client, sorts them by name, and exports them to JSON and HTML files.
@@ -53,7 +54,7 @@ const getAllDialogs = async (client, sortByName = true) => {
  */
 const userDialogSelection = async (dialogs) => {
     try {
-        const selectedChannelNumber = await numberInput(`Please select from above list (1-${dialogs.length}): `, 1, dialogs.length);
+        const selectedChannelNumber = await numberInput(`Please select from above list (1-${dialogs.length}): `, 1, dialogs.length, "dialogIndex");
 
         if (selectedChannelNumber > dialogs.length) {
             logMessage.error("Invalid Input");
@@ -85,7 +86,10 @@ const selectDialog = async (dialogs) => {
     dialogs.forEach((d, index) => {
         console.log(`${index + 1} - ${d.name}`);
     });
-    
+    emitEvent(EVENT_TYPES.DIALOG_LIST, {
+        dialogs: dialogs.map((d, index) => ({ index: index + 1, name: d.name, id: d.id }))
+    });
+
     return await userDialogSelection(dialogs);
 };
 
@@ -96,10 +100,10 @@ const selectDialog = async (dialogs) => {
  */
 const searchDialog = async (dialogs) => {
     try {
-        const searchString = await textInput('Please enter name of channel to search');
+        const searchString = await textInput('Please enter name of channel to search', "dialogSearch");
         searchThroughDialogsWithSearchString(dialogs, searchString);
 
-        const foundWantedDialog = await booleanInput('Found channel? If answering with "no" you can search again');
+        const foundWantedDialog = await booleanInput('Found channel? If answering with "no" you can search again', "dialogFound");
         if (foundWantedDialog) {
             return await userDialogSelection(dialogs);
         } else {
@@ -117,11 +121,14 @@ const searchDialog = async (dialogs) => {
  * @param {string} searchString - The search string.
  */
 const searchThroughDialogsWithSearchString = (dialogs, searchString) => {
+    const matches = [];
     dialogs.forEach((d, index) => {
         if (d.name.toUpperCase().includes(searchString.toUpperCase())) {
             console.log(`${index + 1} - ${d.name}`);
+            matches.push({ index: index + 1, name: d.name, id: d.id });
         }
     });
+    emitEvent(EVENT_TYPES.DIALOG_LIST, { search: searchString, dialogs: matches });
 };
 
 /**
@@ -1,7 +1,9 @@
 const fs = require("fs");
 const path = require("path");
+const { returnBigInt } = require("telegram/Helpers");
 const logger = require("../utils/logger");
 const { circularStringify } = require("../utils/helper");
+const { emitProgress } = require("../utils/event-helper");
 
 const getMessages = async (client, channelId, limit = 10, offsetId = 0, reverse = false) => {
   if (!client || !channelId) {
@@ -202,6 +204,14 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
             process.stdout.write(
               `\r[SINGLE-FILE BOOST] ${fileName}: ${percent}% (${speedMbps} Mbps)`
             );
+            emitProgress({
+              direction: "download",
+              messageId: message.id,
+              fileName,
+              transferred: Number(downloaded),
+              total: Number(total),
+              speedMbps: parseFloat(speedMbps),
+            });
           }
           if (downloaded === total) {
             process.stdout.write(
@@ -230,6 +240,14 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
             process.stdout.write(
               `\r[${fileIndex}/${totalFiles}] ${fileName}: ${percent}% (${speedMbps} Mbps)`
             );
+            emitProgress({
+              direction: "download",
+              messageId: message.id,
+              fileName,
+              transferred: Number(downloaded),
+              total: Number(total),
+              speedMbps: parseFloat(speedMbps),
+            });
           }
           if (downloaded === total) {
             process.stdout.write(
@@ -274,6 +292,80 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
   }
 };
 
+// Partial files are resumed from a multiple of this size, as Telegram requires aligned offsets
+const RESUME_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Continue an interrupted document download, appending to the partial file
+ * @param {Object} client Telegram client
+ * @param {Object} message Telegram message with a document
+ * @param {string} mediaPath Path of the partial file
+ * @returns {Promise<boolean>} True when the file is complete
+ */
+const resumeMessageMedia = async (client, message, mediaPath) => {
+  const document = message.media?.document;
+  if (!client || !document || !fs.existsSync(mediaPath)) {
+    return false;
+  }
+
+  const fileName = path.basename(mediaPath);
+  const total = Number(document.size);
+  const existing = fs.statSync(mediaPath).size;
+  const offset = existing - (existing % RESUME_CHUNK_SIZE);
+  const startTime = Date.now();
+
+  try {
+    // Drop the unaligned tail, it is downloaded again
+    fs.truncateSync(mediaPath, offset);
+    logger.info(
+      `⏯️ Resuming ${fileName} at ${(offset / 1024 / 1024).toFixed(1)}MB of ${(total / 1024 / 1024).toFixed(1)}MB`,
+    );
+
+    const stream = fs.createWriteStream(mediaPath, { flags: "a" });
+    let downloaded = offset;
+    try {
+      for await (const chunk of client.iterDownload({
+        file: message.media,
+        offset: returnBigInt(offset),
+        requestSize: RESUME_CHUNK_SIZE,
+        limit: Math.ceil((total - offset) / RESUME_CHUNK_SIZE),
+        fileSize: returnBigInt(total),
+      })) {
+        if (!stream.write(chunk)) {
+          await new Promise((resolve) => stream.once("drain", resolve));
+        }
+        downloaded += chunk.length;
+
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        const speedMbps = elapsedSeconds > 0
+          ? ((downloaded - offset) * 8) / elapsedSeconds / 1000 / 1000
+          : 0;
+        process.stdout.write(
+          `\r[RESUME] ${fileName}: ${((downloaded / total) * 100).toFixed(2)}% (${speedMbps.toFixed(1)} Mbps)`,
+        );
+        emitProgress({
+          direction: "download",
+          messageId: message.id,
+          fileName,
+          transferred: downloaded,
+          total,
+          speedMbps: parseFloat(speedMbps.toFixed(1)),
+        });
+      }
+    } finally {
+      await new Promise((resolve) => stream.end(resolve));
+    }
+    process.stdout.write(`\n✅ Resumed: ${fileName}\n`);
+
+    return fs.statSync(mediaPath).size === total;
+  } catch (err) {
+    logger.error(`Error resuming media for message ${message.id}: ${err.message}`);
+    // The caller refreshes the message and resumes again
+    if (err.message.includes("FILE_REFERENCE_EXPIRED")) throw err;
+    return false;
+  }
+};
+
 /**
  * Upload a message with media to a target channel with preserved caption/text
  * Optimized for 30 Mbps upload speed with single-file boost capability
@@ -315,6 +407,14 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
             const speedBps = (uploaded * 8) / elapsedSeconds;
             const speedMbps = (speedBps / 1000 / 1000).toFixed(1);
             const mode = isSingleFile ? "[SINGLE-FILE BOOST]" : "🔄 SEQUENTIAL";
+            emitProgress({
+              direction: "upload",
+              messageId: message.id,
+              fileName: mediaPath ? path.basename(mediaPath) : null,
+              transferred: Number(uploaded),
+              total: Number(total),
+              speedMbps: parseFloat(speedMbps),
+            });
 
             // Show sequential queue status
             if (percent === "100.0") {
@@ -481,18 +581,80 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
 };
 
 /**
- * Forward a message to target channel
+ * Upload grouped media (an album) to a target channel as a single media group
+ * Every item keeps its own caption and entities, in the original order
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {Object[]} messages Original album messages, sorted by ID
+ * @param {string[]} mediaPaths Local media file paths, one per message
+ */
+const uploadAlbumToChannel = async (client, targetChannelId, messages, mediaPaths) => {
+  try {
+    if (!client || !targetChannelId || !messages || !messages.length) {
+      throw new Error("Client, targetChannelId, and messages are required");
+    }
+
+    messages.forEach((message, i) => {
+      if (!mediaPaths[i] || !fs.existsSync(mediaPaths[i])) {
+        throw new Error(`No local file for album item ${message.id}`);
+      }
+    });
+
+    // Each caption is handed back with the original entities of its item, in album order
+    const captionEntities = messages.map((message) => message.entities || []);
+    const keepEntities = {
+      parse: (text) => [text, captionEntities.shift() || []],
+      unparse: (text) => text,
+    };
+    const documents = messages.map((message) => message.media?.document);
+
+    const result = await client.sendFile(targetChannelId, {
+      file: mediaPaths.slice(0, messages.length),
+      caption: messages.map((message) => message.message || ""),
+      parseMode: keepEntities,
+      attributes: documents.map((doc) => doc?.attributes),
+      // Keep documents as documents, only photos and videos are sent as media
+      forceDocument: documents.every((doc) => doc && !doc.mimeType?.startsWith("video/")),
+      supportsStreaming: true,
+      silent: true,
+    });
+
+    // Albums are sent without progress updates, report every item as done
+    messages.forEach((message, i) => {
+      const fileSize = fs.statSync(mediaPaths[i]).size;
+      emitProgress({
+        direction: "upload",
+        messageId: message.id,
+        fileName: path.basename(mediaPaths[i]),
+        transferred: fileSize,
+        total: fileSize,
+      });
+    });
+    logger.info(`🖼️ Album of ${messages.length} items sent`);
+
+    // The sent messages, in the same order as the album items
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to upload album: ${error.message}`);
+  }
+};
+
+/**
+ * Forward messages to target channel
  * @param {Object} client Telegram client
  * @param {string} targetChannelId Target channel ID
  * @param {string} sourceChannelId Source channel ID
- * @param {number} messageId Message ID to forward
+ * @param {number|number[]} messageIds Message ID(s) to forward, albums stay grouped when sent together
+ * @param {Object} options Forward options
+ * @param {boolean} options.dropAuthor Send as a copy without the "Forwarded from" header
  */
-const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId, messageId) => {
+const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId, messageIds, options = {}) => {
   try {
     const result = await client.forwardMessages(targetChannelId, {
-      messages: [messageId],
+      messages: Array.isArray(messageIds) ? messageIds : [messageIds],
       fromPeer: sourceChannelId,
-      silent: true
+      silent: true,
+      dropAuthor: Boolean(options.dropAuthor),
     });
     return result;
   } catch (error) {
@@ -504,6 +666,8 @@ module.exports = {
   getMessages,
   getMessageDetail,
   downloadMessageMedia,
+  resumeMessageMedia,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
   forwardMessageToChannel,
 };
@@ -0,0 +1,250 @@
+const readline = require("readline");
+const { NewMessage } = require("telegram/events");
+const { EditedMessage } = require("telegram/events/EditedMessage");
+const logger = require("../utils/logger");
+const {
+  emitEvent,
+  EVENT_TYPES,
+  getErrorCode,
+} = require("../utils/event-helper");
+
+// Album items arrive as separate updates, wait this long for the rest of the group
+const ALBUM_WAIT_MS = 1500;
+
+/**
+ * Follows source channels for new and edited posts and hands them to the
+ * downloader one task at a time.
+ *
+ * While running, channels are controlled with lines on stdin:
+ * "pause <n|id>", "resume <n|id>", "status" and "stop".
+ */
+class ChannelWatcher {
+  /**
+   * @param {Object} client - Connected Telegram client.
+   * @param {Object} handlers
+   * @param {Function} handlers.onMessages - async (entry, messages) for new posts.
+   * @param {Function} handlers.onEdited - async (entry, message) for edited posts.
+   * @param {Function} handlers.onCatchUp - async (entry) for posts missed while not listening.
+   */
+  constructor(client, handlers) {
+    this.client = client;
+    this.handlers = handlers;
+    this.channels = new Map();
+    this.albums = new Map();
+    this.queue = Promise.resolve();
+    this.stopWatching = null;
+  }
+
+  get size() {
+    return this.channels.size;
+  }
+
+  /**
+   * Adds a channel to the watch list.
+   * @param {Object} channelId - The source channel ID.
+   * @param {string} name - The channel name, for logs and status.
+   * @param {Object} settings - Download settings to mirror this channel with.
+   */
+  add(channelId, name, settings) {
+    this.channels.set(channelId.toString(), {
+      channelId,
+      name,
+      settings,
+      paused: false,
+      subscriptions: [],
+    });
+    logger.info(`👀 Added ${name} to the watch list`);
+  }
+
+  /**
+   * Lists the watched channels.
+   * @returns {Array<{index: number, channelId: string, name: string, paused: boolean}>}
+   */
+  list() {
+    return [...this.channels.values()].map((entry, index) => ({
+      index: index + 1,
+      channelId: entry.channelId.toString(),
+      name: entry.name,
+      paused: entry.paused,
+    }));
+  }
+
+  /**
+   * Finds a watched channel by its 1-based list number or its ID.
+   * @param {string} ref
+   * @returns {Object|undefined}
+   */
+  find(ref) {
+    const entries = [...this.channels.values()];
+    const index = parseInt(ref, 10);
+    if (String(index) === ref && index >= 1 && index <= entries.length) {
+      return entries[index - 1];
+    }
+    return this.channels.get(ref);
+  }
+
+  /**
+   * Runs a task after all previously queued ones, so the downloader only ever
+   * works on one channel at a time.
+   * @param {Function} task
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      logger.error(`Watch task failed: ${error.message}`);
+      emitEvent(EVENT_TYPES.ERROR, {
+        scope: "watch",
+        code: getErrorCode(error),
+        message: error.message,
+        retrying: false,
+      });
+    });
+    return this.queue;
+  }
+
+  subscribe(entry) {
+    const onNew = (event) => this.handleNewMessage(entry, event.message);
+    const onEdited = (event) => {
+      if (entry.paused) return;
+      this.enqueue(() => this.handlers.onEdited(entry, event.message));
+    };
+
+    const newFilter = new NewMessage({ chats: [entry.channelId] });
+    const editedFilter = new EditedMessage({ chats: [entry.channelId] });
+    this.client.addEventHandler(onNew, newFilter);
+    this.client.addEventHandler(onEdited, editedFilter);
+    entry.subscriptions = [
+      [onNew, newFilter],
+      [onEdited, editedFilter],
+    ];
+  }
+
+  unsubscribe(entry) {
+    entry.subscriptions.forEach(([handler, filter]) => {
+      this.client.removeEventHandler(handler, filter);
+    });
+    entry.subscriptions = [];
+  }
+
+  handleNewMessage(entry, message) {
+    if (entry.paused) return;
+
+    if (!message.groupedId) {
+      this.enqueue(() => this.handlers.onMessages(entry, [message]));
+      return;
+    }
+
+    // Collect the whole album before mirroring it
+    const key = `${entry.channelId}:${message.groupedId}`;
+    const album = this.albums.get(key) || { messages: [] };
+    clearTimeout(album.timer);
+    album.messages.push(message);
+    album.timer = setTimeout(() => {
+      this.albums.delete(key);
+      const messages = album.messages.sort((a, b) => a.id - b.id);
+      this.enqueue(() => this.handlers.onMessages(entry, messages));
+    }, ALBUM_WAIT_MS);
+    this.albums.set(key, album);
+  }
+
+  /**
+   * Pauses or resumes a channel. Resuming catches up on posts missed while paused.
+   * @param {string} ref - The channel's list number or ID.
+   * @param {boolean} paused
+   */
+  setPaused(ref, paused) {
+    const entry = this.find(ref);
+    if (!entry) {
+      logger.warn(`No watched channel matches "${ref}"`);
+      this.emitStatus(`No watched channel matches "${ref}"`);
+      return;
+    }
+
+    if (entry.paused !== paused) {
+      entry.paused = paused;
+      logger.info(`${paused ? "⏸️ Paused" : "▶️ Resumed"} watching ${entry.name}`);
+      if (!paused) {
+        this.enqueue(() => this.handlers.onCatchUp(entry));
+      }
+    }
+    this.emitStatus();
+  }
+
+  emitStatus(notice) {
+    emitEvent(EVENT_TYPES.WATCH_STATUS, { channels: this.list(), notice });
+  }
+
+  handleCommand(line) {
+    const [command, ...args] = line.trim().split(/\s+/);
+    const ref = args.join(" ");
+
+    switch (command.toLowerCase()) {
+      case "pause":
+        this.setPaused(ref, true);
+        break;
+      case "resume":
+        this.setPaused(ref, false);
+        break;
+      case "status":
+        this.list().forEach((channel) => {
+          logger.info(
+            `${channel.index}. ${channel.name} (${channel.channelId}) - ${channel.paused ? "paused" : "watching"}`,
+          );
+        });
+        this.emitStatus();
+        break;
+      case "stop":
+        this.stop();
+        break;
+      default:
+        logger.warn(
+          `Unknown watch command "${line.trim()}", use pause <n>, resume <n>, status or stop`,
+        );
+    }
+  }
+
+  /**
+   * Catches up on every watched channel, then mirrors new and edited posts
+   * until "stop" is received.
+   * @returns {Promise<void>}
+   */
+  async run() {
+    this.channels.forEach((entry) => {
+      this.subscribe(entry);
+      this.enqueue(() => this.handlers.onCatchUp(entry));
+    });
+
+    emitEvent(EVENT_TYPES.WATCH_STARTED, { channels: this.list() });
+    logger.info(
+      `👀 Watching ${this.size} channels for new posts. Commands: pause <n>, resume <n>, status, stop`,
+    );
+
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on("line", (line) => {
+      if (line.trim()) this.handleCommand(line);
+    });
+
+    await new Promise((resolve) => {
+      this.stopWatching = resolve;
+    });
+
+    rl.close();
+    this.channels.forEach((entry) => this.unsubscribe(entry));
+    this.albums.forEach((album) => clearTimeout(album.timer));
+    this.albums.clear();
+    await this.queue;
+
+    logger.info("🛑 Stopped watching channels");
+    emitEvent(EVENT_TYPES.WATCH_STOPPED, {});
+  }
+
+  stop() {
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+  }
+}
+
+module.exports = {
+  ChannelWatcher,
+};
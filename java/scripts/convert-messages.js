@@ -0,0 +1,63 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { MessageStore } = require("../utils/message-store");
+
+/**
+ * Writes the legacy all_messages.json array from a channel's messages.jsonl log
+ */
+class ConvertMessages {
+  static description() {
+    return "Convert messages.jsonl logs into the legacy all_messages.json array";
+  }
+
+  static help() {
+    return (
+      "Usage: node cli convert-messages [--channel=<id>] [--file=<path>] [--output=<folder>]\n\n" +
+      "  --channel=<id>     Channel folder to convert (default: every channel in the export folder)\n" +
+      "  --file=<path>      Where to write the array (default: <channel folder>/all_messages.json)\n" +
+      "  --output=<folder>  Folder holding the export tree (default: ./export)\n\n" +
+      "An all_messages.json from before the log existed is flattened into the log first."
+    );
+  }
+
+  async handle(options = {}) {
+    const exportRoot = path.resolve(typeof options.output === "string" ? options.output : "export");
+    const channelIds = typeof options.channel === "string"
+      ? [options.channel]
+      : fs
+          .readdirSync(exportRoot, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name);
+
+    if (typeof options.file === "string" && channelIds.length !== 1) {
+      logger.error("--file needs --channel, each channel has its own message log");
+      process.exitCode = 1;
+      return;
+    }
+
+    let converted = 0;
+    for (const channelId of channelIds) {
+      const store = new MessageStore(path.join(exportRoot, channelId));
+      if (!fs.existsSync(store.filePath) && !fs.existsSync(store.legacyPath)) {
+        if (options.channel) {
+          logger.error(`No message log found in ${store.folder}`);
+          process.exitCode = 1;
+        }
+        continue;
+      }
+
+      const outputPath = typeof options.file === "string" ? path.resolve(options.file) : store.legacyPath;
+      const count = await store.exportLegacy(outputPath);
+      logger.success(`${channelId}: ${count} messages written to ${outputPath}`);
+      converted++;
+    }
+
+    if (!options.channel && converted === 0) {
+      logger.info(`No message logs found in ${exportRoot}`);
+    }
+  }
+}
+
+module.exports = ConvertMessages;
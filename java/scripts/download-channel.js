@@ -1,36 +1,73 @@
 "use strict";
 const fs = require("fs");
 const path = require("path");
-const { initAuth } = require("../modules/auth");
+const { initAuth, initHeadlessAuth, initUploadAuth } = require("../modules/auth");
 const {
   getMessages,
   getMessageDetail,
   downloadMessageMedia,
+  resumeMessageMedia,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
   forwardMessageToChannel,
 } = require("../modules/messages");
 const {
   getMediaType,
   getMediaPath,
   checkFileExist,
-  appendToJSONArrayFile,
   wait,
+  parseMessageIds,
+  groupAlbums,
+  chunkMessages,
+  setFileNameTemplate,
 } = require("../utils/helper");
 const {
   updateLastSelection,
   getLastSelection,
 } = require("../utils/file-helper");
 const logger = require("../utils/logger");
+const { emitEvent, EVENT_TYPES, getErrorCode } = require("../utils/event-helper");
+const { Journal, MESSAGE_STATES } = require("../utils/journal");
+const { MessageStore, serializeEntities } = require("../utils/message-store");
+const { MessageDatabase, getDatabasePath } = require("../utils/message-db");
+const { EXPORTERS, parseExportFormats, runExporters, resetExports } = require("../utils/exporters");
+const {
+  ContentIndex,
+  getMediaKey,
+  hashFile,
+  linkFile,
+} = require("../utils/content-index");
+const {
+  FILTER_OPTIONS,
+  validateFilterValue,
+  pickFilterOptions,
+  createFilters,
+  describeFilters,
+} = require("../utils/filter-helper");
+const { returnBigInt } = require("telegram/Helpers");
 const { getDialogName, getAllDialogs } = require("../modules/dialoges");
+const { ChannelWatcher } = require("../modules/watcher");
+const { describeMessage, exportHtmlArchive } = require("../modules/archive");
 const {
   downloadOptionInput,
   selectInput,
   booleanInput,
+  textInput,
+  multipleChoice,
+  setHeadless,
 } = require("../utils/input-helper");
+const {
+  HEADLESS_OPTIONS,
+  loadRunOptions,
+  resolveHeadlessOptions,
+  findDialog,
+} = require("../utils/headless-helper");
+const { loadProfile, profileToOptions } = require("../utils/profile-helper");
 
 // OPTIMIZED CONFIGURATIONS FOR HIGH-SPEED WITH STABILITY
 const MAX_PARALLEL_DOWNLOADS_CONFIG = 32 ; // Safe concurrency that prevents flood waits
 const MAX_PARALLEL_UPLOADS_CONFIG = 32; // Conservative uploads to avoid API limits
+const DYNAMIC_BATCH_CONCURRENCY = 8; // Posts downloaded at the same time, --concurrency overrides it
 const MESSAGE_LIMIT_CONFIG = 500; // Reasonable batch size for efficient processing
 const RATE_LIMIT_DELAY_CONFIG = 500; // Safe 1 second delay, will adapt dynamically
 const DOWNLOAD_DELAY_CONFIG = 500; // Safe delays that can be reduced dynamically
@@ -50,6 +87,39 @@ const THROUGHPUT_OPTIMIZATION_MODE = true;
 const AGGRESSIVE_SPEED_MODE = true; // Enabled for maximum speed
 const TARGET_SPEED_MBPS = 500; // Increased target to 35 Mbps for headroom
 
+// How messages reach the target channel in upload mode
+const TRANSFER_STRATEGIES = {
+  FORWARD: "forward",
+  COPY: "copy",
+  REUPLOAD: "reupload",
+};
+const FORWARD_CHUNK_SIZE = 100; // Telegram accepts at most 100 messages per forward request
+
+// What to do with files already on disk from an earlier run
+const EXISTING_FILE_POLICIES = {
+  SKIP: "skip", // keep files whose size matches, resume partial ones
+  VERIFY: "verify", // like skip, but also compare the SHA-256 recorded in the content index
+  OVERWRITE: "overwrite", // always download again
+};
+
+// File types downloaded when none were chosen
+const DEFAULT_DOWNLOADABLE_FILES = {
+  webpage: true,
+  poll: true,
+  geo: true,
+  contact: true,
+  venue: true,
+  sticker: true,
+  image: true,
+  video: true,
+  audio: true,
+  voice: true,
+  document: true,
+  pdf: true,
+  zip: true,
+  all: true,
+};
+
 const SpeedMonitor = require('../../speed-monitor');
 const RateLimiter = require('../../rate-limiter');
 
@@ -73,6 +143,23 @@ class DownloadChannel {
     this.startFromMessageId = 0;
     this.batchCounter = 0;
     this.downloadToEndMode = false;
+    this.specificMessageIds = null;
+    this.transferStrategy = TRANSFER_STRATEGIES.REUPLOAD;
+    this.existingFilePolicy = EXISTING_FILE_POLICIES.SKIP;
+    this.filterOptions = {};
+    this.messageFilters = [];
+    this.exportFormats = []; // Exporters run next to the messages.jsonl log
+    this.journal = null;
+    this.watcher = null;
+    this.uploadClient = null; // Account posting to the target when the bot gave the job a second one
+    this.uploadDialogs = null;
+    this.headless = false;
+    this.headlessSettings = null;
+    this.fileNameTemplate = null;
+    this.maxConcurrentPosts = DYNAMIC_BATCH_CONCURRENCY;
+    this.exportRoot = path.join(process.cwd(), "export");
+    this.contentIndex = new ContentIndex(this.exportRoot);
+    this.messageDatabase = undefined; // Opened on first use, null when better-sqlite3 is missing
     
     // Initialize performance monitoring and rate limiting
     this.speedMonitor = new SpeedMonitor();
@@ -101,9 +188,8 @@ class DownloadChannel {
     this.fileReferenceErrors = [];
     this.consecutiveFileRefErrors = 0;
 
-    const exportPath = path.resolve(process.cwd(), "./export");
-    if (!fs.existsSync(exportPath)) {
-      fs.mkdirSync(exportPath);
+    if (!fs.existsSync(this.exportRoot)) {
+      fs.mkdirSync(this.exportRoot);
     }
   }
 
@@ -111,6 +197,31 @@ class DownloadChannel {
     return "Ultra-High-Speed Download (35 Mbps target) with advanced flood wait reduction";
   }
 
+  static help() {
+    const filterFlags = Object.entries(FILTER_OPTIONS)
+      .map(([name, { label }]) => `  --${name}=<value>  ${label}`)
+      .join("\n");
+    const headlessFlags = Object.entries(HEADLESS_OPTIONS)
+      .map(([name, label]) => `  --${name}=<value>  ${label}`)
+      .join("\n");
+    return (
+      "Usage: node cli download-channel [--strategy=<value>] [--existing=<value>] [filters]\n" +
+      "       node cli download-channel --headless --channel=<id|@username> [options]\n" +
+      "       node cli download-channel --config=<file.json> [options]\n" +
+      "       node cli download-channel --profile=<name> [options]\n" +
+      "       node cli download-channel --sync --channel=<id|@username>\n\n" +
+      `  --strategy=<value>  ${Object.values(TRANSFER_STRATEGIES).join(" | ")} (upload mode only)\n` +
+      `  --existing=<value>  ${Object.values(EXISTING_FILE_POLICIES).join(" | ")} (files from earlier runs)\n` +
+      `  --export=<value>    ${Object.keys(EXPORTERS).join(",")} (extra exports, skips the export prompt)\n\n` +
+      `Filters (skip the filter prompt when given):\n${filterFlags}\n\n` +
+      "Headless runs never prompt: they log in with the session saved in config.json, take every answer\n" +
+      "from the flags, the JSON config file or the profile (same keys, flags win) and exit with code 1 on\n" +
+      "any problem. --sync continues the channel's saved job from its last checkpoint, even after it\n" +
+      "completed, so only new messages are fetched.\n" +
+      `${headlessFlags}`
+    );
+  }
+
   /**
    * Dynamically determine optimal chunk size based on file size
    * Small files get smaller chunks for faster startup, large files get larger chunks for throughput
@@ -139,63 +250,85 @@ class DownloadChannel {
    * without waiting for entire batches. This dramatically improves speed when file sizes vary.
    */
   async processDynamicBatch(client, messages, channelId) {
-    const maxConcurrent = Math.min(8, messages.length); // Optimal concurrent limit
+    // Albums are downloaded as one unit so they can be re-sent as a media group
+    const units = groupAlbums(messages);
+    const maxConcurrent = Math.min(this.maxConcurrentPosts, units.length); // Optimal concurrent limit
     const completedResults = [];
-    let messageIndex = 0;
+    let unitIndex = 0;
+    let processedCount = 0;
     
-    logger.info(`🔥 Dynamic batch processing: ${messages.length} messages with ${maxConcurrent} concurrent slots`);
+    logger.info(`🔥 Dynamic batch processing: ${messages.length} messages (${units.length} posts) with ${maxConcurrent} concurrent slots`);
     
-    // Create download function that handles individual messages
-    const processMessage = async (message, index) => {
+    // Create download function that handles individual posts
+    const processUnit = async (unit, index) => {
+      const label = unit.length > 1
+        ? `Album ${unit[0].id}-${unit[unit.length - 1].id} (${unit.length} items)`
+        : `Message ${unit[0].id}`;
       try {
-        logger.info(`🚀 Dynamic download ${index + 1}/${messages.length}: Message ${message.id}`);
+        logger.info(`🚀 Dynamic download ${index + 1}/${units.length}: ${label}`);
         
-        // Call the existing downloadBatch function with single message
-        const result = await this.downloadBatch(client, [message], channelId);
+        // Call the existing downloadBatch function with the post's messages
+        const result = await this.downloadBatch(client, unit, channelId);
         
         if (result && result.length > 0) {
-          logger.info(`✅ Dynamic completed ${index + 1}/${messages.length}: Message ${message.id} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`);
-          return result[0]; // Return the single result
+          logger.info(`✅ Dynamic completed ${index + 1}/${units.length}: ${label} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`);
+          return result;
         }
         
         return null;
       } catch (error) {
-        logger.error(`❌ Dynamic download failed for message ${message.id}: ${error.message}`);
-        return { message, failed: true, error: error.message };
+        logger.error(`❌ Dynamic download failed for ${label}: ${error.message}`);
+        return unit.map((message) => ({ message, failed: true, error: error.message }));
       }
     };
 
-    // Process messages in concurrent batches, but allow individual completion
-    while (messageIndex < messages.length) {
-      // Create a batch of up to maxConcurrent messages
-      const currentBatch = messages.slice(messageIndex, messageIndex + maxConcurrent);
-      const batchPromises = currentBatch.map((message, i) => 
-        processMessage(message, messageIndex + i)
+    // Process posts in concurrent batches, but allow individual completion
+    while (unitIndex < units.length) {
+      // Create a batch of up to maxConcurrent posts
+      const currentBatch = units.slice(unitIndex, unitIndex + maxConcurrent);
+      const batchPromises = currentBatch.map((unit, i) => 
+        processUnit(unit, unitIndex + i)
       );
+      const batchSize = currentBatch.reduce((sum, unit) => sum + unit.length, 0);
       
       // Process this concurrent batch and handle individual completions
-      logger.info(`⚡ Processing concurrent batch: ${currentBatch.length} downloads (${messageIndex + 1}-${messageIndex + currentBatch.length}/${messages.length})`);
+      logger.info(`⚡ Processing concurrent batch: ${batchSize} downloads (${processedCount + 1}-${processedCount + batchSize}/${messages.length})`);
+      const batchNumber = Math.floor(unitIndex / maxConcurrent) + 1;
+      const totalBatches = Math.ceil(units.length / maxConcurrent);
+      emitEvent(EVENT_TYPES.BATCH_STARTED, { index: batchNumber, total: totalBatches, size: batchSize });
       
       // Use Promise.allSettled to let each download complete independently
       const results = await Promise.allSettled(batchPromises);
       
       // Collect successful results
+      const batchResults = [];
       results.forEach((result, i) => {
         if (result.status === 'fulfilled' && result.value) {
-          completedResults.push(result.value);
+          batchResults.push(...result.value.filter((data) => !data.failed));
         } else if (result.status === 'rejected') {
-          logger.error(`❌ Download ${messageIndex + i + 1} rejected: ${result.reason}`);
+          logger.error(`❌ Download ${unitIndex + i + 1} rejected: ${result.reason}`);
         }
       });
+      completedResults.push(...batchResults);
+
+      // Upload in source order before moving on, like processBatch does
+      if (this.uploadMode && batchResults.length > 0) {
+        const uploadClient = this.getUploadClient(client);
+        await this.ensureConnectionHealth(uploadClient);
+        const uploadedData = await this.uploadBatch(uploadClient, batchResults);
+        await this.cleanupBatch(uploadedData);
+      }
       
-      messageIndex += currentBatch.length;
+      unitIndex += currentBatch.length;
+      processedCount += batchSize;
+      emitEvent(EVENT_TYPES.BATCH_COMPLETED, { index: batchNumber, total: totalBatches });
       
       // Progress update
       const speedMbps = this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() : "0.0";
-      logger.info(`📊 Dynamic progress: ${messageIndex}/${messages.length} processed (${speedMbps} Mbps)`);
+      logger.info(`📊 Dynamic progress: ${processedCount}/${messages.length} processed (${speedMbps} Mbps)`);
       
       // Small delay between concurrent batches to avoid overwhelming the system
-      if (messageIndex < messages.length) {
+      if (unitIndex < units.length) {
         await this.precisionDelay(Math.min(100, RATE_LIMIT_DELAY_CONFIG));
       }
     }
@@ -664,11 +797,19 @@ class DownloadChannel {
     return hasContent;
   }
 
+  /**
+   * Check the user-selected filters (date range, size, caption, sender)
+   */
+  passesFilters(message) {
+    return this.messageFilters.every((filter) => filter.test(message));
+  }
+
   /**
    * Enhanced message processing decision
    */
   shouldProcess(message) {
     if (!this.hasContent(message)) return false;
+    if (!this.passesFilters(message)) return false;
 
     if (message.message && !message.media) return true;
 
@@ -695,6 +836,12 @@ class DownloadChannel {
     let attempt = 0;
     let originalMessage = { ...message }; // Keep original for reference
 
+    if (message.media && this.existingFilePolicy !== EXISTING_FILE_POLICIES.OVERWRITE) {
+      const keptPath =
+        (await this.keepExistingFile(message)) || this.reuseIndexedCopy(message);
+      if (keptPath) return keptPath;
+    }
+
     while (attempt < maxRetries) {
       try {
         if (!message.media) return null;
@@ -702,8 +849,8 @@ class DownloadChannel {
         const mediaPath = getMediaPath(message, this.outputFolder);
         const fileExists = checkFileExist(message, this.outputFolder);
 
-        // NEW: Auto-delete existing files to force fresh download
-        if (fileExists) {
+        // Overwrite policy: delete existing files to force fresh download
+        if (fileExists && this.existingFilePolicy === EXISTING_FILE_POLICIES.OVERWRITE) {
           logger.warn(`🔄 File exists, deleting for fresh download: ${path.basename(mediaPath)}`);
           const deleted = this.deleteExistingFile(mediaPath);
           if (deleted) {
@@ -730,6 +877,12 @@ class DownloadChannel {
                          (message.media?.photo?.sizes ? 
                           Math.max(...message.media.photo.sizes.map(s => s.size || 0)) : 0) || 0;
         const adaptiveChunkSize = this.getOptimalChunkSize(fileSize);
+        emitEvent(EVENT_TYPES.FILE_STARTED, {
+          messageId: message.id,
+          fileName: path.basename(mediaPath),
+          size: fileSize,
+          attempt: attempt + 1,
+        });
         
         // Dynamic optimization with adaptive chunk sizing
         const downloadOptions = isSingleFile
@@ -748,8 +901,12 @@ class DownloadChannel {
               stabilizeSpeed: true,
             };
 
-        // Apply rate limiting to API call
+        // Apply rate limiting to API call, partial documents continue where they stopped
+        const resumable = this.isResumable(message, mediaPath);
         const result = await this.rateLimiter.addToQueue(async () => {
+          if (resumable) {
+            return await resumeMessageMedia(client, message, mediaPath);
+          }
           return await downloadMessageMedia(
             client,
             message,
@@ -761,6 +918,7 @@ class DownloadChannel {
         });
 
         if (result && fs.existsSync(mediaPath)) {
+          this.journal?.mark(message.id, MESSAGE_STATES.DOWNLOADED, { mediaPath });
           const fileSize = fs.statSync(mediaPath).size;
           const duration = (Date.now() - startTime) / 1000;
           const speedMbps =
@@ -779,8 +937,13 @@ class DownloadChannel {
               `⚠️ Size mismatch: ${path.basename(mediaPath)} - Expected: ${(expectedSize / 1024 / 1024).toFixed(2)}MB, Got: ${(fileSize / 1024 / 1024).toFixed(2)}MB`,
             );
             
-            // Delete incomplete file and retry
-            this.deleteExistingFile(mediaPath);
+            // Keep a short file to resume it on retry, unless it cannot be resumed
+            if (
+              this.existingFilePolicy === EXISTING_FILE_POLICIES.OVERWRITE ||
+              !this.isResumable(message, mediaPath)
+            ) {
+              this.deleteExistingFile(mediaPath);
+            }
             throw new Error(`Incomplete download: ${path.basename(mediaPath)}`);
           }
 
@@ -793,11 +956,22 @@ class DownloadChannel {
           this.rateLimiter.recordPerformance(speedMbps, false, fileSize);
           
           this.totalDownloaded++;
+          this.journal?.mark(message.id, MESSAGE_STATES.VERIFIED, { mediaPath, size: fileSize });
+          await this.indexDownloadedFile(message, mediaPath, fileSize);
           this.resetFileReferenceTracking(); // Reset error tracking on success
 
           logger.info(
             `✅ Downloaded: ${path.basename(mediaPath)} (${speedMbps.toFixed(1)} Mbps)${sizeVerified ? " ✓ Size verified" : ""}${isSingleFile ? " [SINGLE-FILE BOOST]" : ""}`,
           );
+          emitEvent(EVENT_TYPES.FILE_COMPLETED, {
+            messageId: message.id,
+            fileName: path.basename(mediaPath),
+            path: mediaPath,
+            size: fileSize,
+            expectedSize,
+            speedMbps: parseFloat(speedMbps.toFixed(1)),
+            fullSize: sizeVerified,
+          });
           return mediaPath;
         } else {
           throw new Error("Download verification failed");
@@ -818,6 +992,14 @@ class DownloadChannel {
         logger.warn(
           `❌ Download attempt ${attempt}/${maxRetries} failed for message ${message.id}: ${error.message}`,
         );
+        emitEvent(EVENT_TYPES.ERROR, {
+          scope: "download",
+          code: error.message.includes("Incomplete download") ? "SIZE_MISMATCH" : getErrorCode(error),
+          message: error.message,
+          messageId: message.id,
+          attempt,
+          retrying: attempt < maxRetries,
+        });
 
         if (error.message.includes("FILE_REFERENCE_EXPIRED")) {
           this.trackFileReferenceError();
@@ -874,6 +1056,223 @@ class DownloadChannel {
     return null;
   }
 
+  /**
+   * Size Telegram reports for the message media, 0 if unknown
+   */
+  getExpectedFileSize(message) {
+    return Number(
+      message.media?.document?.size || message.media?.photo?.sizes?.[0]?.size || 0,
+    );
+  }
+
+  /**
+   * Whether the file at mediaPath is a partial document download that can be continued
+   */
+  isResumable(message, mediaPath) {
+    if (this.existingFilePolicy === EXISTING_FILE_POLICIES.OVERWRITE) return false;
+    if (!message.media?.document || !fs.existsSync(mediaPath)) return false;
+
+    const size = fs.statSync(mediaPath).size;
+    return size > 0 && size < this.getExpectedFileSize(message);
+  }
+
+  /**
+   * Keep a file left by an earlier run when it passes the existing-file policy,
+   * deleting it when it is corrupt. Partial files are left for resuming.
+   * @returns {Promise<string|null>} The media path if the file is kept
+   */
+  async keepExistingFile(message) {
+    const mediaPath = getMediaPath(message, this.outputFolder);
+    if (!checkFileExist(message, this.outputFolder)) return null;
+    if (this.isResumable(message, mediaPath)) return null;
+
+    const size = fs.statSync(mediaPath).size;
+    const expectedSize = this.getExpectedFileSize(message);
+    // Documents must match exactly, photo sizes are only approximate
+    const sizeMatches = message.media?.document
+      ? size === expectedSize
+      : expectedSize === 0 || size >= expectedSize * 0.95;
+
+    let sha256 = null;
+    let hashMatches = true;
+    if (sizeMatches && this.existingFilePolicy === EXISTING_FILE_POLICIES.VERIFY) {
+      sha256 = await hashFile(mediaPath);
+      const recorded = this.contentIndex.getShaForMediaKey(getMediaKey(message));
+      hashMatches = !recorded || recorded === sha256;
+    }
+
+    if (!sizeMatches || !hashMatches) {
+      logger.warn(
+        `🗑️ Corrupt file from an earlier run (${sizeMatches ? "hash" : "size"} mismatch), downloading again: ${path.basename(mediaPath)}`,
+      );
+      this.deleteExistingFile(mediaPath);
+      return null;
+    }
+
+    logger.info(
+      `✅ Kept existing file: ${path.basename(mediaPath)}${sha256 ? " ✓ Hash verified" : " ✓ Size verified"}`,
+    );
+    if (!this.contentIndex.getShaForPath(mediaPath)) {
+      await this.indexDownloadedFile(message, mediaPath, size, sha256);
+    }
+
+    this.skippedFiles++;
+    this.journal?.mark(message.id, MESSAGE_STATES.VERIFIED, { mediaPath, size });
+    emitEvent(EVENT_TYPES.FILE_COMPLETED, {
+      messageId: message.id,
+      fileName: path.basename(mediaPath),
+      path: mediaPath,
+      size,
+      expectedSize,
+      speedMbps: 0,
+      fullSize: true,
+      existing: true,
+    });
+    return mediaPath;
+  }
+
+  /**
+   * Reuse a file the content index already holds for this media instead of downloading it again
+   * @returns {string|null} The media path, or null if the media has to be downloaded
+   */
+  reuseIndexedCopy(message) {
+    const sha256 = this.contentIndex.getShaForMediaKey(getMediaKey(message));
+    if (!sha256) return null;
+
+    const mediaPath = getMediaPath(message, this.outputFolder);
+    const localCopy = this.contentIndex.findLocalCopy(sha256, mediaPath);
+    if (!localCopy) return null;
+
+    const linked = linkFile(localCopy, mediaPath);
+    const size = fs.statSync(mediaPath).size;
+    this.contentIndex.addFile({
+      path: mediaPath,
+      sha256,
+      size,
+      mediaKey: getMediaKey(message),
+    });
+    logger.info(
+      `♻️ Duplicate of ${path.basename(localCopy)}, ${linked ? "hard-linked" : "copied"} instead of downloading`,
+    );
+
+    this.skippedFiles++;
+    this.journal?.mark(message.id, MESSAGE_STATES.VERIFIED, {
+      mediaPath,
+      size,
+      duplicateOf: localCopy,
+    });
+    emitEvent(EVENT_TYPES.FILE_COMPLETED, {
+      messageId: message.id,
+      fileName: path.basename(mediaPath),
+      path: mediaPath,
+      size,
+      expectedSize: size,
+      speedMbps: 0,
+      fullSize: true,
+      duplicate: true,
+    });
+    return mediaPath;
+  }
+
+  /**
+   * Hash a verified download and add it to the content index, hard-linking it to an
+   * identical file that is already stored elsewhere
+   */
+  async indexDownloadedFile(message, mediaPath, size, knownSha256 = null) {
+    try {
+      const sha256 = knownSha256 || (await hashFile(mediaPath));
+      const localCopy = this.contentIndex.findLocalCopy(sha256, mediaPath);
+      if (localCopy && linkFile(localCopy, mediaPath)) {
+        logger.info(
+          `♻️ ${path.basename(mediaPath)} is identical to ${path.basename(localCopy)}, stored as a hard link`,
+        );
+      }
+      this.contentIndex.addFile({
+        path: mediaPath,
+        sha256,
+        size,
+        mediaKey: getMediaKey(message),
+        accessHash: (
+          message.media?.document?.accessHash || message.media?.photo?.accessHash
+        )?.toString(),
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Could not index ${path.basename(mediaPath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * SHA-256 of a local file, taken from the content index when known
+   * @returns {Promise<string|null>}
+   */
+  async getContentHash(mediaPath) {
+    if (!mediaPath || !fs.existsSync(mediaPath)) return null;
+    const indexed = this.contentIndex.getShaForPath(mediaPath);
+    if (indexed) return indexed;
+    try {
+      return await hashFile(mediaPath);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Mark a message as uploaded when its file was already posted to the target channel
+   * @returns {boolean} True if the upload can be skipped
+   */
+  skipPostedDuplicate(message, sha256, mediaPath = null) {
+    if (!this.uploadMode || !this.targetChannelId) return false;
+
+    const targetMessageId = this.contentIndex.findUpload(this.targetChannelId, sha256);
+    if (targetMessageId === undefined) return false;
+
+    logger.info(
+      `♻️ Message ${message.id} was already posted to the target${targetMessageId ? ` as message ${targetMessageId}` : ""}, skipping upload`,
+    );
+    this.skippedFiles++;
+    this.journal?.mark(message.id, MESSAGE_STATES.UPLOADED, {
+      targetMessageId,
+      duplicate: true,
+    });
+    emitEvent(EVENT_TYPES.UPLOAD_COMPLETED, {
+      messageId: message.id,
+      fileName: mediaPath ? path.basename(mediaPath) : null,
+      speedMbps: 0,
+      duplicate: true,
+    });
+    return true;
+  }
+
+  /**
+   * Drop messages whose media is already known to be posted to the target channel,
+   * so they are not even downloaded. Albums are only dropped as a whole.
+   * @returns {Array} The messages that still need to be transferred
+   */
+  skipPostedMessages(messages) {
+    const remaining = [];
+    groupAlbums(messages).forEach((group) => {
+      const hashes = group.map((msg) =>
+        this.contentIndex.getShaForMediaKey(getMediaKey(msg)),
+      );
+      const allPosted = hashes.every(
+        (sha256) =>
+          this.contentIndex.findUpload(this.targetChannelId, sha256) !== undefined,
+      );
+      if (!allPosted) {
+        remaining.push(...group);
+        return;
+      }
+      group.forEach((msg, index) => this.skipPostedDuplicate(msg, hashes[index]));
+    });
+
+    if (remaining.length < messages.length) {
+      logger.info(
+        `♻️ ${messages.length - remaining.length} messages are already in the target channel and will not be downloaded`,
+      );
+    }
+    return remaining;
+  }
+
   /**
    * ULTRA-OPTIMIZED upload with dynamic single-file acceleration
    */
@@ -881,6 +1280,9 @@ class DownloadChannel {
     const maxRetries = isSingleFile ? 8 : 15; // Fewer retries for single files
     let attempt = 0;
 
+    const sha256 = this.uploadMode ? await this.getContentHash(mediaPath) : null;
+    if (this.skipPostedDuplicate(message, sha256, mediaPath)) return true;
+
     while (attempt < maxRetries) {
       try {
         if (!this.uploadMode || !this.targetChannelId) return false;
@@ -901,9 +1303,10 @@ class DownloadChannel {
 
         if (result) {
           const duration = (Date.now() - startTime) / 1000;
+          let speedMbps = 0;
           if (mediaPath && fs.existsSync(mediaPath)) {
             const fileSize = fs.statSync(mediaPath).size;
-            const speedMbps =
+            speedMbps =
               duration > 0 ? (fileSize * 8) / duration / 1000 / 1000 : 0;
             if (this.speedMonitor) {
               this.speedMonitor.updateSpeed(fileSize);
@@ -914,6 +1317,15 @@ class DownloadChannel {
           }
 
           this.totalUploaded++;
+          this.journal?.mark(message.id, MESSAGE_STATES.UPLOADED, {
+            targetMessageId: result.id,
+          });
+          this.contentIndex.markUploaded(this.targetChannelId, sha256, result.id);
+          emitEvent(EVENT_TYPES.UPLOAD_COMPLETED, {
+            messageId: message.id,
+            fileName: mediaPath ? path.basename(mediaPath) : null,
+            speedMbps: parseFloat(speedMbps.toFixed(1)),
+          });
           if (typeof this.updateFloodWaitHistory === "function") {
             this.updateFloodWaitHistory(false); // No flood wait occurred
           }
@@ -926,6 +1338,14 @@ class DownloadChannel {
         logger.warn(
           `❌ Upload attempt ${attempt}/${maxRetries} failed for message ${message.id}: ${error.message}`,
         );
+        emitEvent(EVENT_TYPES.ERROR, {
+          scope: "upload",
+          code: getErrorCode(error),
+          message: error.message,
+          messageId: message.id,
+          attempt,
+          retrying: attempt < maxRetries && !error.message.includes("CHAT_FORWARDS_RESTRICTED"),
+        });
 
         if (error.message.includes("CHAT_FORWARDS_RESTRICTED")) {
           return false;
@@ -963,6 +1383,15 @@ class DownloadChannel {
             );
             if (finalResult) {
               this.totalUploaded++;
+              this.journal?.mark(message.id, MESSAGE_STATES.UPLOADED, {
+                targetMessageId: finalResult.id,
+              });
+              this.contentIndex.markUploaded(this.targetChannelId, sha256, finalResult.id);
+              emitEvent(EVENT_TYPES.UPLOAD_COMPLETED, {
+                messageId: message.id,
+                fileName: mediaPath ? path.basename(mediaPath) : null,
+                speedMbps: 0,
+              });
               return true;
             }
           } catch (finalError) {
@@ -978,210 +1407,182 @@ class DownloadChannel {
   }
 
   /**
-   * ULTRA-HIGH-SPEED batch download with dynamic optimization
+   * Collect the upload queue items of the album starting at `startIndex`
    */
-  async downloadBatch(client, messages, channelId) {
-    const isSingleFile = messages.length === 1;
-    const isSmallBatch = messages.length <= 3; // Small batch optimization
-    const isLastBatch =
-      this.totalProcessedMessages + messages.length >=
-      this.totalMessages * 0.95; // Last 5% of files
-
-    // Determine optimization mode
-    let optimizationMode;
-    if (isSingleFile) {
-      optimizationMode = "SINGLE-FILE TURBO";
-    } else if (isSmallBatch || isLastBatch) {
-      optimizationMode = "SMALL-BATCH TURBO";
-    } else {
-      optimizationMode = "BATCH PARALLEL";
+  collectAlbumItems(uploadQueue, startIndex) {
+    const groupedId = uploadQueue[startIndex].message.groupedId;
+    if (!groupedId) return [uploadQueue[startIndex]];
+
+    let endIndex = startIndex;
+    while (
+      endIndex + 1 < uploadQueue.length &&
+      uploadQueue[endIndex + 1].message.groupedId &&
+      uploadQueue[endIndex + 1].message.groupedId.toString() === groupedId.toString()
+    ) {
+      endIndex++;
     }
+    return uploadQueue.slice(startIndex, endIndex + 1);
+  }
 
-    // Enhanced speed target for small files and final files
-    const speedTarget =
-      isSingleFile || isSmallBatch || isLastBatch ? "40+ Mbps" : "30+ Mbps";
-
-    logger.info(
-      `📥 ${optimizationMode} download: ${messages.length} messages (${MAX_PARALLEL_DOWNLOADS_CONFIG} workers, 10-32MB adaptive chunks) - Target: ${speedTarget}`,
+  /**
+   * Upload album items as a single media group, caption and entities stay on their item
+   */
+  async uploadAlbum(client, albumItems) {
+    const maxRetries = 8;
+    const items = albumItems.filter(
+      (item) => item.mediaPath && fs.existsSync(item.mediaPath),
     );
 
-    messages.sort((a, b) => a.id - b.id);
+    if (items.length < albumItems.length) {
+      logger.warn(
+        `⚠️ Album ${albumItems[0].message.groupedId}: ${albumItems.length - items.length} items have no local file and are left out`,
+      );
+    }
+    if (items.length === 0) return false;
+    if (items.length === 1) {
+      return this.uploadMessage(client, items[0].message, items[0].mediaPath);
+    }
 
-    // Minimal or no wait for single files, small batches, or last batch
-    if (isSingleFile || isSmallBatch || isLastBatch) {
-      await this.ultraOptimizedWait(5); // Ultra-minimal delay
-    } else {
-      await this.ultraOptimizedWait(15);
+    // The album is only skipped as a whole, a partial repost would lose its grouping
+    const hashes = [];
+    for (const item of items) {
+      hashes.push(await this.getContentHash(item.mediaPath));
+    }
+    const posted = hashes.map((sha256) =>
+      this.contentIndex.findUpload(this.targetChannelId, sha256),
+    );
+    if (posted.every((targetMessageId) => targetMessageId !== undefined)) {
+      items.forEach((item, index) =>
+        this.skipPostedDuplicate(item.message, hashes[index], item.mediaPath),
+      );
+      return true;
     }
 
-    const downloadPromises = messages.map(async (message, index) => {
-      let retryCount = 0;
-      const maxBatchRetries = 3;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        if (!this.uploadMode || !this.targetChannelId) return false;
+        await this.checkRateLimit();
 
-      while (retryCount < maxBatchRetries) {
-        try {
-          logger.info(
-            `🚀 Ultra-parallel download ${index + 1}/${messages.length}: Message ${message.id}`,
+        const startTime = Date.now();
+        const result = await uploadAlbumToChannel(
+          client,
+          this.targetChannelId,
+          items.map((item) => item.message),
+          items.map((item) => item.mediaPath),
+        );
+        if (!result) {
+          throw new Error("Album upload returned no result");
+        }
+
+        const duration = (Date.now() - startTime) / 1000;
+        const totalSize = items.reduce(
+          (sum, item) => sum + fs.statSync(item.mediaPath).size,
+          0,
+        );
+        const speedMbps =
+          duration > 0 ? (totalSize * 8) / duration / 1000 / 1000 : 0;
+        if (this.speedMonitor) {
+          this.speedMonitor.updateSpeed(totalSize);
+        }
+        logger.info(
+          `📤 Uploaded album: ${items.length} items (${speedMbps.toFixed(1)} Mbps)`,
+        );
+
+        items.forEach((item, index) => {
+          this.totalUploaded++;
+          this.journal?.mark(item.message.id, MESSAGE_STATES.UPLOADED, {
+            targetMessageId: result[index]?.id,
+          });
+          this.contentIndex.markUploaded(
+            this.targetChannelId,
+            hashes[index],
+            result[index]?.id,
           );
+          emitEvent(EVENT_TYPES.UPLOAD_COMPLETED, {
+            messageId: item.message.id,
+            fileName: path.basename(item.mediaPath),
+            speedMbps: parseFloat(speedMbps.toFixed(1)),
+          });
+        });
+        this.updateFloodWaitHistory(false);
+        return true;
+      } catch (error) {
+        logger.warn(
+          `❌ Album upload attempt ${attempt}/${maxRetries} failed: ${error.message}`,
+        );
+        emitEvent(EVENT_TYPES.ERROR, {
+          scope: "upload",
+          code: getErrorCode(error),
+          message: error.message,
+          messageId: items[0].message.id,
+          attempt,
+          retrying: attempt < maxRetries && !error.message.includes("CHAT_FORWARDS_RESTRICTED"),
+        });
 
-          await this.checkRateLimit();
+        if (error.message.includes("CHAT_FORWARDS_RESTRICTED")) {
+          return false;
+        } else if (error.message.includes("FLOOD_WAIT")) {
+          const waitTime = parseInt(error.message.match(/\d+/)?.[0] || "60");
+          this.updateFloodWaitHistory(true, waitTime);
+          await this.precisionDelay(waitTime * 1000);
+        } else if (attempt < maxRetries) {
+          await this.precisionDelay(Math.min(3000, 400 * attempt));
+        }
+      }
+    }
+    return false;
+  }
 
-          let mediaPath = null;
-          let hasContent = false;
+  /**
+   * SEQUENTIAL UPLOAD QUEUE - Maintains strict message order
+   * Files wait at 99% until previous files complete upload
+   */
+  async uploadBatch(client, downloadedData) {
+    if (!this.uploadMode || !downloadedData.length) {
+      return downloadedData;
+    }
 
-          if (message.message && message.message.trim()) {
-            hasContent = true;
-            logger.info(`📝 Text: "${message.message.substring(0, 30)}..."`);
-          }
+    const isSingleFile = downloadedData.length === 1;
+    const optimizationMode = isSingleFile
+      ? "SINGLE-FILE BOOST"
+      : "SEQUENTIAL QUEUE";
 
-          if (message.media || message.sticker) {
-            hasContent = true;
-            // Set current file size for speed optimization
-            const estimatedSize =
-              message.media?.document?.size ||
-              message.media?.photo?.sizes?.[0]?.size ||
-              0;
+    // Sort by message ID to ensure proper order (a, b, c...)
+    downloadedData.sort((a, b) => a.message.id - b.message.id);
+    logger.info(
+      `📤 ${optimizationMode} upload: ${downloadedData.length} messages - STRICT ORDER MAINTAINED`,
+    );
 
-            if (this.speedMonitor) {
-              this.speedMonitor.setCurrentFileSize(estimatedSize);
-            }
+    // Initialize sequential upload state
+    const uploadQueue = downloadedData.map((data, index) => ({
+      ...data,
+      queueIndex: index,
+      uploadStarted: false,
+      uploadCompleted: false,
+      readyToUpload: index === 0, // First message can start immediately
+      waitingForPrevious: index > 0,
+    }));
 
-            mediaPath = await this.downloadMessage(
-              client,
-              message,
-              channelId,
-              isSingleFile || isSmallBatch || isLastBatch, // Treat small batches and last batch like single files
-            );
+    let completedUploads = 0;
+    const uploadResults = [];
 
-            if (mediaPath && !fs.existsSync(mediaPath)) {
-              logger.warn(`❌ File verification failed: ${mediaPath}`);
-              mediaPath = null;
-              throw new Error(`File not found: ${mediaPath}`);
-            }
-          }
+    // Process uploads in strict sequential order
+    for (
+      let currentIndex = 0;
+      currentIndex < uploadQueue.length;
+      currentIndex++
+    ) {
+      const currentData = uploadQueue[currentIndex];
+      const messageId = currentData.message.id;
+      const fileName = currentData.mediaPath
+        ? path.basename(currentData.mediaPath)
+        : `Message_${messageId}`;
 
-          if (hasContent) {
-            this.totalProcessedMessages++;
-            logger.info(
-              `✅ Download complete ${index + 1}/${messages.length}: Message ${message.id} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`,
-            );
-            return {
-              message: message,
-              mediaPath: mediaPath,
-              hasContent: hasContent,
-              downloadIndex: index,
-            };
-          }
-          break;
-        } catch (error) {
-          retryCount++;
-
-          // Track FILE_REFERENCE_EXPIRED errors
-          if (error.message.includes("FILE_REFERENCE_EXPIRED")) {
-            this.trackFileReferenceError();
-            logger.error(
-              `📋 File reference expired for a message, script will retry automatically`,
-            );
-          } else {
-            logger.error(
-              `❌ Batch retry ${retryCount}/${maxBatchRetries} for message ${message.id}: ${error.message}`,
-            );
-          }
-
-          if (error.message.includes("FLOOD_WAIT")) {
-            const waitTime = parseInt(error.message.match(/\d+/)?.[0] || "60");
-            this.updateFloodWaitHistory(true, waitTime);
-            await this.precisionDelay(waitTime * 1000);
-          }
-
-          if (retryCount < maxBatchRetries) {
-            await this.precisionDelay(1000 * retryCount);
-          } else {
-            return {
-              message: message,
-              mediaPath: null,
-              hasContent: Boolean(
-                message.message || message.media || message.sticker,
-              ),
-              downloadIndex: index,
-              failed: true,
-            };
-          }
-        }
-      }
-      return null;
-    });
-
-    logger.info(
-      `⏳ Processing ${messages.length} downloads with ${MAX_PARALLEL_DOWNLOADS_CONFIG} workers each...`,
-    );
-    const results = await Promise.all(downloadPromises);
-
-    const downloadedData = results
-      .filter((result) => result !== null)
-      .sort((a, b) => a.message.id - b.message.id);
-
-    const failedDownloads = downloadedData.filter((data) => data.failed).length;
-    if (failedDownloads > 0) {
-      logger.warn(`⚠️ ${failedDownloads} downloads had issues but proceeding`);
-    }
-
-    logger.info(
-      `✅ Ultra-speed downloads complete! ${downloadedData.length} messages ready (Avg: ${this.speedMonitor ? this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "High Speed"})`,
-    );
-    return downloadedData;
-  }
-
-  /**
-   * SEQUENTIAL UPLOAD QUEUE - Maintains strict message order
-   * Files wait at 99% until previous files complete upload
-   */
-  async uploadBatch(client, downloadedData) {
-    if (!this.uploadMode || !downloadedData.length) {
-      return downloadedData;
-    }
-
-    const isSingleFile = downloadedData.length === 1;
-    const optimizationMode = isSingleFile
-      ? "SINGLE-FILE BOOST"
-      : "SEQUENTIAL QUEUE";
-
-    // Sort by message ID to ensure proper order (a, b, c...)
-    downloadedData.sort((a, b) => a.message.id - b.message.id);
-    logger.info(
-      `📤 ${optimizationMode} upload: ${downloadedData.length} messages - STRICT ORDER MAINTAINED`,
-    );
-
-    // Initialize sequential upload state
-    const uploadQueue = downloadedData.map((data, index) => ({
-      ...data,
-      queueIndex: index,
-      uploadStarted: false,
-      uploadCompleted: false,
-      readyToUpload: index === 0, // First message can start immediately
-      waitingForPrevious: index > 0,
-    }));
-
-    let completedUploads = 0;
-    const uploadResults = [];
-
-    // Process uploads in strict sequential order
-    for (
-      let currentIndex = 0;
-      currentIndex < uploadQueue.length;
-      currentIndex++
-    ) {
-      const currentData = uploadQueue[currentIndex];
-      const messageId = currentData.message.id;
-      const fileName = currentData.mediaPath
-        ? path.basename(currentData.mediaPath)
-        : `Message_${messageId}`;
-
-      try {
-        // Wait for previous message to complete (if not first message)
-        if (currentIndex > 0) {
-          const previousData = uploadQueue[currentIndex - 1];
-          if (!previousData.uploadCompleted) {
+      try {
+        // Wait for previous message to complete (if not first message)
+        if (currentIndex > 0) {
+          const previousData = uploadQueue[currentIndex - 1];
+          if (!previousData.uploadCompleted) {
             logger.info(
               `⏳ File '${fileName}' waiting at 99% for previous message ${previousData.message.id} to complete...`,
             );
@@ -1217,6 +1618,35 @@ class DownloadChannel {
           currentData.mediaPath = null;
         }
 
+        // Send grouped media together as one album
+        const albumItems = this.collectAlbumItems(uploadQueue, currentIndex);
+        if (albumItems.length > 1) {
+          albumItems.forEach((item) => {
+            item.uploadStarted = true;
+          });
+          logger.info(
+            `🚀 [${currentIndex + 1}/${uploadQueue.length}] Album upload starting: ${albumItems.length} items (Messages ${messageId}-${albumItems[albumItems.length - 1].message.id})`,
+          );
+
+          const albumUploaded = await this.uploadAlbum(client, albumItems);
+          albumItems.forEach((item) => {
+            item.uploadCompleted = true;
+            uploadResults.push({ success: albumUploaded, data: item });
+          });
+          if (albumUploaded) {
+            completedUploads += albumItems.length;
+          }
+
+          // Continue after the last album item
+          currentIndex += albumItems.length - 1;
+          if (currentIndex + 1 < uploadQueue.length) {
+            uploadQueue[currentIndex + 1].readyToUpload = true;
+            uploadQueue[currentIndex + 1].waitingForPrevious = false;
+            await this.precisionDelay(500);
+          }
+          continue;
+        }
+
         // Mark as started
         currentData.uploadStarted = true;
         logger.info(
@@ -1414,6 +1844,10 @@ class DownloadChannel {
 
           if (hasContent) {
             this.totalProcessedMessages++;
+            if (!mediaPath) {
+              // Nothing to download for text-only messages
+              this.journal?.mark(message.id, MESSAGE_STATES.VERIFIED);
+            }
             logger.info(
               `✅ Download complete ${index + 1}/${messages.length}: Message ${message.id} (${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps" : "OK"})`,
             );
@@ -1449,6 +1883,13 @@ class DownloadChannel {
           if (retryCount < maxBatchRetries) {
             await this.precisionDelay(1000 * retryCount);
           } else {
+            emitEvent(EVENT_TYPES.FILE_FAILED, {
+              messageId: message.id,
+              fileName: message.media ? path.basename(getMediaPath(message, this.outputFolder)) : null,
+              code: getErrorCode(error),
+              reason: error.message,
+            });
+            this.journal?.mark(message.id, MESSAGE_STATES.FAILED, { reason: error.message });
             return {
               message: message,
               mediaPath: null,
@@ -1491,6 +1932,11 @@ class DownloadChannel {
     logger.info(`🗑️ Cleaning up ${downloadedData.length} files`);
 
     const cleanupPromises = downloadedData.map(async (data) => {
+      // Keep files of failed uploads so a resumed run can upload them without downloading again
+      if (this.journal && this.journal.getState(data.message.id) !== MESSAGE_STATES.UPLOADED) {
+        return;
+      }
+
       if (data.mediaPath && fs.existsSync(data.mediaPath)) {
         try {
           fs.unlinkSync(data.mediaPath);
@@ -1498,8 +1944,10 @@ class DownloadChannel {
           logger.warn(
             `⚠️ Cleanup failed for ${data.mediaPath}: ${cleanupError.message}`,
           );
+          return;
         }
       }
+      this.journal?.mark(data.message.id, MESSAGE_STATES.CLEANED);
     });
 
     await Promise.all(cleanupPromises);
@@ -1572,6 +2020,7 @@ class DownloadChannel {
   async processBatch(client, messages, batchIndex, totalBatches, channelId) {
     try {
       this.batchCounter++;
+      emitEvent(EVENT_TYPES.BATCH_STARTED, { index: batchIndex + 1, total: totalBatches, size: messages.length });
       logger.info(
         `🔄 ULTRA-SPEED batch ${batchIndex + 1}/${totalBatches} (${messages.length} messages) - Speed: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps (" + this.speedMonitor.getSpeedStatus() + ")" : "Optimizing..."}`,
       );
@@ -1644,14 +2093,16 @@ class DownloadChannel {
         logger.info(
           `📤 Phase 2: Ultra-upload ${downloadedData.length} messages (${MAX_PARALLEL_UPLOADS_CONFIG} workers)`,
         );
-        await this.ensureConnectionHealth(client);
-        const uploadedData = await this.uploadBatch(client, downloadedData);
+        const uploadClient = this.getUploadClient(client);
+        await this.ensureConnectionHealth(uploadClient);
+        const uploadedData = await this.uploadBatch(uploadClient, downloadedData);
 
         // Phase 3: Ultra-fast cleanup
         logger.info(`🗑️ Phase 3: Ultra-cleanup ${uploadedData.length} files`);
         await this.cleanupBatch(uploadedData);
       }
 
+      emitEvent(EVENT_TYPES.BATCH_COMPLETED, { index: batchIndex + 1, total: totalBatches });
       logger.info(
         `✅ Ultra-speed batch ${batchIndex + 1}/${totalBatches} complete (Current: ${this.speedMonitor ? this.speedMonitor.getCurrentSpeedMbps() + " Mbps, Avg: " + this.speedMonitor.getAverageSpeedMbps() + " Mbps, Peak: " + this.speedMonitor.getPeakSpeedMbps() + " Mbps" : "Complete"})`,
       );
@@ -1683,33 +2134,112 @@ class DownloadChannel {
   }
 
   /**
-   * Record messages with enhanced tracking
+   * Append messages to the channel's messages.jsonl log and the chosen exports.
+   * When some of them were recorded before, the exports are written again from
+   * the log so every message keeps a single row
+   */
+  async recordMessages(messages, { edited = false } = {}) {
+    const records = messages.map((msg) => this.toMessageRecord(msg));
+    const store = new MessageStore(this.outputFolder);
+    store.append(records);
+
+    let exportRecords = records;
+    if (edited && this.exportFormats.length > 0 && records.length > 0) {
+      exportRecords = [];
+      for await (const record of store.records()) exportRecords.push(record);
+    }
+    const errors = runExporters(this.exportFormats, this.outputFolder, exportRecords, { rewrite: edited });
+    Object.entries(errors).forEach(([format, error]) => {
+      logger.warn(`${format} export not updated: ${error.message}`);
+    });
+
+    const database = this.getMessageDatabase();
+    if (database) {
+      try {
+        database.upsertMessages(path.basename(this.outputFolder), records);
+      } catch (error) {
+        logger.warn(`Message database not updated: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * SQLite message database of the export folder, null when it cannot be opened
+   */
+  getMessageDatabase() {
+    if (this.messageDatabase === undefined) {
+      try {
+        this.messageDatabase = new MessageDatabase(getDatabasePath(this.exportRoot));
+      } catch (error) {
+        this.messageDatabase = null;
+        const reason = error.code === "MODULE_NOT_FOUND" ? "better-sqlite3 is not installed" : error.message;
+        logger.warn(`Message database disabled (${reason})`);
+      }
+    }
+    return this.messageDatabase;
+  }
+
+  /**
+   * Stores the channel's name and username in the message database, for message links
    */
-  recordMessages(messages) {
-    const filePath = path.join(this.outputFolder, "all_messages.json");
-    if (!fs.existsSync(this.outputFolder)) {
-      fs.mkdirSync(this.outputFolder, { recursive: true });
+  recordChannel(channelId, name) {
+    const database = this.getMessageDatabase();
+    if (!database) return;
+
+    let username = null;
+    try {
+      const dialogs = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), "./export/dialog_list.json"), "utf8"));
+      const dialog = dialogs.find((d) => String(d.id) === channelId.toString());
+      username = dialog ? dialog.username : null;
+    } catch (_) {
+      // Without the chat list, links use the channel ID
+    }
+
+    try {
+      database.upsertChannel({ id: channelId.toString(), name, username });
+    } catch (error) {
+      logger.warn(`Message database not updated: ${error.message}`);
     }
+  }
+
+  /**
+   * Full record of a message for the message log
+   */
+  toMessageRecord(msg) {
+    const mediaPath = this.hasContent(msg) && msg.media ? getMediaPath(msg, this.outputFolder) : undefined;
+    const sender = msg.fromId ? msg.sender : undefined;
+    const document = msg.media?.document;
 
-    const data = messages.map((msg) => ({
+    return {
       id: msg.id,
       message: msg.message || "",
       date: msg.date,
+      editDate: msg.editDate,
       out: msg.out,
       hasMedia: !!msg.media,
-      sender: msg.fromId?.userId || msg.peerId?.userId,
+      sender: (msg.fromId?.userId || msg.peerId?.userId)?.toString(),
+      senderName: sender
+        ? sender.title || [sender.firstName, sender.lastName].filter(Boolean).join(" ") || undefined
+        : undefined,
+      senderUsername: sender?.username,
+      postAuthor: msg.postAuthor,
+      views: msg.views,
+      forwards: msg.forwards,
+      groupedId: msg.groupedId?.toString(),
+      replyTo: msg.replyTo
+        ? { msgId: msg.replyTo.replyToMsgId, topId: msg.replyTo.replyToTopId }
+        : undefined,
+      entities: msg.entities ? serializeEntities(msg.entities) : undefined,
+      reactions: msg.reactions?.results?.map(({ reaction, count }) => ({
+        reaction: reaction.emoticon || (reaction.documentId ? `custom:${reaction.documentId}` : reaction.className),
+        count,
+      })),
       mediaType: this.hasContent(msg) ? getMediaType(msg) : undefined,
-      mediaPath:
-        this.hasContent(msg) && msg.media
-          ? getMediaPath(msg, this.outputFolder)
-          : undefined,
-      mediaName:
-        this.hasContent(msg) && msg.media
-          ? path.basename(getMediaPath(msg, this.outputFolder))
-          : undefined,
-    }));
-
-    appendToJSONArrayFile(filePath, data);
+      mediaPath,
+      mediaName: mediaPath ? path.basename(mediaPath) : undefined,
+      mimeType: document?.mimeType,
+      fileSize: document?.size ? Number(document.size) : undefined,
+    };
   }
 
   /**
@@ -1802,136 +2332,387 @@ class DownloadChannel {
   }
 
   /**
-   * MAIN ultra-high-speed download function with 35+ Mbps target
+   * Runs fetched message details through the download/upload pipeline
+   * @returns {number} The number of messages processed
    */
-  async downloadChannel(client, channelId, offsetMsgId = 0) {
-    try {
-      this.initializeSpeedMonitor();
+  async processFetchedMessages(client, channelId, details) {
+    details.sort((a, b) => a.id - b.id);
+    this.journal.markNew(details.map((m) => m.id), MESSAGE_STATES.FETCHED);
+    // Only messages that are new or edited since they were described go to the log and exports,
+    // a resumed or repeated run fetches the others again
+    const changedMessages = details.filter((msg) => {
+      const entry = this.journal.getEntry(msg.id);
+      return entry.date === undefined || entry.editDate !== msg.editDate;
+    });
+    const hasEdits = changedMessages.some((msg) => this.journal.getEntry(msg.id).date !== undefined);
+
+    const wantedMessages = details.filter((msg) => {
+      if (this.shouldProcess(msg)) return true;
+      if (this.journal.getState(msg.id) === MESSAGE_STATES.FETCHED) {
+        this.journal.mark(msg.id, MESSAGE_STATES.SKIPPED);
+      }
+      return false;
+    });
+    const messagesToProcess = wantedMessages.filter(
+      (msg) => !this.journal.isComplete(msg.id, this.uploadMode),
+    );
 
-      this.outputFolder = path.join(
-        process.cwd(),
-        "export",
-        channelId.toString(),
+    if (messagesToProcess.length < wantedMessages.length) {
+      logger.info(
+        `📒 Skipping ${wantedMessages.length - messagesToProcess.length} messages already completed in a previous run`,
       );
+    }
+
+    logger.info(
+      `📋 Ultra-processing ${messagesToProcess.length}/${details.length} messages`,
+    );
+    emitEvent(EVENT_TYPES.MESSAGES_QUEUED, {
+      channelId: channelId.toString(),
+      count: messagesToProcess.length,
+      fetched: details.length,
+    });
+    logger.info(
+      `🚀 ULTRA-SPEED CONFIG: ${DEFAULT_BATCH_SIZE} batches, ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers`,
+    );
+    logger.info(
+      `⚡ SPEED OPTIMIZATION: 10-32MB adaptive chunks, ${RATE_LIMIT_DELAY_CONFIG}ms delays, 35+ Mbps target`,
+    );
+
+    if (this.uploadMode) {
+      const targetName = await getDialogName(this.getUploadClient(client), this.targetChannelId);
+      logger.info(`📤 Target: ${targetName}`);
+    }
+
+    this.totalMessages = messagesToProcess.length;
+
+    // Forwarded messages need no download, whatever is left goes through re-upload
+    let pendingMessages = messagesToProcess;
+    if (this.uploadMode && this.transferStrategy !== TRANSFER_STRATEGIES.REUPLOAD && !this.uploadClient) {
+      pendingMessages = await this.forwardMessages(client, channelId, messagesToProcess);
+    }
+    if (this.uploadMode) {
+      pendingMessages = this.skipPostedMessages(pendingMessages);
+    }
+
+    // Use dynamic batch processing instead of fixed batch sizes
+    if (ADAPTIVE_BATCH_MODE && pendingMessages.length > 1) {
+      logger.info(`🔥 Using dynamic batch processing for ${pendingMessages.length} messages`);
+      await this.processDynamicBatch(client, pendingMessages, channelId);
+    } else {
+      // Fallback to original batch processing for single files or when adaptive mode is disabled
+      const batches = chunkMessages(pendingMessages, DEFAULT_BATCH_SIZE);
+      const totalBatches = batches.length;
+      
+      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+        const batch = batches[batchIndex];
 
-      if (this.selectiveMode && offsetMsgId === 0) {
-        offsetMsgId = this.startFromMessageId;
         logger.info(
-          `📋 Selective mode: Starting from message ID ${offsetMsgId}`,
+          `🚀 Traditional batch ${batchIndex + 1}/${totalBatches} - ${batch.length} messages`,
         );
-      }
-
-      const messages = await this.retryOperation(async () => {
-        return await getMessages(
+        await this.processBatch(
           client,
+          batch,
+          batchIndex,
+          totalBatches,
           channelId,
-          MESSAGE_LIMIT_CONFIG,
-          offsetMsgId,
-          true,
         );
-      });
 
-      if (!messages.length) {
-        logger.info("🎉 Ultra-speed processing complete! No more messages.");
-        this.showProgress(0);
-        return;
+        if (batchIndex + 1 < batches.length) {
+          logger.info(
+            `⏳ Precision delay ${RATE_LIMIT_DELAY_CONFIG}ms before next batch...`,
+          );
+          await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
+        }
       }
+    }
 
-      let filteredMessages = messages;
-      if (this.selectiveMode) {
-        filteredMessages = messages.filter(
-          (msg) => msg.id >= this.startFromMessageId,
-        );
-        logger.info(
-          `📋 Filtered ${filteredMessages.length} messages from ${messages.length}`,
-        );
-      }
+    // Described only once recorded, so a crash before this point records them on the next run
+    await this.recordMessages(changedMessages, { edited: hasEdits });
+    changedMessages.forEach((msg) => {
+      // Keep the content for the HTML archive
+      this.journal.describe(msg.id, describeMessage(msg));
+    });
 
-      filteredMessages.sort((a, b) => a.id - b.id);
+    return messagesToProcess.length;
+  }
 
-      const ids = filteredMessages.map((m) => m.id);
-      const details = await this.retryOperation(async () => {
-        return await getMessageDetail(client, channelId, ids);
-      });
+  /**
+   * Forward or copy messages to the target channel without downloading them
+   * Switches to download + re-upload when the source restricts forwarding
+   * @returns {Object[]} The messages that still need download + re-upload
+   */
+  async forwardMessages(client, channelId, messages) {
+    const dropAuthor = this.transferStrategy === TRANSFER_STRATEGIES.COPY;
+    const chunks = chunkMessages(messages, FORWARD_CHUNK_SIZE);
+    const leftover = [];
+    let forwardedCount = 0;
 
-      details.sort((a, b) => a.id - b.id);
-      const messagesToProcess = details.filter((msg) =>
-        this.shouldProcess(msg),
-      );
+    logger.info(
+      `⏩ ${dropAuthor ? "Copying" : "Forwarding"} ${messages.length} messages in ${chunks.length} requests`,
+    );
 
-      logger.info(
-        `📋 Ultra-processing ${messagesToProcess.length}/${details.length} messages`,
-      );
-      logger.info(
-        `🚀 ULTRA-SPEED CONFIG: ${DEFAULT_BATCH_SIZE} batches, ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers`,
-      );
-      logger.info(
-        `⚡ SPEED OPTIMIZATION: 10-32MB adaptive chunks, ${RATE_LIMIT_DELAY_CONFIG}ms delays, 35+ Mbps target`,
-      );
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const ids = chunk.map((m) => m.id);
+      const label = `forwarding messages ${ids[0]}-${ids[ids.length - 1]}`;
 
-      if (this.uploadMode) {
-        const targetName = await getDialogName(client, this.targetChannelId);
-        logger.info(`📤 Target: ${targetName}`);
+      let forwarded;
+      try {
+        forwarded = await this.retryOperation(async () => {
+          await this.checkRateLimit();
+          try {
+            return await forwardMessageToChannel(
+              client,
+              this.targetChannelId,
+              channelId,
+              ids,
+              { dropAuthor },
+            );
+          } catch (error) {
+            // Retrying cannot help, the source does not allow forwarding
+            if (error.message.includes("CHAT_FORWARDS_RESTRICTED")) return null;
+            throw error;
+          }
+        }, label, 3);
+      } catch (error) {
+        logger.error(`❌ ${label} failed, re-uploading them instead: ${error.message}`);
+        leftover.push(...chunk);
+        continue;
       }
 
-      const totalBatches = Math.ceil(messagesToProcess.length / DEFAULT_BATCH_SIZE);
-      this.totalMessages = messagesToProcess.length;
-
-      // Use dynamic batch processing instead of fixed batch sizes
-      if (ADAPTIVE_BATCH_MODE && messagesToProcess.length > 1) {
-        logger.info(`🔥 Using dynamic batch processing for ${messagesToProcess.length} messages`);
-        await this.processDynamicBatch(client, messagesToProcess, channelId);
-      } else {
-        // Fallback to original batch processing for single files or when adaptive mode is disabled
-        const totalBatches = Math.ceil(messagesToProcess.length / DEFAULT_BATCH_SIZE);
-        
-        for (let i = 0; i < messagesToProcess.length; i += DEFAULT_BATCH_SIZE) {
-          const batch = messagesToProcess.slice(i, i + DEFAULT_BATCH_SIZE);
-          const batchIndex = Math.floor(i / DEFAULT_BATCH_SIZE);
+      if (!forwarded) {
+        logger.warn(
+          "🔒 Source channel restricts forwarding, switching to download + re-upload",
+        );
+        emitEvent(EVENT_TYPES.ERROR, {
+          scope: "forward",
+          code: "CHAT_FORWARDS_RESTRICTED",
+          message: "Source channel restricts forwarding, switching to download + re-upload",
+          retrying: false,
+        });
+        this.transferStrategy = TRANSFER_STRATEGIES.REUPLOAD;
+        this.journal?.updateMeta({
+          settings: { ...this.journal.meta.settings, transferStrategy: this.transferStrategy },
+        });
+        return leftover.concat(...chunks.slice(i));
+      }
 
-          logger.info(
-            `🚀 Traditional batch ${batchIndex + 1}/${totalBatches} - ${batch.length} messages`,
-          );
-          await this.processBatch(
-            client,
-            batch,
-            batchIndex,
-            totalBatches,
-            channelId,
-          );
+      // One list of sent messages per source chat, in the order of the IDs
+      const sentMessages = [].concat(...forwarded);
+      forwardedCount += chunk.length;
+      chunk.forEach((message, index) => {
+        this.totalUploaded++;
+        this.totalProcessedMessages++;
+        this.journal?.mark(message.id, MESSAGE_STATES.UPLOADED, {
+          forwarded: true,
+          targetMessageId: sentMessages[index]?.id,
+        });
+        emitEvent(EVENT_TYPES.UPLOAD_COMPLETED, {
+          messageId: message.id,
+          fileName: null,
+          speedMbps: 0,
+          forwarded: true,
+        });
+      });
+      logger.info(
+        `✅ ${dropAuthor ? "Copied" : "Forwarded"} ${forwardedCount}/${messages.length} messages`,
+      );
+    }
 
-          if (i + DEFAULT_BATCH_SIZE < messagesToProcess.length) {
-            logger.info(
-              `⏳ Precision delay ${RATE_LIMIT_DELAY_CONFIG}ms before next batch...`,
-            );
-            await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
-          }
+    return leftover;
+  }
+
+  /**
+   * Downloads exactly the message IDs chosen in specific mode and reports
+   * IDs that do not exist or carry no media
+   */
+  async downloadSpecificMessages(client, channelId) {
+    const requestedIds = this.specificMessageIds;
+    logger.info(
+      `📋 Specific mode: fetching ${requestedIds.length} selected messages`,
+    );
+
+    const details = [];
+    const missingIds = [];
+    for (let i = 0; i < requestedIds.length; i += MESSAGE_LIMIT_CONFIG) {
+      const chunk = requestedIds.slice(i, i + MESSAGE_LIMIT_CONFIG);
+      const fetched = await this.retryOperation(async () => {
+        return await getMessageDetail(client, channelId, chunk);
+      });
+
+      // Deleted or never existing IDs come back empty
+      const found = new Map(
+        fetched
+          .filter((msg) => msg && msg.className !== "MessageEmpty")
+          .map((msg) => [msg.id, msg]),
+      );
+      chunk.forEach((id) => {
+        if (found.has(id)) {
+          details.push(found.get(id));
+        } else {
+          missingIds.push(id);
         }
+      });
+    }
+
+    const noMediaIds = details.filter((msg) => !msg.media).map((msg) => msg.id);
+
+    if (missingIds.length) {
+      logger.warn(
+        `⚠️ ${missingIds.length} message IDs do not exist: ${missingIds.join(", ")}`,
+      );
+    }
+    if (noMediaIds.length) {
+      logger.warn(
+        `⚠️ ${noMediaIds.length} messages have no media: ${noMediaIds.join(", ")}`,
+      );
+    }
+    if (missingIds.length || noMediaIds.length) {
+      emitEvent(EVENT_TYPES.MESSAGES_UNAVAILABLE, {
+        channelId: channelId.toString(),
+        requested: requestedIds.length,
+        missingIds,
+        noMediaIds,
+      });
+    }
+
+    if (!details.length) {
+      logger.info("🎉 Specific mode complete! None of the selected messages exist.");
+      this.showProgress(0);
+      return;
+    }
+
+    const processedCount = await this.processFetchedMessages(
+      client,
+      channelId,
+      details,
+    );
+
+    logger.info(
+      `🎉 Specific mode complete! ${details.length}/${requestedIds.length} selected messages found.`,
+    );
+    this.showProgress(processedCount);
+  }
+
+  /**
+   * Append the rest of an album whose first items end the fetched page
+   */
+  async appendTrailingAlbum(client, channelId, messages) {
+    const last = messages[messages.length - 1];
+    if (!last || !last.groupedId) return;
+
+    // An album holds at most 10 items
+    const nextIds = Array.from({ length: 9 }, (_, i) => last.id + i + 1);
+    const nextMessages = await this.retryOperation(async () => {
+      return await getMessageDetail(client, channelId, nextIds);
+    });
+
+    for (const msg of nextMessages) {
+      if (!msg || msg.className === "MessageEmpty") continue;
+      if (!msg.groupedId || msg.groupedId.toString() !== last.groupedId.toString()) break;
+      messages.push(msg);
+    }
+  }
+
+  /**
+   * MAIN ultra-high-speed download function with 35+ Mbps target
+   */
+  async downloadChannel(client, channelId, offsetMsgId = 0) {
+    try {
+      this.initializeSpeedMonitor();
+
+      this.outputFolder = this.getChannelFolder(channelId);
+      if (!this.journal) {
+        this.journal = new Journal(this.outputFolder);
       }
 
-      this.recordMessages(details);
+      if (this.specificMessageIds && this.specificMessageIds.length) {
+        await this.downloadSpecificMessages(client, channelId);
+        return;
+      }
+
+      if (this.selectiveMode && offsetMsgId === 0) {
+        offsetMsgId = this.startFromMessageId;
+        logger.info(
+          `📋 Selective mode: Starting from message ID ${offsetMsgId}`,
+        );
+      }
+
+      const messages = await this.retryOperation(async () => {
+        return await getMessages(
+          client,
+          channelId,
+          MESSAGE_LIMIT_CONFIG,
+          offsetMsgId,
+          true,
+        );
+      });
+
+      if (!messages.length) {
+        logger.info("🎉 Ultra-speed processing complete! No more messages.");
+        this.showProgress(0);
+        return;
+      }
+
+      // A full page means more messages may follow, decided before a trailing album is added
+      const fullPage = messages.length === MESSAGE_LIMIT_CONFIG;
+
+      let filteredMessages = [...messages];
+      if (this.selectiveMode) {
+        filteredMessages = messages.filter(
+          (msg) => msg.id >= this.startFromMessageId,
+        );
+        logger.info(
+          `📋 Filtered ${filteredMessages.length} messages from ${messages.length}`,
+        );
+      }
+
+      filteredMessages.sort((a, b) => a.id - b.id);
+
+      // Keep an album that is cut off at the page boundary in this page
+      if (fullPage) {
+        await this.appendTrailingAlbum(client, channelId, filteredMessages);
+      }
+
+      const ids = filteredMessages.map((m) => m.id);
+      const details = await this.retryOperation(async () => {
+        return await getMessageDetail(client, channelId, ids);
+      });
+
+      const processedCount = await this.processFetchedMessages(
+        client,
+        channelId,
+        details,
+      );
 
       const maxId = Math.max(...filteredMessages.map((m) => m.id));
       updateLastSelection({
         messageOffsetId: maxId,
       });
+      this.journal.updateMeta({ lastFetchedId: maxId });
 
-      this.showProgress(messagesToProcess.length);
+      this.showProgress(processedCount);
 
       // Check if there are more messages to process
-      if (messages.length === MESSAGE_LIMIT_CONFIG) {
+      if (fullPage) {
         // There might be more messages, continue with next batch
         await this.precisionDelay(RATE_LIMIT_DELAY_CONFIG);
         await this.downloadChannel(client, channelId, maxId);
       } else {
         // All messages processed for this channel
         logger.info("🎉 Ultra-speed processing complete! No more messages.");
-        this.showProgress(messagesToProcess.length);
+        this.showProgress(processedCount);
         return;
       }
     } catch (err) {
       logger.error("Ultra-speed processing error:");
       console.error(err);
+      emitEvent(EVENT_TYPES.ERROR, {
+        scope: "channel",
+        code: getErrorCode(err),
+        message: err.message,
+        retrying: Boolean(err.message && err.message.includes("FLOOD_WAIT")),
+      });
 
       if (err.message && err.message.includes("FLOOD_WAIT")) {
         const waitTime =
@@ -1968,6 +2749,7 @@ class DownloadChannel {
 
       const useSearch = await booleanInput(
         "Search channel by name? (No = browse all)",
+        "sourceSearch",
       );
 
       let selectedChannelId;
@@ -1991,12 +2773,39 @@ class DownloadChannel {
         selectedChannelId = await selectInput(
           "Select source channel for ULTRA-SPEED download",
           channelOptions,
+          "sourceChannel",
         );
       }
 
       channelId = selectedChannelId;
     }
 
+    // Offer to resume an interrupted run of this channel
+    const channelFolder = this.getChannelFolder(channelId);
+    const hasJournal = Journal.exists(channelFolder);
+    this.journal = new Journal(channelFolder);
+    let startedOver = false;
+
+    if (hasJournal && this.journal.meta.settings) {
+      const counts = this.journal.summary();
+      const countText = Object.entries(counts)
+        .map(([state, count]) => `${count} ${state}`)
+        .join(", ");
+      logger.info(`📒 Found journal of a previous run: ${countText || "no messages yet"}`);
+
+      const resume = await booleanInput(
+        "Resume previous run for this channel? (No = start over)",
+        "resume",
+      );
+      if (resume) {
+        return this.resumeFromJournal(channelId, downloadableFiles);
+      }
+
+      this.journal.reset();
+      resetExports(channelFolder);
+      startedOver = true;
+    }
+
     // Download mode selection
     const downloadModeOptions = [
       { name: "Download ALL messages (ULTRA-SPEED 35+ Mbps)", value: "full" },
@@ -2007,26 +2816,28 @@ class DownloadChannel {
     const downloadMode = await selectInput(
       "Choose ULTRA-SPEED download mode:",
       downloadModeOptions,
+      "downloadMode",
     );
 
     let startFromMessageId = 0;
+    this.specificMessageIds = null;
+    this.downloadToEndMode = false;
     if (downloadMode === "specific") {
-      const { textInput } = require("../utils/input-helper");
+      // Asked again until the input holds message IDs and nothing else
       const messageIdInput = await textInput(
-        "Enter specific message IDs (comma-separated): ",
+        "Enter specific message IDs or ranges (e.g. 100-250,300): ",
+        "messageIds",
+        (input) => {
+          const { ids, invalid } = parseMessageIds(input);
+          if (invalid.length) return `Invalid message IDs: ${invalid.join(", ")}`;
+          return ids.length > 0 || "Enter at least one message ID, e.g. 100-250,300";
+        },
       );
-      const messageIds = messageIdInput
-        .split(",")
-        .map((id) => parseInt(id.trim()))
-        .filter((id) => !isNaN(id));
-      if (messageIds.length === 0) {
-        throw new Error("No valid message IDs provided!");
-      }
+      const { ids: messageIds } = parseMessageIds(messageIdInput);
       this.specificMessageIds = messageIds;
-      logger.info(`📋 Specific messages: ${messageIds.join(", ")}`);
+      logger.info(`📋 Specific messages: ${messageIdInput.trim()} (${messageIds.length} IDs)`);
     } else if (downloadMode === "toEnd") {
-      const { textInput } = require("../utils/input-helper");
-      const messageIdInput = await textInput("Enter starting message ID: ");
+      const messageIdInput = await textInput("Enter starting message ID: ", "startMessageId");
       startFromMessageId = parseInt(messageIdInput) || 0;
       logger.info(`📋 Download from message ${startFromMessageId} to end`);
       this.downloadToEndMode = true;
@@ -2037,17 +2848,24 @@ class DownloadChannel {
     this.selectiveMode = downloadMode !== "full";
     this.startFromMessageId = startFromMessageId;
 
+    await this.configureFilters(options);
+    this.exportFormats = await this.selectExportFormats(options);
+    this.existingFilePolicy = await this.selectExistingFilePolicy(options);
+
     // Upload mode configuration
+    this.transferStrategy = TRANSFER_STRATEGIES.REUPLOAD;
     this.uploadMode = await booleanInput(
       "Enable ULTRA-SPEED upload to another channel? (35+ Mbps)",
+      "uploadMode",
     );
 
     if (this.uploadMode) {
       logger.info("Select target channel for ULTRA-SPEED upload");
-      const allChannels = await getAllDialogs(client);
+      const allChannels = this.uploadDialogs || (await getAllDialogs(client));
 
       const useSearchForTarget = await booleanInput(
         "Search target channel by name?",
+        "targetSearch",
       );
 
       let targetChannelId;
@@ -2081,6 +2899,7 @@ class DownloadChannel {
           targetChannelId = await selectInput(
             "Select target channel for ULTRA-SPEED upload",
             targetOptions,
+            "targetChannel",
           );
         }
       }
@@ -2090,6 +2909,7 @@ class DownloadChannel {
         logger.info(
           `📤 ULTRA-SPEED upload enabled (35+ Mbps): ${this.targetChannelId}`,
         );
+        this.transferStrategy = await this.selectTransferStrategy(options);
       }
     }
 
@@ -2099,42 +2919,356 @@ class DownloadChannel {
 
     // Enhanced file type configuration
     if (!downloadableFiles) {
-      downloadableFiles = {
-        webpage: true,
-        poll: true,
-        geo: true,
-        contact: true,
-        venue: true,
-        sticker: true,
-        image: true,
-        video: true,
-        audio: true,
-        voice: true,
-        document: true,
-        pdf: true,
-        zip: true,
-        all: true,
-      };
+      downloadableFiles = { ...DEFAULT_DOWNLOADABLE_FILES };
     }
 
     this.downloadableFiles = downloadableFiles;
 
-    const lastSelection = getLastSelection();
-    let messageOffsetId = lastSelection.messageOffsetId || 0;
+    let messageOffsetId = 0;
+    if (!startedOver) {
+      const lastSelection = getLastSelection();
+      messageOffsetId = lastSelection.messageOffsetId || 0;
 
-    if (Number(lastSelection.channelId) !== Number(channelId)) {
-      messageOffsetId = 0;
+      if (Number(lastSelection.channelId) !== Number(channelId)) {
+        messageOffsetId = 0;
+      }
     }
 
-    updateLastSelection({ messageOffsetId, channelId });
+    this.useFileNameTemplate(null);
+    this.saveRunSettings(channelId, messageOffsetId, downloadMode);
     return { channelId, messageOffsetId };
   }
 
+  /**
+   * Records the chosen settings in the channel journal so the run can be resumed
+   */
+  saveRunSettings(channelId, messageOffsetId, downloadMode) {
+    this.journal.updateMeta({
+      channelId: channelId.toString(),
+      lastFetchedId: messageOffsetId,
+      completed: false,
+      settings: {
+        downloadMode,
+        startFromMessageId: this.startFromMessageId,
+        specificMessageIds: downloadMode === "specific" ? this.specificMessageIds : null,
+        uploadMode: this.uploadMode,
+        targetChannelId: this.uploadMode ? this.targetChannelId.toString() : null,
+        transferStrategy: this.transferStrategy,
+        existingFilePolicy: this.existingFilePolicy,
+        fileNameTemplate: this.fileNameTemplate,
+        filters: this.filterOptions,
+        exportFormats: this.exportFormats,
+      },
+    });
+
+    updateLastSelection({ messageOffsetId, channelId });
+  }
+
+  /**
+   * Names downloaded files after a template ({id} {name} {type} {date}), null for the default
+   */
+  useFileNameTemplate(template) {
+    this.fileNameTemplate = template || null;
+    setFileNameTemplate(this.fileNameTemplate);
+  }
+
+  /**
+   * Merges --profile and --config into the flags and checks them before connecting,
+   * so an unattended run fails at once instead of hanging on a prompt
+   */
+  prepareHeadless(options) {
+    const merged = {
+      ...(options.profile ? profileToOptions(loadProfile(options.profile)) : {}),
+      ...(options.config ? loadRunOptions(options.config) : {}),
+      ...options,
+    };
+    // index.js parses --channel into channelId
+    if (merged.channel === undefined && options.channelId) {
+      merged.channel = options.channelId.toString();
+    }
+    this.headlessSettings = resolveHeadlessOptions(merged, {
+      strategy: Object.values(TRANSFER_STRATEGIES),
+      existing: Object.values(EXISTING_FILE_POLICIES),
+    });
+    setHeadless();
+
+    if (this.headlessSettings.output) {
+      this.exportRoot = this.headlessSettings.output;
+      fs.mkdirSync(this.exportRoot, { recursive: true });
+      this.contentIndex = new ContentIndex(this.exportRoot);
+    }
+    if (this.headlessSettings.concurrency) {
+      this.maxConcurrentPosts = this.headlessSettings.concurrency;
+    }
+    logger.info(
+      `🤖 Headless ${this.headlessSettings.sync ? "sync" : "run"}${options.profile ? ` of profile "${options.profile}"` : ""}: ` +
+        `${this.headlessSettings.channel} (mode: ${this.headlessSettings.mode})`,
+    );
+  }
+
+  /**
+   * Headless counterpart of configureDownload, every answer comes from the checked options
+   */
+  async configureHeadless(client) {
+    const settings = this.headlessSettings;
+    const dialogs = await getAllDialogs(client);
+
+    const source = findDialog(dialogs, settings.channel);
+    if (!source) {
+      throw new Error(`Channel "${settings.channel}" is not one of your chats, join it first`);
+    }
+    const channelId = source.id;
+
+    // An unfinished run is continued, so a scheduled job picks up where the last one stopped,
+    // a sync also continues a completed one to fetch only the messages posted since
+    const channelFolder = this.getChannelFolder(channelId);
+    const hasJournal = Journal.exists(channelFolder);
+    this.journal = new Journal(channelFolder);
+    if (hasJournal && this.journal.meta.settings && (settings.sync || !this.journal.meta.completed)) {
+      return this.resumeFromJournal(channelId, null);
+    }
+    if (settings.sync && !settings.profile) {
+      throw new Error(`No saved job for channel ${settings.channel} to sync, run it once first`);
+    }
+    if (hasJournal) {
+      this.journal.reset();
+      resetExports(channelFolder);
+    }
+
+    this.selectiveMode = settings.mode !== "full";
+    this.downloadToEndMode = settings.mode === "toEnd";
+    this.specificMessageIds = settings.messageIds;
+    this.startFromMessageId = settings.startFromMessageId;
+    this.filterOptions = pickFilterOptions(settings.filters);
+    this.messageFilters = createFilters(this.filterOptions);
+    this.exportFormats = settings.exportFormats;
+    this.existingFilePolicy = settings.existing || EXISTING_FILE_POLICIES.SKIP;
+    this.transferStrategy = this.applyUploadAccountStrategy(settings.strategy || TRANSFER_STRATEGIES.REUPLOAD);
+    this.downloadableFiles = { ...DEFAULT_DOWNLOADABLE_FILES };
+    this.useFileNameTemplate(settings.naming);
+
+    this.uploadMode = Boolean(settings.target);
+    this.targetChannelId = null;
+    if (this.uploadMode) {
+      const target = findDialog(this.uploadDialogs || dialogs, settings.target);
+      if (!target) {
+        throw new Error(`Target channel "${settings.target}" is not one of your chats`);
+      }
+      if (target.id.toString() === channelId.toString()) {
+        throw new Error("Target channel must differ from the source channel");
+      }
+      this.targetChannelId = target.id;
+    }
+
+    logger.info(
+      `🔎 Filters: ${describeFilters(this.filterOptions)}, exports: ${this.exportFormats.join(", ") || "none"}, upload: ${this.uploadMode ? `${settings.target} (${this.transferStrategy})` : "OFF"}`,
+    );
+    this.saveRunSettings(channelId, 0, settings.mode);
+    return { channelId, messageOffsetId: 0 };
+  }
+
+  /**
+   * Choose how messages reach the target channel, from --strategy or a prompt
+   */
+  async selectTransferStrategy(options) {
+    if (options.strategy && !Object.values(TRANSFER_STRATEGIES).includes(options.strategy)) {
+      throw new Error(
+        `Invalid --strategy "${options.strategy}", use ${Object.values(TRANSFER_STRATEGIES).join(", ")}`,
+      );
+    }
+    if (this.uploadClient) {
+      return this.applyUploadAccountStrategy(options.strategy || TRANSFER_STRATEGIES.FORWARD);
+    }
+    if (options.strategy) {
+      return options.strategy;
+    }
+
+    return selectInput(
+      "How should messages reach the target channel?",
+      [
+        {
+          name: "Forward (fastest, keeps \"Forwarded from\" header)",
+          value: TRANSFER_STRATEGIES.FORWARD,
+        },
+        {
+          name: "Copy without attribution (fast, no forward header)",
+          value: TRANSFER_STRATEGIES.COPY,
+        },
+        {
+          name: "Download + re-upload (works on restricted channels)",
+          value: TRANSFER_STRATEGIES.REUPLOAD,
+        },
+      ],
+      "transferStrategy",
+    );
+  }
+
+  /**
+   * Strategy a run can use: the upload account cannot forward from a chat only the
+   * source account is in, so forward and copy fall back to re-upload with a notice
+   */
+  applyUploadAccountStrategy(strategy) {
+    if (!this.uploadClient || strategy === TRANSFER_STRATEGIES.REUPLOAD) return strategy;
+    logger.info(`📤 Separate upload account: messages are downloaded and re-uploaded instead of "${strategy}"`);
+    return TRANSFER_STRATEGIES.REUPLOAD;
+  }
+
+  /**
+   * Choose what happens to files from earlier runs, from --existing or a prompt
+   */
+  async selectExistingFilePolicy(options) {
+    if (options.existing) {
+      if (!Object.values(EXISTING_FILE_POLICIES).includes(options.existing)) {
+        throw new Error(
+          `Invalid --existing "${options.existing}", use ${Object.values(EXISTING_FILE_POLICIES).join(", ")}`,
+        );
+      }
+      return options.existing;
+    }
+
+    return selectInput(
+      "What should happen to files already downloaded?",
+      [
+        {
+          name: "Skip complete files, resume partial ones (size check)",
+          value: EXISTING_FILE_POLICIES.SKIP,
+        },
+        {
+          name: "Verify complete files by size and hash, resume partial ones",
+          value: EXISTING_FILE_POLICIES.VERIFY,
+        },
+        {
+          name: "Overwrite (download everything again)",
+          value: EXISTING_FILE_POLICIES.OVERWRITE,
+        },
+      ],
+      "existingFiles",
+    );
+  }
+
+  /**
+   * Sets up message filters from CLI flags, or asks for them interactively
+   */
+  async configureFilters(options) {
+    let filterOptions = pickFilterOptions(options);
+
+    if (!Object.keys(filterOptions).length) {
+      const useFilters = await booleanInput(
+        "Apply filters? (media type, date range, size, caption, sender)",
+        "useFilters",
+      );
+
+      if (useFilters) {
+        for (const [name, { label, promptId, choiceLabel, choices }] of Object.entries(FILTER_OPTIONS)) {
+          // Nothing checked means no filter
+          const value = choices
+            ? (await multipleChoice(choiceLabel, choices, [], promptId)).join(",")
+            : await textInput(
+              `${label} ("-" for none): `,
+              promptId,
+              (input) => validateFilterValue(name, input),
+            );
+          filterOptions[name] = value;
+        }
+        filterOptions = pickFilterOptions(filterOptions);
+      }
+    }
+
+    this.filterOptions = filterOptions;
+    this.messageFilters = createFilters(filterOptions);
+    logger.info(`🔎 Filters: ${describeFilters(filterOptions)}`);
+  }
+
+  /**
+   * Choose the exports written next to the message log, from --export or a prompt
+   */
+  async selectExportFormats(options) {
+    if (options.export !== undefined) {
+      const { formats, invalid } = parseExportFormats(options.export === true ? "" : options.export);
+      if (formats.length === 0 || invalid.length) {
+        throw new Error(`Invalid --export "${options.export}", use ${Object.keys(EXPORTERS).join(", ")}`);
+      }
+      return formats;
+    }
+
+    return multipleChoice(
+      "Also export messages as (check none for the JSONL log only)",
+      Object.entries(EXPORTERS).map(([name, { label }]) => ({ name: label, value: name })),
+      [],
+      "exportFormats",
+    );
+  }
+
+  /**
+   * Restores the settings of an interrupted run from the channel journal
+   */
+  resumeFromJournal(channelId, downloadableFiles) {
+    const { settings, lastFetchedId = 0 } = this.journal.meta;
+
+    this.selectiveMode = settings.downloadMode !== "full";
+    this.downloadToEndMode = settings.downloadMode === "toEnd";
+    this.startFromMessageId = settings.startFromMessageId || 0;
+    this.specificMessageIds = settings.specificMessageIds || null;
+    this.uploadMode = Boolean(settings.uploadMode && settings.targetChannelId);
+    this.targetChannelId = this.uploadMode
+      ? returnBigInt(settings.targetChannelId)
+      : null;
+    this.downloadableFiles = downloadableFiles || { ...DEFAULT_DOWNLOADABLE_FILES };
+    this.transferStrategy = this.applyUploadAccountStrategy(
+      settings.transferStrategy || TRANSFER_STRATEGIES.REUPLOAD,
+    );
+    this.existingFilePolicy = settings.existingFilePolicy || EXISTING_FILE_POLICIES.SKIP;
+    this.useFileNameTemplate(settings.fileNameTemplate);
+    this.filterOptions = settings.filters || {};
+    this.messageFilters = createFilters(this.filterOptions);
+    this.exportFormats = settings.exportFormats || [];
+
+    logger.info(
+      `📒 Resuming previous run from message ${lastFetchedId} (mode: ${settings.downloadMode}, upload: ${this.uploadMode ? "ON" : "OFF"})`,
+    );
+
+    this.journal.updateMeta({ completed: false });
+    updateLastSelection({ messageOffsetId: lastFetchedId, channelId });
+    return { channelId, messageOffsetId: lastFetchedId };
+  }
+
+  /**
+   * Connects the bot-assigned upload account and loads its chats, which also
+   * lets Telegram resolve the target channel by ID on resumed runs
+   */
+  async connectUploadAccount() {
+    this.uploadClient = await initUploadAuth();
+    if (!this.uploadClient) return;
+
+    // Kept out of dialog_list.json, which lists the source account's chats
+    const dialogs = await this.uploadClient.getDialogs();
+    this.uploadDialogs = dialogs
+      .filter((d) => d.title)
+      .map((d) => ({ id: d.id, name: d.title.trim(), username: d.entity?.username }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    logger.info(`📤 Uploading with a separate account (${this.uploadDialogs.length} chats)`);
+  }
+
+  /**
+   * Client that posts to the target channel
+   */
+  getUploadClient(client) {
+    return this.uploadClient || client;
+  }
+
+  /**
+   * Export folder of a channel, also holding its checkpoint journal
+   */
+  getChannelFolder(channelId) {
+    return path.join(this.exportRoot, channelId.toString());
+  }
+
   /**
    * Main handler with ultra-speed initialization targeting 35+ Mbps
    */
   async handle(options = {}) {
     let client;
+    let exitCode = 0;
 
     try {
       // Initialize speed monitor first
@@ -2150,23 +3284,107 @@ class DownloadChannel {
         options.resumeSession = true;
       }
 
+      // Headless runs (cron, CI) take every answer from flags, a config file or a job profile
+      this.headless = Boolean(options.headless || options.config || options.profile || options.sync);
+      if (this.headless) {
+        this.prepareHeadless(options);
+        client = await initHeadlessAuth();
+        await this.connectUploadAccount();
+        const { channelId, messageOffsetId } = await this.configureHeadless(client);
+        await this.processChannel(client, channelId, messageOffsetId);
+        return;
+      }
+
       client = await initAuth();
+      await this.connectUploadAccount();
 
       // Enable continuous mode - keep running until user chooses to exit
       await this.continuousMode(client, options);
     } catch (err) {
       logger.error("ULTRA-SPEED processing error:");
       console.error(err);
-      await this.ultraOptimizedWait(5000);
+      emitEvent(EVENT_TYPES.ERROR, {
+        scope: "session",
+        code: getErrorCode(err),
+        message: err.message,
+        retrying: false,
+      });
+      if (this.headless) {
+        exitCode = 1;
+      } else {
+        await this.ultraOptimizedWait(5000);
+      }
     } finally {
-      if (client) {
+      for (const connected of [client, this.uploadClient]) {
+        if (!connected) continue;
         try {
-          await client.disconnect();
+          await connected.disconnect();
         } catch (disconnectErr) {
           logger.warn("Disconnect error:", disconnectErr.message);
         }
       }
-      process.exit(0);
+      emitEvent(EVENT_TYPES.DONE, {
+        downloaded: this.totalDownloaded,
+        uploaded: this.totalUploaded,
+      });
+      process.exit(exitCode);
+    }
+  }
+
+  /**
+   * Downloads (and uploads) one configured channel, returns its name
+   */
+  async processChannel(client, channelId, messageOffsetId) {
+    const dialogName = await getDialogName(client, channelId);
+    this.recordChannel(channelId, dialogName);
+    logger.info(
+      `🚀 ULTRA-HIGH-SPEED download (35+ Mbps target): ${dialogName}`,
+    );
+    emitEvent(EVENT_TYPES.CHANNEL_STARTED, {
+      channelId: channelId.toString(),
+      name: dialogName,
+      uploadMode: this.uploadMode,
+      targetChannelId: this.targetChannelId ? this.targetChannelId.toString() : null,
+      filters: describeFilters(this.filterOptions),
+    });
+    logger.info(
+      `⚙️ CONFIG: Batch=${DEFAULT_BATCH_SIZE}, Upload=${this.uploadMode ? "ON" : "OFF"}`,
+    );
+    logger.info(
+      `🚀 SPEED: ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers, 10-32MB adaptive chunks`,
+    );
+    logger.info(
+      `⏰ DELAYS: Rate=${RATE_LIMIT_DELAY_CONFIG}ms, Download=${DOWNLOAD_DELAY_CONFIG}ms, Upload=${UPLOAD_DELAY_CONFIG}ms`,
+    );
+    logger.info(`📋 ORDER: Oldest → Newest`);
+    logger.info(
+      `🔄 PATTERN: Download All ULTRA-PARALLEL → Upload All ULTRA-PARALLEL → Delete All`,
+    );
+    logger.info(
+      `🌊 FLOOD CONTROL: Adaptive learning enabled with ${this.floodWaitHistory.length} historical data points`,
+    );
+
+    await this.downloadChannel(client, channelId, messageOffsetId);
+    this.journal.updateMeta({ completed: true });
+    await this.exportArchive(dialogName);
+    emitEvent(EVENT_TYPES.CHANNEL_COMPLETED, {
+      channelId: channelId.toString(),
+      downloaded: this.totalDownloaded,
+      uploaded: this.totalUploaded,
+      processed: this.totalProcessedMessages,
+    });
+    return dialogName;
+  }
+
+  /**
+   * Renders the offline HTML archive of the channel from its journal, a failure only costs the archive
+   */
+  async exportArchive(channelName) {
+    try {
+      const { indexPath, pages, messages } = await exportHtmlArchive(this.journal, { channelName });
+      logger.info(`🗂️ HTML archive: ${messages} messages on ${pages} pages, open ${indexPath}`);
+    } catch (error) {
+      logger.warn(`HTML archive could not be written: ${error.message}`);
     }
   }
 
@@ -2179,6 +3397,14 @@ class DownloadChannel {
     );
     logger.info("📋 You can download/upload multiple channels in one session");
 
+    this.watcher = new ChannelWatcher(client, {
+      onMessages: (entry, messages) =>
+        this.mirrorWatchedMessages(client, entry, messages),
+      onEdited: (entry, message) =>
+        this.mirrorEditedMessage(client, entry, message),
+      onCatchUp: (entry) => this.catchUpWatchedChannel(client, entry),
+    });
+
     while (true) {
       try {
         // Reset instance variables for new channel
@@ -2193,38 +3419,31 @@ class DownloadChannel {
         this.consecutiveFloodWaits = 0;
         this.consecutiveFileRefErrors = 0; // Reset file reference errors
         this.speedMonitor = null;
+        this.journal = null;
 
         const { channelId, messageOffsetId } = await this.configureDownload(
           initialOptions,
           client,
         );
+        const dialogName = await this.processChannel(client, channelId, messageOffsetId);
 
-        const dialogName = await getDialogName(client, channelId);
-        logger.info(
-          `🚀 ULTRA-HIGH-SPEED download (35+ Mbps target): ${dialogName}`,
-        );
-        logger.info(
-          `⚙️ CONFIG: Batch=${DEFAULT_BATCH_SIZE}, Upload=${this.uploadMode ? "ON" : "OFF"}`,
-        );
-        logger.info(
-          `🚀 SPEED: ${MAX_PARALLEL_DOWNLOADS_CONFIG} download workers, ${MAX_PARALLEL_UPLOADS_CONFIG} upload workers, 10-32MB adaptive chunks`,
-        );
-        logger.info(
-          `⏰ DELAYS: Rate=${RATE_LIMIT_DELAY_CONFIG}ms, Download=${DOWNLOAD_DELAY_CONFIG}ms, Upload=${UPLOAD_DELAY_CONFIG}ms`,
-        );
-        logger.info(`📋 ORDER: Oldest → Newest`);
-        logger.info(
-          `🔄 PATTERN: Download All ULTRA-PARALLEL → Upload All ULTRA-PARALLEL → Delete All`,
-        );
-        logger.info(
-          `🌊 FLOOD CONTROL: Adaptive learning enabled with ${this.floodWaitHistory.length} historical data points`,
-        );
-
-        await this.downloadChannel(client, channelId, messageOffsetId);
+        // Specific messages are a one-off selection, there is nothing to follow
+        if (!this.specificMessageIds) {
+          const watch = await booleanInput(
+            "👀 Keep watching this channel for new and edited posts?",
+            "watch",
+          );
+          if (watch) {
+            this.watcher.add(channelId, dialogName, this.captureWatchSettings());
+          }
+        }
 
         // Ask if user wants to continue with another channel
         const continueDownload = await this.askContinue();
         if (!continueDownload) {
+          if (this.watcher.size > 0) {
+            await this.watcher.run();
+          }
           logger.info("🎉 Session complete! Exiting continuous mode...");
           break;
         }
@@ -2237,6 +3456,12 @@ class DownloadChannel {
       } catch (err) {
         logger.error("Error in continuous mode:");
         console.error(err);
+        emitEvent(EVENT_TYPES.ERROR, {
+          scope: "session",
+          code: getErrorCode(err),
+          message: err.message,
+          retrying: false,
+        });
 
         const retryAfterError = await this.askRetryAfterError();
         if (!retryAfterError) {
@@ -2249,6 +3474,131 @@ class DownloadChannel {
     }
   }
 
+  /**
+   * Snapshot of the current channel settings, used to mirror it in watch mode
+   */
+  captureWatchSettings() {
+    return {
+      uploadMode: this.uploadMode,
+      targetChannelId: this.targetChannelId,
+      transferStrategy: this.transferStrategy,
+      existingFilePolicy: this.existingFilePolicy,
+      fileNameTemplate: this.fileNameTemplate,
+      filterOptions: this.filterOptions,
+      exportFormats: this.exportFormats,
+      downloadableFiles: this.downloadableFiles,
+    };
+  }
+
+  /**
+   * Switch the instance to the settings of a watched channel
+   */
+  applyWatchSettings(entry) {
+    const { settings } = entry;
+    this.uploadMode = settings.uploadMode;
+    this.targetChannelId = settings.targetChannelId;
+    this.transferStrategy = settings.transferStrategy;
+    this.existingFilePolicy = settings.existingFilePolicy;
+    this.useFileNameTemplate(settings.fileNameTemplate);
+    this.filterOptions = settings.filterOptions;
+    this.messageFilters = createFilters(settings.filterOptions);
+    this.exportFormats = settings.exportFormats || [];
+    this.downloadableFiles = settings.downloadableFiles;
+    this.selectiveMode = false;
+    this.downloadToEndMode = false;
+    this.specificMessageIds = null;
+
+    this.outputFolder = this.getChannelFolder(entry.channelId);
+    if (!entry.journal) {
+      entry.journal = new Journal(this.outputFolder);
+    }
+    this.journal = entry.journal;
+  }
+
+  /**
+   * Mirror new posts of a watched channel as they arrive
+   */
+  async mirrorWatchedMessages(client, entry, messages) {
+    this.applyWatchSettings(entry);
+    logger.info(
+      `👀 ${entry.name}: ${messages.length} new message(s) ${messages.map((m) => m.id).join(", ")}`,
+    );
+
+    const processedCount = await this.processFetchedMessages(
+      client,
+      entry.channelId,
+      messages,
+    );
+
+    const maxId = Math.max(...messages.map((m) => m.id));
+    if (maxId > (entry.journal.meta.lastFetchedId || 0)) {
+      entry.journal.updateMeta({ lastFetchedId: maxId });
+    }
+
+    if (processedCount > 0) {
+      emitEvent(EVENT_TYPES.WATCH_MIRRORED, {
+        channelId: entry.channelId.toString(),
+        name: entry.name,
+        messageIds: messages.map((m) => m.id),
+        edited: false,
+      });
+    }
+  }
+
+  /**
+   * Mirror an edit of an already mirrored post
+   */
+  async mirrorEditedMessage(client, entry, message) {
+    this.applyWatchSettings(entry);
+    const journalEntry = entry.journal.getEntry(message.id);
+
+    if (!journalEntry || !entry.journal.isComplete(message.id, this.uploadMode)) {
+      logger.info(`✏️ ${entry.name}: message ${message.id} was edited before it was mirrored, skipping`);
+      return;
+    }
+
+    if (this.uploadMode) {
+      // Forwarded posts cannot be edited, they keep the original header
+      if (journalEntry.forwarded && this.transferStrategy === TRANSFER_STRATEGIES.FORWARD) {
+        logger.info(`✏️ ${entry.name}: message ${message.id} was forwarded, edits are not mirrored`);
+        return;
+      }
+      if (!journalEntry.targetMessageId) {
+        logger.warn(`✏️ ${entry.name}: target of message ${message.id} is unknown, edit not mirrored`);
+        return;
+      }
+
+      await this.retryOperation(async () => {
+        return await this.getUploadClient(client).editMessage(this.targetChannelId, {
+          message: journalEntry.targetMessageId,
+          text: message.message || "",
+          formattingEntities: message.entities || [],
+        });
+      }, `mirroring edit of message ${message.id}`, 3);
+    } else {
+      await this.recordMessages([message], { edited: true });
+    }
+
+    entry.journal.mark(message.id, journalEntry.state, describeMessage(message));
+    logger.info(`✏️ ${entry.name}: mirrored edit of message ${message.id}`);
+    emitEvent(EVENT_TYPES.WATCH_MIRRORED, {
+      channelId: entry.channelId.toString(),
+      name: entry.name,
+      messageIds: [message.id],
+      edited: true,
+    });
+  }
+
+  /**
+   * Fetch posts a watched channel received while it was not being followed
+   */
+  async catchUpWatchedChannel(client, entry) {
+    this.applyWatchSettings(entry);
+    const offsetId = entry.journal.meta.lastFetchedId || 0;
+    logger.info(`👀 ${entry.name}: catching up from message ${offsetId}`);
+    await this.downloadChannel(client, entry.channelId, offsetId);
+  }
+
   /**
    * Ask user if they want to continue with another channel
    */
@@ -2257,6 +3607,7 @@ class DownloadChannel {
       const { booleanInput } = require("../utils/input-helper");
       return await booleanInput(
         "🔄 Download/Upload another channel? (Yes = Continue, No = Exit)",
+        "continue",
       );
     } catch (error) {
       logger.warn("Failed to get continue input, defaulting to exit");
@@ -2272,6 +3623,7 @@ class DownloadChannel {
       const { booleanInput } = require("../utils/input-helper");
       return await booleanInput(
         "❌ An error occurred. Try again with a different channel? (Yes = Retry, No = Exit)",
+        "retryAfterError",
       );
     } catch (error) {
       logger.warn("Failed to get retry input, defaulting to exit");
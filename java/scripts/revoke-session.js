@@ -0,0 +1,93 @@
+"use strict";
+const { TelegramClient, Api } = require("telegram");
+const { StringSession } = require("telegram/sessions");
+const logger = require("../utils/logger");
+const { readCredentialsFile, writeCredentialsFile } = require("../utils/file-helper");
+
+// Errors meaning Telegram already ended the session, so nobody can use it any more
+const ENDED_SESSION_ERRORS = ["AUTH_KEY_UNREGISTERED", "SESSION_REVOKED", "SESSION_EXPIRED", "USER_DEACTIVATED"];
+// The client reconnects forever on a broken connection, so the log out is given up after this
+const LOG_OUT_TIMEOUT_MS = 30000;
+
+/**
+ * Ends the saved login on Telegram's servers and deletes it from config.json
+ */
+class RevokeSession {
+  static description() {
+    return "Log out the saved session on Telegram's servers and delete it from config.json";
+  }
+
+  static help() {
+    return (
+      "Usage: node cli revoke-session\n\n" +
+      "The session is deleted from config.json even when Telegram cannot be reached, the command then\n" +
+      "exits with code 1 and the session should be ended under Settings > Devices in a Telegram app."
+    );
+  }
+
+  async handle() {
+    let credentials;
+    try {
+      credentials = readCredentialsFile();
+    } catch (error) {
+      logger.error(`Cannot read config.json: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!credentials.sessionId) {
+      logger.info("No saved session to revoke");
+      return;
+    }
+
+    const revoked = await this.logOut(credentials);
+    writeCredentialsFile({ ...credentials, sessionId: "" });
+
+    if (revoked) {
+      logger.success("Session ended on Telegram's servers and deleted from config.json");
+    } else {
+      logger.warn("Session deleted from config.json, end it under Settings > Devices in a Telegram app");
+    }
+    // The client's reconnect loop would keep the process alive
+    process.exit(revoked ? 0 : 1);
+  }
+
+  /**
+   * Invalidates the session's authorization key on the server
+   * @returns {Promise<boolean>} Whether the session no longer works
+   */
+  async logOut({ apiId, apiHash, sessionId }) {
+    const client = new TelegramClient(new StringSession(sessionId), Number(apiId), apiHash, {
+      connectionRetries: 3,
+      retryDelay: 2000,
+      timeout: 30000,
+    });
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("no answer from Telegram")), LOG_OUT_TIMEOUT_MS);
+    });
+
+    try {
+      await Promise.race([
+        (async () => {
+          await client.connect();
+          await client.invoke(new Api.auth.LogOut());
+        })(),
+        timeout,
+      ]);
+      return true;
+    } catch (error) {
+      if (ENDED_SESSION_ERRORS.includes(error.errorMessage)) {
+        return true;
+      }
+      logger.error(`Telegram did not end the session: ${error.message}`);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      await client.disconnect().catch(() => {});
+    }
+  }
+}
+
+module.exports = RevokeSession;
@@ -0,0 +1,80 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { MessageDatabase, getDatabasePath } = require("../utils/message-db");
+
+/**
+ * Full-text search of the downloaded messages in the SQLite message database
+ */
+class Search {
+  static description() {
+    return "Search downloaded messages, captions and file names";
+  }
+
+  static help() {
+    return (
+      "Usage: node cli search --query=\"<words>\" [--channel=<id>] [--limit=20] [--output=<folder>]\n\n" +
+      "  --query=<words>    Words that must all occur in the text, caption or file name\n" +
+      "  --channel=<id>     Only search this channel\n" +
+      "  --limit=<n>        Number of results (default: 20)\n" +
+      "  --output=<folder>  Folder holding the export tree and messages.db (default: ./export)\n\n" +
+      "The database is filled while channels are downloaded and needs the optional better-sqlite3 package."
+    );
+  }
+
+  async handle(options = {}) {
+    if (typeof options.query !== "string" || !options.query.trim()) {
+      logger.error("--query is required, e.g. --query=\"release notes\"");
+      process.exitCode = 1;
+      return;
+    }
+
+    const limit = options.limit === undefined ? undefined : parseInt(options.limit, 10);
+    if (limit !== undefined && !(limit > 0)) {
+      logger.error("--limit must be a positive number");
+      process.exitCode = 1;
+      return;
+    }
+
+    const databasePath = getDatabasePath(path.resolve(typeof options.output === "string" ? options.output : "export"));
+    if (!fs.existsSync(databasePath)) {
+      logger.error(`No message database at ${databasePath}, download a channel with better-sqlite3 installed first`);
+      process.exitCode = 1;
+      return;
+    }
+
+    let database;
+    try {
+      database = new MessageDatabase(databasePath);
+      const results = database.search(options.query, {
+        channelId: typeof options.channel === "string" ? options.channel : undefined,
+        limit,
+      });
+
+      if (results.length === 0) {
+        logger.info(`No messages found for "${options.query}"`);
+        return;
+      }
+
+      logger.table(
+        results.map((result) => ({
+          channel: result.channelName,
+          id: result.messageId,
+          date: result.date ? new Date(result.date * 1000).toISOString().slice(0, 16).replace("T", " ") : "",
+          text: result.snippet,
+          link: result.link || "",
+          file: result.filePath && fs.existsSync(result.filePath) ? result.filePath : "",
+        }))
+      );
+    } catch (error) {
+      const reason = error.code === "MODULE_NOT_FOUND" ? "better-sqlite3 is not installed" : error.message;
+      logger.error(`Search failed: ${reason}`);
+      process.exitCode = 1;
+    } finally {
+      if (database) database.close();
+    }
+  }
+}
+
+module.exports = Search;
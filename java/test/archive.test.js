@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Journal, MESSAGE_STATES } = require("../utils/journal");
+const { describeMessage, renderText, exportHtmlArchive } = require("../modules/archive");
+
+test("renderText nests entities and escapes the text", () => {
+  const text = "Bold <link> and code";
+  const entities = [
+    { type: "Bold", offset: 0, length: 11 },
+    { type: "TextUrl", offset: 5, length: 6, url: "javascript:alert(1)" },
+    { type: "Code", offset: 16, length: 4 },
+  ];
+  assert.equal(
+    renderText(text, entities),
+    '<strong>Bold <a href="https://javascript:alert(1)" rel="noopener">&lt;link&gt;</a></strong> and <code>code</code>',
+  );
+  assert.equal(renderText("@news", [{ type: "Mention", offset: 0, length: 5 }]), '<a href="https://t.me/news" rel="noopener">@news</a>');
+  assert.equal(renderText("plain"), "plain");
+});
+
+test("describeMessage keeps what the archive shows", () => {
+  const details = describeMessage({
+    date: 1700000000,
+    message: "Poll time",
+    entities: [{ className: "MessageEntityItalic", offset: 0, length: 4 }],
+    replyTo: { replyToMsgId: 3 },
+    groupedId: 99n,
+    media: { poll: { question: { text: "Yes?" }, answers: [{ text: "Yes" }, { text: { text: "No" } }] } },
+  });
+  assert.deepEqual(details.entities, [
+    { type: "Italic", offset: 0, length: 4, url: undefined, language: undefined, userId: undefined },
+  ]);
+  assert.equal(details.replyToId, 3);
+  assert.equal(details.groupedId, "99");
+  assert.deepEqual(details.media, { kind: "poll", question: "Yes?", answers: ["Yes", "No"] });
+});
+
+test("exportHtmlArchive pages posts, keeps albums together and links replies across pages", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const folder = path.join(dir, "123");
+  const journal = new Journal(folder);
+  const photoPath = path.join(folder, "image", "photo 1.jpg");
+  fs.mkdirSync(path.dirname(photoPath), { recursive: true });
+  fs.writeFileSync(photoPath, "jpeg");
+
+  journal.describe(1, { date: 1700000000, text: "First post", hasMedia: false });
+  journal.describe(2, { date: 1700000060, text: "Album", groupedId: "5", hasMedia: true });
+  journal.mark(2, MESSAGE_STATES.VERIFIED, { mediaPath: photoPath });
+  journal.describe(3, { date: 1700000060, text: "", groupedId: "5", hasMedia: true });
+  journal.mark(3, MESSAGE_STATES.CLEANED);
+  journal.describe(4, { date: 1700000120, text: "Reply", replyToId: 1, hasMedia: false });
+  journal.mark(5, MESSAGE_STATES.FETCHED);
+
+  const result = await exportHtmlArchive(journal, { channelName: "News <test>", perPage: 2 });
+  assert.deepEqual(result, { indexPath: path.join(folder, "archive", "index.html"), pages: 2, messages: 4 });
+
+  const first = fs.readFileSync(path.join(folder, "archive", "index.html"), "utf8");
+  const second = fs.readFileSync(path.join(folder, "archive", "page-2.html"), "utf8");
+  assert.match(first, /News &lt;test&gt;/);
+  assert.match(first, /\.\.\/image\/photo%201\.jpg/);
+  assert.match(first, /removed after upload/);
+  assert.match(second, /index\.html#msg-1/);
+
+  const searchIndex = fs.readFileSync(path.join(folder, "archive", "search-index.js"), "utf8");
+  const entries = JSON.parse(searchIndex.replace(/^window\.ARCHIVE_SEARCH_INDEX = /, "").replace(/;\n$/, ""));
+  assert.deepEqual(entries.map((entry) => [entry.id, entry.link]), [
+    [1, "index.html#msg-1"],
+    [2, "index.html#msg-2"],
+    [4, "page-2.html#msg-4"],
+  ]);
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { AUTH_ERROR_KINDS, AuthError, classifyAuthError } = require("../utils/auth-errors");
+
+// Shaped like gramjs errors: RPC errors carry errorMessage, flood waits the parsed seconds
+const rpcError = (errorMessage) => Object.assign(new Error(errorMessage), { errorMessage });
+
+test("classifies known Telegram errors by their code", () => {
+  const expired = classifyAuthError(rpcError("PHONE_CODE_EXPIRED"));
+  assert.ok(expired instanceof AuthError);
+  assert.equal(expired.code, "PHONE_CODE_EXPIRED");
+  assert.equal(expired.kind, AUTH_ERROR_KINDS.CODE);
+  assert.equal(expired.fatal, false);
+  assert.equal(expired.userMessage, "The login code expired");
+  assert.match(expired.guidance, /3&5&6&7&8/);
+
+  assert.equal(classifyAuthError(rpcError("AUTH_KEY_UNREGISTERED")).kind, AUTH_ERROR_KINDS.SESSION);
+  assert.equal(classifyAuthError(rpcError("API_ID_INVALID")).fatal, true);
+});
+
+test("banned accounts are always fatal", () => {
+  const banned = classifyAuthError(rpcError("PHONE_NUMBER_BANNED"));
+  assert.equal(banned.kind, AUTH_ERROR_KINDS.BANNED);
+  assert.equal(banned.fatal, true);
+  assert.equal(new AuthError("PHONE_CODE_INVALID", { fatal: true }).fatal, true);
+});
+
+test("flood waits keep the seconds and tell how long to wait", () => {
+  const wait = (seconds) => classifyAuthError(Object.assign(rpcError(`FLOOD_WAIT_${seconds}`), { seconds }));
+
+  const short = wait(30);
+  assert.equal(short.code, "FLOOD_WAIT");
+  assert.equal(short.kind, AUTH_ERROR_KINDS.FLOOD);
+  assert.equal(short.fatal, true);
+  assert.equal(short.seconds, 30);
+  assert.match(short.userMessage, /\(wait 30 s\)$/);
+  assert.match(wait(150).userMessage, /\(wait 3 min\)$/);
+  assert.match(wait(7200).userMessage, /\(wait 2 h\)$/);
+  assert.match(wait(7500).userMessage, /\(wait 2 h 5 min\)$/);
+});
+
+test("security errors are connection problems, not account problems", () => {
+  const error = classifyAuthError(new Error("SecurityError: invalid new nonce hash"));
+  assert.equal(error.code, "SECURITY_ERROR");
+  assert.equal(error.kind, AUTH_ERROR_KINDS.CONNECTION);
+});
+
+test("unknown errors are fatal and keep the original message", () => {
+  const cause = new Error("socket hang up");
+  const error = classifyAuthError(cause);
+  assert.equal(error.code, "UNKNOWN");
+  assert.equal(error.kind, AUTH_ERROR_KINDS.UNKNOWN);
+  assert.equal(error.fatal, true);
+  assert.equal(error.userMessage, "socket hang up");
+  assert.equal(error.cause, cause);
+});
+
+test("passes AuthErrors through and turns them into event payloads", () => {
+  const error = new AuthError("FLOOD_WAIT", { seconds: 60 });
+  assert.equal(classifyAuthError(error), error);
+  assert.deepEqual(error.toEvent(), {
+    code: "FLOOD_WAIT",
+    kind: AUTH_ERROR_KINDS.FLOOD,
+    fatal: true,
+    message: "Telegram asks to wait before the next login attempt (wait 60 s)",
+    guidance: error.guidance,
+    retryAfter: 60,
+  });
+});
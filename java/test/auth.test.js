@@ -0,0 +1,140 @@
+const { test, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// auth.js reads config.json when it loads, keep it out of the java folder
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+process.env.DOWNLOADER_WORKSPACE = workspace;
+after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+fs.writeFileSync(path.join(workspace, "config.json"), JSON.stringify({ apiId: 1, apiHash: "test", sessionId: "" }));
+
+// auth.js takes the prompts when it loads, so the answers are swapped in first
+const inputHelper = require("../utils/input-helper");
+const answers = { password: [], phone: [], otp: [] };
+const asked = { password: [] };
+inputHelper.passwordInput = async (hint, attemptsLeft) => {
+  asked.password.push({ hint, attemptsLeft });
+  return answers.password.shift();
+};
+inputHelper.mobileNumberInput = async () => answers.phone.shift();
+inputHelper.otpInput = async () => answers.otp.shift();
+
+const { signInWithCode, signInWithPassword } = require("../modules/auth");
+const { AuthError } = require("../utils/auth-errors");
+
+const rpcError = (errorMessage) => Object.assign(new Error(errorMessage), { errorMessage });
+
+/**
+ * Fake client checking passwords the way gramjs does: the password callback is
+ * asked again for as long as onError returns false.
+ */
+const createClient = (correctPassword) => ({
+  checked: [],
+  async signInWithPassword(credentials, { password, onError }) {
+    while (true) {
+      const entered = await password("my pet");
+      this.checked.push(entered);
+      if (entered === correctPassword) return { id: 1 };
+      if (await onError(rpcError("PASSWORD_HASH_INVALID"))) throw new Error("AUTH_USER_CANCEL");
+    }
+  },
+});
+
+/**
+ * Fake client that sends a code only to the given phone number and accepts any code.
+ */
+const createCodeClient = (validNumber) => ({
+  sentTo: [],
+  signedIn: [],
+  async sendCode(credentials, phoneNumber) {
+    this.sentTo.push(phoneNumber);
+    if (phoneNumber !== validNumber) throw rpcError("PHONE_NUMBER_INVALID");
+    return { phoneCodeHash: "hash", isCodeViaApp: true };
+  },
+  async invoke(request) {
+    this.signedIn.push([request.phoneNumber, request.phoneCode]);
+    return { className: "auth.Authorization" };
+  },
+});
+
+beforeEach(() => {
+  answers.password = [];
+  answers.phone = [];
+  answers.otp = [];
+  asked.password = [];
+});
+
+test("an invalid phone number is asked again", async () => {
+  answers.phone = ["123", "14155552671"];
+  answers.otp = ["12345"];
+  const client = createCodeClient("14155552671");
+
+  await signInWithCode(client, false);
+
+  assert.deepEqual(client.sentTo, ["123", "14155552671"]);
+  assert.deepEqual(client.signedIn, [["14155552671", "12345"]]);
+});
+
+test("the login stops after the third invalid phone number", async () => {
+  answers.phone = ["1", "2", "3", "14155552671"];
+  const client = createCodeClient("14155552671");
+
+  await assert.rejects(signInWithCode(client, false), (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.code, "PHONE_NUMBER_INVALID");
+    assert.equal(error.fatal, true);
+    assert.match(error.userMessage, /rejected 3 times, login aborted/);
+    return true;
+  });
+  assert.deepEqual(client.sentTo, ["1", "2", "3"]);
+});
+
+test("a flood wait on sending the code is not retried", async () => {
+  answers.phone = ["14155552671", "14155552671"];
+  const client = {
+    sendCode: async () => {
+      throw Object.assign(rpcError("FLOOD_WAIT_60"), { seconds: 60 });
+    },
+  };
+
+  await assert.rejects(signInWithCode(client, false), (error) => error.code === "FLOOD_WAIT");
+  assert.equal(answers.phone.length, 1);
+});
+
+test("a wrong password is asked again with the hint and the attempts left", async () => {
+  answers.password = ["wrong", "secret"];
+  const client = createClient("secret");
+
+  await signInWithPassword(client);
+
+  assert.deepEqual(client.checked, ["wrong", "secret"]);
+  assert.deepEqual(asked.password, [
+    { hint: "my pet", attemptsLeft: null },
+    { hint: "my pet", attemptsLeft: 2 },
+  ]);
+});
+
+test("the login stops after the third wrong password", async () => {
+  answers.password = ["one", "two", "three", "secret"];
+  const client = createClient("secret");
+
+  await assert.rejects(signInWithPassword(client), (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.code, "PASSWORD_HASH_INVALID");
+    assert.equal(error.fatal, true);
+    assert.match(error.userMessage, /3 times, login aborted/);
+    return true;
+  });
+  assert.deepEqual(client.checked, ["one", "two", "three"]);
+});
+
+test("other errors of the password step stop the login right away", async () => {
+  const client = {
+    signInWithPassword: async (credentials, { onError }) => onError(rpcError("SRP_ID_INVALID")),
+  };
+
+  await assert.rejects(signInWithPassword(client), (error) => error instanceof AuthError);
+  assert.deepEqual(asked.password, []);
+});
@@ -0,0 +1,84 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ContentIndex, getMediaKey, hashFile, linkFile } = require("../utils/content-index");
+
+let folder;
+
+beforeEach(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), "content-index-"));
+});
+
+afterEach(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+const writeMedia = (name, content) => {
+  const filePath = path.join(folder, "123", name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+test("getMediaKey identifies documents and photos", () => {
+  assert.equal(getMediaKey({ media: { document: { id: 51n } } }), "document:51");
+  assert.equal(getMediaKey({ media: { photo: { id: 7n } } }), "photo:7");
+  assert.equal(getMediaKey({ message: "text only" }), null);
+});
+
+test("hashFile returns the SHA-256 of the file", async () => {
+  const filePath = writeMedia("a.bin", "hello");
+  const expected = crypto.createHash("sha256").update("hello").digest("hex");
+  assert.equal(await hashFile(filePath), expected);
+});
+
+test("finds a complete local copy of an earlier download after a reload", async () => {
+  const first = writeMedia("a.mp4", "video bytes");
+  const sha256 = await hashFile(first);
+  new ContentIndex(folder).addFile({ path: first, sha256, size: 11, mediaKey: "document:1" });
+
+  const index = new ContentIndex(folder);
+  assert.equal(index.getShaForMediaKey("document:1"), sha256);
+  assert.equal(index.getShaForPath(first), sha256);
+  assert.equal(index.findLocalCopy(sha256), first);
+  assert.equal(index.findLocalCopy(sha256, first), null);
+  assert.equal(index.findLocalCopy(undefined), null);
+});
+
+test("a deleted or truncated copy no longer counts", async () => {
+  const filePath = writeMedia("a.mp4", "video bytes");
+  const sha256 = await hashFile(filePath);
+  const index = new ContentIndex(folder);
+  index.addFile({ path: filePath, sha256, size: 11 });
+
+  fs.writeFileSync(filePath, "video");
+  assert.equal(index.isStored(filePath, sha256), false);
+  fs.unlinkSync(filePath);
+  assert.equal(index.findLocalCopy(sha256), null);
+});
+
+test("remembers uploads per target channel", () => {
+  new ContentIndex(folder).markUploaded(-1001n, "abc", 42);
+
+  const index = new ContentIndex(folder);
+  assert.equal(index.findUpload(-1001n, "abc"), 42);
+  assert.equal(index.findUpload(-1002n, "abc"), undefined);
+  assert.equal(index.findUpload(-1001n, undefined), undefined);
+});
+
+test("ignores a line cut off by a crash", () => {
+  new ContentIndex(folder).markUploaded(5, "abc", 1);
+  fs.appendFileSync(path.join(folder, "content_index.jsonl"), '{"type":"upl');
+
+  assert.equal(new ContentIndex(folder).findUpload(5, "abc"), 1);
+});
+
+test("linkFile replaces the target with the source content", () => {
+  const source = writeMedia("source.jpg", "photo");
+  const target = path.join(folder, "456", "nested", "copy.jpg");
+  linkFile(source, target);
+  linkFile(source, target);
+
+  assert.equal(fs.readFileSync(target, "utf8"), "photo");
+});
@@ -0,0 +1,67 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  CREDENTIALS_KEY_ENV,
+  CREDENTIALS_PASSPHRASE_ENV,
+  getCredentialSecret,
+  encryptCredentials,
+  decryptCredentials,
+} = require("../utils/crypto-helper");
+
+const credentials = { apiId: 12345, apiHash: "0123456789abcdef", sessionId: "1BQANOTAREALSESSION==" };
+
+afterEach(() => {
+  delete process.env[CREDENTIALS_KEY_ENV];
+  delete process.env[CREDENTIALS_PASSPHRASE_ENV];
+});
+
+test("reads a hex or base64 key, or a passphrase, from the environment", () => {
+  assert.equal(getCredentialSecret(), null);
+
+  const key = crypto.randomBytes(32);
+  process.env[CREDENTIALS_KEY_ENV] = key.toString("hex");
+  assert.deepEqual(getCredentialSecret(), { key });
+  process.env[CREDENTIALS_KEY_ENV] = ` ${key.toString("base64")} `;
+  assert.deepEqual(getCredentialSecret(), { key });
+
+  process.env[CREDENTIALS_KEY_ENV] = "too-short";
+  assert.throws(() => getCredentialSecret(), /must be 32 bytes/);
+
+  delete process.env[CREDENTIALS_KEY_ENV];
+  process.env[CREDENTIALS_PASSPHRASE_ENV] = "correct horse";
+  assert.deepEqual(getCredentialSecret(), { passphrase: "correct horse" });
+});
+
+test("round-trips credentials with a key", () => {
+  const secret = { key: crypto.randomBytes(32) };
+  const envelope = encryptCredentials(credentials, secret);
+
+  assert.equal(envelope.kdf, "raw");
+  assert.equal(envelope.salt, undefined);
+  assert.ok(!JSON.stringify(envelope).includes(credentials.sessionId));
+  assert.deepEqual(decryptCredentials(envelope, secret), credentials);
+  assert.notEqual(encryptCredentials(credentials, secret).iv, envelope.iv);
+});
+
+test("round-trips credentials with a passphrase", () => {
+  const envelope = encryptCredentials(credentials, { passphrase: "correct horse" });
+
+  assert.equal(envelope.kdf, "scrypt");
+  assert.deepEqual(decryptCredentials(envelope, { passphrase: "correct horse" }), credentials);
+  assert.throws(() => decryptCredentials(envelope, { passphrase: "wrong" }), /key or passphrase is wrong/);
+});
+
+test("refuses to decrypt without the right secret or with tampered data", () => {
+  const secret = { key: crypto.randomBytes(32) };
+  const envelope = encryptCredentials(credentials, secret);
+
+  assert.throws(() => decryptCredentials(envelope, null), /set CREDENTIALS_KEY or CREDENTIALS_PASSPHRASE/);
+  assert.throws(() => decryptCredentials(envelope, { passphrase: "x" }), /encrypted with CREDENTIALS_KEY/);
+  assert.throws(() => decryptCredentials(envelope, { key: crypto.randomBytes(32) }), /key or passphrase is wrong/);
+  assert.throws(() => decryptCredentials({ ...envelope, version: 2 }, secret), /Unsupported/);
+
+  const data = Buffer.from(envelope.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => decryptCredentials({ ...envelope, data: data.toString("base64") }, secret), /key or passphrase is wrong/);
+});
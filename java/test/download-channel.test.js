@@ -0,0 +1,252 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep config.json, the journal and exports of the run out of the java folder
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "download-channel-"));
+process.env.DOWNLOADER_WORKSPACE = workspace;
+after(() => fs.rmSync(workspace, { recursive: true, force: true }));
+fs.writeFileSync(path.join(workspace, "config.json"), JSON.stringify({ apiId: 1, apiHash: "test", sessionId: "" }));
+
+const DownloadChannel = require("../scripts/download-channel");
+const { Journal, MESSAGE_STATES } = require("../utils/journal");
+const { getMediaPath } = require("../utils/helper");
+const { getMediaKey } = require("../utils/content-index");
+
+const PAGE_SIZE = 500;
+
+/**
+ * Fake client serving a channel of `count` messages, the given IDs share one album.
+ */
+const createChannelClient = (count, albumIds) => {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    className: "Message",
+    groupedId: albumIds.includes(i + 1) ? 77n : null,
+  }));
+  return {
+    getMessages: async (channelId, { ids, limit, offsetId }) => {
+      if (ids) return ids.map((id) => messages[id - 1]).filter(Boolean);
+      return messages.filter((message) => message.id > offsetId).slice(0, limit);
+    },
+  };
+};
+
+/**
+ * Downloader in upload mode that never waits between requests.
+ */
+const createUploader = (strategy) => {
+  const uploader = new DownloadChannel();
+  uploader.checkRateLimit = async () => {};
+  uploader.precisionDelay = async () => {};
+  uploader.uploadMode = true;
+  uploader.targetChannelId = 2002;
+  uploader.transferStrategy = strategy;
+  uploader.journal = new Journal(fs.mkdtempSync(path.join(workspace, "journal-")));
+  uploader.journal.updateMeta({ settings: { transferStrategy: strategy } });
+  return uploader;
+};
+
+const toMessages = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => ({ id: from + i, className: "Message" }));
+
+/**
+ * Message with a named document of `size` bytes.
+ */
+const createDocumentMessage = (id, size) => ({
+  id,
+  className: "Message",
+  media: {
+    document: {
+      id: BigInt(9000 + id),
+      size,
+      mimeType: "application/zip",
+      attributes: [{ className: "DocumentAttributeFilename", fileName: `archive-${id}.zip` }],
+    },
+  },
+});
+
+/**
+ * Downloader with the given existing-file policy and a file of `written` bytes on disk.
+ */
+const createDownloadWithFile = (policy, message, written) => {
+  const fetcher = new DownloadChannel();
+  fetcher.existingFilePolicy = policy;
+  fetcher.outputFolder = fs.mkdtempSync(path.join(workspace, "output-"));
+  const mediaPath = getMediaPath(message, fetcher.outputFolder);
+  fs.mkdirSync(path.dirname(mediaPath), { recursive: true });
+  fs.writeFileSync(mediaPath, Buffer.alloc(written, 1));
+  return { fetcher, mediaPath };
+};
+
+let pages;
+let downloader;
+
+before(() => {
+  process.chdir(workspace);
+  downloader = new DownloadChannel();
+  downloader.initializeSpeedMonitor = () => {};
+  downloader.showProgress = () => {};
+  downloader.precisionDelay = async () => {};
+  downloader.processFetchedMessages = async (client, channelId, details) => {
+    pages.push(details.map((message) => message.id));
+    return details.length;
+  };
+});
+
+test("a page ending inside an album keeps the album and still fetches the next pages", async () => {
+  pages = [];
+  const client = createChannelClient(1200, [498, 499, 500, 501, 502, 503]);
+  await downloader.downloadChannel(client, 1001);
+
+  assert.equal(pages.length, 3);
+  assert.deepEqual(pages[0].slice(-6), [498, 499, 500, 501, 502, 503]);
+  assert.equal(pages[0].length, PAGE_SIZE + 3);
+  assert.equal(pages[1][0], 504);
+  const fetched = pages.flat();
+  assert.equal(fetched.length, 1200);
+  assert.equal(new Set(fetched).size, 1200);
+  assert.equal(downloader.journal.meta.lastFetchedId, 1200);
+});
+
+test("a short page ends the channel", async () => {
+  pages = [];
+  downloader.journal = null;
+  await downloader.downloadChannel(createChannelClient(20, [19, 20]), 1002);
+
+  assert.deepEqual(pages, [Array.from({ length: 20 }, (_, i) => i + 1)]);
+});
+
+test("a restricted source hands the rest of the messages to re-upload without retrying", async () => {
+  const uploader = createUploader("forward");
+  const requests = [];
+  const client = {
+    forwardMessages: async (target, { messages, dropAuthor }) => {
+      requests.push({ ids: messages, dropAuthor });
+      if (requests.length > 1) throw new Error("400: CHAT_FORWARDS_RESTRICTED");
+      return [messages.map((id) => ({ id: id + 5000 }))];
+    },
+  };
+
+  const leftover = await uploader.forwardMessages(client, 1003, toMessages(1, 250));
+
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].ids.length, 100);
+  assert.equal(requests[0].dropAuthor, false);
+  assert.deepEqual(leftover.map((message) => message.id), toMessages(101, 250).map((message) => message.id));
+  assert.equal(uploader.transferStrategy, "reupload");
+  assert.equal(uploader.journal.meta.settings.transferStrategy, "reupload");
+  assert.equal(uploader.journal.getState(100), MESSAGE_STATES.UPLOADED);
+  assert.equal(uploader.journal.getEntry(100).targetMessageId, 5100);
+  assert.equal(uploader.journal.getState(101), null);
+});
+
+test("a chunk that keeps failing is re-uploaded while the others are still forwarded", async () => {
+  const uploader = createUploader("copy");
+  const requests = [];
+  const client = {
+    forwardMessages: async (target, { messages, dropAuthor }) => {
+      requests.push({ ids: messages, dropAuthor });
+      if (messages[0] === 1) throw new Error("500: RPC_CALL_FAIL");
+      return [messages.map((id) => ({ id }))];
+    },
+  };
+
+  const leftover = await uploader.forwardMessages(client, 1004, toMessages(1, 150));
+
+  // Three attempts for the failing chunk, one for the second
+  assert.equal(requests.length, 4);
+  assert.ok(requests.every((request) => request.dropAuthor));
+  assert.deepEqual(leftover.map((message) => message.id), toMessages(1, 100).map((message) => message.id));
+  assert.equal(uploader.transferStrategy, "copy");
+  assert.equal(uploader.journal.getState(1), null);
+  assert.equal(uploader.journal.getState(150), MESSAGE_STATES.UPLOADED);
+  assert.equal(uploader.totalUploaded, 50);
+});
+
+test("a separate upload account turns forward and copy into re-upload", async () => {
+  const uploader = createUploader("forward");
+  assert.equal(uploader.applyUploadAccountStrategy("copy"), "copy");
+
+  uploader.uploadClient = {};
+  assert.equal(uploader.applyUploadAccountStrategy("copy"), "reupload");
+  assert.equal(await uploader.selectTransferStrategy({ strategy: "forward" }), "reupload");
+  await assert.rejects(uploader.selectTransferStrategy({ strategy: "teleport" }), /Invalid --strategy "teleport"/);
+});
+
+test("a complete file from an earlier run is kept and a partial one is left for resuming", async () => {
+  const complete = createDocumentMessage(1, 2048);
+  const kept = createDownloadWithFile("skip", complete, 2048);
+  assert.equal(kept.fetcher.isResumable(complete, kept.mediaPath), false);
+  assert.equal(await kept.fetcher.keepExistingFile(complete), kept.mediaPath);
+  assert.equal(kept.fetcher.skippedFiles, 1);
+
+  const partial = createDocumentMessage(2, 2048);
+  const resumed = createDownloadWithFile("skip", partial, 1000);
+  assert.equal(resumed.fetcher.isResumable(partial, resumed.mediaPath), true);
+  assert.equal(await resumed.fetcher.keepExistingFile(partial), null);
+  assert.equal(fs.statSync(resumed.mediaPath).size, 1000);
+});
+
+test("a file larger than the document is deleted as corrupt", async () => {
+  const message = createDocumentMessage(3, 2048);
+  const { fetcher, mediaPath } = createDownloadWithFile("skip", message, 4096);
+
+  assert.equal(fetcher.isResumable(message, mediaPath), false);
+  assert.equal(await fetcher.keepExistingFile(message), null);
+  assert.equal(fs.existsSync(mediaPath), false);
+});
+
+test("verify deletes a file whose hash differs from the recorded one", async () => {
+  const message = createDocumentMessage(4, 2048);
+  const { fetcher, mediaPath } = createDownloadWithFile("verify", message, 2048);
+  fetcher.contentIndex.addFile({
+    path: mediaPath,
+    sha256: "0".repeat(64),
+    size: 2048,
+    mediaKey: getMediaKey(message),
+  });
+
+  assert.equal(await fetcher.keepExistingFile(message), null);
+  assert.equal(fs.existsSync(mediaPath), false);
+
+  const intact = createDocumentMessage(5, 2048);
+  const verified = createDownloadWithFile("verify", intact, 2048);
+  assert.equal(await verified.fetcher.keepExistingFile(intact), verified.mediaPath);
+  assert.ok(verified.fetcher.contentIndex.getShaForMediaKey(getMediaKey(intact)));
+});
+
+test("overwrite never resumes a partial file", () => {
+  const message = createDocumentMessage(6, 2048);
+  const { fetcher, mediaPath } = createDownloadWithFile("overwrite", message, 1000);
+
+  assert.equal(fetcher.isResumable(message, mediaPath), false);
+});
+
+test("messages fetched again are exported once and an edit replaces its row", async () => {
+  const recorder = new DownloadChannel();
+  recorder.messageDatabase = null;
+  recorder.processDynamicBatch = async () => {};
+  recorder.processBatch = async () => {};
+  recorder.exportFormats = ["csv"];
+  recorder.outputFolder = fs.mkdtempSync(path.join(workspace, "records-"));
+  recorder.journal = new Journal(recorder.outputFolder);
+  const page = () => [1, 2, 3].map((id) => ({ id, className: "Message", date: 1700000000 + id, message: `post ${id}` }));
+
+  await recorder.processFetchedMessages(null, 1005, page());
+  // A resumed run fetches the page from the last fetched ID again
+  await recorder.processFetchedMessages(null, 1005, page());
+  const edited = page();
+  edited[1] = { ...edited[1], message: "post 2, edited", editDate: 1700000100 };
+  await recorder.processFetchedMessages(null, 1005, edited);
+
+  const rows = fs.readFileSync(path.join(recorder.outputFolder, "messages.csv"), "utf8").trim().split("\r\n");
+  assert.deepEqual(
+    rows.slice(1).map((row) => row.split(",")[0]),
+    ["1", "2", "3"],
+  );
+  assert.match(rows[2], /"post 2, edited"/);
+  assert.equal(recorder.journal.getEntry(2).text, "post 2, edited");
+});
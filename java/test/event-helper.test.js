@@ -0,0 +1,86 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The event fd is read when the module loads, so point it at a file first
+const streamDir = fs.mkdtempSync(path.join(os.tmpdir(), "events-"));
+const streamPath = path.join(streamDir, "events.ndjson");
+after(() => fs.rmSync(streamDir, { recursive: true, force: true }));
+process.env.DOWNLOADER_EVENT_FD = String(fs.openSync(streamPath, "w"));
+
+const {
+  EVENT_TYPES,
+  isEventStreamEnabled,
+  emitEvent,
+  emitProgress,
+  getErrorCode,
+} = require("../utils/event-helper");
+
+const readEvents = () =>
+  fs
+    .readFileSync(streamPath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+test("writes each event as one JSON line", () => {
+  assert.equal(isEventStreamEnabled(), true);
+  emitEvent(EVENT_TYPES.CHANNEL_STARTED, { channelId: 42, name: "news\nfeed" });
+
+  const event = readEvents().pop();
+  assert.equal(event.type, "channel_started");
+  assert.equal(event.channelId, 42);
+  assert.equal(event.name, "news\nfeed");
+  assert.equal(typeof event.ts, "number");
+});
+
+test("throttles progress of a file but always sends its last update", () => {
+  const before = readEvents().length;
+  emitProgress({ direction: "download", messageId: 7, transferred: 10, total: 100 });
+  emitProgress({ direction: "download", messageId: 7, transferred: 20, total: 100 });
+  emitProgress({ direction: "upload", messageId: 7, transferred: 5, total: 100 });
+  emitProgress({ direction: "download", messageId: 7, transferred: 100, total: 100 });
+
+  const progress = readEvents().slice(before);
+  assert.deepEqual(
+    progress.map((event) => [event.direction, event.transferred]),
+    [
+      ["download", 10],
+      ["upload", 5],
+      ["download", 100],
+    ],
+  );
+});
+
+test("waits for a full pipe to drain instead of spinning", () => {
+  const originalWriteSync = fs.writeSync;
+  let attempts = 0;
+  fs.writeSync = (...args) => {
+    attempts += 1;
+    if (attempts <= 3) {
+      throw Object.assign(new Error("resource temporarily unavailable"), { code: "EAGAIN" });
+    }
+    return originalWriteSync(...args);
+  };
+
+  const started = Date.now();
+  try {
+    emitEvent(EVENT_TYPES.WATCH_STATUS, { paused: true });
+  } finally {
+    fs.writeSync = originalWriteSync;
+  }
+
+  assert.equal(attempts, 4);
+  // Backs off 1 + 2 + 4 ms between the attempts
+  assert.ok(Date.now() - started >= 7);
+  assert.equal(readEvents().pop().type, "watch_status");
+});
+
+test("extracts Telegram error codes", () => {
+  assert.equal(getErrorCode(new Error("420: FLOOD_WAIT_30 (caused by messages.GetHistory)")), "FLOOD_WAIT");
+  assert.equal(getErrorCode({ errorMessage: "FILE_REFERENCE_EXPIRED" }), "FILE_REFERENCE_EXPIRED");
+  assert.equal(getErrorCode("connection reset"), "UNKNOWN");
+  assert.equal(getErrorCode(null), "UNKNOWN");
+});
@@ -0,0 +1,99 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EXPORTERS, registerExporter, parseExportFormats, runExporters, resetExports } = require("../utils/exporters");
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createFolder = () => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "exporters-")));
+  return path.join(tempDirs.at(-1), "123");
+};
+
+const records = (folder) => [
+  {
+    id: 2,
+    date: 1700000060,
+    message: 'Photo, "quoted"\nsecond line',
+    postAuthor: "Ann",
+    mediaType: "image",
+    mediaName: "photo 2.jpg",
+    mediaPath: path.join(folder, "image", "photo 2.jpg"),
+    fileSize: 1234,
+    replyTo: { msgId: 1 },
+    groupedId: "55",
+  },
+  { id: 1, date: 1700000000, message: "Hello", views: 10 },
+];
+
+test("parseExportFormats keeps known formats once and reports the rest", () => {
+  assert.deepEqual(parseExportFormats("CSV, md,csv,pdf"), { formats: ["csv", "md"], invalid: ["pdf"] });
+  assert.deepEqual(parseExportFormats(["md"]), { formats: ["md"], invalid: [] });
+  assert.deepEqual(parseExportFormats(undefined), { formats: [], invalid: [] });
+});
+
+test("CSV rows quote separators and get the header once", () => {
+  const folder = createFolder();
+  assert.deepEqual(runExporters(["csv"], folder, records(folder)), {});
+  runExporters(["csv"], folder, [{ id: 3, date: 1700000120, message: "Later" }]);
+  runExporters(["csv"], folder, []);
+
+  const lines = fs.readFileSync(path.join(folder, "messages.csv"), "utf8").split("\r\n");
+  assert.equal(lines[0], "﻿id,date,edit_date,sender,text,media_type,media_file,media_size,views,forwards,reply_to,grouped_id");
+  assert.equal(lines[1], '2,2023-11-14T22:14:20.000Z,,Ann,"Photo, ""quoted""\nsecond line",image,photo 2.jpg,1234,,,1,55');
+  assert.equal(lines[2], "1,2023-11-14T22:13:20.000Z,,,Hello,,,,10,,,");
+  assert.equal(lines[3], "3,2023-11-14T22:15:20.000Z,,,Later,,,,,,,");
+  assert.equal(lines.length, 5);
+});
+
+test("a rewrite replaces the exports and a reset deletes them", () => {
+  const folder = createFolder();
+  runExporters(["csv", "md"], folder, records(folder));
+  const latest = [{ id: 1, date: 1700000000, editDate: 1700000100, message: "Hello!" }];
+  runExporters(["csv", "md"], folder, latest, { rewrite: true });
+
+  const lines = fs.readFileSync(path.join(folder, "messages.csv"), "utf8").split("\r\n");
+  assert.equal(lines[1], "1,2023-11-14T22:13:20.000Z,2023-11-14T22:15:00.000Z,,Hello!,,,,,,,");
+  assert.equal(lines.length, 3);
+  const markdown = fs.readFileSync(path.join(folder, "messages.md"), "utf8");
+  assert.equal(markdown.match(/^### /gm).length, 1);
+  assert.match(markdown, /### #1 · 2023-11-14 22:13 UTC \(edited 2023-11-14 22:15\)/);
+
+  resetExports(folder);
+  assert.equal(fs.existsSync(path.join(folder, "messages.csv")), false);
+  assert.equal(fs.existsSync(path.join(folder, "messages.md")), false);
+});
+
+test("Markdown transcript is ordered and links media relative to the channel folder", () => {
+  const folder = createFolder();
+  runExporters(["md"], folder, records(folder));
+
+  const markdown = fs.readFileSync(path.join(folder, "messages.md"), "utf8");
+  assert.ok(markdown.startsWith("# Messages of 123\n\n"));
+  assert.ok(markdown.indexOf("### #1 ·") < markdown.indexOf("### #2 ·"));
+  assert.match(markdown, /> Reply to \[#1\]\(#msg-1\)/);
+  assert.match(markdown, /Photo, "quoted" {2}\nsecond line/);
+  assert.match(markdown, /!\[photo 2\.jpg\]\(image\/photo%202\.jpg\)/);
+});
+
+test("a failing exporter does not stop the others", () => {
+  registerExporter("broken", {
+    label: "Always fails",
+    file: "broken.txt",
+    append: () => {
+      throw new Error("disk full");
+    },
+  });
+  try {
+    const folder = createFolder();
+    const errors = runExporters(["broken", "md"], folder, records(folder));
+    assert.deepEqual(Object.keys(errors), ["broken"]);
+    assert.equal(errors.broken.message, "disk full");
+    assert.ok(fs.existsSync(path.join(folder, "messages.md")));
+  } finally {
+    delete EXPORTERS.broken;
+  }
+});
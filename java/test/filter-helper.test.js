@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseSize,
+  parseDate,
+  validateFilterValue,
+  pickFilterOptions,
+  createFilters,
+  describeFilters,
+} = require("../utils/filter-helper");
+
+const MB = 1024 * 1024;
+
+const video = (size, extra = {}) => ({
+  date: Date.parse("2024-03-10T12:00:00Z") / 1000,
+  media: { document: { mimeType: "video/mp4", size } },
+  ...extra,
+});
+const photo = (extra = {}) => ({
+  date: Date.parse("2024-03-10T12:00:00Z") / 1000,
+  media: { photo: { sizes: [{ size: 1000 }, { size: 5000 }] } },
+  ...extra,
+});
+
+const passes = (rawFilters, message) =>
+  createFilters(rawFilters).every((filter) => filter.test(message));
+
+test("parseSize reads units and rejects anything else", () => {
+  assert.equal(parseSize("4096"), 4096);
+  assert.equal(parseSize("200mb"), 200 * MB);
+  assert.equal(parseSize("1.5 GB"), 1.5 * 1024 * MB);
+  assert.throws(() => parseSize("2 TB"), /Invalid size "2 TB"/);
+});
+
+test("parseDate covers the whole day at the end of a range", () => {
+  const start = Date.parse("2024-01-01T00:00:00Z") / 1000;
+  assert.equal(parseDate("2024-01-01", false), start);
+  assert.equal(parseDate("2024-01-01", true), start + 24 * 60 * 60 - 1);
+  assert.throws(() => parseDate("yesterday", false), /Invalid date/);
+});
+
+test("empty answers mean no filter", () => {
+  assert.deepEqual(pickFilterOptions({ types: "-", from: "", caption: "skip", "min-size": "1MB", other: "x" }), {
+    "min-size": "1MB",
+  });
+  assert.equal(describeFilters({}), "none");
+  assert.equal(describeFilters({ types: "video", "min-size": "200MB" }), "types=video, min-size=200MB");
+  assert.equal(validateFilterValue("to", "none"), true);
+  assert.match(validateFilterValue("to", "2024-13-45"), /Invalid date/);
+});
+
+test("only videos larger than 200 MB, also inside albums", () => {
+  const filters = { types: "video", "min-size": "200MB" };
+  assert.equal(passes(filters, video(300 * MB)), true);
+  assert.equal(passes(filters, video(300 * MB, { groupedId: 99n })), true);
+  assert.equal(passes(filters, video(100 * MB, { groupedId: 99n })), false);
+  assert.equal(passes(filters, photo({ groupedId: 99n })), false);
+});
+
+test("album matches every item of an album", () => {
+  assert.equal(passes({ types: "album" }, photo({ groupedId: 1n })), true);
+  assert.equal(passes({ types: "album" }, photo()), false);
+  assert.equal(passes({ types: "image,album" }, photo()), true);
+});
+
+test("date, caption and sender filters", () => {
+  assert.equal(passes({ from: "2024-03-10", to: "2024-03-10" }, photo()), true);
+  assert.equal(passes({ from: "2024-03-11" }, photo()), false);
+  assert.equal(passes({ caption: "^release" }, photo({ message: "Release notes" })), true);
+  assert.equal(passes({ caption: "^release" }, photo()), false);
+  assert.equal(passes({ "skip-sender": "42,Bot" }, photo({ fromId: { userId: 42n } })), false);
+  assert.equal(passes({ "skip-sender": "42,Bot" }, photo({ postAuthor: "bot" })), false);
+  assert.equal(passes({ "skip-sender": "42,Bot" }, photo({ postAuthor: "Alice" })), true);
+});
+
+test("createFilters throws on values it cannot parse", () => {
+  assert.throws(() => createFilters({ "max-size": "big" }), /Invalid size/);
+});
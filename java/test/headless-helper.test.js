@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadRunOptions, resolveHeadlessOptions, findDialog } = require("../utils/headless-helper");
+
+test("infers the mode from --ids and --start", () => {
+  const specific = resolveHeadlessOptions({ channel: "@news", ids: "5,1-3" });
+  assert.equal(specific.mode, "specific");
+  assert.deepEqual(specific.messageIds, [1, 2, 3, 5]);
+
+  const toEnd = resolveHeadlessOptions({ channel: "@news", start: "120" });
+  assert.equal(toEnd.mode, "toEnd");
+  assert.equal(toEnd.startFromMessageId, 120);
+
+  const full = resolveHeadlessOptions({ channel: " -1001 ", sync: "true" });
+  assert.equal(full.mode, "full");
+  assert.equal(full.channel, "-1001");
+  assert.equal(full.sync, true);
+  assert.equal(full.target, null);
+});
+
+test("lists every invalid option at once", () => {
+  assert.throws(
+    () =>
+      resolveHeadlessOptions(
+        { mode: "specific", ids: "x", concurrency: "99", "min-size": "big", target: true, strategy: "teleport" },
+        { strategy: ["forward", "copy", "reupload"] },
+      ),
+    (error) => {
+      [
+        "--channel is required",
+        "--ids has invalid entries: x",
+        "--target needs a value",
+        "--concurrency must be a number from 1 to 32",
+        "--min-size: Invalid size",
+        "--strategy must be one of forward, copy, reupload",
+      ].forEach((part) => assert.ok(error.message.includes(part), part));
+      return true;
+    },
+  );
+});
+
+test("keeps filters, export formats and allowed values", () => {
+  const settings = resolveHeadlessOptions(
+    { channel: "@news", types: "video", export: "csv", strategy: "copy", concurrency: "4" },
+    { strategy: ["forward", "copy", "reupload"] },
+  );
+  assert.deepEqual(settings.filters, { types: "video" });
+  assert.deepEqual(settings.exportFormats, ["csv"]);
+  assert.equal(settings.strategy, "copy");
+  assert.equal(settings.concurrency, 4);
+});
+
+test("loadRunOptions joins lists and rejects anything but an object", (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "headless-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const configPath = path.join(folder, "run.json");
+  fs.writeFileSync(configPath, JSON.stringify({ channel: "@news", types: ["video", "image"] }));
+  assert.deepEqual(loadRunOptions(configPath), { channel: "@news", types: "video,image" });
+
+  fs.writeFileSync(configPath, "[1, 2]");
+  assert.throws(() => loadRunOptions(configPath), /must contain a JSON object/);
+  assert.throws(() => loadRunOptions(path.join(folder, "missing.json")), /Config file not found/);
+});
+
+test("findDialog matches IDs, usernames and t.me links", () => {
+  const dialogs = [
+    { id: -1001n, username: "News" },
+    { id: 42n, username: null },
+  ];
+  assert.equal(findDialog(dialogs, "-1001"), dialogs[0]);
+  assert.equal(findDialog(dialogs, "@news"), dialogs[0]);
+  assert.equal(findDialog(dialogs, "https://t.me/NEWS"), dialogs[0]);
+  assert.equal(findDialog(dialogs, "42"), dialogs[1]);
+  assert.equal(findDialog(dialogs, "@other"), null);
+});
@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_MESSAGE_IDS, parseMessageIds, groupAlbums } = require("../utils/helper");
+
+test("parseMessageIds expands ranges and drops duplicates", () => {
+  assert.deepEqual(parseMessageIds("100-103, 101,7"), {
+    ids: [7, 100, 101, 102, 103],
+    invalid: [],
+  });
+});
+
+test("parseMessageIds accepts reversed ranges and reports invalid parts", () => {
+  assert.deepEqual(parseMessageIds("5-3,abc,0,,12-x"), {
+    ids: [3, 4, 5],
+    invalid: ["abc", "12-x"],
+  });
+  assert.deepEqual(parseMessageIds(undefined), { ids: [], invalid: [] });
+});
+
+test("parseMessageIds reports selections over the ID limit as invalid", () => {
+  assert.deepEqual(parseMessageIds("5,1-20000000"), {
+    ids: [5],
+    invalid: [`1-20000000 (more than ${MAX_MESSAGE_IDS} IDs)`],
+  });
+
+  const { ids, invalid } = parseMessageIds(`1-${MAX_MESSAGE_IDS},${MAX_MESSAGE_IDS + 5},3`);
+  assert.equal(ids.length, MAX_MESSAGE_IDS);
+  assert.deepEqual(invalid, [`${MAX_MESSAGE_IDS + 5} (more than ${MAX_MESSAGE_IDS} IDs)`]);
+});
+
+test("groupAlbums keeps consecutive items of one album together", () => {
+  const groups = groupAlbums([
+    { id: 1 },
+    { id: 2, groupedId: 5n },
+    { id: 3, groupedId: 5n },
+    { id: 4, groupedId: 6n },
+    { id: 5 },
+  ]);
+  assert.deepEqual(
+    groups.map((group) => group.map((message) => message.id)),
+    [[1], [2, 3], [4], [5]],
+  );
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Journal, MESSAGE_STATES } = require("../utils/journal");
+
+let dir;
+let folder;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+  folder = path.join(dir, "export", "123");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("picks up the latest state of each message after a restart", () => {
+  const journal = new Journal(folder);
+  journal.markNew([1, 2, 3], MESSAGE_STATES.FETCHED);
+  journal.mark(1, MESSAGE_STATES.DOWNLOADED, { mediaPath: "a.jpg" });
+  journal.mark(1, MESSAGE_STATES.VERIFIED);
+  journal.mark(2, MESSAGE_STATES.FAILED, { error: "FILE_REFERENCE_EXPIRED" });
+
+  const reloaded = new Journal(folder);
+  assert.equal(reloaded.getState(1), MESSAGE_STATES.VERIFIED);
+  assert.equal(reloaded.getEntry(1).mediaPath, "a.jpg");
+  assert.equal(reloaded.getState(2), MESSAGE_STATES.FAILED);
+  assert.equal(reloaded.getState(3), MESSAGE_STATES.FETCHED);
+  assert.equal(reloaded.getState(4), null);
+  assert.deepEqual(reloaded.summary(), { verified: 1, failed: 1, fetched: 1 });
+});
+
+test("ignores a line cut off by a crash", () => {
+  const journal = new Journal(folder);
+  journal.mark(5, MESSAGE_STATES.UPLOADED);
+  fs.appendFileSync(path.join(folder, "journal.jsonl"), '{"id":6,"sta');
+
+  const reloaded = new Journal(folder);
+  assert.deepEqual(reloaded.list().map((entry) => entry.id), [5]);
+});
+
+test("a message is complete once it reached the last step of the run", () => {
+  const journal = new Journal(folder);
+  journal.mark(1, MESSAGE_STATES.VERIFIED);
+  journal.mark(2, MESSAGE_STATES.UPLOADED);
+  journal.mark(3, MESSAGE_STATES.SKIPPED);
+  journal.mark(4, MESSAGE_STATES.FAILED);
+
+  assert.equal(journal.isComplete(1, false), true);
+  assert.equal(journal.isComplete(1, true), false);
+  assert.equal(journal.isComplete(2, true), true);
+  assert.equal(journal.isComplete(3, true), true);
+  assert.equal(journal.isComplete(4, false), false);
+  assert.equal(journal.isComplete(99, false), false);
+});
+
+test("markNew leaves messages that are further along untouched", () => {
+  const journal = new Journal(folder);
+  journal.mark(1, MESSAGE_STATES.UPLOADED);
+  journal.markNew([1, 2], MESSAGE_STATES.FETCHED);
+
+  assert.equal(journal.getState(1), MESSAGE_STATES.UPLOADED);
+  assert.equal(journal.getState(2), MESSAGE_STATES.FETCHED);
+});
+
+test("describe adds message details without changing the state", () => {
+  const journal = new Journal(folder);
+  journal.mark(1, MESSAGE_STATES.DOWNLOADED);
+  journal.describe(1, { text: "hello", date: 1700000000 });
+
+  const entry = new Journal(folder).getEntry(1);
+  assert.equal(entry.state, MESSAGE_STATES.DOWNLOADED);
+  assert.equal(entry.text, "hello");
+});
+
+test("keeps run settings in the meta file and reset clears everything", () => {
+  const journal = new Journal(folder);
+  assert.equal(Journal.exists(folder), false);
+  journal.updateMeta({ lastFetchedId: 500, settings: { downloadMode: "full" } });
+  journal.updateMeta({ completed: false });
+  journal.mark(1, MESSAGE_STATES.FETCHED);
+
+  assert.equal(Journal.exists(folder), true);
+  const reloaded = new Journal(folder);
+  assert.equal(reloaded.meta.lastFetchedId, 500);
+  assert.deepEqual(reloaded.meta.settings, { downloadMode: "full" });
+  assert.equal(reloaded.meta.completed, false);
+
+  reloaded.reset();
+  assert.equal(Journal.exists(folder), false);
+  assert.deepEqual(new Journal(folder).list(), []);
+});
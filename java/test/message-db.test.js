@@ -0,0 +1,82 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MessageDatabase, getDatabasePath, messageLink } = require("../utils/message-db");
+
+// better-sqlite3 is an optional dependency, its native build may have been skipped
+let sqliteMissing = false;
+try {
+  require("better-sqlite3");
+} catch (_) {
+  sqliteMissing = "better-sqlite3 is not installed";
+}
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const openDatabase = () => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "message-db-")));
+  return new MessageDatabase(getDatabasePath(tempDirs.at(-1)));
+};
+
+test("messageLink uses the username or the private channel ID", () => {
+  assert.equal(messageLink("-1001234", "news", 5), "https://t.me/news/5");
+  assert.equal(messageLink("-1001234", null, 5), "https://t.me/c/1234/5");
+  assert.equal(messageLink("42", null, 5), null);
+});
+
+test("finds messages by text and file name with links and media", { skip: sqliteMissing }, () => {
+  const db = openDatabase();
+  db.upsertChannel({ id: "-1001234", name: "News", username: null });
+  db.upsertMessages("-1001234", [
+    { id: 1, message: "Quarterly report is out", date: 1700000000, sender: "7", senderName: "Ann" },
+    {
+      id: 2,
+      message: "",
+      mediaPath: "/export/-1001234/document/report.pdf",
+      mediaName: "report.pdf",
+      mediaType: "document",
+      fileSize: 2048,
+      replyTo: { msgId: 1 },
+      reactions: [{ reaction: "👍", count: 3 }],
+    },
+    { id: 3, message: "Unrelated" },
+  ]);
+  db.upsertMessages("-1005678", [{ id: 1, message: "Another report" }]);
+
+  const results = db.search("report");
+  assert.deepEqual(results.map((result) => `${result.channelId}/${result.messageId}`).sort(), [
+    "-1001234/1",
+    "-1001234/2",
+    "-1005678/1",
+  ]);
+  const own = db.search("report.pdf", { channelId: "-1001234" });
+  assert.equal(own.length, 1);
+  assert.equal(own[0].link, "https://t.me/c/1234/2");
+  assert.equal(own[0].channelName, "News");
+  assert.equal(own[0].fileName, "report.pdf");
+  assert.deepEqual(db.getMedia("-1001234", 2), { filePath: "/export/-1001234/document/report.pdf", fileName: "report.pdf", size: 2048 });
+  assert.equal(db.getMedia("-1001234", 3), null);
+  db.close();
+});
+
+test("an edited message replaces its text in the index", { skip: sqliteMissing }, () => {
+  const db = openDatabase();
+  db.upsertMessages("-1001", [{ id: 1, message: "draft text" }]);
+  db.upsertMessages("-1001", [{ id: 1, message: "final text" }]);
+
+  assert.equal(db.search("draft").length, 0);
+  assert.equal(db.search("final").length, 1);
+  db.close();
+});
+
+test("search input cannot break the query", { skip: sqliteMissing }, () => {
+  const db = openDatabase();
+  db.upsertMessages("-1001", [{ id: 1, message: 'He said "hello" - NOT OR AND' }]);
+
+  assert.equal(db.search('"hello" -').length, 1);
+  assert.throws(() => db.search("   "), /Search text is empty/);
+  db.close();
+});
@@ -0,0 +1,74 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MessageStore } = require("../utils/message-store");
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createFolder = () => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "message-store-")));
+  return path.join(tempDirs.at(-1), "123");
+};
+
+const readAll = async (store) => {
+  const records = [];
+  for await (const record of store.records()) records.push(record);
+  return records;
+};
+
+test("the latest record of an edited message takes the place of the first", async () => {
+  const store = new MessageStore(createFolder());
+  store.append([
+    { id: 1, message: "one" },
+    { id: 2, message: "two" },
+  ]);
+  store.append([]);
+  store.append([
+    { id: 3, message: "three" },
+    { id: 1, message: "one, edited" },
+  ]);
+  fs.appendFileSync(store.filePath, '{"id":4,"mess');
+
+  assert.deepEqual(
+    (await readAll(store)).map((record) => record.message),
+    ["one, edited", "two", "three"],
+  );
+});
+
+test("moves an old all_messages.json into the log before appending", async () => {
+  const folder = createFolder();
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, "all_messages.json"),
+    JSON.stringify([[{ id: 1, message: "old" }], [[{ id: 2, message: "older" }]], null]),
+  );
+
+  const store = new MessageStore(folder);
+  store.append([{ id: 3, message: "new" }]);
+  assert.deepEqual((await readAll(store)).map((record) => record.id), [1, 2, 3]);
+});
+
+test("exportLegacy writes the flat JSON array of the old format", async () => {
+  const folder = createFolder();
+  const store = new MessageStore(folder);
+  store.append([
+    { id: 1, message: "hi", date: 1700000000, hasMedia: false, entities: [] },
+    { id: 1, message: "hi again", date: 1700000000, hasMedia: false },
+    { id: 2, message: "", date: 1700000060, hasMedia: true, mediaType: "image", mediaPath: "image/2.jpg" },
+  ]);
+
+  assert.equal(await store.exportLegacy(), 2);
+  const legacy = JSON.parse(fs.readFileSync(path.join(folder, "all_messages.json"), "utf8"));
+  assert.deepEqual(Object.keys(legacy[0]), ["id", "message", "date", "hasMedia"]);
+  assert.equal(legacy[0].message, "hi again");
+  assert.equal(legacy[1].mediaPath, "image/2.jpg");
+
+  const empty = new MessageStore(createFolder());
+  const emptyPath = path.join(os.tmpdir(), `empty-${process.pid}.json`);
+  assert.equal(await empty.exportLegacy(emptyPath), 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(emptyPath, "utf8")), []);
+  fs.unlinkSync(emptyPath);
+});
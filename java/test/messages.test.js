@@ -0,0 +1,94 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resumeMessageMedia, uploadAlbumToChannel } = require("../modules/messages");
+
+const MB = 1024 * 1024;
+
+/**
+ * Fake client serving the bytes of a document from the requested offset on.
+ */
+const createClient = (content) => {
+  const requests = [];
+  return {
+    requests,
+    iterDownload: async function* ({ offset, requestSize, limit }) {
+      requests.push({ offset: Number(offset), requestSize, limit });
+      for (let start = Number(offset); start < content.length; start += requestSize) {
+        yield content.subarray(start, start + requestSize);
+      }
+    },
+  };
+};
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createPartialFile = (content, written) => {
+  tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), "resume-")));
+  const mediaPath = path.join(tempDirs.at(-1), "video.mp4");
+  // Bytes past the aligned offset are wrong on purpose, they have to be fetched again
+  fs.writeFileSync(mediaPath, Buffer.concat([content.subarray(0, 2 * MB), Buffer.alloc(written - 2 * MB, 7)]));
+  return mediaPath;
+};
+
+test("resumes a partial document from the last aligned offset", async () => {
+  const content = Buffer.alloc(3 * MB + 123, 0);
+  for (let i = 0; i < content.length; i += 4096) content[i] = i % 251;
+  const message = { id: 1, media: { document: { size: content.length } } };
+  const mediaPath = createPartialFile(content, 2 * MB + 500);
+  const client = createClient(content);
+
+  assert.equal(await resumeMessageMedia(client, message, mediaPath), true);
+  assert.deepEqual(client.requests, [{ offset: 2 * MB, requestSize: MB, limit: 2 }]);
+  assert.ok(fs.readFileSync(mediaPath).equals(content));
+});
+
+test("reports an incomplete resume and keeps what was downloaded", async () => {
+  const content = Buffer.alloc(3 * MB, 1);
+  const message = { id: 2, media: { document: { size: content.length } } };
+  const mediaPath = createPartialFile(content, 2 * MB);
+  const client = createClient(content.subarray(0, 2 * MB + 10));
+
+  assert.equal(await resumeMessageMedia(client, message, mediaPath), false);
+  assert.equal(fs.statSync(mediaPath).size, 2 * MB + 10);
+});
+
+test("a resume without a document or partial file does nothing", async () => {
+  const client = createClient(Buffer.alloc(10));
+  assert.equal(await resumeMessageMedia(client, { id: 3, media: { photo: {} } }, "missing.jpg"), false);
+  assert.equal(await resumeMessageMedia(client, { id: 4, media: { document: { size: 10 } } }, "missing.zip"), false);
+  assert.deepEqual(client.requests, []);
+});
+
+test("sends an album through sendFile with each caption's own entities", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "album-"));
+  tempDirs.push(dir);
+  const mediaPaths = ["a.jpg", "b.mp4"].map((name) => path.join(dir, name));
+  mediaPaths.forEach((mediaPath) => fs.writeFileSync(mediaPath, "x"));
+  const bold = { className: "MessageEntityBold", offset: 0, length: 4 };
+  const messages = [
+    { id: 1, message: "Bold caption", entities: [bold], media: { photo: {} } },
+    { id: 2, message: "", media: { document: { mimeType: "video/mp4", attributes: ["video"] } } },
+  ];
+
+  let sent;
+  const client = {
+    sendFile: async (chat, options) => {
+      sent = { chat, ...options };
+      return [{ id: 100 }, { id: 101 }];
+    },
+  };
+  assert.deepEqual(await uploadAlbumToChannel(client, "@target", messages, mediaPaths), [{ id: 100 }, { id: 101 }]);
+
+  assert.equal(sent.chat, "@target");
+  assert.deepEqual(sent.file, mediaPaths);
+  assert.deepEqual(sent.attributes, [undefined, ["video"]]);
+  assert.equal(sent.forceDocument, false);
+  assert.deepEqual(sent.caption.map((caption) => sent.parseMode.parse(caption)), [
+    ["Bold caption", [bold]],
+    ["", []],
+  ]);
+});
@@ -0,0 +1,59 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The profiles directory is read when the module loads
+const profilesDir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+process.env.PROFILES_DIR = profilesDir;
+after(() => fs.rmSync(profilesDir, { recursive: true, force: true }));
+
+const { listProfiles, loadProfile, profileToOptions } = require("../utils/profile-helper");
+
+fs.writeFileSync(
+  path.join(profilesDir, "nightly-mirror.yaml"),
+  [
+    "source: \"@news\"",
+    "target: backup",
+    "mode: toEnd",
+    "types: [video, document]",
+    "from: 2024-01-01",
+    "filters:",
+    "  min-size: 200MB",
+    "headless: true",
+  ].join("\n"),
+);
+fs.writeFileSync(path.join(profilesDir, "archive.json"), JSON.stringify({ channel: -1001, export: ["csv", "md"] }));
+fs.writeFileSync(path.join(profilesDir, "broken.yml"), "- just\n- a list\n");
+fs.writeFileSync(path.join(profilesDir, "notes.txt"), "not a profile");
+
+test("lists JSON and YAML profiles by name", () => {
+  assert.deepEqual(listProfiles(), ["archive", "broken", "nightly-mirror"]);
+});
+
+test("turns a YAML profile into command-line options", () => {
+  const profile = loadProfile("nightly-mirror");
+  assert.equal(profile.file, path.join(profilesDir, "nightly-mirror.yaml"));
+  assert.throws(() => profileToOptions(profile), /unknown settings: headless/);
+
+  delete profile.headless;
+  assert.deepEqual(profileToOptions(profile), {
+    channel: "@news",
+    target: "backup",
+    mode: "toEnd",
+    types: "video,document",
+    from: "2024-01-01",
+    "min-size": "200MB",
+  });
+});
+
+test("reads JSON profiles", () => {
+  assert.deepEqual(profileToOptions(loadProfile("archive")), { channel: "-1001", export: "csv,md" });
+});
+
+test("rejects missing, invalid and unsafe profile names", () => {
+  assert.throws(() => loadProfile("missing"), /not found .*available: archive, broken, nightly-mirror/);
+  assert.throws(() => loadProfile("broken"), /must be a mapping of settings/);
+  assert.throws(() => loadProfile("../config"), /Invalid profile name/);
+});
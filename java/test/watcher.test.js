@@ -0,0 +1,114 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ChannelWatcher } = require("../modules/watcher");
+
+afterEach(() => mock.timers.reset());
+
+/**
+ * Fake client keeping the registered update handlers, in order: new, edited.
+ */
+const createClient = () => {
+  const handlers = [];
+  return {
+    handlers,
+    addEventHandler: (handler, filter) => handlers.push({ handler, filter }),
+    removeEventHandler: (handler) => {
+      const index = handlers.findIndex((entry) => entry.handler === handler);
+      if (index !== -1) handlers.splice(index, 1);
+    },
+  };
+};
+
+/**
+ * Watcher over one channel that records what it hands to the downloader.
+ */
+const createWatcher = () => {
+  const client = createClient();
+  const calls = [];
+  const watcher = new ChannelWatcher(client, {
+    onMessages: async (entry, messages) => calls.push(["new", entry.name, messages.map((m) => m.id)]),
+    onEdited: async (entry, message) => calls.push(["edited", entry.name, message.id]),
+    onCatchUp: async (entry) => calls.push(["catchUp", entry.name]),
+  });
+  watcher.add(1001, "news", {});
+  const entry = watcher.find("1");
+  watcher.subscribe(entry);
+  const [onNew, onEdited] = client.handlers.map((registered) => registered.handler);
+  return { watcher, client, entry, calls, onNew, onEdited };
+};
+
+test("mirrors new and edited posts one task at a time", async () => {
+  const { watcher, calls, onNew, onEdited } = createWatcher();
+
+  onNew({ message: { id: 10 } });
+  onEdited({ message: { id: 8 } });
+  onNew({ message: { id: 11 } });
+  await watcher.queue;
+
+  assert.deepEqual(calls, [
+    ["new", "news", [10]],
+    ["edited", "news", 8],
+    ["new", "news", [11]],
+  ]);
+});
+
+test("waits for the whole album before mirroring it in ID order", async () => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  const { watcher, calls, onNew } = createWatcher();
+
+  onNew({ message: { id: 21, groupedId: 5n } });
+  onNew({ message: { id: 20, groupedId: 5n } });
+  mock.timers.tick(1000);
+  onNew({ message: { id: 22, groupedId: 5n } });
+  mock.timers.tick(1000);
+  assert.deepEqual(calls, []);
+
+  mock.timers.tick(500);
+  await watcher.queue;
+  assert.deepEqual(calls, [["new", "news", [20, 21, 22]]]);
+  assert.equal(watcher.albums.size, 0);
+});
+
+test("a paused channel ignores posts and catches up when resumed", async () => {
+  const { watcher, entry, calls, onNew, onEdited } = createWatcher();
+
+  watcher.handleCommand("pause 1");
+  assert.equal(entry.paused, true);
+  onNew({ message: { id: 30 } });
+  onEdited({ message: { id: 29 } });
+  await watcher.queue;
+  assert.deepEqual(calls, []);
+
+  watcher.handleCommand("resume 1001");
+  watcher.handleCommand("resume 1");
+  await watcher.queue;
+  assert.equal(entry.paused, false);
+  assert.deepEqual(calls, [["catchUp", "news"]]);
+
+  onNew({ message: { id: 31 } });
+  await watcher.queue;
+  assert.deepEqual(calls.pop(), ["new", "news", [31]]);
+});
+
+test("a failing task does not stop the ones after it", async () => {
+  const { watcher, calls, onNew } = createWatcher();
+  watcher.handlers.onMessages = async (entry, messages) => {
+    if (messages[0].id === 40) throw new Error("upload failed");
+    calls.push(["new", entry.name, messages.map((m) => m.id)]);
+  };
+
+  onNew({ message: { id: 40 } });
+  onNew({ message: { id: 41 } });
+  await watcher.queue;
+
+  assert.deepEqual(calls, [["new", "news", [41]]]);
+});
+
+test("unsubscribing removes both update handlers", () => {
+  const { watcher, client, entry } = createWatcher();
+  assert.equal(client.handlers.length, 2);
+
+  watcher.unsubscribe(entry);
+  assert.equal(client.handlers.length, 0);
+  assert.deepEqual(entry.subscriptions, []);
+});
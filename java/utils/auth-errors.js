@@ -0,0 +1,214 @@
+const { getErrorCode } = require("./event-helper");
+
+// How a login reacts to an error, every auth error belongs to one kind
+const AUTH_ERROR_KINDS = {
+  BANNED: "banned", // The account or number cannot log in, never retried
+  FLOOD: "flood", // Telegram asks to wait, nothing is sent before the wait is over
+  PHONE: "phone", // The phone number is asked again
+  CODE: "code", // The login code is asked again, an expired one is resent first
+  PASSWORD: "password", // The 2FA password is asked again, up to a limit
+  SESSION: "session", // The saved session is gone, a fresh login is needed
+  API: "api", // apiId or apiHash are not accepted
+  CONNECTION: "connection", // The connection to Telegram failed, the client already retried it
+  UNKNOWN: "unknown",
+};
+
+const K = AUTH_ERROR_KINDS;
+
+// Known auth errors with what the user is told and whether the login may go on
+const AUTH_ERRORS = {
+  PHONE_NUMBER_BANNED: {
+    kind: K.BANNED,
+    message: "This phone number is banned from logging in to Telegram",
+    guidance: "Only Telegram can lift the ban, write to recover@telegram.org. Retrying or changing devices does not help.",
+  },
+  USER_DEACTIVATED_BAN: {
+    kind: K.BANNED,
+    message: "This account was banned by Telegram",
+    guidance: "Appeal to recover@telegram.org. The account cannot be used to download.",
+  },
+  USER_DEACTIVATED: {
+    kind: K.BANNED,
+    message: "This account was deleted or deactivated",
+    guidance: "Log in with another account.",
+  },
+  PHONE_NUMBER_INVALID: {
+    kind: K.PHONE,
+    message: "Telegram does not know this phone number",
+    guidance: "Enter the number with its country code and without +, e.g. 14155552671.",
+  },
+  PHONE_NUMBER_UNOCCUPIED: {
+    kind: K.PHONE,
+    message: "No Telegram account uses this phone number",
+    guidance: "Sign up in a Telegram app first, or enter the number of an existing account.",
+  },
+  PHONE_NUMBER_FLOOD: {
+    kind: K.FLOOD,
+    fatal: true,
+    message: "Too many login codes were requested for this number",
+    guidance: "Telegram blocks new codes for this number for a while, often a day. Try again later or log in by QR code.",
+  },
+  FLOOD_WAIT: {
+    kind: K.FLOOD,
+    fatal: true,
+    message: "Telegram asks to wait before the next login attempt",
+    guidance: "Start again after the wait. Every earlier attempt makes the wait longer.",
+  },
+  SEND_CODE_UNAVAILABLE: {
+    kind: K.CODE,
+    fatal: true,
+    message: "Telegram has no further way to send a login code",
+    guidance: "Every delivery method was used. Wait a few hours or log in by QR code.",
+  },
+  PHONE_CODE_INVALID: {
+    kind: K.CODE,
+    message: "The login code is wrong",
+    guidance: "Enter the code from the latest message of the Telegram service account.",
+  },
+  PHONE_CODE_EMPTY: {
+    kind: K.CODE,
+    message: "No login code was entered",
+    guidance: "Enter the code Telegram sent you.",
+  },
+  PHONE_CODE_EXPIRED: {
+    kind: K.CODE,
+    message: "The login code expired",
+    guidance: "A code shared in a chat is invalidated by Telegram, type it with separators like 3&5&6&7&8.",
+  },
+  QR_LOGIN_TIMEOUT: {
+    kind: K.CODE,
+    message: "The QR code was not scanned in time",
+    guidance: "Scan it within 5 minutes under Settings > Devices > Link Desktop Device, or log in with OTP.",
+  },
+  PASSWORD_HASH_INVALID: {
+    kind: K.PASSWORD,
+    message: "The 2FA password is wrong",
+    guidance: "Forgotten passwords can be reset under Settings > Privacy and Security > Two-Step Verification.",
+  },
+  AUTH_KEY_UNREGISTERED: {
+    kind: K.SESSION,
+    message: "The saved session is no longer valid",
+    guidance: "Log in again with OTP or a QR code.",
+  },
+  SESSION_REVOKED: {
+    kind: K.SESSION,
+    message: "The saved session was ended from another device",
+    guidance: "Log in again with OTP or a QR code.",
+  },
+  SESSION_EXPIRED: {
+    kind: K.SESSION,
+    message: "The saved session expired",
+    guidance: "Log in again with OTP or a QR code.",
+  },
+  AUTH_KEY_DUPLICATED: {
+    kind: K.SESSION,
+    message: "The saved session was used from two places at once and Telegram ended it",
+    guidance: "Log in again, and use each session ID in one place only.",
+  },
+  API_ID_INVALID: {
+    kind: K.API,
+    fatal: true,
+    message: "The API ID and API hash do not match",
+    guidance: "Copy both again from https://my.telegram.org/apps.",
+  },
+  API_ID_PUBLISHED_FLOOD: {
+    kind: K.API,
+    fatal: true,
+    message: "This API ID was published and Telegram limits it",
+    guidance: "Create your own app on https://my.telegram.org/apps and use its API ID and hash.",
+  },
+  SECURITY_ERROR: {
+    kind: K.CONNECTION,
+    fatal: true,
+    message: "The secure connection to Telegram could not be set up",
+    guidance: "This is a network problem, not a blocked account. Check the server's connection and try again later.",
+  },
+};
+
+/**
+ * An auth error of a known kind, carrying what the user should be told.
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} code - Telegram error code, e.g. PHONE_CODE_EXPIRED.
+   * @param {Object} [options]
+   * @param {number} [options.seconds] - Wait Telegram asks for, for FLOOD_WAIT.
+   * @param {string} [options.message] - Replaces the default message.
+   * @param {boolean} [options.fatal] - Whether the login stops, replaces the default of the code.
+   * @param {Error} [options.cause] - The original error.
+   */
+  constructor(code, { seconds = null, message, fatal, cause } = {}) {
+    const known = AUTH_ERRORS[code] || {
+      kind: K.UNKNOWN,
+      fatal: true,
+      message: cause ? cause.message : code,
+      guidance: "Try again later. If it keeps failing, log in by QR code or with another account.",
+    };
+    let text = message || known.message;
+    if (seconds) {
+      text += ` (${formatWait(seconds)})`;
+    }
+
+    super(`${code}: ${text}`);
+    this.name = "AuthError";
+    this.code = code;
+    this.kind = known.kind;
+    this.fatal = fatal !== undefined ? fatal : Boolean(known.fatal) || known.kind === K.BANNED;
+    this.seconds = seconds;
+    this.userMessage = text;
+    this.guidance = known.guidance;
+    this.cause = cause;
+  }
+
+  /**
+   * Payload of the auth_error event.
+   * @returns {Object}
+   */
+  toEvent() {
+    return {
+      code: this.code,
+      kind: this.kind,
+      fatal: this.fatal,
+      message: this.userMessage,
+      guidance: this.guidance,
+      retryAfter: this.seconds,
+    };
+  }
+}
+
+/**
+ * Formats a wait in seconds as e.g. "wait 2 h 5 min".
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  if (hours > 0) return `wait ${hours} h${minutes > 0 ? ` ${minutes} min` : ""}`;
+  return minutes > 1 ? `wait ${minutes} min` : `wait ${seconds} s`;
+};
+
+/**
+ * Turns any error of a login into an AuthError.
+ * @param {Error} err - From gramjs or an AuthError.
+ * @returns {AuthError}
+ */
+const classifyAuthError = (err) => {
+  if (err instanceof AuthError) return err;
+
+  // gramjs reports FLOOD_WAIT_<seconds> as a FloodWaitError with the seconds parsed out
+  if (typeof err.seconds === "number") {
+    return new AuthError("FLOOD_WAIT", { seconds: err.seconds, cause: err });
+  }
+  if (/SecurityError|nonce hash/i.test(err.message || "")) {
+    return new AuthError("SECURITY_ERROR", { cause: err });
+  }
+  return new AuthError(getErrorCode(err), { cause: err });
+};
+
+module.exports = {
+  AUTH_ERROR_KINDS,
+  AUTH_ERRORS,
+  AuthError,
+  classifyAuthError,
+};
@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const INDEX_FILE = "content_index.jsonl";
+
+/**
+ * Returns the Telegram identity of a message's media, which stays the same
+ * when a file is forwarded or reposted.
+ * @param {Object} message
+ * @returns {string|null} E.g. "document:5120..." or "photo:5120...".
+ */
+const getMediaKey = (message) => {
+  const media = message?.media;
+  if (media?.document?.id) return `document:${media.document.id}`;
+  if (media?.photo?.id) return `photo:${media.photo.id}`;
+  return null;
+};
+
+/**
+ * Computes the SHA-256 of a file without loading it into memory.
+ * @param {string} filePath
+ * @returns {Promise<string>} The hex digest.
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+/**
+ * Makes `target` a hard link to `source`, or a copy when linking is not
+ * possible (e.g. a different filesystem). An existing target is replaced.
+ * @param {string} source
+ * @param {string} target
+ * @returns {boolean} True if a hard link was created.
+ */
+const linkFile = (source, target) => {
+  const dir = path.dirname(target);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  if (fs.existsSync(target)) fs.unlinkSync(target);
+
+  try {
+    fs.linkSync(source, target);
+    return true;
+  } catch (_) {
+    fs.copyFileSync(source, target);
+    return false;
+  }
+};
+
+/**
+ * Content index shared by all channels and runs, stored as export/content_index.jsonl.
+ *
+ * It remembers which Telegram media and which SHA-256 digests were already
+ * downloaded (and where), and which digests were already posted to a target
+ * channel, so duplicates are neither downloaded nor uploaded twice.
+ */
+class ContentIndex {
+  /**
+   * @param {string} folder - The export folder.
+   */
+  constructor(folder) {
+    this.folder = folder;
+    this.indexPath = path.join(folder, INDEX_FILE);
+    this.files = new Map(); // sha256 -> { sha256, size, paths: Set }
+    this.mediaKeys = new Map(); // media key -> sha256
+    this.paths = new Map(); // file path -> sha256
+    this.uploads = new Map(); // "<target>:<sha256>" -> target message ID
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.indexPath)) return;
+
+    fs.readFileSync(this.indexPath, "utf8")
+      .split("\n")
+      .forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (_) {
+          // Partial line from an interrupted write
+        }
+      });
+  }
+
+  apply(entry) {
+    if (entry.type === "file") {
+      const file = this.files.get(entry.sha256) || {
+        sha256: entry.sha256,
+        size: entry.size,
+        paths: new Set(),
+      };
+      file.paths.add(entry.path);
+      this.files.set(entry.sha256, file);
+      this.paths.set(entry.path, entry.sha256);
+      if (entry.mediaKey) this.mediaKeys.set(entry.mediaKey, entry.sha256);
+    } else if (entry.type === "upload") {
+      this.uploads.set(`${entry.target}:${entry.sha256}`, entry.targetMessageId);
+    }
+  }
+
+  append(entry) {
+    this.apply(entry);
+    if (!fs.existsSync(this.folder)) {
+      fs.mkdirSync(this.folder, { recursive: true });
+    }
+    fs.appendFileSync(this.indexPath, JSON.stringify({ ...entry, ts: Date.now() }) + "\n");
+  }
+
+  /**
+   * Records a completed, verified download.
+   * @param {Object} file
+   * @param {string} file.path - Where the file is stored.
+   * @param {string} file.sha256 - Digest of the file.
+   * @param {number} file.size - Size in bytes.
+   * @param {string|null} [file.mediaKey] - From getMediaKey.
+   * @param {string} [file.accessHash] - Telegram access hash of the media.
+   */
+  addFile({ path: filePath, sha256, size, mediaKey = null, accessHash }) {
+    this.append({ type: "file", path: filePath, sha256, size, mediaKey, accessHash });
+  }
+
+  /**
+   * Returns the digest known for a Telegram media key.
+   * @param {string|null} mediaKey
+   * @returns {string|undefined}
+   */
+  getShaForMediaKey(mediaKey) {
+    return mediaKey ? this.mediaKeys.get(mediaKey) : undefined;
+  }
+
+  /**
+   * Returns the digest recorded for a stored file.
+   * @param {string} filePath
+   * @returns {string|undefined}
+   */
+  getShaForPath(filePath) {
+    return this.paths.get(filePath);
+  }
+
+  /**
+   * Checks whether a path still holds the complete file with the given digest.
+   * @param {string} filePath
+   * @param {string} sha256
+   * @returns {boolean}
+   */
+  isStored(filePath, sha256) {
+    const file = this.files.get(sha256);
+    if (!file || this.paths.get(filePath) !== sha256) return false;
+    try {
+      return fs.statSync(filePath).size === file.size;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Finds a file on disk with the given digest that is still complete.
+   * @param {string|undefined} sha256
+   * @param {string} [excludePath] - A path that does not count as a copy.
+   * @returns {string|null} The path of the local copy.
+   */
+  findLocalCopy(sha256, excludePath) {
+    const file = sha256 && this.files.get(sha256);
+    if (!file) return null;
+
+    for (const filePath of file.paths) {
+      // Skips paths cleaned up after upload or deleted by the user
+      if (filePath !== excludePath && this.isStored(filePath, sha256)) {
+        return filePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns the target message a file was already posted as, if any.
+   * @param {Object} target - The target channel ID.
+   * @param {string|undefined} sha256
+   * @returns {number|null|undefined} The target message ID, undefined if never posted.
+   */
+  findUpload(target, sha256) {
+    if (!sha256) return undefined;
+    return this.uploads.get(`${target}:${sha256}`);
+  }
+
+  /**
+   * Records that a file was posted to a target channel.
+   * @param {Object} target - The target channel ID.
+   * @param {string} sha256
+   * @param {number} [targetMessageId]
+   */
+  markUploaded(target, sha256, targetMessageId = null) {
+    if (!sha256) return;
+    this.append({ type: "upload", target: target.toString(), sha256, targetMessageId });
+  }
+}
+
+module.exports = {
+  ContentIndex,
+  getMediaKey,
+  hashFile,
+  linkFile,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// A 32-byte key as 64 hex characters or base64, or a passphrase the key is derived from
+const CREDENTIALS_KEY_ENV = "CREDENTIALS_KEY";
+const CREDENTIALS_PASSPHRASE_ENV = "CREDENTIALS_PASSPHRASE";
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+
+// Derived keys by salt, so scrypt runs once per process and not on every save
+const derivedKeys = new Map();
+let passphraseSalt = null;
+
+/**
+ * Reads the credential encryption secret from the environment.
+ * @returns {Object|null} { key } or { passphrase }, null when neither variable is set.
+ * @throws {Error} When CREDENTIALS_KEY is not a 32-byte key.
+ */
+const getCredentialSecret = () => {
+  const key = (process.env[CREDENTIALS_KEY_ENV] || "").trim();
+  if (key) {
+    const bytes = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, "hex") : Buffer.from(key, "base64");
+    if (bytes.length !== KEY_LENGTH) {
+      throw new Error(`${CREDENTIALS_KEY_ENV} must be 32 bytes as hex or base64, e.g. from: openssl rand -hex 32`);
+    }
+    return { key: bytes };
+  }
+
+  const passphrase = process.env[CREDENTIALS_PASSPHRASE_ENV];
+  return passphrase ? { passphrase } : null;
+};
+
+const deriveKey = (passphrase, salt) => {
+  const id = `${salt.toString("base64")}:${passphrase}`;
+  if (!derivedKeys.has(id)) {
+    derivedKeys.set(id, crypto.scryptSync(passphrase, salt, KEY_LENGTH));
+  }
+  return derivedKeys.get(id);
+};
+
+/**
+ * Encrypts an object with AES-256-GCM.
+ * @param {Object} value - Must survive JSON.stringify.
+ * @param {Object} secret - From getCredentialSecret.
+ * @returns {Object} The envelope: version, kdf, salt (passphrases only), iv, tag and data in base64.
+ */
+const encryptCredentials = (value, secret) => {
+  let key = secret.key;
+  let salt;
+  if (!key) {
+    passphraseSalt = passphraseSalt || crypto.randomBytes(16);
+    salt = passphraseSalt;
+    key = deriveKey(secret.passphrase, salt);
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+
+  return {
+    version: ENVELOPE_VERSION,
+    kdf: salt ? "scrypt" : "raw",
+    salt: salt ? salt.toString("base64") : undefined,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+};
+
+/**
+ * Decrypts an envelope written by encryptCredentials.
+ * @param {Object} envelope
+ * @param {Object|null} secret - From getCredentialSecret.
+ * @returns {Object}
+ * @throws {Error} When no secret is set, it is the wrong kind or the data does not decrypt with it.
+ */
+const decryptCredentials = (envelope, secret) => {
+  if (!secret) {
+    throw new Error(`Credentials are encrypted, set ${CREDENTIALS_KEY_ENV} or ${CREDENTIALS_PASSPHRASE_ENV}`);
+  }
+  if (!envelope || envelope.version !== ENVELOPE_VERSION) {
+    throw new Error("Unsupported credential encryption format");
+  }
+  if ((envelope.kdf === "scrypt") !== Boolean(secret.passphrase)) {
+    throw new Error(
+      `Credentials were encrypted with ${envelope.kdf === "scrypt" ? CREDENTIALS_PASSPHRASE_ENV : CREDENTIALS_KEY_ENV}`
+    );
+  }
+
+  const key = secret.key || deriveKey(secret.passphrase, Buffer.from(envelope.salt, "base64"));
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+    return JSON.parse(data.toString("utf8"));
+  } catch (_) {
+    throw new Error("Credentials cannot be decrypted, the key or passphrase is wrong");
+  }
+};
+
+module.exports = {
+  CREDENTIALS_KEY_ENV,
+  CREDENTIALS_PASSPHRASE_ENV,
+  getCredentialSecret,
+  encryptCredentials,
+  decryptCredentials,
+};
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const logger = require("./logger");
+
+// Environment variable naming the file descriptor the event stream is written to.
+// The bot spawns the downloader with an extra pipe and sets this to its fd number.
+const EVENT_FD_ENV = "DOWNLOADER_EVENT_FD";
+
+// Define event types emitted to the controlling process
+const EVENT_TYPES = {
+  PROMPT: "prompt",
+  PROMPT_INVALID: "prompt_invalid",
+  DIALOG_LIST: "dialog_list",
+  AUTHORIZED: "authorized",
+  SESSION_SAVED: "session_saved",
+  QR_LOGIN: "qr_login",
+  AUTH_ERROR: "auth_error",
+  CHANNEL_STARTED: "channel_started",
+  MESSAGES_QUEUED: "messages_queued",
+  MESSAGES_UNAVAILABLE: "messages_unavailable",
+  BATCH_STARTED: "batch_started",
+  BATCH_COMPLETED: "batch_completed",
+  FILE_STARTED: "file_started",
+  FILE_PROGRESS: "file_progress",
+  FILE_COMPLETED: "file_completed",
+  FILE_FAILED: "file_failed",
+  UPLOAD_COMPLETED: "upload_completed",
+  ERROR: "error",
+  CHANNEL_COMPLETED: "channel_completed",
+  WATCH_STARTED: "watch_started",
+  WATCH_STATUS: "watch_status",
+  WATCH_MIRRORED: "watch_mirrored",
+  WATCH_STOPPED: "watch_stopped",
+  DONE: "done",
+};
+
+// Minimum interval between two progress events for the same file
+const PROGRESS_THROTTLE_MS = 1000;
+
+// Wait between two writes to a full pipe, doubled up to the maximum
+const WRITE_RETRY_MIN_MS = 1;
+const WRITE_RETRY_MAX_MS = 100;
+
+const sleepSignal = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Blocks the thread without using the CPU, so the reader can drain the pipe.
+ * @param {number} ms - Milliseconds to wait.
+ */
+const sleepSync = (ms) => Atomics.wait(sleepSignal, 0, 0, ms);
+
+const lastProgressEmit = new Map();
+
+let eventFd = null;
+const fdValue = parseInt(process.env[EVENT_FD_ENV], 10);
+if (!isNaN(fdValue)) {
+  eventFd = fdValue;
+}
+
+/**
+ * Checks whether a controlling process is listening for events.
+ * @returns {boolean} True when events are written to the event fd.
+ */
+const isEventStreamEnabled = () => eventFd !== null;
+
+/**
+ * Writes a single event as one line of JSON to the event fd.
+ * Does nothing when the downloader was not started with an event fd.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {Object} [payload={}] - Event specific data.
+ */
+const emitEvent = (type, payload = {}) => {
+  if (eventFd === null) return;
+
+  const buffer = Buffer.from(JSON.stringify({ type, ts: Date.now(), ...payload }) + "\n");
+  try {
+    let written = 0;
+    let retryMs = WRITE_RETRY_MIN_MS;
+    while (written < buffer.length) {
+      try {
+        written += fs.writeSync(eventFd, buffer, written);
+        retryMs = WRITE_RETRY_MIN_MS;
+      } catch (err) {
+        // The pipe is full, give the reader time to drain it
+        if (err.code !== "EAGAIN") throw err;
+        sleepSync(retryMs);
+        retryMs = Math.min(retryMs * 2, WRITE_RETRY_MAX_MS);
+      }
+    }
+  } catch (err) {
+    // The reader went away, stop writing instead of failing every call.
+    // Logged on stdout, the bot reports every stderr line to the user as an error.
+    eventFd = null;
+    logger.warn(`Event stream closed: ${err.message}`);
+  }
+};
+
+/**
+ * Emits a file progress event, throttled per message so large transfers
+ * do not flood the stream.
+ * @param {Object} payload - Must contain messageId and direction.
+ */
+const emitProgress = (payload) => {
+  const key = `${payload.direction}:${payload.messageId}`;
+  const now = Date.now();
+  const finished = payload.total > 0 && payload.transferred >= payload.total;
+
+  if (!finished && now - (lastProgressEmit.get(key) || 0) < PROGRESS_THROTTLE_MS) {
+    return;
+  }
+
+  if (finished) {
+    lastProgressEmit.delete(key);
+  } else {
+    lastProgressEmit.set(key, now);
+  }
+
+  emitEvent(EVENT_TYPES.FILE_PROGRESS, payload);
+};
+
+/**
+ * Extracts a Telegram RPC error code such as FLOOD_WAIT or FILE_REFERENCE_EXPIRED.
+ * @param {Error|string} error - The error or error message.
+ * @returns {string} The error code, or "UNKNOWN" if none was found.
+ */
+const getErrorCode = (error) => {
+  const message = typeof error === "string" ? error : error?.errorMessage || error?.message || "";
+  const match = message.match(/\b([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+)\b/);
+  if (!match) return "UNKNOWN";
+  // FLOOD_WAIT_30 -> FLOOD_WAIT
+  return match[1].replace(/_\d+$/, "");
+};
+
+module.exports = {
+  EVENT_FD_ENV,
+  EVENT_TYPES,
+  isEventStreamEnabled,
+  emitEvent,
+  emitProgress,
+  getErrorCode,
+};
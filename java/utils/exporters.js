@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const { MEDIA_TYPES } = require("./helper");
+
+// Exporters written next to the messages.jsonl log, by the name used in --export
+const EXPORTERS = {};
+
+const CSV_FILE = "messages.csv";
+const MARKDOWN_FILE = "messages.md";
+const CSV_COLUMNS = [
+  "id",
+  "date",
+  "edit_date",
+  "sender",
+  "text",
+  "media_type",
+  "media_file",
+  "media_size",
+  "views",
+  "forwards",
+  "reply_to",
+  "grouped_id",
+];
+
+/**
+ * Makes a format available to --export and the export prompt.
+ * @param {string} name - Name used in --export, e.g. "csv".
+ * @param {Object} exporter
+ * @param {string} exporter.label - Shown in the export prompt.
+ * @param {string} exporter.file - File name of the export in the channel folder.
+ * @param {function(string, Object[]): void} exporter.append - Adds records to the channel folder's export,
+ *   starting the file when it does not exist.
+ */
+const registerExporter = (name, exporter) => {
+  EXPORTERS[name] = exporter;
+};
+
+/**
+ * Parses a comma-separated list of export formats.
+ * @param {string|string[]} value - E.g. "csv,md".
+ * @returns {{formats: string[], invalid: string[]}} Known formats without duplicates, and unknown names.
+ */
+const parseExportFormats = (value) => {
+  const names = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((name) => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    formats: [...new Set(names.filter((name) => EXPORTERS[name]))],
+    invalid: names.filter((name) => !EXPORTERS[name]),
+  };
+};
+
+/**
+ * Appends records to every chosen export of a channel folder, or writes the
+ * exports again from all records of the channel.
+ * @param {string[]} formats - Registered exporter names.
+ * @param {string} folder - The channel export folder (export/<channelId>).
+ * @param {Object[]} records - From the downloader's toMessageRecord.
+ * @param {Object} [options]
+ * @param {boolean} [options.rewrite=false] - Replace the exports, records then holds every message once.
+ * @returns {Object<string, Error>} Errors of the exporters that failed, by name.
+ */
+const runExporters = (formats, folder, records, { rewrite = false } = {}) => {
+  const errors = {};
+  if (records.length === 0) return errors;
+
+  formats.forEach((format) => {
+    try {
+      fs.mkdirSync(folder, { recursive: true });
+      if (rewrite) fs.rmSync(path.join(folder, EXPORTERS[format].file), { force: true });
+      EXPORTERS[format].append(folder, records);
+    } catch (error) {
+      errors[format] = error;
+    }
+  });
+  return errors;
+};
+
+/**
+ * Deletes the exports of every format from a channel folder, for a run that starts over.
+ * @param {string} folder - The channel export folder.
+ */
+const resetExports = (folder) => {
+  Object.values(EXPORTERS).forEach(({ file }) => {
+    fs.rmSync(path.join(folder, file), { force: true });
+  });
+};
+
+const formatDate = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : "");
+
+const senderOf = (record) => record.postAuthor || record.senderName || record.senderUsername || record.sender || "";
+
+/**
+ * Size of a record's media file, from Telegram or else from the downloaded file.
+ * @param {Object} record
+ * @returns {number|undefined}
+ */
+const mediaSize = (record) => {
+  if (record.fileSize !== undefined) return record.fileSize;
+  try {
+    return record.mediaPath ? fs.statSync(record.mediaPath).size : undefined;
+  } catch (_) {
+    return undefined;
+  }
+};
+
+// RFC 4180: fields with separators, quotes or line breaks are quoted and quotes doubled
+const csvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Appends one row per message to messages.csv. Edits are not appended, the
+ * file is written again with the latest version of every message.
+ * @param {string} folder
+ * @param {Object[]} records
+ */
+const appendCsv = (folder, records) => {
+  const filePath = path.join(folder, CSV_FILE);
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  const header = fs.existsSync(filePath) ? "" : `\ufeff${CSV_COLUMNS.join(",")}\r\n`;
+
+  const rows = records.map((record) =>
+    [
+      record.id,
+      formatDate(record.date),
+      formatDate(record.editDate),
+      senderOf(record),
+      record.message,
+      record.mediaType,
+      record.mediaName,
+      mediaSize(record),
+      record.views,
+      record.forwards,
+      record.replyTo ? record.replyTo.msgId : "",
+      record.groupedId,
+    ]
+      .map(csvField)
+      .join(",")
+  );
+  fs.appendFileSync(filePath, header + rows.map((row) => `${row}\r\n`).join(""));
+};
+
+/**
+ * Link to a media file relative to the channel folder, with every path segment encoded.
+ * @param {string} folder
+ * @param {string} mediaPath
+ * @returns {string}
+ */
+const relativeLink = (folder, mediaPath) =>
+  path.relative(folder, mediaPath).split(path.sep).map(encodeURIComponent).join("/");
+
+/**
+ * Appends messages to the messages.md transcript, oldest first, with images
+ * embedded and other media linked relative to the channel folder. Edits are
+ * not appended, the file is written again with edited messages marked.
+ * @param {string} folder
+ * @param {Object[]} records
+ */
+const appendMarkdown = (folder, records) => {
+  const filePath = path.join(folder, MARKDOWN_FILE);
+  const header = fs.existsSync(filePath) ? "" : `# Messages of ${path.basename(folder)}\n\n`;
+
+  const sections = [...records]
+    .sort((a, b) => a.id - b.id)
+    .map((record) => {
+      const date = formatDate(record.date).replace("T", " ").slice(0, 16);
+      const edited = record.editDate ? ` (edited ${formatDate(record.editDate).replace("T", " ").slice(0, 16)})` : "";
+      const lines = [`<a id="msg-${record.id}"></a>`, `### #${record.id} · ${date} UTC${edited}`, ""];
+
+      const sender = senderOf(record);
+      if (sender) lines.push(`**${sender}**`, "");
+      if (record.replyTo && record.replyTo.msgId) {
+        lines.push(`> Reply to [#${record.replyTo.msgId}](#msg-${record.replyTo.msgId})`, "");
+      }
+      if (record.message) {
+        // Two trailing spaces keep Telegram's line breaks
+        lines.push(record.message.replace(/\r?\n/g, "  \n"), "");
+      }
+      if (record.mediaPath) {
+        const link = relativeLink(folder, record.mediaPath);
+        lines.push(
+          record.mediaType === MEDIA_TYPES.IMAGE
+            ? `![${record.mediaName}](${link})`
+            : `📎 [${record.mediaName}](${link})`,
+          ""
+        );
+      }
+      return `${lines.join("\n")}\n---\n\n`;
+    });
+  fs.appendFileSync(filePath, header + sections.join(""));
+};
+
+registerExporter("csv", {
+  label: "CSV (one row per message with media details)",
+  file: CSV_FILE,
+  append: appendCsv,
+});
+registerExporter("md", { label: "Markdown transcript with media links", file: MARKDOWN_FILE, append: appendMarkdown });
+
+module.exports = {
+  EXPORTERS,
+  registerExporter,
+  parseExportFormats,
+  runExporters,
+  resetExports,
+};
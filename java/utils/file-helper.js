@@ -1,11 +1,22 @@
 const fs = require("fs");
 const path = require("path");
 const { logMessage } = require("./helper");
+const {
+  CREDENTIALS_KEY_ENV,
+  CREDENTIALS_PASSPHRASE_ENV,
+  getCredentialSecret,
+  encryptCredentials,
+  decryptCredentials,
+} = require("./crypto-helper");
 
-const CONFIG_FILE = path.join(__dirname, "../config.json");
+// Set by the bot to give every user their own config and exports, standalone runs use the repository folder
+const WORKSPACE_ENV = "DOWNLOADER_WORKSPACE";
+const WORKSPACE_DIR = process.env[WORKSPACE_ENV] || path.join(__dirname, "..");
+
+const CONFIG_FILE = path.join(WORKSPACE_DIR, "config.json");
 const LAST_SELECTION_FILE = path.join(
-  __dirname,
-  "../export/last_selection.json"
+  WORKSPACE_DIR,
+  "export/last_selection.json"
 );
 
 /**
@@ -56,6 +67,36 @@ const writeFileSync = (filePath, data, retries = 3) => {
   }
 };
 
+/**
+ * Reads a credentials file, decrypting it when it was stored encrypted.
+ *
+ * @param {string} [filePath=CONFIG_FILE] - The credentials file.
+ * @returns {Object} The credentials: apiId, apiHash and sessionId.
+ * @throws Will throw an error if the file cannot be read, parsed or decrypted.
+ */
+const readCredentialsFile = (filePath = CONFIG_FILE) => {
+  const data = JSON.parse(readFileSync(filePath, false));
+  return data.encrypted ? decryptCredentials(data.encrypted, getCredentialSecret()) : data;
+};
+
+/**
+ * Writes a credentials file only its owner can read, encrypted when
+ * CREDENTIALS_KEY or CREDENTIALS_PASSPHRASE is set.
+ *
+ * @param {Object} credentials - apiId, apiHash and sessionId.
+ * @param {string} [filePath=CONFIG_FILE] - The credentials file.
+ * @throws Will throw an error if the key is invalid or the file cannot be written.
+ */
+const writeCredentialsFile = (credentials, filePath = CONFIG_FILE) => {
+  const secret = getCredentialSecret();
+  const data = secret ? { encrypted: encryptCredentials(credentials, secret) } : credentials;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+};
+
 /**
  * Updates the credentials in the configuration file with the provided object.
  *
@@ -64,30 +105,48 @@ const writeFileSync = (filePath, data, retries = 3) => {
  */
 const updateCredentials = (obj) => {
   try {
-    const data = readFileSync(CONFIG_FILE);
-    const credentials = { ...JSON.parse(data), ...obj };
-    writeFileSync(CONFIG_FILE, credentials);
+    writeCredentialsFile({ ...readCredentialsFile(), ...obj });
   } catch (err) {
     logMessage.error("Failed to update credentials", err);
   }
 };
 
 /**
- * Reads and parses the credentials from the configuration file.
+ * Reads the credentials from the configuration file. A plaintext file is
+ * encrypted in place as soon as a key or passphrase is configured.
  *
  * @returns {Object} The parsed credentials from the config file.
- * @throws Will log an error message and exit the process if the config file cannot be read or parsed.
+ * @throws Will log an error message and exit the process if the config file cannot be read, parsed or decrypted.
  */
 const getCredentials = () => {
+  let data;
   try {
-    const data = readFileSync(CONFIG_FILE);
-    return JSON.parse(data);
+    data = JSON.parse(readFileSync(CONFIG_FILE));
   } catch (err) {
     logMessage.error(
       "Please add your credentials in config.json file, follow https://github.com/abhishekjnvk/telegram-channel-downloader#setup for more info"
     );
     process.exit(1);
   }
+
+  try {
+    if (data.encrypted) {
+      return decryptCredentials(data.encrypted, getCredentialSecret());
+    }
+
+    if (getCredentialSecret()) {
+      writeCredentialsFile(data);
+      logMessage.info("Encrypted the plaintext credentials in config.json");
+    } else if (data.sessionId) {
+      logMessage.debug(
+        `config.json holds the session in plaintext, set ${CREDENTIALS_KEY_ENV} or ${CREDENTIALS_PASSPHRASE_ENV} to encrypt it`
+      );
+    }
+    return data;
+  } catch (err) {
+    logMessage.error(err.message);
+    process.exit(1);
+  }
 };
 
 /**
@@ -123,6 +182,9 @@ const updateLastSelection = (object) => {
 };
 
 module.exports = {
+  WORKSPACE_ENV,
+  readCredentialsFile,
+  writeCredentialsFile,
   updateCredentials,
   getCredentials,
   getLastSelection,
@@ -0,0 +1,212 @@
+const { getMediaType, MEDIA_TYPES } = require("./helper");
+
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 * 1024,
+  GB: 1024 * 1024 * 1024,
+};
+
+// Answers that mean "no filter", Telegram cannot send an empty message
+const EMPTY_VALUES = ["", "-", "skip", "none"];
+
+// Filter options as named on the command line (--from=2024-01-01 ...)
+const FILTER_OPTIONS = {
+  types: {
+    promptId: "filterTypes",
+    label: "Media types (comma-separated, e.g. video,document)",
+    // Offered as checkboxes when asked interactively
+    choiceLabel: "Media types (check none for all)",
+    choices: [
+      MEDIA_TYPES.IMAGE,
+      MEDIA_TYPES.VIDEO,
+      MEDIA_TYPES.AUDIO,
+      MEDIA_TYPES.DOCUMENT,
+      MEDIA_TYPES.STICKER,
+      "album",
+    ],
+    parse: (value) => parseList(value).map((type) => type.toLowerCase()),
+  },
+  from: {
+    promptId: "filterFrom",
+    label: "Posted on or after (YYYY-MM-DD)",
+    parse: (value) => parseDate(value, false),
+  },
+  to: {
+    promptId: "filterTo",
+    label: "Posted on or before (YYYY-MM-DD)",
+    parse: (value) => parseDate(value, true),
+  },
+  "min-size": {
+    promptId: "filterMinSize",
+    label: "Minimum file size (e.g. 200MB)",
+    parse: (value) => parseSize(value),
+  },
+  "max-size": {
+    promptId: "filterMaxSize",
+    label: "Maximum file size (e.g. 2GB)",
+    parse: (value) => parseSize(value),
+  },
+  caption: {
+    promptId: "filterCaption",
+    label: "Caption must match regex",
+    parse: (value) => new RegExp(value, "i"),
+  },
+  "skip-sender": {
+    promptId: "filterSkipSender",
+    label: "Skip senders (comma-separated IDs or signatures)",
+    parse: (value) => parseList(value).map((sender) => sender.toLowerCase()),
+  },
+};
+
+/**
+ * Checks whether a raw filter value means "no filter".
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === true ||
+  EMPTY_VALUES.includes(String(value).trim().toLowerCase());
+
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parses a size such as "200MB", "1.5GB" or "4096" into bytes.
+ * @param {string} value
+ * @returns {number} The size in bytes.
+ */
+const parseSize = (value) => {
+  const match = String(value)
+    .trim()
+    .toUpperCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}", use e.g. 200MB`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || "B"]);
+};
+
+/**
+ * Parses a date into a unix timestamp in seconds, as used by message.date.
+ * Plain dates cover the whole day when used as the end of a range.
+ * @param {string} value
+ * @param {boolean} endOfDay
+ * @returns {number}
+ */
+const parseDate = (value, endOfDay) => {
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(dateOnly ? `${text}T00:00:00Z` : text);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date "${value}", use YYYY-MM-DD`);
+  }
+  const seconds = Math.floor(time / 1000);
+  return dateOnly && endOfDay ? seconds + 24 * 60 * 60 - 1 : seconds;
+};
+
+/**
+ * Validates a single raw filter value, for use in prompts.
+ * @param {string} name - One of the FILTER_OPTIONS keys.
+ * @param {string} value
+ * @returns {true|string} True, or the error message.
+ */
+const validateFilterValue = (name, value) => {
+  if (isEmptyValue(value)) return true;
+  try {
+    FILTER_OPTIONS[name].parse(value);
+    return true;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Picks the filter options out of a larger options object, dropping empty ones.
+ * @param {Object} options - E.g. the parsed CLI flags.
+ * @returns {Object} Raw filter values keyed by option name.
+ */
+const pickFilterOptions = (options = {}) => {
+  const picked = {};
+  Object.keys(FILTER_OPTIONS).forEach((name) => {
+    if (!isEmptyValue(options[name])) {
+      picked[name] = String(options[name]);
+    }
+  });
+  return picked;
+};
+
+const getMessageSize = (message) =>
+  Number(
+    message.media?.document?.size ||
+      (message.media?.photo?.sizes
+        ? Math.max(...message.media.photo.sizes.map((s) => s.size || 0))
+        : 0) ||
+      0,
+  );
+
+const getSenderKeys = (message) => {
+  const keys = [];
+  const peer = message.fromId;
+  const peerId = peer?.userId || peer?.channelId || peer?.chatId;
+  if (peerId !== undefined && peerId !== null) keys.push(peerId.toString());
+  if (message.postAuthor) keys.push(message.postAuthor.toLowerCase());
+  return keys;
+};
+
+// Checks for each filter option, given the parsed value
+const FILTER_TESTS = {
+  // Album items match by their own type, "album" matches every item of an album
+  types: (message, types) =>
+    types.includes(getMediaType(message, true)) ||
+    (types.includes("album") && Boolean(message.groupedId)),
+  from: (message, from) => message.date >= from,
+  to: (message, to) => message.date <= to,
+  "min-size": (message, minSize) => getMessageSize(message) >= minSize,
+  "max-size": (message, maxSize) => getMessageSize(message) <= maxSize,
+  caption: (message, pattern) => pattern.test(message.message || ""),
+  "skip-sender": (message, senders) =>
+    !getSenderKeys(message).some((key) => senders.includes(key)),
+};
+
+/**
+ * Builds the list of message filters for the given raw filter values.
+ * A message is processed only when every filter accepts it.
+ * @param {Object} rawFilters - Raw filter values keyed by option name.
+ * @returns {Array<{name: string, test: Function}>}
+ * @throws {Error} If a value cannot be parsed.
+ */
+const createFilters = (rawFilters = {}) =>
+  Object.entries(pickFilterOptions(rawFilters)).map(([name, value]) => {
+    const parsed = FILTER_OPTIONS[name].parse(value);
+    return {
+      name,
+      test: (message) => FILTER_TESTS[name](message, parsed),
+    };
+  });
+
+/**
+ * Describes the active filters for logs and reports.
+ * @param {Object} rawFilters - Raw filter values keyed by option name.
+ * @returns {string} E.g. "types=video, min-size=200MB", or "none".
+ */
+const describeFilters = (rawFilters = {}) => {
+  const entries = Object.entries(pickFilterOptions(rawFilters));
+  if (!entries.length) return "none";
+  return entries.map(([name, value]) => `${name}=${value}`).join(", ");
+};
+
+module.exports = {
+  FILTER_OPTIONS,
+  parseSize,
+  parseDate,
+  validateFilterValue,
+  pickFilterOptions,
+  createFilters,
+  describeFilters,
+};
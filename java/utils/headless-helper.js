@@ -0,0 +1,197 @@
+const fs = require("fs");
+const path = require("path");
+const { parseMessageIds, validateFileNameTemplate } = require("./helper");
+const { FILTER_OPTIONS, validateFilterValue } = require("./filter-helper");
+const { EXPORTERS, parseExportFormats } = require("./exporters");
+
+const DOWNLOAD_MODES = ["full", "specific", "toEnd"];
+const MAX_CONCURRENCY = 32;
+
+// Options of a headless run as named on the command line (--channel=@name ...)
+const HEADLESS_OPTIONS = {
+  channel: "Source channel ID or @username (required)",
+  mode: `${DOWNLOAD_MODES.join(" | ")} (default: full, or implied by --ids / --start)`,
+  ids: "Message IDs or ranges for --mode=specific (e.g. 100-250,300)",
+  start: "First message ID for --mode=toEnd",
+  target: "Upload target channel ID or @username (omit to only download)",
+  output: "Folder holding the export tree (default: ./export)",
+  naming: "File name template with {id} {name} {type} {date} (default: {name}_{id})",
+  concurrency: `Posts downloaded at the same time, 1-${MAX_CONCURRENCY} (default: 8)`,
+  profile: "Job profile from the profiles directory, flags override its settings",
+};
+
+// A flag given without "=value" is parsed as true
+const hasValue = (value) => value !== undefined && value !== true && String(value).trim() !== "";
+
+/**
+ * Reads run options from a JSON file whose keys are named like the
+ * command-line flags, e.g. { "channel": "@news", "types": "video" }.
+ * @param {string} filePath
+ * @returns {Object} The options.
+ * @throws {Error} When the file is missing or not a JSON object.
+ */
+const loadRunOptions = (filePath) => {
+  const resolved = path.resolve(String(filePath));
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+
+  let options;
+  try {
+    options = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Config file ${resolved} is not valid JSON: ${error.message}`);
+  }
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error(`Config file ${resolved} must contain a JSON object`);
+  }
+
+  // Lists are accepted where the command line takes comma-separated values
+  return Object.fromEntries(
+    Object.entries(options).map(([key, value]) => [key, Array.isArray(value) ? value.join(",") : value])
+  );
+};
+
+/**
+ * Checks every option of a headless run before anything connects, so a cron
+ * or CI job fails at once instead of waiting on a prompt nobody answers.
+ * @param {Object} options - Parsed flags, merged with the config file.
+ * @param {Object<string, string[]>} [allowedValues] - Accepted values of further options, e.g. { strategy: [...] }.
+ * @returns {Object} The run settings: channel, mode, messageIds, startFromMessageId, target, output,
+ *   naming, concurrency, filters, exportFormats, profile, sync and the allowed-value options.
+ * @throws {Error} Listing every missing or invalid option.
+ */
+const resolveHeadlessOptions = (options, allowedValues = {}) => {
+  const errors = [];
+
+  if (!hasValue(options.channel)) {
+    errors.push("--channel is required (channel ID or @username)");
+  }
+
+  const mode = hasValue(options.mode)
+    ? String(options.mode)
+    : hasValue(options.ids)
+      ? "specific"
+      : hasValue(options.start)
+        ? "toEnd"
+        : "full";
+  if (!DOWNLOAD_MODES.includes(mode)) {
+    errors.push(`--mode must be one of ${DOWNLOAD_MODES.join(", ")}`);
+  }
+
+  let messageIds = null;
+  if (mode === "specific") {
+    if (!hasValue(options.ids)) {
+      errors.push("--ids is required with --mode=specific (e.g. 100-250,300)");
+    } else {
+      const { ids, invalid } = parseMessageIds(options.ids);
+      if (invalid.length) {
+        errors.push(`--ids has invalid entries: ${invalid.join(", ")}`);
+      } else if (ids.length === 0) {
+        errors.push("--ids contains no message IDs");
+      }
+      messageIds = ids;
+    }
+  }
+
+  let startFromMessageId = 0;
+  if (mode === "toEnd") {
+    startFromMessageId = parseInt(options.start, 10);
+    if (!/^\d+$/.test(String(options.start || "").trim()) || startFromMessageId <= 0) {
+      errors.push("--start must be a message ID with --mode=toEnd");
+    }
+  }
+
+  ["target", "output", "naming"].forEach((name) => {
+    if (options[name] !== undefined && !hasValue(options[name])) {
+      errors.push(`--${name} needs a value`);
+    }
+  });
+
+  if (hasValue(options.naming)) {
+    const result = validateFileNameTemplate(options.naming);
+    if (result !== true) {
+      errors.push(`--naming: ${result}`);
+    }
+  }
+
+  let concurrency = null;
+  if (options.concurrency !== undefined) {
+    concurrency = parseInt(options.concurrency, 10);
+    if (!/^\d+$/.test(String(options.concurrency).trim()) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      errors.push(`--concurrency must be a number from 1 to ${MAX_CONCURRENCY}`);
+    }
+  }
+
+  const filters = {};
+  Object.keys(FILTER_OPTIONS).forEach((name) => {
+    if (options[name] === undefined) return;
+    const result = options[name] === true ? "a value is required" : validateFilterValue(name, String(options[name]));
+    if (result !== true) {
+      errors.push(`--${name}: ${result}`);
+    }
+    filters[name] = options[name];
+  });
+
+  let exportFormats = [];
+  if (options.export !== undefined) {
+    const { formats, invalid } = parseExportFormats(options.export === true ? "" : options.export);
+    if (formats.length === 0 || invalid.length) {
+      errors.push(`--export must list formats from ${Object.keys(EXPORTERS).join(", ")}`);
+    }
+    exportFormats = formats;
+  }
+
+  const chosen = {};
+  Object.entries(allowedValues).forEach(([name, values]) => {
+    if (options[name] === undefined) return;
+    if (!values.includes(options[name])) {
+      errors.push(`--${name} must be one of ${values.join(", ")}`);
+    }
+    chosen[name] = options[name];
+  });
+
+  if (errors.length) {
+    throw new Error(`Headless run cannot start:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+  }
+
+  return {
+    channel: String(options.channel).trim(),
+    mode,
+    messageIds,
+    startFromMessageId,
+    target: hasValue(options.target) ? String(options.target).trim() : null,
+    output: hasValue(options.output) ? path.resolve(String(options.output)) : null,
+    naming: hasValue(options.naming) ? String(options.naming) : null,
+    concurrency,
+    filters,
+    exportFormats,
+    profile: hasValue(options.profile) ? String(options.profile) : null,
+    sync: options.sync === true || options.sync === "true",
+    ...chosen,
+  };
+};
+
+/**
+ * Finds one of the user's chats by ID, @username or t.me link.
+ * @param {Array} dialogs - From getAllDialogs.
+ * @param {string} value
+ * @returns {Object|null} The dialog.
+ */
+const findDialog = (dialogs, value) => {
+  const text = String(value).trim();
+  if (/^-?\d+$/.test(text)) {
+    return dialogs.find((d) => d.id && d.id.toString() === text) || null;
+  }
+
+  const username = text.replace(/^(https?:\/\/)?t\.me\//i, "").replace(/^@/, "").toLowerCase();
+  return dialogs.find((d) => d.username && d.username.toLowerCase() === username) || null;
+};
+
+module.exports = {
+  DOWNLOAD_MODES,
+  HEADLESS_OPTIONS,
+  loadRunOptions,
+  resolveHeadlessOptions,
+  findDialog,
+};
@@ -29,8 +29,8 @@ const consoleColors = {
   reset: "\x1b[0m",
 };
 
-// Get the media type of a message
-const getMediaType = (message) => {
+// Get the media type of a message, album items are "album" unless their own type is asked for
+const getMediaType = (message, ownType = false) => {
   if (!message) return "unknown";
 
   try {
@@ -62,7 +62,7 @@ const getMediaType = (message) => {
 
     if (message.sticker) return MEDIA_TYPES.STICKER;
     if (message.dice) return "dice";
-    if (message.groupedId) return "album";
+    if (message.groupedId && !ownType) return "album";
 
     if (message.media.photo) return MEDIA_TYPES.IMAGE;
     if (message.media.video) return MEDIA_TYPES.VIDEO;
@@ -124,6 +124,30 @@ const checkFileExist = (message, outputFolder) => {
   return false;
 };
 
+// File name template, placeholders are filled per message; {id} keeps names unique
+const DEFAULT_FILE_NAME_TEMPLATE = "{name}_{id}";
+const FILE_NAME_PLACEHOLDERS = ["id", "name", "type", "date"];
+let fileNameTemplate = DEFAULT_FILE_NAME_TEMPLATE;
+
+// Check a file name template, returns true or the error message
+const validateFileNameTemplate = (template) => {
+  const unknown = (String(template).match(/\{[^}]*\}/g) || [])
+    .map((placeholder) => placeholder.slice(1, -1))
+    .filter((name) => !FILE_NAME_PLACEHOLDERS.includes(name));
+  if (unknown.length) {
+    return `Unknown placeholders ${unknown.map((name) => `{${name}}`).join(", ")}, use ${FILE_NAME_PLACEHOLDERS.map((name) => `{${name}}`).join(" ")}`;
+  }
+  if (!String(template).includes("{id}")) {
+    return "The file name template must contain {id} so names stay unique";
+  }
+  return true;
+};
+
+// Use a file name template for every following getMediaPath call, null restores the default
+const setFileNameTemplate = (template) => {
+  fileNameTemplate = template || DEFAULT_FILE_NAME_TEMPLATE;
+};
+
 // Get the path to save the media file (improved collision handling)
 const getMediaPath = (message, outputFolder) => {
   if (!message || !message.media) return "unknown";
@@ -155,7 +179,15 @@ const getMediaPath = (message, outputFolder) => {
   // Always use message ID in filename to avoid collisions entirely
   const ext = path.extname(fileName);
   const baseName = path.basename(fileName, ext);
-  const uniqueFileName = `${baseName}_${message.id}${ext}`;
+  const values = {
+    id: message.id,
+    name: baseName,
+    type: folderType,
+    date: message.date ? new Date(message.date * 1000).toISOString().slice(0, 10) : "",
+  };
+  const uniqueFileName =
+    fileNameTemplate.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+      .replace(/[\\/]/g, "_") + ext;
 
   const finalPath = path.join(outputFolder, folderType, uniqueFileName);
 
@@ -203,6 +235,81 @@ const filterString = (string) => {
   return string.replace(/[^a-zA-Z0-9]/g, "");
 };
 
+// Most message IDs one selection may hold, larger ranges are reported as invalid
+const MAX_MESSAGE_IDS = 100000;
+
+// Parse message IDs and ranges such as "100-250,300" into a sorted list of unique IDs
+const parseMessageIds = (input) => {
+  const ids = new Set();
+  const invalid = [];
+
+  String(input || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+      if (range) {
+        let start = parseInt(range[1], 10);
+        let end = parseInt(range[2], 10);
+        if (start > end) [start, end] = [end, start];
+        if (ids.size + (end - start + 1) > MAX_MESSAGE_IDS) {
+          invalid.push(`${part} (more than ${MAX_MESSAGE_IDS} IDs)`);
+          return;
+        }
+        for (let id = start; id <= end; id++) ids.add(id);
+      } else if (/^\d+$/.test(part)) {
+        const id = parseInt(part, 10);
+        if (!ids.has(id) && ids.size >= MAX_MESSAGE_IDS) {
+          invalid.push(`${part} (more than ${MAX_MESSAGE_IDS} IDs)`);
+          return;
+        }
+        ids.add(id);
+      } else {
+        invalid.push(part);
+      }
+    });
+
+  return {
+    ids: [...ids].filter((id) => id > 0).sort((a, b) => a - b),
+    invalid,
+  };
+};
+
+// Group consecutive messages sharing a groupedId (albums), other messages stay alone
+const groupAlbums = (messages) => {
+  const groups = [];
+  messages.forEach((message) => {
+    const last = groups[groups.length - 1];
+    if (
+      last &&
+      message.groupedId &&
+      last[0].groupedId &&
+      last[0].groupedId.toString() === message.groupedId.toString()
+    ) {
+      last.push(message);
+    } else {
+      groups.push([message]);
+    }
+  });
+  return groups;
+};
+
+// Split messages into batches of about `size` messages without splitting an album
+const chunkMessages = (messages, size) => {
+  const batches = [];
+  let current = [];
+  groupAlbums(messages).forEach((group) => {
+    if (current.length && current.length + group.length > size) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(...group);
+  });
+  if (current.length) batches.push(current);
+  return batches;
+};
+
 // Stringify an object with circular references
 const circularStringify = (obj, indent = 2) => {
   const cache = new Set();
@@ -220,23 +327,6 @@ const circularStringify = (obj, indent = 2) => {
   return retVal;
 };
 
-// Append data to a JSON array file
-const appendToJSONArrayFile = (filePath, dataToAppend) => {
-  try {
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, circularStringify(dataToAppend, null, 2));
-    } else {
-      const data = fs.readFileSync(filePath);
-      const json = JSON.parse(data);
-      json.push(dataToAppend);
-      fs.writeFileSync(filePath, circularStringify(json, null, 2));
-    }
-  } catch (e) {
-    logMessage.error(`Error appending to JSON Array file ${filePath}`);
-    console.error(e);
-  }
-};
-
 // Cleanup a file after use
 const cleanupFile = (filePath) => {
   try {
@@ -263,15 +353,22 @@ const getTempMediaPath = (message) => {
 };
 
 module.exports = {
+  MEDIA_TYPES,
+  DEFAULT_FILE_NAME_TEMPLATE,
+  validateFileNameTemplate,
+  setFileNameTemplate,
   getMediaType,
   getDialogType,
   logMessage,
   circularStringify,
   getMediaPath,
   checkFileExist,
-  appendToJSONArrayFile,
   wait,
   filterString,
+  MAX_MESSAGE_IDS,
+  parseMessageIds,
+  groupAlbums,
+  chunkMessages,
   cleanupFile,
   getTempMediaPath,
 };
\ No newline at end of file
@@ -1,5 +1,67 @@
 const inquirer = require("inquirer");
 const { MEDIA_TYPES } = require("./helper");
+const { emitEvent, EVENT_TYPES } = require("./event-helper");
+
+// Answer to the OTP prompt that asks Telegram for a new code
+const RESEND_CODE_ANSWER = "resend";
+
+// Set for unattended runs, where nobody is there to answer
+let headless = false;
+
+/**
+ * Makes every later prompt fail instead of waiting for an answer.
+ * @param {boolean} [value=true]
+ */
+const setHeadless = (value = true) => {
+  headless = value;
+};
+
+/**
+ * Announces a question on the event stream and asks it through inquirer.
+ * Validation failures are reported as prompt_invalid events so the
+ * controlling process can relay them.
+ * @param {Object} question - The inquirer question.
+ * @param {string} promptId - Stable identifier of the question for the controlling process.
+ * @param {Object} [details] - Further data for the controlling process, sent with the prompt event.
+ * @returns {Promise<Object>} The inquirer answers.
+ * @throws {Error} In headless mode, naming the unanswered question.
+ */
+const ask = async (question, promptId, details = {}) => {
+  if (headless) {
+    throw new Error(`Headless run has no answer for "${promptId}" (${question.message}), pass it as an option`);
+  }
+
+  const choices = question.choices
+    ? question.choices.map((choice) =>
+        typeof choice === "object" ? { name: choice.name, value: choice.value } : { name: String(choice), value: choice }
+      )
+    : undefined;
+
+  if (question.validate) {
+    const validate = question.validate;
+    question = {
+      ...question,
+      validate: (input) => {
+        const result = validate(input);
+        if (result !== true) {
+          emitEvent(EVENT_TYPES.PROMPT_INVALID, { id: promptId, message: result });
+        }
+        return result;
+      },
+    };
+  }
+
+  emitEvent(EVENT_TYPES.PROMPT, {
+    id: promptId,
+    kind: question.type,
+    message: question.message,
+    choices,
+    defaults: question.default,
+    ...details,
+  });
+
+  return inquirer.prompt(question);
+};
 
 /**
  * Prompts the user to enter their mobile number with country code.
@@ -16,42 +78,67 @@ const mobileNumberInput = async () => {
     },
   };
 
-  const { phoneNumber } = await inquirer.prompt(question);
+  const { phoneNumber } = await ask(question, "phone");
   return phoneNumber;
 };
 
 /**
  * Prompts the user to enter a 5-digit OTP.
- * @returns {Promise<string>} The entered OTP.
+ * @returns {Promise<string>} The entered OTP, or RESEND_CODE_ANSWER for a new code.
  */
 const otpInput = async () => {
   const question = {
     type: "input",
     name: "otp",
-    message: "Please enter the 5-digit OTP:",
+    message: `Please enter the 5-digit OTP (or "${RESEND_CODE_ANSWER}" for a new code):`,
     validate: (input) => {
       const regex = /^\d{5}$/;
-      return regex.test(input) ? true : "Please enter a valid 5-digit numeric OTP.";
+      return regex.test(input) || input.trim().toLowerCase() === RESEND_CODE_ANSWER
+        ? true
+        : "Please enter a valid 5-digit numeric OTP.";
     },
   };
 
-  const { otp } = await inquirer.prompt(question);
-  return otp;
+  const { otp } = await ask(question, "otp");
+  return otp.trim().toLowerCase() === RESEND_CODE_ANSWER ? RESEND_CODE_ANSWER : otp;
+};
+
+/**
+ * Prompts the user for the two-step verification (cloud) password, masked in the terminal.
+ * @param {string} [hint] - The password hint set on the account.
+ * @param {number|null} [attemptsLeft=null] - Tries left after a wrong password.
+ * @returns {Promise<string>} The entered password.
+ */
+const passwordInput = async (hint, attemptsLeft = null) => {
+  const question = {
+    type: "password",
+    name: "password",
+    mask: "*",
+    message: `Enter your 2FA password${hint ? ` (hint: ${hint})` : ""}:`,
+  };
+
+  const { password } = await ask(question, "password", { hint: hint || null, attemptsLeft });
+  return password;
 };
 
 /**
  * Prompts the user to enter a text input.
  * @param {string} [message="Please Enter"] - The message to display.
+ * @param {string} [promptId="text"] - Identifier reported on the event stream.
+ * @param {Function} [validate] - Returns true or an error message for the input.
  * @returns {Promise<string>} The entered text.
  */
-const textInput = async (message = "Please Enter") => {
+const textInput = async (message = "Please Enter", promptId = "text", validate) => {
   const question = {
     type: "input",
     name: "text",
     message: message,
   };
+  if (validate) {
+    question.validate = validate;
+  }
 
-  const { text } = await inquirer.prompt(question);
+  const { text } = await ask(question, promptId);
   return text;
 };
 
@@ -60,9 +147,10 @@ const textInput = async (message = "Please Enter") => {
  * @param {string} [message="Please enter a number"] - The message to display.
  * @param {number} [min=-Infinity] - The minimum value.
  * @param {number} [max=Infinity] - The maximum value.
+ * @param {string} [promptId="number"] - Identifier reported on the event stream.
  * @returns {Promise<number>} The entered number.
  */
-const numberInput = async (message = "Please enter a number", min = -Infinity, max = Infinity) => {
+const numberInput = async (message = "Please enter a number", min = -Infinity, max = Infinity, promptId = "number") => {
   const question = {
     type: "input",
     name: "number",
@@ -79,23 +167,24 @@ const numberInput = async (message = "Please enter a number", min = -Infinity, m
     },
   };
 
-  const { number } = await inquirer.prompt(question);
+  const { number } = await ask(question, promptId);
   return parseFloat(number);
 };
 
 /**
  * Prompts the user to answer with yes or no.
  * @param {string} [message="Please answer with yes or no"] - The message to display.
+ * @param {string} [promptId="confirm"] - Identifier reported on the event stream.
  * @returns {Promise<boolean>} The user's response.
  */
-const booleanInput = async (message = "Please answer with yes or no") => {
+const booleanInput = async (message = "Please answer with yes or no", promptId = "confirm") => {
   const question = {
     type: "confirm",
     name: "confirm",
     message: message,
   };
 
-  const { confirm } = await inquirer.prompt(question);
+  const { confirm } = await ask(question, promptId);
   return confirm;
 };
 
@@ -103,9 +192,10 @@ const booleanInput = async (message = "Please answer with yes or no") => {
  * Prompts the user to select an option from a list.
  * @param {string} [message="Please select"] - The message to display.
  * @param {Array<string|Object>} [optionsArr=[]] - The list of options.
+ * @param {string} [promptId="select"] - Identifier reported on the event stream.
  * @returns {Promise<string>} The selected option.
  */
-const selectInput = async (message = "Please select", optionsArr = []) => {
+const selectInput = async (message = "Please select", optionsArr = [], promptId = "select") => {
   // For environments that don't handle arrow keys well, use rawlist instead
   const question = {
     type: "rawlist",
@@ -114,7 +204,7 @@ const selectInput = async (message = "Please select", optionsArr = []) => {
     choices: optionsArr,
   };
 
-  const { input } = await inquirer.prompt(question);
+  const { input } = await ask(question, promptId);
   return input;
 };
 
@@ -123,9 +213,10 @@ const selectInput = async (message = "Please select", optionsArr = []) => {
  * @param {string} [message="Please select multiple choices"] - The message to display.
  * @param {Array<string>} optionsArr - The list of options.
  * @param {Array<string>} [defaultOptions=[]] - The default selected options.
+ * @param {string} [promptId="multiple"] - Identifier reported on the event stream.
  * @returns {Promise<Array<string>>} The selected options.
  */
-const multipleChoice = async (message = "Please select multiple choices", optionsArr, defaultOptions = []) => {
+const multipleChoice = async (message = "Please select multiple choices", optionsArr, defaultOptions = [], promptId = "multiple") => {
   const question = {
     type: "checkbox",
     name: "input",
@@ -134,7 +225,7 @@ const multipleChoice = async (message = "Please select multiple choices", option
     choices: optionsArr,
   };
 
-  const { input } = await inquirer.prompt(question);
+  const { input } = await ask(question, promptId);
   return input;
 };
 
@@ -160,10 +251,10 @@ const downloadOptionInput = async () => {
     "pdf",
   ];
 
-  let fileExtensions = await multipleChoice("Choose file to download", fileTypeArray, defaultSelected);
+  let fileExtensions = await multipleChoice("Choose file to download", fileTypeArray, defaultSelected, "fileTypes");
 
   if (fileExtensions.includes("custom")) {
-    const customExtensions = await textInput("Enter file extension separated by comma: ");
+    const customExtensions = await textInput("Enter file extension separated by comma: ", "customExtensions");
     const customExtensionsArray = customExtensions.split(",").map((e) => e.trim().replace(".", "").toLowerCase());
     fileExtensions = [...fileExtensions, ...customExtensionsArray];
   }
@@ -188,10 +279,13 @@ const downloadOptionInput = async () => {
 module.exports = {
   textInput,
   otpInput,
+  passwordInput,
   mobileNumberInput,
   numberInput,
   booleanInput,
   selectInput,
   multipleChoice,
   downloadOptionInput,
+  setHeadless,
+  RESEND_CODE_ANSWER,
 };
\ No newline at end of file
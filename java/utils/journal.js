@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+
+const JOURNAL_FILE = "journal.jsonl";
+const JOURNAL_META_FILE = "journal_meta.json";
+
+// Message states in the order a message moves through the pipeline
+const MESSAGE_STATES = {
+  FETCHED: "fetched",
+  DOWNLOADED: "downloaded",
+  VERIFIED: "verified",
+  UPLOADED: "uploaded",
+  CLEANED: "cleaned",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+const STATE_ORDER = [
+  MESSAGE_STATES.FAILED,
+  MESSAGE_STATES.FETCHED,
+  MESSAGE_STATES.DOWNLOADED,
+  MESSAGE_STATES.VERIFIED,
+  MESSAGE_STATES.UPLOADED,
+  MESSAGE_STATES.CLEANED,
+];
+
+/**
+ * Per-channel checkpoint journal stored under export/<channelId>/.
+ *
+ * Every state change is appended as one JSON line, so a crash or kill never
+ * loses more than the write in flight. The latest entry per message wins when
+ * the journal is loaded again.
+ */
+class Journal {
+  /**
+   * @param {string} folder - The channel export folder (export/<channelId>).
+   */
+  constructor(folder) {
+    this.folder = folder;
+    this.journalPath = path.join(folder, JOURNAL_FILE);
+    this.metaPath = path.join(folder, JOURNAL_META_FILE);
+    this.entries = new Map();
+    this.meta = {};
+    this.load();
+  }
+
+  /**
+   * Checks whether a journal from a previous run exists in the folder.
+   * @param {string} folder - The channel export folder.
+   * @returns {boolean}
+   */
+  static exists(folder) {
+    return fs.existsSync(path.join(folder, JOURNAL_META_FILE));
+  }
+
+  /**
+   * Reads the journal and meta file from disk, ignoring a truncated last line.
+   */
+  load() {
+    this.entries.clear();
+    this.meta = {};
+
+    if (fs.existsSync(this.metaPath)) {
+      try {
+        this.meta = JSON.parse(fs.readFileSync(this.metaPath, "utf8"));
+      } catch (_) {
+        this.meta = {};
+      }
+    }
+
+    if (!fs.existsSync(this.journalPath)) return;
+
+    const lines = fs.readFileSync(this.journalPath, "utf8").split("\n");
+    lines.forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, { ...this.entries.get(entry.id), ...entry });
+      } catch (_) {
+        // Partial line from an interrupted write
+      }
+    });
+  }
+
+  /**
+   * Returns the recorded state of a message, or null if it was never seen.
+   * @param {number} messageId
+   * @returns {string|null}
+   */
+  getState(messageId) {
+    const entry = this.entries.get(messageId);
+    return entry ? entry.state : null;
+  }
+
+  /**
+   * Returns the full journal entry of a message.
+   * @param {number} messageId
+   * @returns {Object|undefined}
+   */
+  getEntry(messageId) {
+    return this.entries.get(messageId);
+  }
+
+  /**
+   * Checks whether a message needs no further work.
+   * @param {number} messageId
+   * @param {boolean} uploadMode - Whether the run uploads to a target channel.
+   * @returns {boolean}
+   */
+  isComplete(messageId, uploadMode) {
+    const state = this.getState(messageId);
+    if (state === MESSAGE_STATES.SKIPPED) return true;
+
+    const target = uploadMode ? MESSAGE_STATES.UPLOADED : MESSAGE_STATES.VERIFIED;
+    return STATE_ORDER.indexOf(state) >= STATE_ORDER.indexOf(target);
+  }
+
+  /**
+   * Records a state change for a message.
+   * @param {number} messageId
+   * @param {string} state - One of MESSAGE_STATES.
+   * @param {Object} [extra={}] - Additional data such as the media path.
+   */
+  mark(messageId, state, extra = {}) {
+    this.append({ id: messageId, state, ts: Date.now(), ...extra });
+  }
+
+  /**
+   * Records what a message contains (text, date, entities, ...) without
+   * changing its state, so exports can be built from the journal alone.
+   * @param {number} messageId
+   * @param {Object} details - From describeMessage.
+   */
+  describe(messageId, details) {
+    this.append({ id: messageId, ...details });
+  }
+
+  /**
+   * Merges an entry into its message and appends it to the journal file.
+   * @param {Object} entry
+   */
+  append(entry) {
+    this.entries.set(entry.id, { ...this.entries.get(entry.id), ...entry });
+
+    if (!fs.existsSync(this.folder)) {
+      fs.mkdirSync(this.folder, { recursive: true });
+    }
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + "\n");
+  }
+
+  /**
+   * Records the same state for several messages, keeping messages that are
+   * already further along untouched.
+   * @param {number[]} messageIds
+   * @param {string} state - One of MESSAGE_STATES.
+   */
+  markNew(messageIds, state) {
+    messageIds.forEach((id) => {
+      if (!this.entries.has(id)) {
+        this.mark(id, state);
+      }
+    });
+  }
+
+  /**
+   * Updates and persists the run metadata (settings, last fetched ID, ...).
+   * @param {Object} changes
+   */
+  updateMeta(changes) {
+    this.meta = { ...this.meta, ...changes, updatedAt: new Date().toISOString() };
+
+    if (!fs.existsSync(this.folder)) {
+      fs.mkdirSync(this.folder, { recursive: true });
+    }
+    fs.writeFileSync(this.metaPath, JSON.stringify(this.meta, null, 2));
+  }
+
+  /**
+   * Returns every entry, oldest message first.
+   * @returns {Object[]}
+   */
+  list() {
+    return [...this.entries.values()].sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Counts messages per state.
+   * @returns {Object} A map of state to count.
+   */
+  summary() {
+    const counts = {};
+    this.entries.forEach((entry) => {
+      counts[entry.state] = (counts[entry.state] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Deletes the journal so the next run starts from scratch.
+   */
+  reset() {
+    [this.journalPath, this.metaPath].forEach((file) => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+    this.entries.clear();
+    this.meta = {};
+  }
+}
+
+module.exports = {
+  Journal,
+  MESSAGE_STATES,
+};
@@ -0,0 +1,281 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATABASE_FILE = "messages.db";
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// The FTS rows share the rowid of their message, so updates never scan the index
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS channels (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  username TEXT
+);
+CREATE TABLE IF NOT EXISTS senders (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  username TEXT
+);
+CREATE TABLE IF NOT EXISTS messages (
+  channel_id TEXT NOT NULL,
+  id INTEGER NOT NULL,
+  date INTEGER,
+  edit_date INTEGER,
+  text TEXT,
+  sender_id TEXT,
+  post_author TEXT,
+  views INTEGER,
+  forwards INTEGER,
+  grouped_id TEXT,
+  PRIMARY KEY (channel_id, id)
+);
+CREATE TABLE IF NOT EXISTS media (
+  channel_id TEXT NOT NULL,
+  message_id INTEGER NOT NULL,
+  type TEXT,
+  file_name TEXT,
+  file_path TEXT,
+  mime_type TEXT,
+  size INTEGER,
+  PRIMARY KEY (channel_id, message_id)
+);
+CREATE TABLE IF NOT EXISTS reactions (
+  channel_id TEXT NOT NULL,
+  message_id INTEGER NOT NULL,
+  reaction TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  PRIMARY KEY (channel_id, message_id, reaction)
+);
+CREATE TABLE IF NOT EXISTS replies (
+  channel_id TEXT NOT NULL,
+  message_id INTEGER NOT NULL,
+  reply_to_id INTEGER NOT NULL,
+  top_id INTEGER,
+  PRIMARY KEY (channel_id, message_id)
+);
+CREATE INDEX IF NOT EXISTS replies_by_target ON replies (channel_id, reply_to_id);
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(text, file_name, tokenize = 'unicode61 remove_diacritics 2');
+`;
+
+/**
+ * Path of the message database in an export folder.
+ * @param {string} exportRoot - Folder holding the export tree.
+ * @returns {string}
+ */
+const getDatabasePath = (exportRoot) => path.join(exportRoot, DATABASE_FILE);
+
+/**
+ * Turns free text into an FTS5 query matching messages that contain every word,
+ * so quotes, dashes and other query syntax in the input cannot cause errors.
+ * @param {string} text
+ * @returns {string}
+ * @throws {Error} When the text has no words.
+ */
+const toSearchQuery = (text) => {
+  const words = String(text).trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    throw new Error("Search text is empty");
+  }
+  return words.map((word) => `"${word.replace(/"/g, '""')}"`).join(" ");
+};
+
+/**
+ * Link that opens a message in Telegram, public channels by username and
+ * private ones by their internal ID. Chats with users have no message links.
+ * @param {string} channelId - Marked ID, e.g. -1001234567890.
+ * @param {string} [username]
+ * @param {number} messageId
+ * @returns {string|null}
+ */
+const messageLink = (channelId, username, messageId) => {
+  if (username) return `https://t.me/${username}/${messageId}`;
+  const match = String(channelId).match(/^-100(\d+)$/);
+  return match ? `https://t.me/c/${match[1]}/${messageId}` : null;
+};
+
+/**
+ * SQLite copy of the recorded messages with a full-text index on text,
+ * captions and file names. Needs the optional better-sqlite3 package.
+ */
+class MessageDatabase {
+  /**
+   * @param {string} filePath - The database file, created when missing.
+   * @throws {Error} When better-sqlite3 is not installed or the file cannot be opened.
+   */
+  constructor(filePath) {
+    const Database = require("better-sqlite3");
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      channel: this.db.prepare(
+        "INSERT INTO channels (id, name, username) VALUES (@id, @name, @username) " +
+          "ON CONFLICT(id) DO UPDATE SET name = COALESCE(excluded.name, name), username = COALESCE(excluded.username, username)"
+      ),
+      knownChannel: this.db.prepare("INSERT OR IGNORE INTO channels (id) VALUES (?)"),
+      sender: this.db.prepare(
+        "INSERT INTO senders (id, name, username) VALUES (@id, @name, @username) " +
+          "ON CONFLICT(id) DO UPDATE SET name = COALESCE(excluded.name, name), username = COALESCE(excluded.username, username)"
+      ),
+      message: this.db.prepare(
+        "INSERT INTO messages (channel_id, id, date, edit_date, text, sender_id, post_author, views, forwards, grouped_id) " +
+          "VALUES (@channelId, @id, @date, @editDate, @text, @senderId, @postAuthor, @views, @forwards, @groupedId) " +
+          "ON CONFLICT(channel_id, id) DO UPDATE SET date = excluded.date, edit_date = excluded.edit_date, text = excluded.text, " +
+          "sender_id = excluded.sender_id, post_author = excluded.post_author, views = excluded.views, " +
+          "forwards = excluded.forwards, grouped_id = excluded.grouped_id"
+      ),
+      rowid: this.db.prepare("SELECT rowid FROM messages WHERE channel_id = ? AND id = ?"),
+      media: this.db.prepare(
+        "INSERT OR REPLACE INTO media (channel_id, message_id, type, file_name, file_path, mime_type, size) " +
+          "VALUES (@channelId, @id, @type, @fileName, @filePath, @mimeType, @size)"
+      ),
+      deleteReactions: this.db.prepare("DELETE FROM reactions WHERE channel_id = ? AND message_id = ?"),
+      reaction: this.db.prepare(
+        "INSERT OR REPLACE INTO reactions (channel_id, message_id, reaction, count) VALUES (?, ?, ?, ?)"
+      ),
+      reply: this.db.prepare(
+        "INSERT OR REPLACE INTO replies (channel_id, message_id, reply_to_id, top_id) VALUES (?, ?, ?, ?)"
+      ),
+      deleteIndex: this.db.prepare("DELETE FROM messages_fts WHERE rowid = ?"),
+      index: this.db.prepare("INSERT INTO messages_fts (rowid, text, file_name) VALUES (?, ?, ?)"),
+    };
+
+    this.writeMessages = this.db.transaction((channelId, records) => {
+      this.statements.knownChannel.run(channelId);
+      records.forEach((record) => this.writeMessage(channelId, record));
+    });
+  }
+
+  /**
+   * Stores the name and username of a channel, used for message links.
+   * @param {Object} channel
+   * @param {string} channel.id
+   * @param {string} [channel.name]
+   * @param {string} [channel.username]
+   */
+  upsertChannel({ id, name, username }) {
+    this.statements.channel.run({ id: String(id), name: name || null, username: username || null });
+  }
+
+  /**
+   * Stores message records with their media, sender, reactions and reply, replacing earlier versions.
+   * @param {string} channelId
+   * @param {Object[]} records - From the downloader's toMessageRecord.
+   */
+  upsertMessages(channelId, records) {
+    if (records.length > 0) {
+      this.writeMessages(String(channelId), records);
+    }
+  }
+
+  writeMessage(channelId, record) {
+    const { statements } = this;
+
+    if (record.sender) {
+      statements.sender.run({
+        id: record.sender,
+        name: record.senderName || null,
+        username: record.senderUsername || null,
+      });
+    }
+
+    statements.message.run({
+      channelId,
+      id: record.id,
+      date: record.date ?? null,
+      editDate: record.editDate ?? null,
+      text: record.message || "",
+      senderId: record.sender || null,
+      postAuthor: record.postAuthor || null,
+      views: record.views ?? null,
+      forwards: record.forwards ?? null,
+      groupedId: record.groupedId || null,
+    });
+
+    if (record.mediaPath) {
+      statements.media.run({
+        channelId,
+        id: record.id,
+        type: record.mediaType || null,
+        fileName: record.mediaName || null,
+        filePath: record.mediaPath,
+        mimeType: record.mimeType || null,
+        size: record.fileSize ?? null,
+      });
+    }
+
+    statements.deleteReactions.run(channelId, record.id);
+    (record.reactions || []).forEach(({ reaction, count }) => {
+      statements.reaction.run(channelId, record.id, reaction, count);
+    });
+
+    if (record.replyTo && record.replyTo.msgId) {
+      statements.reply.run(channelId, record.id, record.replyTo.msgId, record.replyTo.topId ?? null);
+    }
+
+    const { rowid } = statements.rowid.get(channelId, record.id);
+    statements.deleteIndex.run(rowid);
+    statements.index.run(rowid, record.message || "", record.mediaName || "");
+  }
+
+  /**
+   * Full-text search over text, captions and file names, best matches first.
+   * @param {string} text - Words that must all occur.
+   * @param {Object} [options]
+   * @param {string} [options.channelId] - Only search this channel.
+   * @param {number} [options.limit=20]
+   * @returns {Object[]} channelId, channelName, messageId, date, snippet, link, mediaType, filePath and fileName.
+   */
+  search(text, { channelId, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const rows = this.db
+      .prepare(
+        "SELECT m.channel_id, m.id, m.date, c.name AS channel_name, c.username, md.type AS media_type, " +
+          "md.file_path, md.file_name, snippet(messages_fts, -1, '«', '»', '…', 12) AS snippet " +
+          "FROM messages_fts " +
+          "JOIN messages m ON m.rowid = messages_fts.rowid " +
+          "LEFT JOIN channels c ON c.id = m.channel_id " +
+          "LEFT JOIN media md ON md.channel_id = m.channel_id AND md.message_id = m.id " +
+          `WHERE messages_fts MATCH ?${channelId ? " AND m.channel_id = ?" : ""} ` +
+          "ORDER BY rank LIMIT ?"
+      )
+      .all(...[toSearchQuery(text), ...(channelId ? [String(channelId)] : []), limit]);
+
+    return rows.map((row) => ({
+      channelId: row.channel_id,
+      channelName: row.channel_name || row.channel_id,
+      messageId: row.id,
+      date: row.date,
+      snippet: row.snippet,
+      link: messageLink(row.channel_id, row.username, row.id),
+      mediaType: row.media_type,
+      filePath: row.file_path,
+      fileName: row.file_name,
+    }));
+  }
+
+  /**
+   * Looks up the media file of a message.
+   * @param {string} channelId
+   * @param {number} messageId
+   * @returns {Object|null} filePath, fileName and size.
+   */
+  getMedia(channelId, messageId) {
+    const row = this.db
+      .prepare("SELECT file_path, file_name, size FROM media WHERE channel_id = ? AND message_id = ?")
+      .get(String(channelId), messageId);
+    return row ? { filePath: row.file_path, fileName: row.file_name, size: row.size } : null;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  MessageDatabase,
+  getDatabasePath,
+  messageLink,
+};
@@ -0,0 +1,162 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const MESSAGES_FILE = "messages.jsonl";
+const LEGACY_MESSAGES_FILE = "all_messages.json";
+
+// Fields of the old all_messages.json records, in their original order
+const LEGACY_FIELDS = ["id", "message", "date", "out", "hasMedia", "sender", "mediaType", "mediaPath", "mediaName"];
+
+/**
+ * Keeps the formatting entities of a message as plain objects.
+ * @param {Object[]} [entities] - Telegram MessageEntity objects.
+ * @returns {Object[]} type (Bold, TextUrl, ...), offset, length and url, language or userId where set.
+ */
+const serializeEntities = (entities) =>
+  (entities || []).map((entity) => ({
+    type: entity.className.replace(/^MessageEntity/, ""),
+    offset: entity.offset,
+    length: entity.length,
+    url: entity.url,
+    language: entity.language,
+    userId: entity.userId ? entity.userId.toString() : undefined,
+  }));
+
+/**
+ * Append-only log of a channel's messages in export/<channelId>/messages.jsonl,
+ * one JSON record per line. Writing never reads the file back, so large
+ * channels stay linear. An edited message is appended again and the latest
+ * line of a message wins when the log is read.
+ */
+class MessageStore {
+  /**
+   * @param {string} folder - The channel export folder (export/<channelId>).
+   */
+  constructor(folder) {
+    this.folder = folder;
+    this.filePath = path.join(folder, MESSAGES_FILE);
+    this.legacyPath = path.join(folder, LEGACY_MESSAGES_FILE);
+  }
+
+  /**
+   * Appends records to the log.
+   * @param {Object[]} records - From the downloader's toMessageRecord.
+   */
+  append(records) {
+    if (records.length === 0) return;
+
+    if (!fs.existsSync(this.folder)) {
+      fs.mkdirSync(this.folder, { recursive: true });
+    }
+    this.migrateLegacy();
+    fs.appendFileSync(this.filePath, records.map((record) => JSON.stringify(record) + "\n").join(""));
+  }
+
+  /**
+   * Moves the records of an all_messages.json written before the log existed
+   * into the log, flattening the nested arrays the old writer produced.
+   */
+  migrateLegacy() {
+    if (fs.existsSync(this.filePath) || !fs.existsSync(this.legacyPath)) return;
+
+    let legacy;
+    try {
+      legacy = JSON.parse(fs.readFileSync(this.legacyPath, "utf8"));
+    } catch (_) {
+      return;
+    }
+    const records = (Array.isArray(legacy) ? legacy.flat(Infinity) : []).filter((record) => record && record.id);
+    fs.writeFileSync(this.filePath, records.map((record) => JSON.stringify(record) + "\n").join(""));
+  }
+
+  /**
+   * Reads the log line by line, yielding the latest record of every message
+   * in the order the messages were first logged. A truncated last line is skipped.
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *records() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    // First pass keeps only line numbers, so the records are never all in memory
+    const firstLine = new Map();
+    const latestLine = new Map();
+    let lineNumber = 0;
+    for await (const record of this.readLines()) {
+      if (!firstLine.has(record.id)) firstLine.set(record.id, lineNumber);
+      latestLine.set(record.id, lineNumber++);
+    }
+
+    // Only the latest records of edited messages are held, to put them in the place of the first
+    const edited = new Map();
+    if ([...latestLine].some(([id, line]) => firstLine.get(id) !== line)) {
+      lineNumber = 0;
+      for await (const record of this.readLines()) {
+        if (latestLine.get(record.id) === lineNumber && firstLine.get(record.id) !== lineNumber) {
+          edited.set(record.id, record);
+        }
+        lineNumber++;
+      }
+    }
+
+    lineNumber = 0;
+    for await (const record of this.readLines()) {
+      if (firstLine.get(record.id) === lineNumber++) {
+        yield edited.get(record.id) || record;
+      }
+    }
+  }
+
+  /**
+   * Parses the log lines in order, ignoring lines that are not valid JSON.
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readLines() {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, "utf8"),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (_) {
+        // Partial line from an interrupted write
+      }
+    }
+  }
+
+  /**
+   * Writes the log as the flat JSON array of all_messages.json, for tools
+   * that read the old format. The file is streamed out record by record.
+   * @param {string} [outputPath] - Defaults to all_messages.json in the channel folder.
+   * @returns {Promise<number>} The number of messages written.
+   */
+  async exportLegacy(outputPath = this.legacyPath) {
+    this.migrateLegacy();
+
+    const tempPath = `${outputPath}.tmp`;
+    const fd = fs.openSync(tempPath, "w");
+    let count = 0;
+    try {
+      fs.writeSync(fd, "[");
+      for await (const record of this.records()) {
+        const legacy = Object.fromEntries(LEGACY_FIELDS.map((field) => [field, record[field]]));
+        const json = JSON.stringify(legacy, null, 2).replace(/\n/g, "\n  ");
+        fs.writeSync(fd, `${count === 0 ? "" : ","}\n  ${json}`);
+        count++;
+      }
+      fs.writeSync(fd, count === 0 ? "]\n" : "\n]\n");
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, outputPath);
+    return count;
+  }
+}
+
+module.exports = {
+  MessageStore,
+  serializeEntities,
+};
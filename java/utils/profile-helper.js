@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { FILTER_OPTIONS } = require("./filter-helper");
+
+// Shared by the bot and every workspace, so profiles are resolved from the repository
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, "..", "profiles");
+const PROFILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Profile keys and the download-channel option each one becomes
+const PROFILE_KEYS = {
+  source: "channel",
+  channel: "channel",
+  target: "target",
+  mode: "mode",
+  ids: "ids",
+  start: "start",
+  strategy: "strategy",
+  existing: "existing",
+  output: "output",
+  types: "types",
+  naming: "naming",
+  concurrency: "concurrency",
+  export: "export",
+  schedule: "schedule",
+  description: "description",
+  // Read by the bot, which writes the named accounts into the workspace config.json
+  account: "account",
+  uploadAccount: "uploadAccount",
+};
+
+/**
+ * Turns a profile value into the string form the command line would give.
+ * @param {*} value
+ * @returns {string|boolean}
+ */
+const toOptionValue = (value) => {
+  if (Array.isArray(value)) return value.map(toOptionValue).join(",");
+  // YAML reads unquoted dates as Date objects
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "boolean") return value;
+  return String(value);
+};
+
+/**
+ * Parses a JSON or YAML profile file.
+ * @param {string} filePath
+ * @returns {Object}
+ */
+const parseProfileFile = (filePath) => {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath) === ".json") {
+    return JSON.parse(text);
+  }
+
+  return yaml.load(text);
+};
+
+/**
+ * Lists the names of the profiles in the profiles directory.
+ * @returns {string[]}
+ */
+const listProfiles = () => {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+
+  return fs
+    .readdirSync(PROFILES_DIR)
+    .filter((file) => PROFILE_EXTENSIONS.includes(path.extname(file)))
+    .map((file) => path.basename(file, path.extname(file)))
+    .sort();
+};
+
+/**
+ * Loads a profile by name, e.g. "nightly-mirror" from profiles/nightly-mirror.yaml.
+ * @param {string} name
+ * @returns {Object} The profile as written, plus its name and file.
+ * @throws {Error} When the profile does not exist or cannot be parsed.
+ */
+const loadProfile = (name) => {
+  if (!/^[\w.-]+$/.test(String(name))) {
+    throw new Error(`Invalid profile name "${name}", use letters, digits, "-", "_" or "."`);
+  }
+
+  const file = PROFILE_EXTENSIONS.map((ext) => path.join(PROFILES_DIR, `${name}${ext}`)).find((candidate) =>
+    fs.existsSync(candidate)
+  );
+  if (!file) {
+    const available = listProfiles();
+    throw new Error(
+      `Profile "${name}" not found in ${PROFILES_DIR}` + (available.length ? ` (available: ${available.join(", ")})` : "")
+    );
+  }
+
+  let profile;
+  try {
+    profile = parseProfileFile(file);
+  } catch (error) {
+    throw new Error(`Profile "${name}" is invalid: ${error.message}`);
+  }
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error(`Profile "${name}" must be a mapping of settings`);
+  }
+
+  return { ...profile, name, file };
+};
+
+/**
+ * Converts a profile into the options object download-channel's handle() takes,
+ * with the same names as the command-line flags. Filters may be given at the
+ * top level or grouped under "filters".
+ * @param {Object} profile - From loadProfile.
+ * @returns {Object} The options.
+ * @throws {Error} On keys that are neither profile settings nor filters.
+ */
+const profileToOptions = (profile) => {
+  const { name, file, filters = {}, ...settings } = profile;
+  const options = {};
+  const unknown = [];
+
+  Object.entries({ ...settings, ...filters }).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    const option = PROFILE_KEYS[key] || (key in FILTER_OPTIONS ? key : null);
+    if (!option) {
+      unknown.push(key);
+      return;
+    }
+    options[option] = toOptionValue(value);
+  });
+
+  if (unknown.length) {
+    throw new Error(`Profile "${name}" has unknown settings: ${unknown.join(", ")}`);
+  }
+  return options;
+};
+
+module.exports = {
+  PROFILES_DIR,
+  listProfiles,
+  loadProfile,
+  profileToOptions,
+};
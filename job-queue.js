@@ -0,0 +1,99 @@
+// Schedules downloader jobs so only a few run at once across all users
+class JobQueue {
+    constructor({ maxConcurrent = 2, maxPerUser = 1 } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.maxPerUser = maxPerUser;
+        this.running = []; // { id, userId, priority, startedAt }
+        this.queued = []; // { id, userId, priority, queuedAt, start }
+        this.nextId = 1;
+    }
+
+    // Add a job, it starts right away when a slot is free
+    // Returns the job id and its queue position (0 when it started)
+    enqueue(userId, start, { priority = 0 } = {}) {
+        const job = {
+            id: this.nextId++,
+            userId,
+            priority,
+            queuedAt: Date.now(),
+            start,
+        };
+
+        // Higher priority first, first come first served within a priority
+        const index = this.queued.findIndex((queued) => queued.priority < priority);
+        if (index === -1) {
+            this.queued.push(job);
+        } else {
+            this.queued.splice(index, 0, job);
+        }
+
+        this.processQueue();
+        return { id: job.id, position: this.getPosition(job.id) };
+    }
+
+    // Start queued jobs while there are free slots
+    processQueue() {
+        while (this.running.length < this.maxConcurrent) {
+            const index = this.queued.findIndex(
+                (job) => this.countRunning(job.userId) < this.maxPerUser
+            );
+            if (index === -1) return;
+
+            const [job] = this.queued.splice(index, 1);
+            this.running.push({
+                id: job.id,
+                userId: job.userId,
+                priority: job.priority,
+                startedAt: Date.now(),
+            });
+
+            try {
+                job.start(job.id);
+            } catch (error) {
+                console.error(`❌ Failed to start job ${job.id} for user ${job.userId}:`, error.message);
+                this.finish(job.id);
+            }
+        }
+    }
+
+    // Free the slot of a finished job, calling it twice is harmless
+    finish(jobId) {
+        const index = this.running.findIndex((job) => job.id === jobId);
+        if (index === -1) return;
+
+        this.running.splice(index, 1);
+        this.processQueue();
+    }
+
+    // Take a job out of the queue or free its slot
+    cancel(jobId) {
+        const index = this.queued.findIndex((job) => job.id === jobId);
+        if (index !== -1) {
+            this.queued.splice(index, 1);
+            return;
+        }
+        this.finish(jobId);
+    }
+
+    countRunning(userId) {
+        return this.running.filter((job) => job.userId === userId).length;
+    }
+
+    // 1-based queue position, 0 while running, -1 for unknown jobs
+    getPosition(jobId) {
+        if (this.running.some((job) => job.id === jobId)) return 0;
+        const index = this.queued.findIndex((job) => job.id === jobId);
+        return index === -1 ? -1 : index + 1;
+    }
+
+    // Running and waiting jobs, without their start callbacks
+    snapshot() {
+        return {
+            maxConcurrent: this.maxConcurrent,
+            running: this.running.map((job) => ({ ...job })),
+            queued: this.queued.map(({ start, ...job }) => job),
+        };
+    }
+}
+
+module.exports = JobQueue;
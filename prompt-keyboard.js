@@ -0,0 +1,115 @@
+// Inline keyboards for downloader prompts that can be answered with buttons
+// Choices shown per page and the longest button label
+const KEYBOARD_PAGE_SIZE = 8;
+const KEYBOARD_LABEL_LENGTH = 48;
+
+// Keyboard state for a prompt that can be answered with buttons, null for typed answers
+function createPromptKeyboard(session, event) {
+    const keyboard = {
+        token: ++session.promptToken,
+        text: `❓ ${event.message}`,
+        page: 0,
+        filtered: null, // Choice indexes matching the current search
+        searching: false,
+    };
+
+    if (event.kind === "confirm") {
+        return { ...keyboard, kind: "confirm" };
+    }
+
+    if (event.choices && event.choices.length > 0) {
+        const choices = event.choices.map((choice, index) => ({ name: choice.name, answer: String(index + 1) }));
+        if (event.kind !== "checkbox") {
+            return { ...keyboard, kind: "select", choices };
+        }
+
+        const defaults = event.defaults || [];
+        const initial = event.choices
+            .map((choice, index) => (defaults.includes(choice.value) ? index : -1))
+            .filter((index) => index !== -1);
+        return { ...keyboard, kind: "checkbox", choices, initial, selected: [...initial] };
+    }
+
+    // The chat number prompt follows a chat list, its entries become the choices
+    if (event.id === "dialogIndex" && session.lastDialogList && session.lastDialogList.length > 0) {
+        const choices = session.lastDialogList.map((d) => ({ name: d.name, answer: String(d.index) }));
+        return { ...keyboard, kind: "select", choices };
+    }
+
+    return null;
+}
+
+function truncateLabel(text) {
+    return text.length > KEYBOARD_LABEL_LENGTH ? `${text.slice(0, KEYBOARD_LABEL_LENGTH - 1)}…` : text;
+}
+
+// Inline keyboard markup for the current page of a prompt keyboard
+function buildPromptKeyboard(keyboard) {
+    const button = (text, action) => ({ text, callback_data: `p:${keyboard.token}:${action}` });
+
+    if (keyboard.kind === "confirm") {
+        return { inline_keyboard: [[button("✅ Yes", "y"), button("❌ No", "n")]] };
+    }
+
+    const visible = keyboard.filtered || keyboard.choices.map((_, index) => index);
+    const pageCount = Math.max(1, Math.ceil(visible.length / KEYBOARD_PAGE_SIZE));
+    const page = Math.min(keyboard.page, pageCount - 1);
+
+    const rows = visible
+        .slice(page * KEYBOARD_PAGE_SIZE, (page + 1) * KEYBOARD_PAGE_SIZE)
+        .map((index) => {
+            const label = truncateLabel(keyboard.choices[index].name);
+            return keyboard.kind === "checkbox"
+                ? [button(`${keyboard.selected.includes(index) ? "✅" : "⬜"} ${label}`, `t:${index}`)]
+                : [button(label, `c:${index}`)];
+        });
+
+    if (pageCount > 1) {
+        const navigation = [];
+        if (page > 0) navigation.push(button("◀️", `pg:${page - 1}`));
+        navigation.push(button(`${page + 1}/${pageCount}`, "noop"));
+        if (page < pageCount - 1) navigation.push(button("▶️", `pg:${page + 1}`));
+        rows.push(navigation);
+    }
+
+    const tools = [];
+    if (keyboard.choices.length > KEYBOARD_PAGE_SIZE) tools.push(button("🔍 Search", "s"));
+    if (keyboard.filtered) tools.push(button("✖️ Clear search", "x"));
+    if (keyboard.kind === "checkbox") tools.push(button("✔️ Done", "d"));
+    if (tools.length > 0) rows.push(tools);
+
+    return { inline_keyboard: rows };
+}
+
+// Narrow the keyboard to the choices whose name contains the search text
+// Returns the number of matches, the keyboard is left unfiltered when there are none
+function filterPromptKeyboard(keyboard, query) {
+    const search = query.toLowerCase();
+    const matches = keyboard.choices
+        .map((choice, index) => (choice.name.toLowerCase().includes(search) ? index : -1))
+        .filter((index) => index !== -1);
+    keyboard.searching = false;
+    keyboard.filtered = matches.length > 0 ? matches : null;
+    keyboard.page = 0;
+    return matches.length;
+}
+
+// Keystrokes that make the downloader's checkbox prompt match the ticked buttons:
+// space toggles the highlighted choice, arrow down moves to the next one
+function checkboxKeystrokes(keyboard) {
+    return keyboard.choices
+        .map((_, index) => {
+            const changed = keyboard.initial.includes(index) !== keyboard.selected.includes(index);
+            return (changed ? " " : "") + "\x1b[B";
+        })
+        .join("");
+}
+
+module.exports = {
+    KEYBOARD_PAGE_SIZE,
+    createPromptKeyboard,
+    buildPromptKeyboard,
+    filterPromptKeyboard,
+    checkboxKeystrokes,
+    truncateLabel,
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// The five fields of a cron expression and their allowed values
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are Sunday
+];
+
+// Runs are looked up at most this far ahead, "0 0 30 2 *" never comes
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+// Parse one field ("*/15", "1-5", "0,30") into the set of values it allows
+function parseCronField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${name} "${part}"`);
+        }
+
+        let [start, end] = match[1] === '*'
+            ? [min, max]
+            : match[1].split('-').map(Number);
+        if (end === undefined) {
+            // "5/10" means from 5 to the end in steps of 10
+            end = match[2] ? max : start;
+        }
+        const step = match[2] ? Number(match[2]) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid ${name} "${part}", allowed ${min}-${max}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+// Parse a five-field cron expression ("30 3 * * 1-5"), throws on invalid input
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('A cron expression has 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Like cron, a restricted day of month and day of week match when either does
+        anyDay: parts[2] === '*' || parts[4] === '*',
+    };
+}
+
+function matchesCron(cron, date) {
+    if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) || !cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    const dayMatches = cron.days.has(date.getDate());
+    const weekdayMatches = cron.weekdays.has(date.getDay());
+    return cron.anyDay ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+}
+
+// First minute after `from` the expression matches, in server time, null if there is none
+function nextCronRun(expression, from = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (matchesCron(cron, date)) {
+            return new Date(date);
+        }
+    }
+    return null;
+}
+
+// Runs saved jobs on cron schedules, schedules are kept in a JSON file across restarts
+class Scheduler {
+    constructor(filePath, onRun) {
+        this.filePath = filePath;
+        this.onRun = onRun;
+        this.schedules = []; // { id, userId, chatId, expression, job, createdAt, lastRunAt }
+        this.nextId = 1;
+        this.timer = null;
+        this.load();
+    }
+
+    // Read saved schedules, dropping ones whose expression no longer parses
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.schedules = (saved.schedules || []).filter((schedule) => {
+                try {
+                    parseCron(schedule.expression);
+                    return true;
+                } catch (error) {
+                    console.error(`❌ Dropping schedule ${schedule.id}: ${error.message}`);
+                    return false;
+                }
+            });
+            this.nextId = saved.nextId || this.schedules.reduce((max, schedule) => Math.max(max, schedule.id), 0) + 1;
+        } catch (error) {
+            console.error(`❌ Could not read schedules ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    // Write through a temp file so a crash never leaves half a file
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ nextId: this.nextId, schedules: this.schedules }, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`❌ Could not save schedules: ${error.message}`);
+        }
+    }
+
+    // Add a schedule, throws when the expression is invalid
+    add(userId, chatId, expression, job) {
+        parseCron(expression);
+
+        const schedule = {
+            id: this.nextId++,
+            userId,
+            chatId,
+            expression: expression.trim().split(/\s+/).join(' '),
+            job,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+        };
+        this.schedules.push(schedule);
+        this.save();
+        return schedule;
+    }
+
+    // Remove one of the user's schedules, returns whether it existed
+    remove(userId, scheduleId) {
+        const index = this.schedules.findIndex((schedule) => schedule.id === scheduleId && schedule.userId === userId);
+        if (index === -1) return false;
+
+        this.schedules.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    list(userId) {
+        return this.schedules.filter((schedule) => schedule.userId === userId);
+    }
+
+    // Check the schedules at the start of every minute
+    start() {
+        if (this.timer) return;
+        this.scheduleTick();
+    }
+
+    // Arm the timer for the next minute boundary again after every check, so late timers never skip a minute
+    scheduleTick() {
+        const now = new Date();
+        const untilNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+        this.timer = setTimeout(() => {
+            try {
+                this.tick(new Date());
+            } finally {
+                if (this.timer) this.scheduleTick();
+            }
+        }, untilNextMinute);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Run every schedule due in this minute, runs missed while stopped are not made up
+    tick(now) {
+        const minute = new Date(now);
+        minute.setSeconds(0, 0);
+
+        for (const schedule of this.schedules) {
+            if (!matchesCron(parseCron(schedule.expression), minute)) continue;
+            if (schedule.lastRunAt && new Date(schedule.lastRunAt) >= minute) continue;
+
+            schedule.lastRunAt = minute.toISOString();
+            try {
+                this.onRun(schedule);
+            } catch (error) {
+                console.error(`❌ Scheduled job ${schedule.id} failed to start:`, error.message);
+            }
+        }
+        this.save();
+    }
+}
+
+module.exports = {
+    Scheduler,
+    parseCron,
+    nextCronRun,
+};
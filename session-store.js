@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+// Changes are collected for this long before they are written
+const SAVE_DELAY_MS = 1000;
+
+// Stores one JSON record per user in a single file
+class JsonSessionStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = {};
+        this.saveTimer = null;
+        this.load();
+    }
+
+    // Read all records, starting empty when the file is missing or unreadable
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Could not read session store ${this.filePath}: ${error.message}`);
+            this.records = {};
+        }
+    }
+
+    get(userId) {
+        return this.records[userId] || null;
+    }
+
+    // All records as [userId, record] pairs
+    all() {
+        return Object.entries(this.records);
+    }
+
+    set(userId, record) {
+        this.records[userId] = record;
+        this.scheduleSave();
+    }
+
+    delete(userId) {
+        delete this.records[userId];
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    }
+
+    // Write pending changes now, through a temp file so a crash never leaves half a file
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            // Only the bot's user may read the sessions, a temp file left from a crash keeps its old mode
+            fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2), { encoding: 'utf8', mode: 0o600 });
+            fs.chmodSync(tempPath, 0o600);
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`❌ Could not save session store: ${error.message}`);
+        }
+    }
+}
+
+// Same interface backed by SQLite, needs the optional better-sqlite3 package
+class SqliteSessionStore {
+    constructor(filePath) {
+        const Database = require('better-sqlite3');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        this.db = new Database(filePath);
+        this.db.exec(
+            'CREATE TABLE IF NOT EXISTS sessions (user_id TEXT PRIMARY KEY, record TEXT NOT NULL, updated_at INTEGER NOT NULL)'
+        );
+        this.upsert = this.db.prepare(
+            'INSERT INTO sessions (user_id, record, updated_at) VALUES (?, ?, ?) ' +
+            'ON CONFLICT(user_id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at'
+        );
+    }
+
+    get(userId) {
+        const row = this.db.prepare('SELECT record FROM sessions WHERE user_id = ?').get(String(userId));
+        return row ? JSON.parse(row.record) : null;
+    }
+
+    all() {
+        return this.db
+            .prepare('SELECT user_id, record FROM sessions')
+            .all()
+            .map((row) => [row.user_id, JSON.parse(row.record)]);
+    }
+
+    set(userId, record) {
+        this.upsert.run(String(userId), JSON.stringify(record), Date.now());
+    }
+
+    delete(userId) {
+        this.db.prepare('DELETE FROM sessions WHERE user_id = ?').run(String(userId));
+    }
+
+    // Writes are immediate, nothing to flush
+    flush() {}
+}
+
+// Create the store selected with SESSION_STORE ("json" or "sqlite") at SESSION_STORE_PATH
+function createSessionStore(type = process.env.SESSION_STORE || 'json', filePath = process.env.SESSION_STORE_PATH) {
+    if (type === 'sqlite') {
+        try {
+            return new SqliteSessionStore(filePath || './data/sessions.db');
+        } catch (error) {
+            const reason = error.code === 'MODULE_NOT_FOUND' ? 'better-sqlite3 is not installed' : error.message;
+            console.warn(`⚠️ SQLite session store unavailable (${reason}), using the JSON store`);
+        }
+    }
+    return new JsonSessionStore(filePath && type === 'json' ? filePath : './data/sessions.json');
+}
+
+module.exports = {
+    createSessionStore,
+    JsonSessionStore,
+    SqliteSessionStore,
+};
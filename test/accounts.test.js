@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getAccounts,
+    saveActiveAccount,
+    switchAccount,
+    removeAccount,
+    logoutActiveAccount,
+    resolveJobAccounts,
+} = require('../accounts');
+const { JsonSessionStore } = require('../session-store');
+
+const login = (apiId, sessionId) => ({ apiId, apiHash: `hash${apiId}`, sessionId });
+
+// Session logged in as "main" with a second account "backup"
+const createSession = () => {
+    const session = { ...login(1, 'session1'), activeAccount: 'main', uploadAccount: null, accounts: {} };
+    saveActiveAccount(session);
+    session.activeAccount = 'backup';
+    Object.assign(session, login(2, 'session2'));
+    saveActiveAccount(session);
+    return session;
+};
+
+test('a login from before accounts existed becomes the default account', () => {
+    const session = { ...login(1, 'session1'), activeAccount: null, accounts: null };
+    assert.deepEqual(getAccounts(session), { default: login(1, 'session1') });
+    assert.equal(session.activeAccount, 'default');
+
+    assert.deepEqual(getAccounts({ apiId: null, apiHash: null, accounts: null }), {});
+});
+
+test('added accounts are kept by name and switching loads their login', () => {
+    const session = createSession();
+    assert.deepEqual(Object.keys(session.accounts), ['main', 'backup']);
+
+    switchAccount(session, 'main');
+    assert.equal(session.activeAccount, 'main');
+    assert.deepEqual([session.apiId, session.apiHash, session.sessionId], [1, 'hash1', 'session1']);
+
+    // A fresh login is saved under the active account only
+    session.sessionId = 'session1b';
+    saveActiveAccount(session);
+    assert.equal(session.accounts.main.sessionId, 'session1b');
+    assert.equal(session.accounts.backup.sessionId, 'session2');
+});
+
+test('removing the active account clears its login and the upload account', () => {
+    const session = createSession();
+    session.uploadAccount = 'main';
+
+    assert.equal(removeAccount(session, 'main'), false);
+    assert.equal(session.uploadAccount, null);
+    assert.equal(session.sessionId, 'session2');
+
+    assert.equal(removeAccount(session, 'backup'), true);
+    assert.deepEqual(session.accounts, {});
+    assert.deepEqual(
+        [session.activeAccount, session.apiId, session.apiHash, session.sessionId],
+        [null, null, null, null],
+    );
+});
+
+test('LOGOUT forgets the active account and tells whether others are kept', () => {
+    const session = createSession();
+    session.phone = '+100';
+
+    const reply = logoutActiveAccount(session);
+    assert.match(reply, /Logged out successfully/);
+    assert.match(reply, /other accounts are kept/);
+    assert.deepEqual(Object.keys(session.accounts), ['main']);
+    assert.deepEqual([session.activeAccount, session.sessionId, session.phone], [null, null, null]);
+
+    switchAccount(session, 'main');
+    assert.doesNotMatch(logoutActiveAccount(session), /other accounts/);
+    assert.deepEqual(session.accounts, {});
+});
+
+test('job accounts use the upload account and profile overrides', () => {
+    const session = createSession();
+    assert.deepEqual(resolveJobAccounts(session), { source: login(2, 'session2'), upload: null });
+
+    session.uploadAccount = 'main';
+    assert.deepEqual(resolveJobAccounts(session), { source: login(2, 'session2'), upload: login(1, 'session1') });
+
+    // A profile reading with the upload account needs no second login
+    assert.deepEqual(resolveJobAccounts(session, { account: 'main' }), { source: login(1, 'session1'), upload: null });
+});
+
+test('job accounts must exist and be logged in', () => {
+    const session = createSession();
+    session.accounts.main.sessionId = null;
+
+    assert.throws(() => resolveJobAccounts(session, { account: 'main' }), /Account "main" is not logged in/);
+    assert.throws(() => resolveJobAccounts(session, { uploadAccount: 'main' }), /Upload account "main" is not logged in/);
+    assert.throws(() => resolveJobAccounts(session, { uploadAccount: 'other' }), /Upload account "other"/);
+});
+
+test('accounts survive a restart through the session store', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'sessions.json');
+    const session = createSession();
+    const store = new JsonSessionStore(filePath);
+    store.set(42, { accounts: session.accounts, activeAccount: session.activeAccount });
+    store.flush();
+
+    const restored = { ...new JsonSessionStore(filePath).get(42), apiId: null, apiHash: null, sessionId: null };
+    switchAccount(restored, 'main');
+    assert.deepEqual([restored.apiId, restored.sessionId], [1, 'session1']);
+    assert.deepEqual(Object.keys(getAccounts(restored)), ['main', 'backup']);
+});
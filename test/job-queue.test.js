@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../job-queue');
+
+test('starts jobs up to the concurrency limit and one per user', () => {
+    const queue = new JobQueue({ maxConcurrent: 2, maxPerUser: 1 });
+    const started = [];
+    const a = queue.enqueue(1, () => started.push('a'));
+    const b = queue.enqueue(1, () => started.push('b'));
+    const c = queue.enqueue(2, () => started.push('c'));
+    const d = queue.enqueue(3, () => started.push('d'));
+
+    assert.deepEqual(started, ['a', 'c']);
+    assert.deepEqual([a.position, b.position, c.position, d.position], [0, 1, 0, 2]);
+
+    queue.finish(a.id);
+    assert.deepEqual(started, ['a', 'c', 'b']);
+    queue.finish(a.id);
+    assert.deepEqual(started, ['a', 'c', 'b']);
+});
+
+test('admins skip ahead of waiting jobs of the same or lower priority', () => {
+    const queue = new JobQueue({ maxConcurrent: 1 });
+    queue.enqueue(1, () => {});
+    const normal = queue.enqueue(2, () => {});
+    const admin = queue.enqueue(3, () => {}, { priority: 1 });
+
+    assert.equal(queue.getPosition(admin.id), 1);
+    assert.equal(queue.getPosition(normal.id), 2);
+    assert.deepEqual(queue.snapshot().queued.map((job) => job.userId), [3, 2]);
+});
+
+test('cancel removes a waiting job and frees a running slot', () => {
+    const queue = new JobQueue({ maxConcurrent: 1 });
+    const started = [];
+    const first = queue.enqueue(1, () => started.push(1));
+    const second = queue.enqueue(2, () => started.push(2));
+    const third = queue.enqueue(3, () => started.push(3));
+
+    queue.cancel(second.id);
+    assert.equal(queue.getPosition(second.id), -1);
+    queue.cancel(first.id);
+    assert.deepEqual(started, [1, 3]);
+    assert.equal(queue.getPosition(third.id), 0);
+});
+
+test('a job whose start throws gives its slot to the next one', () => {
+    const queue = new JobQueue({ maxConcurrent: 1 });
+    const started = [];
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        queue.enqueue(1, () => {
+            throw new Error('spawn failed');
+        });
+    } finally {
+        console.error = originalError;
+    }
+    queue.enqueue(2, () => started.push(2));
+
+    assert.deepEqual(started, [2]);
+    assert.equal(queue.snapshot().running.length, 1);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    KEYBOARD_PAGE_SIZE,
+    createPromptKeyboard,
+    buildPromptKeyboard,
+    filterPromptKeyboard,
+    checkboxKeystrokes,
+} = require('../prompt-keyboard');
+
+const createSession = () => ({ promptToken: 0, lastDialogList: null });
+const choices = (count) => Array.from({ length: count }, (_, i) => ({ name: `Channel ${i + 1}`, value: `c${i + 1}` }));
+const labels = (markup) => markup.inline_keyboard.map((row) => row.map((button) => button.text));
+const actions = (row) => row.map((button) => button.callback_data);
+
+test('confirm prompts become yes and no buttons', () => {
+    const keyboard = createPromptKeyboard(createSession(), { kind: 'confirm', message: 'Upload?' });
+    assert.equal(keyboard.text, '❓ Upload?');
+    assert.deepEqual(actions(buildPromptKeyboard(keyboard).inline_keyboard[0]), ['p:1:y', 'p:1:n']);
+});
+
+test('list choices answer with their number and typed prompts get no keyboard', () => {
+    const session = createSession();
+    const keyboard = createPromptKeyboard(session, { kind: 'list', message: 'Pick', choices: choices(3) });
+    assert.equal(keyboard.kind, 'select');
+    assert.deepEqual(keyboard.choices.map((choice) => choice.answer), ['1', '2', '3']);
+    assert.deepEqual(actions(buildPromptKeyboard(keyboard).inline_keyboard.flat()), ['p:1:c:0', 'p:1:c:1', 'p:1:c:2']);
+
+    assert.equal(createPromptKeyboard(session, { kind: 'input', id: 'phoneNumber', message: 'Phone' }), null);
+    assert.equal(session.promptToken, 2);
+});
+
+test('the chat number prompt offers the last chat list', () => {
+    const session = createSession();
+    session.lastDialogList = [{ index: 4, name: 'News' }, { index: 9, name: 'Music' }];
+    const keyboard = createPromptKeyboard(session, { kind: 'input', id: 'dialogIndex', message: 'Chat number' });
+    assert.deepEqual(keyboard.choices, [{ name: 'News', answer: '4' }, { name: 'Music', answer: '9' }]);
+});
+
+test('long lists are paged with navigation and search', () => {
+    const keyboard = createPromptKeyboard(createSession(), { kind: 'list', message: 'Pick', choices: choices(20) });
+
+    let rows = labels(buildPromptKeyboard(keyboard));
+    assert.equal(rows.length, KEYBOARD_PAGE_SIZE + 2);
+    assert.deepEqual(rows[KEYBOARD_PAGE_SIZE], ['1/3', '▶️']);
+    assert.deepEqual(rows[KEYBOARD_PAGE_SIZE + 1], ['🔍 Search']);
+
+    keyboard.page = 2;
+    rows = labels(buildPromptKeyboard(keyboard));
+    assert.deepEqual(rows.slice(0, 4).flat(), ['Channel 17', 'Channel 18', 'Channel 19', 'Channel 20']);
+    assert.deepEqual(rows[4], ['◀️', '3/3']);
+
+    // A page past the end shows the last one
+    keyboard.page = 7;
+    assert.deepEqual(labels(buildPromptKeyboard(keyboard))[4], ['◀️', '3/3']);
+});
+
+test('search narrows the choices and can be cleared', () => {
+    const keyboard = createPromptKeyboard(createSession(), { kind: 'list', message: 'Pick', choices: choices(20) });
+    keyboard.page = 1;
+
+    assert.equal(filterPromptKeyboard(keyboard, 'CHANNEL 1'), 11);
+    assert.equal(keyboard.page, 0);
+    const rows = labels(buildPromptKeyboard(keyboard));
+    assert.deepEqual(rows[0], ['Channel 1']);
+    assert.deepEqual(rows[1], ['Channel 10']);
+    assert.deepEqual(rows[KEYBOARD_PAGE_SIZE], ['1/2', '▶️']);
+    assert.deepEqual(rows[KEYBOARD_PAGE_SIZE + 1], ['🔍 Search', '✖️ Clear search']);
+
+    assert.equal(filterPromptKeyboard(keyboard, 'nothing'), 0);
+    assert.equal(keyboard.filtered, null);
+});
+
+test('checkboxes start from the defaults and type the toggled ones', () => {
+    const keyboard = createPromptKeyboard(createSession(), {
+        kind: 'checkbox',
+        message: 'File types',
+        choices: choices(3),
+        defaults: ['c1', 'c3'],
+    });
+    assert.deepEqual(labels(buildPromptKeyboard(keyboard)), [
+        ['✅ Channel 1'],
+        ['⬜ Channel 2'],
+        ['✅ Channel 3'],
+        ['✔️ Done'],
+    ]);
+
+    keyboard.selected = [0, 1];
+    assert.equal(checkboxKeystrokes(keyboard), '\x1b[B \x1b[B \x1b[B');
+});
+
+test('long names are cut to fit a button', () => {
+    const name = 'x'.repeat(60);
+    const keyboard = createPromptKeyboard(createSession(), { kind: 'list', message: 'Pick', choices: [{ name }] });
+    const [[button]] = buildPromptKeyboard(keyboard).inline_keyboard;
+    assert.equal(button.text.length, 48);
+    assert.ok(button.text.endsWith('…'));
+});
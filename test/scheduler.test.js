@@ -0,0 +1,88 @@
+const { test, mock, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scheduler, parseCron, nextCronRun } = require('../scheduler');
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const tempFile = () => {
+    tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-')));
+    return path.join(tempDirs.at(-1), 'schedules.json');
+};
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+afterEach(() => mock.timers.reset());
+
+test('parseCron expands lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-11,18 1 */3 7');
+    assert.deepEqual(sorted(cron.minutes), [0, 15, 30, 45]);
+    assert.deepEqual(sorted(cron.hours), [9, 10, 11, 18]);
+    assert.deepEqual(sorted(cron.days), [1]);
+    assert.deepEqual(sorted(cron.months), [1, 4, 7, 10]);
+    assert.deepEqual(sorted(cron.weekdays), [0, 7]);
+    assert.equal(cron.anyDay, false);
+    assert.deepEqual(sorted(parseCron('5/20 * * * *').minutes), [5, 25, 45]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60", allowed 0-59/);
+    assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid day of week "mon"/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+});
+
+test('nextCronRun finds the next matching minute in server time', () => {
+    const from = new Date(2024, 0, 1, 10, 7, 30); // Monday
+    assert.deepEqual(nextCronRun('*/15 * * * *', from), new Date(2024, 0, 1, 10, 15));
+    assert.deepEqual(nextCronRun('30 3 * * *', from), new Date(2024, 0, 2, 3, 30));
+    assert.deepEqual(nextCronRun('0 9 * * 6', from), new Date(2024, 0, 6, 9, 0));
+    assert.deepEqual(nextCronRun('0 0 29 2 *', from), new Date(2024, 1, 29, 0, 0));
+    assert.equal(nextCronRun('0 0 30 2 *', from), null);
+});
+
+test('a restricted day of month and day of week match when either does', () => {
+    const from = new Date(2024, 0, 1, 12, 0); // Monday the 1st
+    // The 15th or any Friday, whichever comes first
+    assert.deepEqual(nextCronRun('0 8 15 * 5', from), new Date(2024, 0, 5, 8, 0));
+    assert.deepEqual(nextCronRun('0 8 15 * *', from), new Date(2024, 0, 15, 8, 0));
+});
+
+test('keeps schedules across restarts and only lets owners remove them', () => {
+    const filePath = tempFile();
+    const scheduler = new Scheduler(filePath, () => {});
+    const schedule = scheduler.add(1, 10, ' 0  3 * * * ', { channelId: '-100' });
+    assert.equal(schedule.expression, '0 3 * * *');
+    assert.throws(() => scheduler.add(1, 10, 'daily', {}), /5 fields/);
+
+    const reloaded = new Scheduler(filePath, () => {});
+    assert.deepEqual(reloaded.list(1).map((saved) => saved.id), [schedule.id]);
+    assert.equal(reloaded.remove(2, schedule.id), false);
+    assert.equal(reloaded.remove(1, schedule.id), true);
+    assert.equal(reloaded.add(1, 10, '* * * * *', {}).id, schedule.id + 1);
+});
+
+test('runs a due schedule once per minute even when ticks come late', () => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2024, 0, 1, 9, 59, 30) });
+    const runs = [];
+    const scheduler = new Scheduler(tempFile(), () => {
+        runs.push(new Date().getMinutes());
+        // A slow check, the next timer must still fire at the next minute boundary
+        mock.timers.setTime(Date.now() + 900);
+    });
+    scheduler.add(1, 10, '* * * * *', {});
+
+    scheduler.start();
+    scheduler.start();
+    for (let i = 0; i < 120; i++) {
+        mock.timers.tick(30000);
+    }
+    scheduler.stop();
+    mock.timers.tick(120000);
+
+    // 10:00 to 11:00, the slow checks added almost a minute
+    assert.deepEqual(runs, Array.from({ length: 61 }, (_, index) => index % 60));
+});
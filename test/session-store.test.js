@@ -0,0 +1,67 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, JsonSessionStore, SqliteSessionStore } = require('../session-store');
+
+// better-sqlite3 is an optional dependency, its native build may have been skipped
+let sqliteMissing = false;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    sqliteMissing = 'better-sqlite3 is not installed';
+}
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const tempFile = (name) => {
+    tempDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-')));
+    return path.join(tempDirs.at(-1), name);
+};
+
+test('JSON store keeps records across a restart once flushed', () => {
+    const filePath = tempFile('sessions.json');
+    const store = createSessionStore('json', filePath);
+    store.set(42, { state: 'processing', job: { channelId: '-100' } });
+    store.set(7, { state: 'idle' });
+    store.delete(7);
+    assert.equal(fs.existsSync(filePath), false);
+    store.flush();
+
+    const reloaded = new JsonSessionStore(filePath);
+    assert.deepEqual(reloaded.get(42), { state: 'processing', job: { channelId: '-100' } });
+    assert.equal(reloaded.get(7), null);
+    assert.deepEqual(reloaded.all().map(([userId]) => userId), ['42']);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('JSON store file is readable by its owner only', () => {
+    const filePath = tempFile('sessions.json');
+    fs.writeFileSync(`${filePath}.tmp`, '{}', { mode: 0o644 });
+    const store = new JsonSessionStore(filePath);
+    store.set(42, { apiHash: 'secret' });
+    store.flush();
+
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test('JSON store starts empty from an unreadable file', () => {
+    const filePath = tempFile('sessions.json');
+    fs.writeFileSync(filePath, '{"42": {"state"');
+    const store = new JsonSessionStore(filePath);
+    assert.deepEqual(store.all(), []);
+});
+
+test('SQLite store writes each record at once', { skip: sqliteMissing }, () => {
+    const store = new SqliteSessionStore(tempFile('sessions.db'));
+    store.set(42, { state: 'idle' });
+    store.set(42, { state: 'processing' });
+    store.set(7, { state: 'idle' });
+    store.delete(7);
+
+    assert.deepEqual(store.get(42), { state: 'processing' });
+    assert.equal(store.get(7), null);
+    assert.deepEqual(store.all(), [['42', { state: 'processing' }]]);
+});
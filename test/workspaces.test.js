@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Workspaces of the test users go to a temp folder
+const workspacesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+process.env.WORKSPACES_DIR = workspacesDir;
+after(() => fs.rmSync(workspacesDir, { recursive: true, force: true }));
+
+const { getUserWorkspace, updateConfigFile, clearUserCredentials } = require('../workspaces');
+const { readCredentialsFile } = require('../java/utils/file-helper');
+
+const readConfig = (userId) => readCredentialsFile(path.join(getUserWorkspace(userId), 'config.json'));
+
+test('every user gets a separate workspace', () => {
+    const first = getUserWorkspace(1);
+    const second = getUserWorkspace(2);
+
+    assert.equal(first, path.join(workspacesDir, '1'));
+    assert.equal(second, path.join(workspacesDir, '2'));
+    assert.ok(fs.statSync(path.join(first, 'export')).isDirectory());
+    assert.ok(fs.statSync(path.join(second, 'export')).isDirectory());
+});
+
+test('a config write only touches the user\'s own config file', () => {
+    updateConfigFile(1, { apiId: '11', apiHash: 'hash1', sessionId: 'session1' });
+    updateConfigFile(2, { apiId: '22', apiHash: 'hash2', sessionId: 'session2' });
+    updateConfigFile(1, { apiId: '11', apiHash: 'hash1b', sessionId: null }, { apiId: '33', apiHash: 'hash3', sessionId: 'session3' });
+
+    // The saved session of the same API app is kept
+    assert.deepEqual(readConfig(1), {
+        apiId: 11,
+        apiHash: 'hash1b',
+        sessionId: 'session1',
+        uploadAccount: { apiId: 33, apiHash: 'hash3', sessionId: 'session3' },
+    });
+    assert.deepEqual(readConfig(2), { apiId: 22, apiHash: 'hash2', sessionId: 'session2' });
+
+    clearUserCredentials(1);
+    assert.equal(fs.existsSync(path.join(getUserWorkspace(1), 'config.json')), false);
+    assert.deepEqual(readConfig(2), { apiId: 22, apiHash: 'hash2', sessionId: 'session2' });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each user gets a folder here with their own config.json, session and export tree
+const WORKSPACES_DIR = process.env.WORKSPACES_DIR || './workspaces';
+
+// The credential helpers live in the java folder, which the bot clones on start
+const fileHelper = () => require('./java/utils/file-helper');
+
+// Working directory of a user's downloader, created on first use
+function getUserWorkspace(userId) {
+    const workspace = path.resolve(WORKSPACES_DIR, String(userId));
+    fs.mkdirSync(path.join(workspace, 'export'), { recursive: true });
+    return workspace;
+}
+
+// Update config file with the credentials of the job's source account, and of its upload account when set
+function updateConfigFile(userId, { apiId, apiHash, sessionId }, upload = null) {
+    const { readCredentialsFile, writeCredentialsFile } = fileHelper();
+    const configPath = path.join(getUserWorkspace(userId), 'config.json');
+
+    // The saved session only belongs to the same API app
+    if (!sessionId) {
+        try {
+            const existing = readCredentialsFile(configPath);
+            if (String(existing.apiId) === String(apiId)) {
+                sessionId = existing.sessionId;
+            }
+        } catch (_) {
+            // No config yet, or encrypted with another key
+        }
+    }
+
+    const config = {
+        apiId: parseInt(apiId),
+        apiHash: apiHash,
+        sessionId: sessionId || '',
+    };
+    if (upload) {
+        config.uploadAccount = {
+            apiId: parseInt(upload.apiId),
+            apiHash: upload.apiHash,
+            sessionId: upload.sessionId,
+        };
+    }
+    writeCredentialsFile(config, configPath);
+}
+
+// Forget the user's saved Telegram login, downloaded files stay
+function clearUserCredentials(userId) {
+    const configPath = path.join(path.resolve(WORKSPACES_DIR, String(userId)), 'config.json');
+    if (fs.existsSync(configPath)) {
+        fs.unlinkSync(configPath);
+    }
+}
+
+module.exports = {
+    WORKSPACES_DIR,
+    getUserWorkspace,
+    updateConfigFile,
+    clearUserCredentials,
+};